@@ -9,6 +9,17 @@ module.exports = {
   MAX_SLOTS: parseInt(process.env.MAX_SLOTS || '5'),
   MAX_CHARGE_TIME: parseInt(process.env.MAX_CHARGE_TIME || '30'),
   REMINDER_TIME: parseInt(process.env.REMINDER_TIME || '5'),
+  TARIFF_PER_KWH: parseFloat(process.env.TARIFF_PER_KWH || '0'),
+  TARIFF_PER_MINUTE: parseFloat(process.env.TARIFF_PER_MINUTE || '0'),
+  IDLE_FEE_PER_MINUTE: parseFloat(process.env.IDLE_FEE_PER_MINUTE || '0'),
+  OCPP_ENABLED: process.env.OCPP_ENABLED === 'true',
+  OCPP_PORT: parseInt(process.env.OCPP_PORT || '9220'),
+  OCPP_PASSWORD: process.env.OCPP_PASSWORD || null,
+  MQTT_URL: process.env.MQTT_URL || null,
+  MQTT_USERNAME: process.env.MQTT_USERNAME || null,
+  MQTT_PASSWORD: process.env.MQTT_PASSWORD || null,
+  MQTT_TOPIC_PREFIX: process.env.MQTT_TOPIC_PREFIX || 'slotmanager',
+  DASHBOARD_SECRET: process.env.DASHBOARD_SECRET || null,
   ENVIRONMENT: process.env.NODE_ENV || 'development',
   COMMAND_PREFIX: '/'
 };
\ No newline at end of file
@@ -7,69 +7,111 @@ const logger = require('../utils/logger');
 const userHandler = require('./userHandler');
 const queueHandler = require('./queueHandler');
 const sessionHandler = require('./sessionHandler');
+const slotHandler = require('./slotHandler');
+const siteHandler = require('./siteHandler');
+const exportHandler = require('./exportHandler');
+const billingHandler = require('./billingHandler');
+const webhookHandler = require('./webhookHandler');
+const apiTokenHandler = require('./apiTokenHandler');
+const appealHandler = require('./appealHandler');
 const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
 const Queue = require('../models/queue');
 const Session = require('../models/session');
 const User = require('../models/user');
 const System = require('../models/system');
 const penaltySystem = require('../utils/penaltySystem');
+const settingsManager = require('../utils/settingsManager');
+const permissions = require('../utils/permissions');
+const auditLog = require('../utils/auditLog');
+const keyboards = require('../utils/keyboards');
+const ocppServer = require('../utils/ocppServer');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+
+// Comandi utente pubblicati nel menu di Telegram per tutti (descrizioni nei cataloghi, sotto commands)
+const USER_BOT_COMMANDS = [
+  'start', 'prenota', 'prenota_alle', 'prenotazioni', 'annulla_prenotazione', 'cancella', 'iniziato', 'terminato',
+  'estendi', 'kwh', 'status', 'colonnine', 'sede', 'stato_utente', 'storico', 'ricorso', 'lingua', 'help', 'dove_sono'
+];
+
+/**
+ * Costruisce il menu dei comandi utente in una lingua
+ * @param {String} lang - Codice della lingua
+ * @returns {Array} - Comandi nel formato di setMyCommands
+ */
+function userBotCommands(lang) {
+  return USER_BOT_COMMANDS.map(command => ({ command, description: i18n.t(lang, `commands.${command}`) }));
+}
+
+// Comandi admin pubblicati nel menu di chi ha il ruolo o i permessi di sede necessari
+const ADMIN_BOT_COMMANDS = [
+  { command: 'admin_status', description: 'Stato dettagliato del sistema' },
+  { command: 'admin_stats', description: 'Statistiche del sistema' },
+  { command: 'admin_set_max_slots', description: 'Imposta il numero massimo di slot' },
+  { command: 'admin_slot', description: 'Configura nome, connettore, potenza e posizione di una colonnina' },
+  { command: 'admin_sites', description: 'Elenco delle sedi configurate' },
+  { command: 'admin_add_site', description: 'Aggiunge una sede' },
+  { command: 'admin_set_site', description: 'Modifica nome, tempo di ricarica o promemoria di una sede' },
+  { command: 'admin_site_admin', description: 'Aggiunge o rimuove un amministratore di sede' },
+  { command: 'admin_grant', description: 'Assegna il ruolo di moderatore o amministratore' },
+  { command: 'admin_revoke', description: 'Revoca il ruolo di un moderatore o amministratore' },
+  { command: 'admin_id_tag', description: 'Assegna o rimuove la tessera OCPP di un utente' },
+  { command: 'admin_set_charge_time', description: 'Imposta il tempo massimo di ricarica' },
+  { command: 'admin_set_reminder_time', description: 'Imposta il tempo di promemoria' },
+  { command: 'admin_settings', description: 'Visualizza o modifica le impostazioni' },
+  { command: 'admin_reset_slot', description: 'Termina forzatamente la sessione di un utente' },
+  { command: 'admin_remove_queue', description: 'Rimuove un utente dalla coda' },
+  { command: 'admin_approve_extension', description: 'Approva una richiesta di estensione' },
+  { command: 'admin_reject_extension', description: 'Rifiuta una richiesta di estensione' },
+  { command: 'admin_check_penalties', description: 'Visualizza utenti con penalità' },
+  { command: 'admin_appeal', description: 'Elenca, accetta o rifiuta i ricorsi contro le penalità' },
+  { command: 'admin_penalty_rules', description: 'Visualizza, modifica o prova le regole delle penalità' },
+  { command: 'admin_penalty', description: 'Aggiunge o toglie punti penalità a un utente' },
+  { command: 'admin_ban', description: 'Sospende un utente per alcuni giorni' },
+  { command: 'admin_unban', description: 'Revoca la sospensione di un utente' },
+  { command: 'admin_audit', description: 'Registro delle azioni' },
+  { command: 'admin_export', description: 'Esporta sessioni, utenti o penalità in CSV o JSON' },
+  { command: 'admin_billing', description: 'Invia agli utenti il rendiconto mensile' },
+  { command: 'admin_tariff', description: 'Visualizza o modifica le fasce orarie di tariffazione' },
+  { command: 'admin_webhooks', description: 'Gestisce i webhook per gli eventi del sistema' },
+  { command: 'admin_api_tokens', description: 'Gestisce i token dell\'API REST' },
+  { command: 'admin_notify_all', description: 'Invia un messaggio a tutti gli utenti' },
+  { command: 'admin_reset_system', description: 'Resetta completamente il sistema' },
+  { command: 'admin_help', description: 'Mostra i comandi admin disponibili' },
+  { command: 'dbtest', description: 'Verifica lo stato del database' },
+  { command: 'admin_update_commands', description: 'Aggiorna i comandi del bot' }
+];
 
 class AdminCommands {
   /**
    * Imposta i comandi del bot su Telegram
+   * Il menu con i comandi admin viene pubblicato per ogni moderatore, amministratore
+   * e amministratore di sede, limitato ai comandi consentiti
    * @param {Object} bot - Istanza del bot Telegram
    * @returns {Promise<void>}
    */
   async setupBotCommands(bot) {
     try {
-      // Imposta i comandi utente (visibili a tutti)
-      await bot.setMyCommands([
-        { command: 'start', description: 'Avvia il bot' },
-        { command: 'prenota', description: 'Prenota uno slot o mettiti in coda' },
-        { command: 'cancella', description: 'Cancella la tua prenotazione in coda' },
-        { command: 'iniziato', description: 'Conferma l\'inizio della ricarica o specifica durata' },
-        { command: 'terminato', description: 'Conferma la fine della ricarica' },
-        { command: 'status', description: 'Visualizza lo stato attuale del sistema' },
-        { command: 'stato_utente', description: 'Visualizza il tuo stato e penalità' },
-        { command: 'help', description: 'Mostra i comandi disponibili' },
-        { command: 'dove_sono', description: 'Mostra ID della chat corrente' }
-      ]);
+      // Imposta i comandi utente (visibili a tutti): un menu per lingua, più quello per le lingue
+      // senza traduzione, che ricevono i messaggi nella lingua di ripiego
+      await bot.setMyCommands(userBotCommands(i18n.FALLBACK_LANGUAGE));
+      
+      for (const language of i18n.LANGUAGES) {
+        await bot.setMyCommands(userBotCommands(language), { language_code: language });
+      }
       
       logger.info('User commands updated successfully');
       
-      // Imposta i comandi admin (visibili solo all'admin)
+      // Imposta i comandi admin per ciascun utente con privilegi
       try {
-        if (config.ADMIN_USER_ID) {
-          await bot.setMyCommands([
-            // Comandi utente visibili anche all'admin
-            { command: 'start', description: 'Avvia il bot' },
-            { command: 'prenota', description: 'Prenota uno slot o mettiti in coda' },
-            { command: 'cancella', description: 'Cancella la tua prenotazione in coda' },
-            { command: 'iniziato', description: 'Conferma l\'inizio della ricarica o specifica durata' },
-            { command: 'terminato', description: 'Conferma la fine della ricarica' },
-            { command: 'status', description: 'Visualizza lo stato attuale del sistema' },
-            { command: 'stato_utente', description: 'Visualizza il tuo stato e penalità' },
-            { command: 'help', description: 'Mostra tutti i comandi disponibili' },
-            { command: 'dove_sono', description: 'Mostra ID della chat corrente' },
-            
-            // Comandi admin
-            { command: 'admin_status', description: 'Stato dettagliato del sistema' },
-            { command: 'admin_stats', description: 'Statistiche del sistema' },
-            { command: 'admin_set_max_slots', description: 'Imposta il numero massimo di slot' },
-            { command: 'admin_set_charge_time', description: 'Imposta il tempo massimo di ricarica' },
-            { command: 'admin_set_reminder_time', description: 'Imposta il tempo di promemoria' },
-            { command: 'admin_reset_slot', description: 'Termina forzatamente la sessione di un utente' },
-            { command: 'admin_remove_queue', description: 'Rimuove un utente dalla coda' },
-            { command: 'admin_check_penalties', description: 'Visualizza utenti con penalità' },
-            { command: 'admin_notify_all', description: 'Invia un messaggio a tutti gli utenti' },
-            { command: 'admin_reset_system', description: 'Resetta completamente il sistema' },
-            { command: 'admin_help', description: 'Mostra i comandi admin disponibili' },
-            { command: 'dbtest', description: 'Verifica lo stato del database' },
-            { command: 'admin_update_commands', description: 'Aggiorna i comandi del bot' }
-          ], { scope: { type: 'chat', chat_id: config.ADMIN_USER_ID } });
-          
-          logger.info('Admin commands updated successfully');
+        const staffIds = await permissions.getUserIdsWithRole('moderator');
+        const siteAdminIds = (await siteHandler.getSites()).flatMap(site => site.admin_ids);
+        
+        for (const staffId of new Set([...staffIds, ...siteAdminIds])) {
+          await this.setupUserCommands(bot, staffId);
         }
+        
+        logger.info('Admin commands updated successfully');
       } catch (error) {
         logger.error('Error setting admin commands:', error);
       }
@@ -78,6 +120,38 @@ class AdminCommands {
     }
   }
 
+  /**
+   * Imposta il menu dei comandi per un singolo utente in base al suo ruolo
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} userId - ID Telegram dell'utente
+   * @returns {Promise<void>}
+   */
+  async setupUserCommands(bot, userId) {
+    try {
+      const role = await permissions.getRole(userId);
+      const allowed = permissions.getCommandsForRole(role);
+      
+      if (await siteHandler.isSiteAdmin(userId)) {
+        allowed.push(...permissions.SITE_ADMIN_COMMANDS);
+      }
+      
+      const scope = { type: 'chat', chat_id: userId };
+      
+      if (allowed.length === 0) {
+        // Utente senza privilegi: torna al menu predefinito
+        await bot.deleteMyCommands({ scope });
+        return;
+      }
+      
+      // I comandi admin restano in italiano, quelli utente seguono la lingua dell'utente
+      const adminCommands = ADMIN_BOT_COMMANDS.filter(command => allowed.includes(command.command));
+      const lang = await i18n.getUserLanguage(userId);
+      await bot.setMyCommands([...userBotCommands(lang), ...adminCommands], { scope });
+    } catch (error) {
+      logger.error(`Error setting commands for user ${userId}:`, error);
+    }
+  }
+
   /**
    * Gestisce il comando admin_update_commands
    * @param {Object} bot - Istanza del bot Telegram
@@ -97,11 +171,16 @@ class AdminCommands {
    * Gestisce il comando admin_help
    * @param {Object} bot - Istanza del bot Telegram
    * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
    */
-  async handleAdminHelp(bot, chatId) {
+  async handleAdminHelp(bot, chatId, userId, username, msg) {
     try {
-      // Comando help admin
-      const helpMessage = formatters.formatAdminHelpMessage();
+      // Gli amministratori di sede vedono la guida completa, limitata nei fatti alle proprie sedi
+      const role = await permissions.getRole(userId);
+      const helpRole = role === 'user' && await siteHandler.isSiteAdmin(userId) ? 'admin' : role;
+      const helpMessage = formatters.formatAdminHelpMessage(helpRole, msg.lang);
       bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
     } catch (error) {
       logger.error('Error in /admin_help command:', error);
@@ -116,6 +195,9 @@ class AdminCommands {
    */
   async handleCheckPenalties(bot, chatId) {
     try {
+      // Togli le penalità scadute prima di elencare gli utenti
+      await penaltySystem.expirePoints();
+      
       // Ottieni utenti con penalità
       const usersWithPenalties = await User.find({
         $or: [
@@ -156,6 +238,280 @@ class AdminCommands {
     }
   }
 
+  /**
+   * Gestisce il comando admin_appeal
+   * Senza argomenti elenca i ricorsi in attesa, altrimenti accetta o rifiuta quello di un utente
+   * Sintassi: /admin_appeal [accept|reject] @username
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleAppeal(bot, chatId, userId, username, msg, args) {
+    try {
+      const action = args.length > 0 ? args[0].toLowerCase() : null;
+      
+      if ((action === 'accept' || action === 'reject') && args.length === 2) {
+        const targetUsername = args[1].replace('@', '');
+        const { appeal, session, points, banLifted } = await appealHandler.decideAppeal(targetUsername, action === 'accept', userId);
+        
+        bot.sendMessage(chatId, action === 'accept'
+          ? `✅ Ricorso di @${targetUsername} accettato: ${points} punti annullati${banLifted ? ' e sospensione revocata' : ''}.`
+          : `✅ Ricorso di @${targetUsername} respinto.`);
+        
+        // Notifica l'utente della decisione
+        const lang = await i18n.getUserLanguage(appeal.telegram_id);
+        const day = session ? formatters.formatDate(session.start_time, lang) : formatters.formatDate(appeal.createdAt, lang);
+        let notice = action === 'accept'
+          ? i18n.t(lang, 'ricorso.accepted', { points: i18n.t(lang, 'penalties.points', { count: points }), day })
+          : i18n.t(lang, 'ricorso.rejected', { day });
+        
+        if (banLifted) {
+          notice += `\n${i18n.t(lang, 'ricorso.ban_lifted')}`;
+        }
+        
+        bot.sendMessage(appeal.telegram_id, notice, { parse_mode: 'Markdown' })
+          .catch(err => logger.warn(`Could not notify user ${appeal.telegram_id}:`, err.message));
+        return;
+      }
+      
+      if (args.length !== 0) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_appeal [accept|reject] @username');
+        return;
+      }
+      
+      const appeals = await appealHandler.getPendingAppeals();
+      
+      if (appeals.length === 0) {
+        bot.sendMessage(chatId, '✅ Nessun ricorso in attesa.');
+        return;
+      }
+      
+      let message = '📨 *Ricorsi in attesa*\n\n';
+      
+      appeals.forEach(appeal => {
+        message += `${formatters.formatAppeal(appeal)}\n   Presentato il ${formatters.formatDate(appeal.createdAt)}\n\n`;
+      });
+      
+      message += 'Decidi con */admin\\_appeal [accept|reject] @username*.';
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_appeal command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_penalty_rules
+   * Senza argomenti mostra le regole in vigore, altrimenti ne modifica una, ne mostra l'effetto
+   * sulle sessioni recenti o ripristina quelle predefinite
+   * Sintassi: /admin_penalty_rules [preview] [regola] [valori] | /admin_penalty_rules reset
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handlePenaltyRules(bot, chatId, userId, username, msg, args) {
+    const usage = '❌ Uso: /admin_penalty_rules [preview] [regola] [valori] oppure /admin_penalty_rules reset\n\n' +
+      'Regole: tiers, ban_threshold, ban_days, decay_days, no_show_points, no_show_grace\n' +
+      'Le fasce si indicano come minuti:punti, oppure minuti:punti/ogni per ripetere i punti ogni intervallo di ritardo.\n\n' +
+      'Esempi:\n/admin_penalty_rules tiers 5:1 15:2 30:3/30\n/admin_penalty_rules preview ban_threshold 8';
+    
+    try {
+      const action = args.length > 0 ? args[0].toLowerCase() : null;
+      
+      if (action === 'reset' && args.length === 1) {
+        const rules = await penaltySystem.resetRules(userId);
+        bot.sendMessage(chatId, `✅ Regole delle penalità ripristinate.\n\n${formatters.formatPenaltyRules(rules)}`, { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      if (action === 'preview' && args.length >= 3) {
+        const preview = await penaltySystem.previewRule(args[1], args.slice(2));
+        const formatResult = result =>
+          `${result.penalized_sessions} sessioni penalizzate, ${result.points} punti a ${result.users} utenti, ${result.bans} ban`;
+        
+        bot.sendMessage(chatId,
+          `🔍 *Anteprima della modifica*\n\n` +
+          `${formatters.formatPenaltyRules(preview.rules)}\n\n` +
+          `Sulle ${preview.sessions} sessioni concluse negli ultimi ${preview.days} giorni, partendo da zero punti:\n` +
+          `   • Regole in vigore: ${formatResult(preview.current)}\n` +
+          `   • Con la modifica: ${formatResult(preview.proposed)}\n\n` +
+          `Per applicarla ripeti il comando senza *preview*.`,
+          { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      if (action && action !== 'preview' && args.length >= 2) {
+        const rules = await penaltySystem.setRule(action, args.slice(1), userId);
+        bot.sendMessage(chatId, `✅ Regole delle penalità aggiornate.\n\n${formatters.formatPenaltyRules(rules)}`, { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      if (args.length !== 0) {
+        bot.sendMessage(chatId, usage);
+        return;
+      }
+      
+      const rules = await penaltySystem.getRules();
+      
+      bot.sendMessage(chatId,
+        `⚖️ *Regole delle penalità*\n\n${formatters.formatPenaltyRules(rules)}\n\n` +
+        `Modifica con */admin\\_penalty\\_rules [regola] [valori]*, prova l'effetto con */admin\\_penalty\\_rules preview [regola] [valori]*.`,
+        { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_penalty_rules command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_penalty
+   * Sintassi: /admin_penalty @username +N|-N motivo
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handlePenalty(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 3 || !/^[+-]\d+$/.test(args[1])) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_penalty @username +N|-N motivo\n\nEsempio: /admin_penalty @mario +3 colonnina occupata senza ricaricare');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const delta = parseInt(args[1], 10);
+      const reason = args.slice(2).join(' ');
+      const target = await User.findOne({ username: targetUsername });
+      
+      if (!target) {
+        bot.sendMessage(chatId, `❌ Utente @${targetUsername} non trovato.`);
+        return;
+      }
+      
+      const { user, previousPoints, newlyBanned } = await penaltySystem.changePenaltyPoints(target.telegram_id, delta, userId, reason);
+      
+      bot.sendMessage(chatId,
+        `✅ Punti penalità di @${targetUsername}: ${previousPoints} → ${user.penalty_points}.` +
+        (newlyBanned ? `\n🚫 Soglia raggiunta: sospeso fino al ${formatters.formatDate(user.ban_end_date)}.` : ''));
+      
+      if (user.penalty_points === previousPoints) {
+        return;
+      }
+      
+      // Notifica l'utente della modifica e del motivo
+      const lang = user.language;
+      const points = i18n.t(lang, 'penalties.points', { count: Math.abs(user.penalty_points - previousPoints) });
+      let notice = i18n.t(lang, user.penalty_points > previousPoints ? 'notices.penalty_added' : 'notices.penalty_removed', {
+        points,
+        total: user.penalty_points,
+        reason: formatters.stripMarkdown(reason)
+      });
+      
+      if (newlyBanned) {
+        notice += `\n\n${i18n.t(lang, 'penalties.banned', { date: penaltySystem.formatDate(user.ban_end_date, lang) })}`;
+      }
+      
+      bot.sendMessage(user.telegram_id, notice, { parse_mode: 'Markdown' })
+        .catch(err => logger.warn(`Could not notify user ${user.telegram_id}:`, err.message));
+    } catch (error) {
+      logger.error('Error in /admin_penalty command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_ban
+   * Sintassi: /admin_ban @username giorni motivo
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleBan(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 3 || !/^\d+$/.test(args[1])) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_ban @username giorni motivo\n\nEsempio: /admin_ban @mario 7 ricariche lasciate collegate');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const days = parseInt(args[1], 10);
+      const reason = args.slice(2).join(' ');
+      const target = await User.findOne({ username: targetUsername });
+      
+      if (!target) {
+        bot.sendMessage(chatId, `❌ Utente @${targetUsername} non trovato.`);
+        return;
+      }
+      
+      const user = await penaltySystem.banUser(target.telegram_id, days, userId, reason);
+      
+      bot.sendMessage(chatId, `✅ @${targetUsername} sospeso fino al ${formatters.formatDate(user.ban_end_date)}.`);
+      
+      // Notifica l'utente della sospensione e del motivo
+      const lang = user.language;
+      bot.sendMessage(user.telegram_id,
+        i18n.t(lang, 'notices.banned', {
+          days: i18n.t(lang, 'notices.days', { count: days }),
+          date: penaltySystem.formatDate(user.ban_end_date, lang),
+          reason: formatters.stripMarkdown(reason)
+        }),
+        { parse_mode: 'Markdown' }).catch(err => logger.warn(`Could not notify user ${user.telegram_id}:`, err.message));
+    } catch (error) {
+      logger.error('Error in /admin_ban command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_unban
+   * Sintassi: /admin_unban @username [motivo]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleUnban(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 1) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_unban @username [motivo]');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const target = await User.findOne({ username: targetUsername });
+      
+      if (!target) {
+        bot.sendMessage(chatId, `❌ Utente @${targetUsername} non trovato.`);
+        return;
+      }
+      
+      const user = await penaltySystem.unbanUser(target.telegram_id, userId, args.slice(1).join(' '));
+      
+      bot.sendMessage(chatId, `✅ Sospensione di @${targetUsername} revocata.`);
+      
+      // Notifica l'utente che può tornare a prenotare
+      bot.sendMessage(user.telegram_id, i18n.t(user.language, 'notices.unbanned'), { parse_mode: 'Markdown' })
+        .catch(err => logger.warn(`Could not notify user ${user.telegram_id}:`, err.message));
+    } catch (error) {
+      logger.error('Error in /admin_unban command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
   /**
    * Gestisce il comando admin_set_charge_time
    * @param {Object} bot - Istanza del bot Telegram
@@ -167,25 +523,29 @@ class AdminCommands {
    */
   async handleSetChargeTime(bot, chatId, userId, username, msg, args) {
     try {
-      if (args.length < 1 || isNaN(parseInt(args[0]))) {
-        bot.sendMessage(chatId, '❌ Uso: /admin_set_charge_time [minuti]');
+      const { site, otherArgs } = await siteHandler.resolveAdminSite(userId, args);
+      
+      if (otherArgs.length < 1 || isNaN(parseInt(otherArgs[0]))) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_set_charge_time [minuti] [sede]');
         return;
       }
       
-      const minutes = parseInt(args[0]);
+      const minutes = parseInt(otherArgs[0]);
       if (minutes < 1 || minutes > 120) {
         bot.sendMessage(chatId, '❌ Il tempo di ricarica deve essere tra 1 e 120 minuti.');
         return;
       }
       
-      // Aggiorna la configurazione
-      config.MAX_CHARGE_TIME = minutes;
-      
-      // Aggiorna anche l'environment variable se possibile
-      if (process.env.MAX_CHARGE_TIME) {
-        process.env.MAX_CHARGE_TIME = minutes.toString();
+      // Con una sede indicata (o per un amministratore di sede) l'impostazione vale solo per quella sede
+      if (otherArgs.length < args.length || !(await permissions.hasRole(userId, 'admin'))) {
+        await siteHandler.updateSite(site.code, 'tempo', minutes);
+        bot.sendMessage(chatId, `✅ Tempo massimo di ricarica predefinito per la sede *${site.name}* impostato a ${minutes} minuti.`, { parse_mode: 'Markdown' });
+        return;
       }
       
+      // Salva l'impostazione su database, così vale anche dopo un riavvio e per le altre istanze
+      await settingsManager.set('MAX_CHARGE_TIME', minutes, userId);
+      
       bot.sendMessage(chatId, `✅ Tempo massimo di ricarica predefinito impostato a ${minutes} minuti.\n\nGli utenti possono comunque impostare un tempo personalizzato con /iniziato [minuti].`);
     } catch (error) {
       logger.error('Error in /admin_set_charge_time command:', error);
@@ -204,34 +564,450 @@ class AdminCommands {
    */
   async handleSetReminderTime(bot, chatId, userId, username, msg, args) {
     try {
-      if (args.length < 1 || isNaN(parseInt(args[0]))) {
-        bot.sendMessage(chatId, '❌ Uso: /admin_set_reminder_time [minuti]');
+      const { site, otherArgs } = await siteHandler.resolveAdminSite(userId, args);
+      
+      if (otherArgs.length < 1 || isNaN(parseInt(otherArgs[0]))) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_set_reminder_time [minuti] [sede]');
         return;
       }
       
-      const minutes = parseInt(args[0]);
+      const minutes = parseInt(otherArgs[0]);
       if (minutes < 1 || minutes > 30) {
         bot.sendMessage(chatId, '❌ Il tempo di promemoria deve essere tra 1 e 30 minuti.');
         return;
       }
       
-      // Aggiorna la configurazione
-      config.REMINDER_TIME = minutes;
+      // Con una sede indicata (o per un amministratore di sede) l'impostazione vale solo per quella sede
+      if (otherArgs.length < args.length || !(await permissions.hasRole(userId, 'admin'))) {
+        await siteHandler.updateSite(site.code, 'promemoria', minutes);
+        bot.sendMessage(chatId, `✅ Tempo di promemoria per la sede *${site.name}* impostato a ${minutes} minuti.`, { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      // Salva l'impostazione su database, così vale anche dopo un riavvio e per le altre istanze
+      await settingsManager.set('REMINDER_TIME', minutes, userId);
+      
+      bot.sendMessage(chatId, `✅ Tempo di promemoria impostato a ${minutes} minuti.`);
+    } catch (error) {
+      logger.error('Error in /admin_set_reminder_time command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_settings
+   * Senza argomenti elenca le impostazioni, altrimenti ne modifica o ripristina una
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleSettings(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length === 2 && args[0].toLowerCase() === 'reset') {
+        const key = args[1].toUpperCase();
+        const value = await settingsManager.reset(key, userId);
+        bot.sendMessage(chatId, `✅ ${key} ripristinato al valore predefinito: ${value}.`);
+        return;
+      }
+      
+      if (args.length === 2) {
+        const key = args[0].toUpperCase();
+        const value = await settingsManager.set(key, args[1], userId);
+        bot.sendMessage(chatId, `✅ ${key} impostato a ${value}.`);
+        return;
+      }
       
-      // Aggiorna anche l'environment variable se possibile
-      if (process.env.REMINDER_TIME) {
-        process.env.REMINDER_TIME = minutes.toString();
+      if (args.length !== 0) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_settings [chiave valore | reset chiave]');
+        return;
       }
       
-      bot.sendMessage(chatId, `✅ Tempo di promemoria impostato a ${minutes} minuti.`);
+      let message = '⚙️ *Impostazioni*\n\n';
+      
+      settingsManager.list().forEach(setting => {
+        const sourceText = setting.source === 'admin'
+          ? `modificato da admin il ${formatters.formatDate(setting.updated_at)}, predefinito ${setting.default_value}`
+          : 'variabile d\'ambiente';
+        
+        message += `*${setting.key.replace(/_/g, '\\_')}*: ${setting.value}\n`;
+        message += `   ${setting.description} (${sourceText})\n`;
+      });
+      
+      message += '\nModifica con */admin\\_settings [chiave] [valore]*, ripristina con */admin\\_settings reset [chiave]*.';
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_settings command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_set_max_slots
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleSetMaxSlots(bot, chatId, userId, username, msg, args) {
+    try {
+      const { site, otherArgs } = await siteHandler.resolveAdminSite(userId, args);
+      
+      if (otherArgs.length < 1 || isNaN(parseInt(otherArgs[0]))) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_set_max_slots [numero] [sede]');
+        return;
+      }
+      
+      const maxSlots = parseInt(otherArgs[0]);
+      logger.info(`Admin setting max slots to ${maxSlots} for site ${site.code}`);
+      
+      try {
+        // Usa direttamente la funzione di queueHandler
+        const system = await queueHandler.updateMaxSlots(maxSlots, site.code);
+        
+        // Notifica l'admin
+        bot.sendMessage(chatId, 
+          `✅ Numero massimo di slot della sede *${site.name}* aggiornato a *${maxSlots}*.\n\n` +
+          `ℹ️ Stato attuale: *${system.slots_available}* slot disponibili.`,
+          { parse_mode: 'Markdown' });
+        
+        // Se sono stati aggiunti nuovi slot disponibili, notifica gli utenti in coda
+        if (system.slots_available > 0) {
+          await queueHandler.notifyNextInQueue(bot, site.code);
+        }
+        
+        logger.info(`Max slots updated to ${maxSlots}, available: ${system.slots_available}`);
+      } catch (error) {
+        logger.error(`Error updating max slots to ${maxSlots}:`, error);
+        bot.sendMessage(chatId, `❌ Errore durante l'aggiornamento del numero massimo di slot: ${error.message}`);
+      }
+    } catch (error) {
+      logger.error('Error in /admin_set_max_slots command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_slot
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleSlot(bot, chatId, userId, username, msg, args) {
+    try {
+      // La sede può essere indicata solo subito dopo il comando, perché il valore può contenere spazi
+      const { site, otherArgs } = await siteHandler.resolveAdminSite(userId, args.slice(0, 1));
+      if (otherArgs.length === 0) {
+        args = args.slice(1);
+      }
+      
+      if (args.length < 3 || isNaN(parseInt(args[0]))) {
+        bot.sendMessage(chatId, 
+          `❌ Uso: */admin_slot [sede] [numero] [nome|tipo|kw|luogo|ocpp] [valore]*\n\n` +
+          `Esempi:\n` +
+          `*/admin_slot 1 nome Box A*\n` +
+          `*/admin_slot 1 tipo ccs*\n` +
+          `*/admin_slot 1 kw 22*\n` +
+          `*/admin_slot 1 luogo Piano -1, lato ascensori*\n` +
+          `*/admin_slot 1 ocpp CP001:1*`,
+          { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const slotNumber = parseInt(args[0]);
+      const field = args[1].toLowerCase();
+      const value = args.slice(2).join(' ');
+      
+      logger.info(`Admin updating slot ${slotNumber}: ${field} = ${value}`);
+      
+      try {
+        const slot = await slotHandler.updateSlot(slotNumber, field, value, site.code);
+        const ocppText = slot.ocpp_charge_point_id
+          ? `\n🔗 OCPP: \`${slot.ocpp_charge_point_id}:${slot.ocpp_connector_id}\`${ocppServer.isConnected(slot.ocpp_charge_point_id) ? ' (connessa)' : ' (non connessa)'}`
+          : '';
+        
+        bot.sendMessage(chatId, 
+          `✅ Colonnina aggiornata.\n\n🔌 ${formatters.formatSlotInfo(slot)}${ocppText}`,
+          { parse_mode: 'Markdown' });
+      } catch (error) {
+        bot.sendMessage(chatId, `❌ ${error.message}`);
+      }
+    } catch (error) {
+      logger.error('Error in /admin_slot command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_sites
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   */
+  async handleSites(bot, chatId) {
+    try {
+      const sites = await siteHandler.getSites();
+      
+      let message = `📍 *SEDI CONFIGURATE*\n\n`;
+      
+      for (const site of sites) {
+        const settings = await siteHandler.getSiteSettings(site);
+        const system = await siteHandler.getSystem(site.code);
+        const defaultInfo = site.is_default ? ' (predefinita)' : '';
+        
+        message += `*${site.name}*${defaultInfo} - codice: \`${site.code}\`\n`;
+        message += `- Slot: ${system ? `${system.slots_available}/${system.total_slots} liberi` : 'non inizializzati'}\n`;
+        message += `- Tempo massimo: ${settings.max_charge_time} min, promemoria: ${settings.reminder_time} min\n`;
+        message += `- Amministratori: ${site.admin_ids.length > 0 ? site.admin_ids.join(', ') : 'nessuno'}\n\n`;
+      }
+      
+      message += `Per aggiungere una sede: */admin_add_site [codice] [nome]*`;
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_sites command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_add_site
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleAddSite(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 2) {
+        bot.sendMessage(chatId, 
+          `❌ Uso: */admin_add_site [codice] [nome]*\n\n` +
+          `Esempio: */admin_add_site nord Parcheggio Edificio Nord*`,
+          { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      try {
+        const site = await siteHandler.createSite(args[0], args.slice(1).join(' '));
+        
+        bot.sendMessage(chatId, 
+          `✅ Sede *${site.name}* creata con codice \`${site.code}\`.\n\n` +
+          `Imposta il numero di colonnine con */admin_set_max_slots [numero] ${site.code}*.`,
+          { parse_mode: 'Markdown' });
+      } catch (error) {
+        bot.sendMessage(chatId, `❌ ${error.message}`);
+      }
+    } catch (error) {
+      logger.error('Error in /admin_add_site command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_set_site
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleSetSite(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 3) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_set_site [codice] [nome|tempo|promemoria] [valore]');
+        return;
+      }
+      
+      try {
+        const site = await siteHandler.updateSite(args[0].toLowerCase(), args[1].toLowerCase(), args.slice(2).join(' '));
+        
+        bot.sendMessage(chatId, `✅ Sede *${site.name}* aggiornata.`, { parse_mode: 'Markdown' });
+      } catch (error) {
+        bot.sendMessage(chatId, `❌ ${error.message}`);
+      }
+    } catch (error) {
+      logger.error('Error in /admin_set_site command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_site_admin
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleSiteAdmin(bot, chatId, userId, username, msg, args) {
+    try {
+      const action = args[1] ? args[1].toLowerCase() : null;
+      
+      if (args.length < 3 || !['add', 'remove'].includes(action)) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_site_admin [codice] [add|remove] [@username o ID utente]');
+        return;
+      }
+      
+      // Accetta sia l'ID Telegram sia lo username di un utente registrato
+      let adminId = parseInt(args[2]);
+      if (isNaN(adminId)) {
+        const targetUser = await User.findOne({ username: args[2].replace('@', '') });
+        if (!targetUser) {
+          bot.sendMessage(chatId, `❌ Utente ${args[2]} non trovato.`);
+          return;
+        }
+        adminId = targetUser.telegram_id;
+      }
+      
+      try {
+        const site = await siteHandler.setSiteAdmin(args[0].toLowerCase(), adminId, action === 'add');
+        
+        bot.sendMessage(chatId, 
+          action === 'add'
+            ? `✅ L'utente ${args[2]} ora è amministratore della sede *${site.name}*.`
+            : `✅ L'utente ${args[2]} non è più amministratore della sede *${site.name}*.`,
+          { parse_mode: 'Markdown' });
+        
+        // Aggiorna il menu dei comandi dell'utente
+        await this.setupUserCommands(bot, adminId);
+      } catch (error) {
+        bot.sendMessage(chatId, `❌ ${error.message}`);
+      }
+    } catch (error) {
+      logger.error('Error in /admin_site_admin command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_grant
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleGrant(bot, chatId, userId, username, msg, args) {
+    try {
+      const role = args[1] ? args[1].toLowerCase() : 'moderator';
+      
+      if (args.length < 1 || !['moderator', 'admin'].includes(role)) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_grant @username [moderator|admin]');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const user = await userHandler.setUserRole(targetUsername, role, userId);
+      const roleName = role === 'admin' ? 'amministratore' : 'moderatore';
+      
+      bot.sendMessage(chatId, `✅ @${targetUsername} ora ha il ruolo di ${roleName}.`);
+      
+      // Aggiorna il menu dei comandi e avvisa l'utente
+      await this.setupUserCommands(bot, user.telegram_id);
+      bot.sendMessage(user.telegram_id,
+        i18n.t(user.language, 'notices.role_granted', {
+          role: i18n.t(user.language, role === 'admin' ? 'notices.role_admin' : 'notices.role_moderator')
+        }),
+        { parse_mode: 'Markdown' })
+        .catch(err => logger.warn(`Could not notify user ${user.telegram_id}:`, err.message));
+    } catch (error) {
+      logger.error('Error in /admin_grant command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_revoke
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleRevoke(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 1) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_revoke @username');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const user = await userHandler.setUserRole(targetUsername, 'user', userId);
+      
+      bot.sendMessage(chatId, `✅ @${targetUsername} non ha più privilegi di moderatore o amministratore.`);
+      
+      // Aggiorna il menu dei comandi dell'utente
+      await this.setupUserCommands(bot, user.telegram_id);
+    } catch (error) {
+      logger.error('Error in /admin_revoke command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_id_tag
+   * Sintassi: /admin_id_tag @username [tessera|remove]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleIdTag(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 1) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_id_tag @username [tessera|remove]');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      
+      // Senza tessera mostra quella assegnata
+      if (args.length === 1) {
+        const user = await User.findOne({ username: targetUsername });
+        
+        if (!user) {
+          bot.sendMessage(chatId, `❌ Utente @${targetUsername} non trovato.`);
+          return;
+        }
+        
+        bot.sendMessage(chatId, user.ocpp_id_tag
+          ? `🪪 Tessera di @${targetUsername}: \`${user.ocpp_id_tag}\``
+          : `ℹ️ @${targetUsername} non ha una tessera assegnata.`,
+          { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const idTag = args[1].toLowerCase() === 'remove' ? null : args[1];
+      await userHandler.setIdTag(targetUsername, idTag, userId);
+      
+      bot.sendMessage(chatId, idTag
+        ? `✅ Tessera \`${idTag}\` assegnata a @${targetUsername}.`
+        : `✅ Tessera di @${targetUsername} rimossa.`,
+        { parse_mode: 'Markdown' });
     } catch (error) {
-      logger.error('Error in /admin_set_reminder_time command:', error);
+      logger.error('Error in /admin_id_tag command:', error);
       bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
     }
   }
 
   /**
-   * Gestisce il comando admin_set_max_slots
+   * Gestisce il comando admin_audit
+   * Sintassi: /admin_audit [@utente] [giorni] [pagina]
    * @param {Object} bot - Istanza del bot Telegram
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
@@ -239,38 +1015,48 @@ class AdminCommands {
    * @param {Object} msg - Messaggio Telegram
    * @param {Array} args - Argomenti del comando
    */
-  async handleSetMaxSlots(bot, chatId, userId, username, msg, args) {
+  async handleAudit(bot, chatId, userId, username, msg, args) {
     try {
-      if (args.length < 1 || isNaN(parseInt(args[0]))) {
-        bot.sendMessage(chatId, '❌ Uso: /admin_set_max_slots [numero]');
+      const userArg = args.find(arg => arg.startsWith('@'));
+      const numbers = args.filter(arg => !arg.startsWith('@')).map(arg => parseInt(arg));
+      
+      if (numbers.some(number => isNaN(number) || number <= 0)) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_audit [@username] [giorni] [pagina]');
         return;
       }
       
-      const maxSlots = parseInt(args[0]);
-      logger.info(`Admin setting max slots to ${maxSlots}`);
+      const days = numbers[0] || 7;
+      const page = numbers[1] || 1;
+      const filter = { days };
+      let targetUsername = null;
       
-      try {
-        // Usa direttamente la funzione di queueHandler
-        const system = await queueHandler.updateMaxSlots(maxSlots);
+      if (userArg) {
+        targetUsername = userArg.replace('@', '');
+        const target = await User.findOne({ username: targetUsername });
         
-        // Notifica l'admin
-        bot.sendMessage(chatId, 
-          `✅ Numero massimo di slot aggiornato a *${maxSlots}*.\n\n` +
-          `ℹ️ Stato attuale: *${system.slots_available}* slot disponibili.`,
-          { parse_mode: 'Markdown' });
-        
-        // Se sono stati aggiunti nuovi slot disponibili, notifica gli utenti in coda
-        if (system.slots_available > 0) {
-          await queueHandler.notifyNextInQueue(bot);
+        if (!target) {
+          bot.sendMessage(chatId, `❌ Utente @${targetUsername} non trovato.`);
+          return;
         }
         
-        logger.info(`Max slots updated to ${maxSlots}, available: ${system.slots_available}`);
-      } catch (error) {
-        logger.error(`Error updating max slots to ${maxSlots}:`, error);
-        bot.sendMessage(chatId, `❌ Errore durante l'aggiornamento del numero massimo di slot: ${error.message}`);
+        filter.userId = target.telegram_id;
+      }
+      
+      const result = await auditLog.getEvents(filter, page);
+      const message = formatters.formatAuditMessage(result, targetUsername, days);
+      
+      const filterArgs = [...(userArg ? [userArg] : []), days];
+      const options = { parse_mode: 'Markdown', reply_markup: keyboards.pageKeyboard('admin_audit', filterArgs, result.page, result.pages) };
+      
+      // I pulsanti di navigazione sostituiscono la pagina nello stesso messaggio
+      if (msg && msg.from_callback) {
+        await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: msg.message_id });
+        return;
       }
+      
+      bot.sendMessage(chatId, message, options);
     } catch (error) {
-      logger.error('Error in /admin_set_max_slots command:', error);
+      logger.error('Error in /admin_audit command:', error);
       bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
     }
   }
@@ -295,7 +1081,7 @@ class AdminCommands {
       const targetUsername = args[0].replace('@', '');
       
       try {
-        const result = await sessionHandler.adminTerminateSession(targetUsername);
+        const result = await sessionHandler.adminTerminateSession(targetUsername, userId);
         
         if (!result) {
           bot.sendMessage(chatId, `❌ Nessuna sessione attiva trovata per l'utente @${targetUsername}.`);
@@ -304,26 +1090,37 @@ class AdminCommands {
         
         const { session, durationMinutes } = result;
         
+        // Se la sessione è collegata a una colonnina OCPP, chiedi anche l'interruzione della ricarica
+        let ocppText = '';
+        if (session.ocpp_transaction_id) {
+          try {
+            const status = await ocppServer.remoteStopTransaction(session);
+            ocppText = status === 'Accepted'
+              ? `\nRicarica interrotta sulla colonnina ${session.ocpp_charge_point_id}.`
+              : `\n⚠️ La colonnina ${session.ocpp_charge_point_id} ha rifiutato l'interruzione della ricarica.`;
+          } catch (error) {
+            logger.warn(`Remote stop failed for session ${session._id}:`, error.message);
+            ocppText = `\n⚠️ Interruzione della ricarica non riuscita: ${error.message}`;
+          }
+        }
+        
         // Determina se la sessione aveva durata personalizzata
         const durationInfo = session.custom_duration 
           ? `(durata personalizzata: ${session.duration_minutes} min)` 
-          : `(durata predefinita: ${config.MAX_CHARGE_TIME} min)`;
+          : `(durata predefinita: ${session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME')} min)`;
         
         bot.sendMessage(chatId, 
           `✅ Sessione di @${targetUsername} terminata forzatamente.\n\n` +
           `Slot ${session.slot_number} ora disponibile.\n` +
-          `Durata sessione: ${durationMinutes} minuti ${durationInfo}.`,
-          { parse_mode: 'Markdown' });
+          `Durata sessione: ${durationMinutes} minuti ${durationInfo}.` +
+          ocppText);
         
         // Notifica l'utente della terminazione forzata
-        bot.sendMessage(session.telegram_id, 
-          `ℹ️ *Sessione terminata dall'amministratore*\n\n` +
-          `La tua sessione di ricarica è stata terminata da un amministratore.\n` +
-          `Se hai domande, contatta l'assistenza.`,
-          { parse_mode: 'Markdown' });
+        const lang = await i18n.getUserLanguage(session.telegram_id);
+        bot.sendMessage(session.telegram_id, i18n.t(lang, 'notices.session_terminated'), { parse_mode: 'Markdown' });
         
-        // Notifica il prossimo utente in coda
-        await queueHandler.notifyNextInQueue(bot);
+        // Notifica il prossimo utente in coda della stessa sede
+        await queueHandler.notifyNextInQueue(bot, session.site);
       } catch (error) {
         logger.error(`Error resetting slot for ${targetUsername}:`, error);
         bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
@@ -354,7 +1151,7 @@ class AdminCommands {
       const targetUsername = args[0].replace('@', '');
       
       try {
-        const removed = await queueHandler.adminRemoveFromQueue(targetUsername);
+        const removed = await queueHandler.adminRemoveFromQueue(targetUsername, userId);
         
         if (!removed) {
           bot.sendMessage(chatId, `❌ Utente @${targetUsername} non trovato in coda.`);
@@ -367,11 +1164,8 @@ class AdminCommands {
           { parse_mode: 'Markdown' });
         
         // Notifica l'utente della rimozione
-        bot.sendMessage(removed.telegram_id, 
-          `ℹ️ *Rimosso dalla coda*\n\n` +
-          `Sei stato rimosso dalla coda da un amministratore.\n` +
-          `Se hai domande, contatta l'assistenza.`,
-          { parse_mode: 'Markdown' });
+        const lang = await i18n.getUserLanguage(removed.telegram_id);
+        bot.sendMessage(removed.telegram_id, i18n.t(lang, 'notices.queue_removed'), { parse_mode: 'Markdown' });
       } catch (error) {
         logger.error(`Error removing ${targetUsername} from queue:`, error);
         bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
@@ -382,6 +1176,72 @@ class AdminCommands {
     }
   }
 
+  /**
+   * Gestisce il comando admin_approve_extension
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleApproveExtension(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 1) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_approve_extension @username');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const { session, minutes } = await sessionHandler.approveExtension(targetUsername, userId);
+      
+      bot.sendMessage(chatId, 
+        `✅ Estensione di ${minutes} minuti approvata per @${targetUsername}.\n\n` +
+        `Nuovo termine: ${formatters.formatTime(session.end_time)}.`);
+      
+      // Notifica l'utente dell'approvazione
+      const lang = await i18n.getUserLanguage(session.telegram_id);
+      bot.sendMessage(session.telegram_id, formatters.formatExtensionMessage(session, minutes, lang), { parse_mode: 'Markdown' })
+        .catch(err => logger.warn(`Could not notify user ${session.telegram_id}:`, err.message));
+    } catch (error) {
+      logger.error('Error in /admin_approve_extension command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_reject_extension
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleRejectExtension(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length < 1) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_reject_extension @username');
+        return;
+      }
+      
+      const targetUsername = args[0].replace('@', '');
+      const { session, minutes } = await sessionHandler.rejectExtension(targetUsername, userId);
+      
+      bot.sendMessage(chatId, `✅ Estensione di ${minutes} minuti rifiutata per @${targetUsername}.`);
+      
+      // Notifica l'utente del rifiuto
+      const lang = await i18n.getUserLanguage(session.telegram_id);
+      bot.sendMessage(session.telegram_id, 
+        i18n.t(lang, 'notices.extension_rejected', { minutes, end: formatters.formatTime(session.end_time) }),
+        { parse_mode: 'Markdown' })
+        .catch(err => logger.warn(`Could not notify user ${session.telegram_id}:`, err.message));
+    } catch (error) {
+      logger.error('Error in /admin_reject_extension command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
   /**
    * Gestisce il comando admin_notify_all
    * @param {Object} bot - Istanza del bot Telegram
@@ -404,7 +1264,7 @@ class AdminCommands {
       const message = fullText.substring(commandEnd + 1);
       
       // Ottieni tutti gli utenti
-      const users = await User.find().select('telegram_id');
+      const users = await User.find().select('telegram_id language');
       
       if (users.length === 0) {
         bot.sendMessage(chatId, '❌ Nessun utente registrato nel sistema.');
@@ -421,13 +1281,10 @@ class AdminCommands {
       let successCount = 0;
       let failureCount = 0;
       
-      // Invia il messaggio a tutti gli utenti
-      const notificationMessage = 
-        `📢 *Annuncio dell'amministratore*\n\n` +
-        `${message}`;
-      
+      // Invia il messaggio a tutti gli utenti, con l'intestazione nella lingua di ciascuno
       for (const user of users) {
         try {
+          const notificationMessage = i18n.t(user.language, 'notices.announcement', { message });
           await bot.sendMessage(user.telegram_id, notificationMessage, { parse_mode: 'Markdown' });
           successCount++;
         } catch (err) {
@@ -495,32 +1352,25 @@ class AdminCommands {
       // 2. Elimina tutte le code
       const deletedQueues = await Queue.deleteMany({});
       
-      // 3. Reset configurazione sistema
-      let system = await System.findOne({ name: 'system' });
+      // 3. Reset configurazione sistema di ogni sede
+      const sites = await siteHandler.getSites();
       
-      if (!system) {
-        system = new System();
-      } else {
-        system.slots_available = config.MAX_SLOTS;
+      for (const site of sites) {
+        const system = await siteHandler.getSystem(site.code, true);
+        system.slots_available = site.code === siteHandler.DEFAULT_SITE ? config.MAX_SLOTS : system.total_slots;
         system.active_sessions = [];
         system.queue_length = 0;
+        await system.save();
       }
       
-      await system.save();
-      
       // 4. Notifica agli utenti
       const activeUsers = await User.find({
         last_charge: { $exists: true, $ne: null }
-      }).limit(100).select('telegram_id');
+      }).limit(100).select('telegram_id language');
       
       for (const user of activeUsers) {
         try {
-          await bot.sendMessage(user.telegram_id, 
-            `ℹ️ *Notifica di Sistema*\n\n` +
-            `Il sistema è stato resettato dall'amministratore.\n` +
-            `Tutte le sessioni attive e le code sono state cancellate.\n\n` +
-            `Se desideri ricaricare, utilizza nuovamente il comando /prenota.`,
-            { parse_mode: 'Markdown' });
+          await bot.sendMessage(user.telegram_id, i18n.t(user.language, 'notices.system_reset'), { parse_mode: 'Markdown' });
         } catch (err) {
           // Ignora errori nell'invio delle notifiche
           logger.warn(`Failed to notify user ${user.telegram_id} about system reset:`, err);
@@ -551,14 +1401,25 @@ class AdminCommands {
    * Gestisce il comando admin_status
    * @param {Object} bot - Istanza del bot Telegram
    * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (sede opzionale)
    */
-  async handleAdminStatus(bot, chatId) {
+  async handleAdminStatus(bot, chatId, userId, username, msg, args = []) {
     try {
-      // Ottieni lo stato completo del sistema
-      const status = await queueHandler.getSystemStatus();
+      const { site } = await siteHandler.resolveAdminSite(userId, args, true);
+      const settings = await siteHandler.getSiteSettings(site);
+      
+      // Ottieni lo stato completo del sistema della sede
+      const status = await queueHandler.getSystemStatus(site.code);
       
       let message = `📊 *STATO DETTAGLIATO DEL SISTEMA*\n\n`;
       
+      if (status.multi_site) {
+        message += `📍 *Sede:* ${site.name} (${site.code})\n\n`;
+      }
+      
       // Informazioni sulle colonnine
       message += `🔌 *Colonnine*\n`;
       message += `- Totali: ${status.total_slots}\n`;
@@ -574,7 +1435,7 @@ class AdminCommands {
           // Aggiungi indicazione se la durata è personalizzata
           const durationInfo = session.custom_duration 
             ? `(durata personalizzata: ${session.duration_minutes} min)` 
-            : `(durata predefinita: ${session.duration_minutes || config.MAX_CHARGE_TIME} min)`;
+            : `(durata predefinita: ${session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME')} min)`;
             
           message += `${index + 1}. Slot #${session.slot_number}: @${session.username} ${durationInfo}\n`;
           message += `   • Inizio: ${formatters.formatTime(session.start_time)}\n`;
@@ -612,7 +1473,7 @@ class AdminCommands {
       }
       
       // Informazioni di sistema
-      const system = await System.findOne({ name: 'system' });
+      const system = await siteHandler.getSystem(site.code);
       if (system) {
         message += `🔧 *Info sistema*\n`;
         message += `- Ricariche completate: ${system.total_charges_completed}\n`;
@@ -631,8 +1492,8 @@ class AdminCommands {
       // Informazioni sulle variabili di configurazione
       message += `⚙️ *Configurazione attuale*\n`;
       message += `- Slot totali: ${config.MAX_SLOTS}\n`;
-      message += `- Tempo massimo predefinito: ${config.MAX_CHARGE_TIME} min\n`;
-      message += `- Tempo promemoria: ${config.REMINDER_TIME} min\n`;
+      message += `- Tempo massimo predefinito: ${settings.max_charge_time} min\n`;
+      message += `- Tempo promemoria: ${settings.reminder_time} min\n`;
       message += `- Gli utenti possono impostare una durata personalizzata con /iniziato [minuti]\n`;
       
       bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -646,15 +1507,25 @@ class AdminCommands {
    * Gestisce il comando admin_stats
    * @param {Object} bot - Istanza del bot Telegram
    * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (sede opzionale)
    */
-  async handleAdminStats(bot, chatId) {
+  async handleAdminStats(bot, chatId, userId, username, msg, args = []) {
     try {
-      // Ottieni le statistiche complete
-      const stats = await queueHandler.getSystemStats();
+      const { site } = await siteHandler.resolveAdminSite(userId, args, true);
+      
+      // Ottieni le statistiche complete della sede
+      const stats = await queueHandler.getSystemStats(site.code);
       
       // Dividi il messaggio in parti più piccole per evitare problemi di parsing
       let message1 = `📊 *STATISTICHE DEL SISTEMA*\n\n`;
       
+      if (site.code !== siteHandler.DEFAULT_SITE || (await siteHandler.getSites()).length > 1) {
+        message1 += `📍 *Sede:* ${site.name} (${site.code})\n\n`;
+      }
+      
       // Prima parte: Statistiche generali
       message1 += `⚡ *Utilizzo colonnine*\n`;
       message1 += `- Colonnine totali: ${stats.total_slots}\n`;
@@ -662,6 +1533,17 @@ class AdminCommands {
       message1 += `- Ricariche oggi: ${stats.charges_today}\n`;
       message1 += `- Tempo medio di ricarica: ${stats.avg_charge_time} min\n\n`;
       
+      // Energia erogata per colonnina e utenti con i consumi maggiori
+      message1 += `🔋 *Energia erogata*\n`;
+      message1 += `- Totale: ${formatters.formatEnergy(stats.total_kwh)}\n`;
+      stats.kwh_by_slot.forEach(entry => {
+        message1 += `- Slot ${entry.slot_number}: ${formatters.formatEnergy(entry.kwh)} (${entry.sessions} ricariche)\n`;
+      });
+      stats.kwh_by_user.slice(0, 5).forEach(entry => {
+        message1 += `- @${entry.username}: ${formatters.formatEnergy(entry.kwh)}\n`;
+      });
+      message1 += `\n`;
+            
       // Seconda parte: Statistiche utenti
       message1 += `👥 *Utenti*\n`;
       message1 += `- Utenti totali: ${stats.total_users}\n`;
@@ -692,6 +1574,324 @@ class AdminCommands {
     }
   }
 
+  /**
+   * Gestisce il comando admin_export
+   * Sintassi: /admin_export <sessions|users|penalties> [da] [a] [csv|json]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleExport(bot, chatId, userId, username, msg, args) {
+    const usage = '❌ Uso: /admin_export <sessions|users|penalties> [da] [a] [csv|json]\n\n' +
+      'Le date sono nel formato GG/MM/AAAA; senza date vengono esportati gli ultimi ' +
+      `${exportHandler.DEFAULT_EXPORT_DAYS} giorni.`;
+    
+    try {
+      const type = args.length > 0 ? args[0].toLowerCase() : null;
+      
+      if (!exportHandler.EXPORT_TYPES.includes(type)) {
+        bot.sendMessage(chatId, usage);
+        return;
+      }
+      
+      // Il formato può comparire in qualsiasi posizione dopo il tipo
+      const otherArgs = args.slice(1);
+      const formatArg = otherArgs.find(arg => exportHandler.EXPORT_FORMATS.includes(arg.toLowerCase()));
+      const format = formatArg ? formatArg.toLowerCase() : 'csv';
+      const dateArgs = otherArgs.filter(arg => arg !== formatArg);
+      
+      const dates = dateArgs.map(arg => exportHandler.parseExportDate(arg));
+      
+      if (dates.length > 2 || dates.some(date => date === null)) {
+        bot.sendMessage(chatId, usage);
+        return;
+      }
+      
+      const now = new Date();
+      const from = dates[0] || new Date(now.getTime() - exportHandler.DEFAULT_EXPORT_DAYS * 24 * 60 * 60000);
+      // La data finale è inclusa: il periodo termina alla mezzanotte successiva
+      const to = dates[1] ? new Date(dates[1].getTime() + 24 * 60 * 60000) : now;
+      
+      if (from >= to) {
+        bot.sendMessage(chatId, '❌ La data di inizio deve precedere la data di fine.');
+        return;
+      }
+      
+      const file = await exportHandler.buildExport(type, from, to, format);
+      
+      await bot.sendDocument(chatId, file.content, {
+        caption: `📦 Esportazione ${type}: ${file.count} righe`
+      }, {
+        filename: file.filename,
+        contentType: file.contentType
+      });
+      
+      logger.info(`Sent ${type} export to admin ${userId}`);
+    } catch (error) {
+      logger.error('Error in /admin_export command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_billing
+   * Invia a ogni utente in privato il rendiconto delle ricariche del mese
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleBilling(bot, chatId, userId, username, msg, args) {
+    try {
+      const period = args.length === 1 ? billingHandler.parseBillingMonth(args[0]) : null;
+      
+      if (!period) {
+        bot.sendMessage(chatId, '❌ Uso: /admin_billing [mese]\n\nIl mese è nel formato MM/AAAA (es. /admin_billing 09/2026).');
+        return;
+      }
+      
+      const statements = await billingHandler.getMonthlyStatements(period.from, period.to);
+      
+      if (statements.length === 0) {
+        bot.sendMessage(chatId, `ℹ️ Nessuna ricarica conclusa nel mese ${period.label}.`);
+        return;
+      }
+      
+      let sent = 0;
+      const failed = [];
+      
+      for (const statement of statements) {
+        try {
+          const lang = await i18n.getUserLanguage(statement.telegram_id);
+          await bot.sendMessage(statement.telegram_id, formatters.formatBillingStatement(statement, period.label, lang), { parse_mode: 'Markdown' });
+          sent++;
+        } catch (err) {
+          logger.error(`Error sending billing statement to user ${statement.telegram_id}:`, err);
+          failed.push(statement.username);
+        }
+      }
+      
+      // Riepilogo per l'amministratore
+      const tariffs = billingHandler.getTariffs();
+      let summary = `🧾 *Rendiconti ${period.label}*\n\n`;
+      summary += `Tariffe: ${formatters.formatCurrency(tariffs.per_kwh)}/kWh, ${formatters.formatCurrency(tariffs.per_minute)}/min, ` +
+        `sosta ${formatters.formatCurrency(tariffs.idle_per_minute)}/min\n\n`;
+      
+      statements.forEach(statement => {
+        summary += `• @${statement.username}: ${statement.sessions.length} ricariche, ${formatters.formatEnergy(statement.kwh)}, *${formatters.formatCurrency(statement.total)}*\n`;
+      });
+      
+      const total = statements.reduce((sum, statement) => sum + statement.total, 0);
+      summary += `\n💶 *Totale: ${formatters.formatCurrency(total)}*\n`;
+      summary += `📨 Rendiconti inviati: ${sent}/${statements.length}`;
+      
+      if (failed.length > 0) {
+        summary += `\n⚠️ Invio non riuscito per: ${failed.map(name => `@${name}`).join(', ')}`;
+      }
+      
+      bot.sendMessage(chatId, summary, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_billing command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_tariff
+   * Senza argomenti elenca le fasce orarie, altrimenti ne crea, modifica o elimina una
+   * Sintassi: /admin_tariff add [fascia] [giorni] [orario] [prezzo] | /admin_tariff remove [fascia]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleTariff(bot, chatId, userId, username, msg, args) {
+    const usage = '❌ Uso: /admin_tariff add [fascia] [giorni] [orario] [prezzo] oppure /admin_tariff remove [fascia]\n\n' +
+      'Esempi:\n/admin_tariff add F1 lun-ven 08:00-19:00 0.35\n/admin_tariff add F3 tutti 23:00-07:00 0.22';
+    
+    try {
+      const action = args.length > 0 ? args[0].toLowerCase() : null;
+      
+      if (action === 'add' && args.length === 5) {
+        const band = await billingHandler.setBand(args[1], args[2], args[3], args[4], userId);
+        bot.sendMessage(chatId, `✅ Fascia salvata.\n\n${formatters.formatTariffBand(band, billingHandler.DAY_NAMES)}`, { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      if (action === 'remove' && args.length === 2) {
+        const removed = await billingHandler.removeBand(args[1]);
+        bot.sendMessage(chatId, removed ? `✅ Fascia ${args[1].toUpperCase()} eliminata.` : `❌ Fascia ${args[1].toUpperCase()} non trovata.`);
+        return;
+      }
+      
+      if (args.length !== 0) {
+        bot.sendMessage(chatId, usage);
+        return;
+      }
+      
+      const bands = await billingHandler.getBands();
+      const tariffs = billingHandler.getTariffs();
+      let message = '🕒 *Fasce orarie di tariffazione*\n\n';
+      
+      if (bands.length === 0) {
+        message += 'Nessuna fascia configurata.\n';
+      }
+      
+      bands.forEach(band => {
+        message += `${formatters.formatTariffBand(band, billingHandler.DAY_NAMES)}\n`;
+      });
+      
+      message += `\nFuori fascia: ${formatters.formatCurrency(tariffs.per_kwh)}/kWh (TARIFF\\_PER\\_KWH)\n`;
+      message += 'Gli orari sono nel fuso orario italiano.';
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_tariff command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_webhooks
+   * Senza argomenti elenca i webhook, altrimenti ne crea, elimina, sospende o prova uno
+   * Sintassi: /admin_webhooks add [url] [eventi|all] | /admin_webhooks [remove|enable|disable|secret|test] [numero]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleWebhooks(bot, chatId, userId, username, msg, args) {
+    const usage = '❌ Uso: /admin_webhooks add [url] [eventi|all] oppure /admin_webhooks [remove|enable|disable|secret|test] [numero]\n\n' +
+      `Eventi: ${webhookHandler.WEBHOOK_EVENTS.join(', ')}\n\n` +
+      'Esempio:\n/admin_webhooks add https://example.com/hook session_ended,user_banned';
+    
+    try {
+      const action = args.length > 0 ? args[0].toLowerCase() : null;
+      
+      if (action === 'add' && (args.length === 2 || args.length === 3)) {
+        const webhook = await webhookHandler.createWebhook(args[1], args[2], userId);
+        bot.sendMessage(chatId,
+          `✅ Webhook creato.\n\n` +
+          `🔑 Segreto per verificare la firma (X-SlotManager-Signature):\n\`${webhook.secret}\`\n\n` +
+          `Conservalo: non verrà più mostrato. Usa /admin\\_webhooks test per una consegna di prova.`,
+          { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      if (['remove', 'enable', 'disable', 'secret', 'test'].includes(action) && args.length === 2) {
+        if (action === 'remove') {
+          const webhook = await webhookHandler.removeWebhook(args[1], userId);
+          bot.sendMessage(chatId, `✅ Webhook \`${webhook.url}\` eliminato.`, { parse_mode: 'Markdown' });
+        } else if (action === 'enable' || action === 'disable') {
+          const webhook = await webhookHandler.setWebhookActive(args[1], action === 'enable', userId);
+          bot.sendMessage(chatId, `✅ Webhook \`${webhook.url}\` ${webhook.active ? 'attivato' : 'sospeso'}.`, { parse_mode: 'Markdown' });
+        } else if (action === 'secret') {
+          const webhook = await webhookHandler.rotateSecret(args[1], userId);
+          bot.sendMessage(chatId, `✅ Nuovo segreto di \`${webhook.url}\`:\n\`${webhook.secret}\``, { parse_mode: 'Markdown' });
+        } else {
+          const webhook = await webhookHandler.getWebhookByNumber(args[1]);
+          const delivery = await webhookDispatcher.sendTest(webhook);
+          bot.sendMessage(chatId, delivery.status === 'delivered'
+            ? `✅ Consegna di prova riuscita.`
+            : `⚠️ Consegna di prova non riuscita: ${delivery.last_error}. Verrà ritentata automaticamente.`);
+        }
+        return;
+      }
+      
+      if (args.length !== 0) {
+        bot.sendMessage(chatId, usage);
+        return;
+      }
+      
+      const webhooks = await webhookHandler.getWebhooks();
+      let message = '🪝 *Webhook*\n\n';
+      
+      if (webhooks.length === 0) {
+        message += 'Nessun webhook configurato.\n';
+      }
+      
+      webhooks.forEach((webhook, index) => {
+        message += `${formatters.formatWebhook(webhook, index + 1)}\n`;
+      });
+      
+      message += 'Usa /admin\\_webhooks add [url] [eventi|all] per aggiungerne uno.';
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_webhooks command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gestisce il comando admin_api_tokens
+   * Senza argomenti elenca i token dell'API REST, altrimenti ne crea o revoca uno
+   * Sintassi: /admin_api_tokens add [nome] [ambiti|all] | /admin_api_tokens revoke [nome]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleApiTokens(bot, chatId, userId, username, msg, args) {
+    const usage = '❌ Uso: /admin_api_tokens add [nome] [ambiti|all] oppure /admin_api_tokens revoke [nome]\n\n' +
+      `Ambiti: ${apiTokenHandler.API_SCOPES.join(', ')}\n\n` +
+      'Esempio:\n/admin_api_tokens add intranet status';
+    
+    try {
+      const action = args.length > 0 ? args[0].toLowerCase() : null;
+      
+      if (action === 'add' && (args.length === 2 || args.length === 3)) {
+        const { apiToken, token } = await apiTokenHandler.createToken(args[1], args[2], userId);
+        bot.sendMessage(chatId,
+          `✅ Token creato con gli ambiti ${apiToken.scopes.join(', ')}.\n\n` +
+          `\`${token}\`\n\n` +
+          `Conservalo: non verrà più mostrato. Va inviato nell'intestazione Authorization: Bearer.`,
+          { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      if (action === 'revoke' && args.length === 2) {
+        const revoked = await apiTokenHandler.revokeToken(args[1], userId);
+        bot.sendMessage(chatId, revoked ? `✅ Token ${args[1]} revocato.` : `❌ Token ${args[1]} non trovato.`);
+        return;
+      }
+      
+      if (args.length !== 0) {
+        bot.sendMessage(chatId, usage);
+        return;
+      }
+      
+      const tokens = await apiTokenHandler.getTokens();
+      let message = '🔑 *Token dell\'API REST*\n\n';
+      
+      if (tokens.length === 0) {
+        message += 'Nessun token configurato.\n\n';
+      }
+      
+      tokens.forEach(apiToken => {
+        message += `${formatters.formatApiToken(apiToken)}\n\n`;
+      });
+      
+      message += 'Usa /admin\\_api\\_tokens add [nome] [ambiti|all] per crearne uno.';
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Error in /admin_api_tokens command:', error);
+      bot.sendMessage(chatId, `❌ Errore: ${error.message}`);
+    }
+  }
+
   /**
    * Gestisce il comando dbtest
    * @param {Object} bot - Istanza del bot Telegram
@@ -0,0 +1,319 @@
+/**
+ * Gestore dell'API REST (/api/v1)
+ * Espone in sola lettura stato, sessioni, coda, utenti e statistiche ai sistemi esterni
+ * (es. il portale intranet), con autenticazione tramite token e ambiti
+ */
+const express = require('express');
+const Session = require('../models/session');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+const apiTokenHandler = require('./apiTokenHandler');
+const queueHandler = require('./queueHandler');
+const siteHandler = require('./siteHandler');
+const exportHandler = require('./exportHandler');
+
+// Elementi restituiti per pagina dagli elenchi
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+// Stati di sessione accettati dal filtro status
+const SESSION_STATUSES = ['active', 'completed', 'timeout', 'admin_terminated'];
+
+/**
+ * Errore di una richiesta API, con il codice HTTP da restituire
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Avvolge un gestore asincrono inoltrando gli errori a Express
+ * @param {Function} handler - Gestore (req, res) async
+ * @returns {Function} - Middleware Express
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res)).catch(next);
+  };
+}
+
+/**
+ * Middleware di autenticazione: richiede "Authorization: Bearer <token>"
+ * @param {Object} req - Richiesta Express
+ * @param {Object} res - Risposta Express
+ * @param {Function} next - Prossimo middleware
+ */
+async function authenticate(req, res, next) {
+  try {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const apiToken = match ? await apiTokenHandler.authenticate(match[1]) : null;
+    
+    if (!apiToken) {
+      res.set('WWW-Authenticate', 'Bearer');
+      throw new ApiError(401, 'Token mancante o non valido');
+    }
+    
+    req.apiToken = apiToken;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware che richiede un ambito al token della richiesta
+ * @param {String} scope - Ambito richiesto (uno di API_SCOPES)
+ * @returns {Function} - Middleware Express
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiToken.scopes.includes(scope)) {
+      next(new ApiError(403, `Il token non ha accesso all'ambito ${scope}`));
+      return;
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Ricava la sede indicata nel parametro site (predefinita se assente)
+ * @param {Object} req - Richiesta Express
+ * @returns {Promise<Object>} - Sede
+ */
+async function getRequestSite(req) {
+  const site = await siteHandler.getSite(String(req.query.site || siteHandler.DEFAULT_SITE));
+  
+  if (!site) {
+    throw new ApiError(404, `Sede ${req.query.site} non trovata`);
+  }
+  
+  return site;
+}
+
+/**
+ * Ricava limit e offset della paginazione
+ * @param {Object} req - Richiesta Express
+ * @returns {Object} - Oggetto { limit, offset }
+ */
+function getPagination(req) {
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULT_PAGE_LIMIT;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+  
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    throw new ApiError(400, `limit deve essere un numero tra 1 e ${MAX_PAGE_LIMIT}`);
+  }
+  
+  if (isNaN(offset) || offset < 0) {
+    throw new ApiError(400, 'offset deve essere un numero maggiore o uguale a 0');
+  }
+  
+  return { limit, offset };
+}
+
+/**
+ * Interpreta una data dei filtri (ISO 8601, es. 2024-05-01 o 2024-05-01T08:00:00Z)
+ * @param {String} value - Valore del parametro
+ * @param {String} name - Nome del parametro, per il messaggio di errore
+ * @returns {Date|null} - Data o null se il parametro è assente
+ */
+function parseDateParam(value, name) {
+  if (value === undefined) return null;
+  
+  const date = new Date(String(value));
+  
+  if (isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} non è una data ISO 8601 valida`);
+  }
+  
+  return date;
+}
+
+/**
+ * GET /status - Stato di colonnine, sessioni attive e coda di una sede
+ */
+async function getStatus(req, res) {
+  const site = await getRequestSite(req);
+  const status = await queueHandler.getSystemStatus(site.code);
+  
+  res.json({ success: true, data: status });
+}
+
+/**
+ * GET /sites - Sedi attive
+ */
+async function getSites(req, res) {
+  const sites = await siteHandler.getSites();
+  
+  res.json({
+    success: true,
+    data: sites.map(site => ({ code: site.code, name: site.name, is_default: site.is_default }))
+  });
+}
+
+/**
+ * GET /sessions - Sessioni, filtrabili per sede, stato, utente e periodo di inizio
+ */
+async function getSessions(req, res) {
+  const { limit, offset } = getPagination(req);
+  const query = {};
+  
+  if (req.query.site) {
+    query.site = (await getRequestSite(req)).code;
+  }
+  
+  if (req.query.status) {
+    if (!SESSION_STATUSES.includes(req.query.status)) {
+      throw new ApiError(400, `status deve essere uno tra ${SESSION_STATUSES.join(', ')}`);
+    }
+    query.status = req.query.status;
+  }
+  
+  if (req.query.telegram_id) {
+    query.telegram_id = parseInt(req.query.telegram_id);
+    if (isNaN(query.telegram_id)) {
+      throw new ApiError(400, 'telegram_id deve essere un numero');
+    }
+  } else if (req.query.username) {
+    query.username = String(req.query.username).replace('@', '');
+  }
+  
+  const from = parseDateParam(req.query.from, 'from');
+  const to = parseDateParam(req.query.to, 'to');
+  
+  if (from || to) {
+    query.start_time = {};
+    if (from) query.start_time.$gte = from;
+    if (to) query.start_time.$lt = to;
+  }
+  
+  const [sessions, total] = await Promise.all([
+    Session.find(query).sort({ start_time: -1 }).skip(offset).limit(limit),
+    Session.countDocuments(query)
+  ]);
+  
+  res.json({ success: true, data: sessions.map(exportHandler.toSessionRow), total, limit, offset });
+}
+
+/**
+ * GET /queue - Utenti in coda di una sede
+ */
+async function getQueue(req, res) {
+  const site = await getRequestSite(req);
+  const queue = await queueHandler.getQueuedUsers(site.code);
+  
+  res.json({
+    success: true,
+    data: queue.map(entry => ({
+      position: entry.position,
+      telegram_id: entry.telegram_id,
+      username: entry.username,
+      request_time: entry.request_time,
+      notified: entry.notified,
+      slot_reserved: entry.slot_reserved,
+      reserved_slot_number: entry.reserved_slot_number,
+      preferred_slot_number: entry.preferred_slot_number,
+      preferred_connector_type: entry.preferred_connector_type
+    }))
+  });
+}
+
+/**
+ * GET /users - Utenti registrati, filtrabili per ruolo e sospensione
+ */
+async function getUsers(req, res) {
+  const { limit, offset } = getPagination(req);
+  const query = {};
+  
+  if (req.query.role) {
+    query.role = String(req.query.role);
+  }
+  
+  if (req.query.banned !== undefined) {
+    query.temporarily_banned = req.query.banned === 'true';
+  }
+  
+  const [users, total] = await Promise.all([
+    User.find(query).sort({ username: 1 }).skip(offset).limit(limit),
+    User.countDocuments(query)
+  ]);
+  
+  res.json({
+    success: true,
+    data: users.map(user => ({
+      telegram_id: user.telegram_id,
+      username: user.username,
+      role: user.role,
+      default_site: user.default_site,
+      first_interaction: user.first_interaction,
+      total_charges: user.total_charges,
+      total_time: user.total_time,
+      last_charge: user.last_charge,
+      penalty_points: user.penalty_points,
+      temporarily_banned: user.temporarily_banned,
+      ban_end_date: user.ban_end_date
+    })),
+    total,
+    limit,
+    offset
+  });
+}
+
+/**
+ * GET /stats - Statistiche di utilizzo di una sede
+ */
+async function getStats(req, res) {
+  const site = await getRequestSite(req);
+  const stats = await queueHandler.getSystemStats(site.code);
+  
+  res.json({ success: true, data: stats });
+}
+
+/**
+ * Gestisce gli errori delle richieste API (e della dashboard) con una risposta JSON
+ * @param {Error} error - Errore
+ * @param {Object} req - Richiesta Express
+ * @param {Object} res - Risposta Express
+ * @param {Function} next - Prossimo middleware (richiesto da Express per riconoscere il gestore degli errori)
+ */
+function handleError(error, req, res, next) {
+  if (error instanceof ApiError) {
+    res.status(error.status).json({ success: false, message: error.message });
+    return;
+  }
+  
+  logger.error(`Error in API request ${req.method} ${req.originalUrl}:`, error);
+  res.status(500).json({ success: false, message: 'Errore interno' });
+}
+
+/**
+ * Crea il router dell'API, da montare su /api/v1
+ * @returns {Object} - Router Express
+ */
+function createRouter() {
+  const router = express.Router();
+  
+  router.use(authenticate);
+  
+  router.get('/status', requireScope('status'), asyncRoute(getStatus));
+  router.get('/sites', requireScope('status'), asyncRoute(getSites));
+  router.get('/sessions', requireScope('sessions'), asyncRoute(getSessions));
+  router.get('/queue', requireScope('queue'), asyncRoute(getQueue));
+  router.get('/users', requireScope('users'), asyncRoute(getUsers));
+  router.get('/stats', requireScope('stats'), asyncRoute(getStats));
+  
+  router.use((req, res, next) => next(new ApiError(404, `Endpoint ${req.method} ${req.path} non trovato`)));
+  router.use(handleError);
+  
+  return router;
+}
+
+module.exports = {
+  ApiError,
+  asyncRoute,
+  handleError,
+  createRouter
+};
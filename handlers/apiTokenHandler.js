@@ -0,0 +1,167 @@
+/**
+ * Gestore dei token dell'API REST
+ * Creazione, revoca e verifica dei token con i relativi ambiti
+ */
+const crypto = require('crypto');
+const ApiToken = require('../models/apiToken');
+const logger = require('../utils/logger');
+const auditLog = require('../utils/auditLog');
+
+// Ambiti disponibili, uno per gruppo di endpoint
+const API_SCOPES = ['status', 'sessions', 'queue', 'users', 'stats'];
+
+// Prefisso dei token, per riconoscerli (es. nei controlli dei segreti nei repository)
+const TOKEN_PREFIX = 'smk_';
+
+// Intervallo minimo tra due aggiornamenti dell'ultimo utilizzo di un token (ms)
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+/**
+ * Calcola l'hash con cui un token viene salvato
+ * @param {String} token - Token in chiaro
+ * @returns {String} - Hash SHA-256 esadecimale
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Interpreta l'elenco di ambiti di un token
+ * @param {String} scopesStr - Ambiti separati da virgola, oppure "all" per tutti
+ * @returns {Array} - Ambiti scelti
+ */
+function parseScopes(scopesStr) {
+  if (!scopesStr || ['all', 'tutti', '*'].includes(scopesStr.toLowerCase())) {
+    return [...API_SCOPES];
+  }
+  
+  const scopes = [...new Set(scopesStr.toLowerCase().split(',').map(scope => scope.trim()).filter(Boolean))];
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  
+  if (unknown.length > 0) {
+    throw new Error(`Ambiti non validi: ${unknown.join(', ')}. Ambiti disponibili: ${API_SCOPES.join(', ')}.`);
+  }
+  
+  return scopes;
+}
+
+/**
+ * Ottiene i token configurati
+ * @returns {Promise<Array>} - Array di token ordinati per nome
+ */
+async function getTokens() {
+  try {
+    return await ApiToken.find().sort({ name: 1 });
+  } catch (error) {
+    logger.error('Error getting API tokens:', error);
+    throw error;
+  }
+}
+
+/**
+ * Crea un token (comando admin)
+ * @param {String} name - Nome del token (es. il sistema che lo usa)
+ * @param {String} scopesStr - Ambiti separati da virgola, oppure "all"
+ * @param {Number} adminId - ID dell'admin
+ * @returns {Promise<Object>} - Oggetto { apiToken, token } con il token in chiaro
+ */
+async function createToken(name, scopesStr, adminId = null) {
+  try {
+    if (!/^[a-zA-Z0-9_-]{1,32}$/.test(name)) {
+      throw new Error('Nome non valido. Usa fino a 32 lettere, numeri, trattini o underscore.');
+    }
+    
+    const scopes = parseScopes(scopesStr);
+    
+    if (await ApiToken.exists({ name })) {
+      throw new Error(`Esiste già un token chiamato ${name}.`);
+    }
+    
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const apiToken = await ApiToken.create({
+      name,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes,
+      created_by: adminId
+    });
+    
+    logger.info(`API token ${name} created by admin ${adminId} with scopes ${scopes.join(',')}`);
+    
+    await auditLog.record('api_token_created', {
+      actorId: adminId,
+      after: { name, scopes }
+    });
+    
+    return { apiToken, token };
+  } catch (error) {
+    logger.error(`Error creating API token ${name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Revoca un token (comando admin)
+ * @param {String} name - Nome del token
+ * @param {Number} adminId - ID dell'admin
+ * @returns {Promise<Boolean>} - true se il token esisteva
+ */
+async function revokeToken(name, adminId = null) {
+  try {
+    const apiToken = await ApiToken.findOneAndDelete({ name });
+    
+    if (!apiToken) {
+      return false;
+    }
+    
+    logger.info(`API token ${name} revoked by admin ${adminId}`);
+    
+    await auditLog.record('api_token_revoked', {
+      actorId: adminId,
+      before: { name, scopes: apiToken.scopes }
+    });
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error revoking API token ${name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica un token ricevuto da una richiesta API
+ * @param {String} token - Token in chiaro
+ * @returns {Promise<Object|null>} - Token salvato o null se non valido
+ */
+async function authenticate(token) {
+  try {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    
+    const apiToken = await ApiToken.findOne({ token_hash: hashToken(token) });
+    
+    if (!apiToken) {
+      return null;
+    }
+    
+    // Aggiorna l'ultimo utilizzo senza scrivere a ogni richiesta
+    if (!apiToken.last_used_at || Date.now() - apiToken.last_used_at.getTime() > LAST_USED_UPDATE_INTERVAL) {
+      await ApiToken.updateOne({ _id: apiToken._id }, { $set: { last_used_at: new Date() } });
+    }
+    
+    return apiToken;
+  } catch (error) {
+    logger.error('Error authenticating API token:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  API_SCOPES,
+  parseScopes,
+  getTokens,
+  createToken,
+  revokeToken,
+  authenticate
+};
@@ -0,0 +1,216 @@
+/**
+ * Gestore dei ricorsi contro le penalità
+ * Gli utenti contestano con /ricorso la penalità più recente, i moderatori la accettano
+ * o la rifiutano con /admin_appeal; accettare un ricorso annulla i punti e l'eventuale ban
+ */
+const Appeal = require('../models/appeal');
+const PenaltyEvent = require('../models/penaltyEvent');
+const Session = require('../models/session');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+const auditLog = require('../utils/auditLog');
+const i18n = require('../utils/i18n');
+const penaltySystem = require('../utils/penaltySystem');
+
+// Lunghezza massima del motivo di un ricorso
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Presenta un ricorso contro una penalità di un utente: quella della ricarica indicata con il suo
+ * numero in /storico, o la più recente se il numero non è indicato
+ * Si può contestare solo una penalità non scaduta, su una ricarica conclusa e non già contestata
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} username - Username dell'utente
+ * @param {String} reason - Motivo del ricorso
+ * @param {Number} index - Numero della ricarica in /storico, 1 per la più recente (opzionale)
+ * @returns {Promise<Object>} - Oggetto { appeal, session }
+ */
+async function createAppeal(userId, username, reason, index = null) {
+  try {
+    const text = String(reason || '').trim();
+    
+    if (text.length === 0 || text.length > MAX_REASON_LENGTH) {
+      throw new i18n.LocalizedError('errors.appeal_reason', { max: MAX_REASON_LENGTH });
+    }
+    
+    if (await Appeal.exists({ telegram_id: userId, status: 'pending' })) {
+      throw new i18n.LocalizedError('errors.appeal_pending');
+    }
+    
+    const penalty = index === null
+      ? await findLatestPenalty(userId)
+      : await findSessionPenalty(userId, index);
+    
+    const session = await Session.findById(penalty.session_id);
+    
+    if (!session) {
+      throw new i18n.LocalizedError('errors.appeal_no_penalty');
+    }
+    
+    // Durante il ritardo i punti aumentano ancora: il ricorso vale per la ricarica conclusa
+    if (session.status === 'active') {
+      throw new i18n.LocalizedError('errors.appeal_active_session');
+    }
+    
+    if (await Appeal.exists({ session_id: session._id })) {
+      throw new i18n.LocalizedError('errors.appeal_exists');
+    }
+    
+    const user = await User.findOne({ telegram_id: userId });
+    const points = (user && user.penalty_sessions && user.penalty_sessions[session._id.toString()]) || penalty.points;
+    
+    const appeal = await Appeal.create({
+      telegram_id: userId,
+      username,
+      session_id: session._id,
+      points,
+      reason: text
+    });
+    
+    logger.info(`Appeal created by user ${userId} for session ${session._id} (${points} points)`);
+    
+    await auditLog.record('appeal_created', {
+      actorId: userId,
+      actorUsername: username,
+      targetId: userId,
+      targetUsername: username,
+      after: { session_id: session._id.toString(), points },
+      details: text
+    });
+    
+    return { appeal, session };
+  } catch (error) {
+    logger.error(`Error creating appeal for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Cerca la penalità più recente ancora valida di un utente, dovuta a un ritardo
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object>} - Penalità
+ */
+async function findLatestPenalty(userId) {
+  const penalty = await PenaltyEvent.findOne({
+    telegram_id: userId,
+    reason: 'overtime',
+    session_id: { $ne: null },
+    expires_at: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+  
+  if (!penalty) {
+    throw new i18n.LocalizedError('errors.appeal_no_penalty');
+  }
+  
+  return penalty;
+}
+
+/**
+ * Cerca la penalità ancora valida della ricarica con il numero indicato in /storico
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} index - Numero della ricarica, 1 per la più recente
+ * @returns {Promise<Object>} - Penalità più recente della ricarica
+ */
+async function findSessionPenalty(userId, index) {
+  // Stesso ordine dello storico: ricariche concluse, dalla più recente
+  const session = Number.isInteger(index) && index >= 1
+    ? await Session.findOne({ telegram_id: userId, status: { $ne: 'active' } }).sort({ start_time: -1 }).skip(index - 1)
+    : null;
+  
+  if (!session) {
+    throw new i18n.LocalizedError('errors.appeal_no_session', { index });
+  }
+  
+  const penalty = await PenaltyEvent.findOne({
+    session_id: session._id,
+    reason: 'overtime',
+    expires_at: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+  
+  if (!penalty) {
+    throw new i18n.LocalizedError('errors.appeal_no_session_penalty', { index });
+  }
+  
+  return penalty;
+}
+
+/**
+ * Ottiene i ricorsi in attesa di decisione, dal più vecchio
+ * @returns {Promise<Array>} - Array di ricorsi
+ */
+async function getPendingAppeals() {
+  try {
+    return await Appeal.find({ status: 'pending' }).sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error('Error getting pending appeals:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decide il ricorso in attesa di un utente
+ * @param {String} targetUsername - Username dell'utente che ha presentato il ricorso
+ * @param {Boolean} accepted - true per accettarlo, false per rifiutarlo
+ * @param {Number} adminId - ID dell'amministratore
+ * @returns {Promise<Object>} - Oggetto { appeal, session, points, banLifted }
+ */
+async function decideAppeal(targetUsername, accepted, adminId) {
+  try {
+    const appeal = await Appeal.findOne({ username: targetUsername, status: 'pending' });
+    
+    if (!appeal) {
+      throw new Error(`Nessun ricorso in attesa per @${targetUsername}.`);
+    }
+    
+    const session = await Session.findById(appeal.session_id);
+    let result = { points: 0, banLifted: false };
+    
+    if (accepted && session) {
+      result = await penaltySystem.reverseSessionPenalty(session, adminId, `Ricorso accettato: ${appeal.reason}`);
+    }
+    
+    appeal.status = accepted ? 'accepted' : 'rejected';
+    appeal.decided_by = adminId;
+    appeal.decided_at = new Date();
+    await appeal.save();
+    
+    logger.info(`Appeal of user ${appeal.telegram_id} for session ${appeal.session_id} ${appeal.status} by admin ${adminId}`);
+    
+    await auditLog.record(accepted ? 'appeal_accepted' : 'appeal_rejected', {
+      actorId: adminId,
+      targetId: appeal.telegram_id,
+      targetUsername: appeal.username,
+      before: { status: 'pending' },
+      after: { status: appeal.status, points_removed: result.points, ban_lifted: result.banLifted },
+      details: appeal.reason
+    });
+    
+    return { appeal, session, points: result.points, banLifted: result.banLifted };
+  } catch (error) {
+    logger.error(`Error deciding appeal of @${targetUsername}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene i ricorsi presentati su un insieme di sessioni (storico delle ricariche)
+ * @param {Array} sessionIds - ID delle sessioni
+ * @returns {Promise<Object>} - Mappa ID sessione -> ricorso
+ */
+async function getAppealsForSessions(sessionIds) {
+  try {
+    const appeals = await Appeal.find({ session_id: { $in: sessionIds } });
+    
+    return Object.fromEntries(appeals.map(appeal => [appeal.session_id.toString(), appeal]));
+  } catch (error) {
+    logger.error('Error getting appeals for sessions:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  createAppeal,
+  getPendingAppeals,
+  decideAppeal,
+  getAppealsForSessions
+};
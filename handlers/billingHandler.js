@@ -0,0 +1,420 @@
+/**
+ * Gestore della tariffazione
+ * Calcola il costo delle sessioni e genera i rendiconti mensili per utente
+ */
+const Session = require('../models/session');
+const TariffBand = require('../models/tariffBand');
+const moment = require('moment');
+const logger = require('../utils/logger');
+const settingsManager = require('../utils/settingsManager');
+
+// Abbreviazioni dei giorni accettate nelle fasce orarie (indice = giorno della settimana)
+const DAY_NAMES = ['dom', 'lun', 'mar', 'mer', 'gio', 'ven', 'sab'];
+
+// Passo e orizzonte della ricerca della prossima fascia più economica
+const CHEAPER_WINDOW_STEP_MINUTES = 15;
+const CHEAPER_WINDOW_HORIZON_HOURS = 48;
+
+/**
+ * Ottiene le tariffe in vigore
+ * @returns {Object} - Oggetto { per_kwh, per_minute, idle_per_minute } in euro
+ */
+function getTariffs() {
+  return {
+    per_kwh: settingsManager.get('TARIFF_PER_KWH') || 0,
+    per_minute: settingsManager.get('TARIFF_PER_MINUTE') || 0,
+    idle_per_minute: settingsManager.get('IDLE_FEE_PER_MINUTE') || 0
+  };
+}
+
+/**
+ * Arrotonda un importo al centesimo
+ * @param {Number} amount - Importo in euro
+ * @returns {Number} - Importo arrotondato
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Ottiene le fasce orarie configurate
+ * @returns {Promise<Array>} - Array di fasce ordinate per codice
+ */
+async function getBands() {
+  try {
+    return await TariffBand.find().sort({ code: 1 });
+  } catch (error) {
+    logger.error('Error getting tariff bands:', error);
+    throw error;
+  }
+}
+
+/**
+ * Trova la fascia in vigore in un istante
+ * @param {Array} bands - Fasce configurate
+ * @param {Date} date - Istante da verificare
+ * @returns {Object|null} - Fascia in vigore o null se l'istante non è coperto da alcuna fascia
+ */
+function findBand(bands, date) {
+  const italianDate = moment.utc(date).add(2, 'hours');
+  const day = italianDate.day();
+  const minute = italianDate.hours() * 60 + italianDate.minutes();
+  
+  return bands.find(band => {
+    if (band.start_minute <= band.end_minute) {
+      return band.days.includes(day) && minute >= band.start_minute && minute < band.end_minute;
+    }
+    
+    // Fascia a cavallo della mezzanotte: la parte dopo la mezzanotte appartiene al giorno precedente
+    if (minute >= band.start_minute) {
+      return band.days.includes(day);
+    }
+    return minute < band.end_minute && band.days.includes((day + 6) % 7);
+  }) || null;
+}
+
+/**
+ * Prezzo dell'energia in un istante: quello della fascia o, fuori fascia, la tariffa base
+ * @param {Array} bands - Fasce configurate
+ * @param {Date} date - Istante
+ * @returns {Number} - Prezzo in euro per kWh
+ */
+function getKwhPriceAt(bands, date) {
+  const band = findBand(bands, date);
+  return band ? band.price_per_kwh : getTariffs().per_kwh;
+}
+
+/**
+ * Prezzo medio dell'energia in un intervallo, ipotizzando un'erogazione costante
+ * @param {Array} bands - Fasce configurate
+ * @param {Date} from - Inizio dell'intervallo
+ * @param {Number} minutes - Durata dell'intervallo in minuti
+ * @returns {Number} - Prezzo medio in euro per kWh
+ */
+function getAverageKwhPrice(bands, from, minutes) {
+  if (bands.length === 0 || minutes <= 0) {
+    return getKwhPriceAt(bands, from);
+  }
+
+  let sum = 0;
+  for (let i = 0; i < minutes; i++) {
+    sum += getKwhPriceAt(bands, new Date(new Date(from).getTime() + i * 60000));
+  }
+  return sum / minutes;
+}
+
+/**
+ * Interpreta i giorni di una fascia
+ * @param {String} daysStr - Giorni (es. "lun-ven", "sab,dom", "tutti")
+ * @returns {Array|null} - Array di giorni della settimana o null se non validi
+ */
+function parseBandDays(daysStr) {
+  const normalized = daysStr.toLowerCase();
+  
+  if (normalized === 'tutti') {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+
+  const days = new Set();
+  
+  for (const part of normalized.split(',')) {
+    const [first, last] = part.split('-').map(name => DAY_NAMES.indexOf(name));
+    
+    if (first < 0 || last < 0) {
+      return null;
+    }
+    
+    if (last === undefined) {
+      days.add(first);
+      continue;
+    }
+    
+    // Gli intervalli possono attraversare la fine della settimana (es. "sab-dom")
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  }
+
+  return [...days].sort();
+}
+
+/**
+ * Interpreta l'orario di una fascia
+ * @param {String} hoursStr - Orario (es. "08:00-19:00", "23:00-07:00")
+ * @returns {Object|null} - Oggetto { start_minute, end_minute } o null se non valido
+ */
+function parseBandHours(hoursStr) {
+  const match = hoursStr.match(/^(\d{1,2})[:.](\d{2})-(\d{1,2})[:.](\d{2})$/);
+  
+  if (!match) {
+    return null;
+  }
+
+  const start = parseInt(match[1]) * 60 + parseInt(match[2]);
+  const end = parseInt(match[3]) * 60 + parseInt(match[4]);
+  
+  if (parseInt(match[2]) > 59 || parseInt(match[4]) > 59 || start >= 24 * 60 || end > 24 * 60 || start === end) {
+    return null;
+  }
+
+  return { start_minute: start, end_minute: end };
+}
+
+/**
+ * Crea o modifica una fascia oraria (comando admin)
+ * @param {String} code - Codice della fascia (es. F1)
+ * @param {String} daysStr - Giorni della fascia
+ * @param {String} hoursStr - Orario della fascia
+ * @param {String} priceStr - Prezzo in euro per kWh
+ * @param {Number} adminId - ID dell'amministratore
+ * @returns {Promise<Object>} - Fascia salvata
+ */
+async function setBand(code, daysStr, hoursStr, priceStr, adminId = null) {
+  try {
+    const days = parseBandDays(daysStr);
+    if (!days) {
+      throw new Error(`Giorni non validi. Usa le abbreviazioni ${DAY_NAMES.join(', ')}, intervalli (lun-ven) o "tutti".`);
+    }
+    
+    const hours = parseBandHours(hoursStr);
+    if (!hours) {
+      throw new Error('Orario non valido. Usa il formato HH:MM-HH:MM (es. 08:00-19:00).');
+    }
+    
+    const price = Number(priceStr.replace(',', '.'));
+    if (isNaN(price) || price < 0 || price > 5) {
+      throw new Error('Il prezzo deve essere un numero tra 0 e 5 euro per kWh.');
+    }
+    
+    const band = await TariffBand.findOneAndUpdate(
+      { code: code.toUpperCase() },
+      { $set: { days, ...hours, price_per_kwh: price, updated_by: adminId } },
+      { upsert: true, new: true }
+    );
+    
+    logger.info(`Tariff band ${band.code} saved by admin ${adminId}`);
+    
+    return band;
+  } catch (error) {
+    logger.error(`Error saving tariff band ${code}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina una fascia oraria (comando admin)
+ * @param {String} code - Codice della fascia
+ * @returns {Promise<Boolean>} - true se la fascia esisteva
+ */
+async function removeBand(code) {
+  try {
+    const result = await TariffBand.deleteOne({ code: code.toUpperCase() });
+    return result.deletedCount > 0;
+  } catch (error) {
+    logger.error(`Error removing tariff band ${code}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Stima fascia e costo di una ricarica che inizia in un dato istante
+ * @param {Date} startTime - Inizio della ricarica
+ * @param {Number} durationMinutes - Durata prevista
+ * @param {Object} slot - Colonnina (la potenza serve a stimare i kWh, opzionale)
+ * @param {Boolean} queueEmpty - Se true cerca anche la prossima fascia più economica
+ * @returns {Promise<Object|null>} - Oggetto { band, price, estimatedKwh, estimatedCost, cheaperWindow }
+ *   o null se non è configurata alcuna tariffa
+ */
+async function getTariffInfo(startTime, durationMinutes, slot = null, queueEmpty = false) {
+  try {
+    const bands = await getBands();
+    const tariffs = getTariffs();
+    
+    if (bands.length === 0 && tariffs.per_kwh === 0 && tariffs.per_minute === 0) {
+      return null;
+    }
+    
+    const band = findBand(bands, startTime);
+    const price = getKwhPriceAt(bands, startTime);
+    
+    // Senza la potenza della colonnina si può stimare solo la quota a tempo
+    const estimatedKwh = slot && slot.max_power_kw ? slot.max_power_kw * durationMinutes / 60 : null;
+    const timeCost = durationMinutes * tariffs.per_minute;
+    const estimatedCost = estimatedKwh !== null
+      ? roundAmount(estimatedKwh * getAverageKwhPrice(bands, startTime, durationMinutes) + timeCost)
+      : (timeCost > 0 ? roundAmount(timeCost) : null);
+    
+    // Con la coda vuota chi può aspettare viene indirizzato alla fascia più economica successiva
+    let cheaperWindow = null;
+    
+    if (queueEmpty && bands.length > 0) {
+      const steps = CHEAPER_WINDOW_HORIZON_HOURS * 60 / CHEAPER_WINDOW_STEP_MINUTES;
+      
+      for (let i = 1; i <= steps; i++) {
+        const candidate = new Date(new Date(startTime).getTime() + i * CHEAPER_WINDOW_STEP_MINUTES * 60000);
+        const candidatePrice = getKwhPriceAt(bands, candidate);
+        
+        if (candidatePrice < price) {
+          cheaperWindow = { band: findBand(bands, candidate), start: candidate, price: candidatePrice };
+          break;
+        }
+      }
+    }
+    
+    return { band, price, estimatedKwh, estimatedCost, cheaperWindow };
+  } catch (error) {
+    logger.error('Error getting tariff info:', error);
+    throw error;
+  }
+}
+
+/**
+ * Calcola il costo di una sessione conclusa con le tariffe in vigore
+ * L'energia è valorizzata al prezzo medio delle fasce attraversate dalla ricarica,
+ * la quota a tempo si applica alla durata effettiva, la tariffa di sosta
+ * ai minuti trascorsi oltre la fine prevista (estensioni comprese)
+ * @param {Object} session - Oggetto sessione conclusa
+ * @param {Array} bands - Fasce orarie configurate (opzionale)
+ * @returns {Object} - Oggetto { energy, time, idle, total } in euro
+ */
+function calculateCost(session, bands = []) {
+  const tariffs = getTariffs();
+  const plannedMinutes = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+  const actualMinutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+  const idleMinutes = Math.max(0, actualMinutes - plannedMinutes);
+  const kwhPrice = getAverageKwhPrice(bands, session.start_time, actualMinutes);
+  
+  const energy = roundAmount((session.energy_kwh || 0) * kwhPrice);
+  const time = roundAmount(actualMinutes * tariffs.per_minute);
+  const idle = roundAmount(idleMinutes * tariffs.idle_per_minute);
+  
+  return {
+    energy,
+    time,
+    idle,
+    total: roundAmount(energy + time + idle)
+  };
+}
+
+/**
+ * Calcola e salva il costo di una sessione conclusa
+ * @param {Object} session - Oggetto sessione conclusa
+ * @returns {Promise<Object>} - Oggetto sessione aggiornata
+ */
+async function priceSession(session) {
+  try {
+    const cost = calculateCost(session, await getBands());
+    
+    session.cost_energy = cost.energy;
+    session.cost_time = cost.time;
+    session.cost_idle = cost.idle;
+    session.cost_total = cost.total;
+    session.priced_at = new Date();
+    await session.save();
+    
+    logger.info(`Session ${session._id} of user ${session.username} priced at ${cost.total} EUR`);
+    
+    return session;
+  } catch (error) {
+    logger.error(`Error pricing session ${session._id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Interpreta il mese indicato dall'admin
+ * @param {String} monthStr - Mese (MM/AAAA, AAAA-MM o MM per l'ultimo mese con quel numero)
+ * @returns {Object|null} - Oggetto { from, to, label } nel fuso orario italiano (UTC+2) o null se non valido
+ */
+function parseBillingMonth(monthStr) {
+  const italianNow = moment.utc().add(2, 'hours');
+  let month = moment.utc(monthStr, ['MM/YYYY', 'M/YYYY', 'YYYY-MM'], true);
+  
+  if (!month.isValid()) {
+    // Solo il numero del mese: l'anno è quello corrente, o il precedente se il mese non è ancora iniziato
+    month = moment.utc(monthStr, ['MM', 'M'], true);
+    if (!month.isValid()) {
+      return null;
+    }
+    month.year(italianNow.year());
+    if (month.isAfter(italianNow, 'month')) {
+      month.subtract(1, 'year');
+    }
+  }
+  
+  const start = month.clone().startOf('month');
+  const end = start.clone().add(1, 'month');
+  
+  return {
+    // Mezzanotte italiana riportata in UTC, come in reservationHandler
+    from: start.clone().subtract(2, 'hours').toDate(),
+    to: end.clone().subtract(2, 'hours').toDate(),
+    label: start.format('MM/YYYY')
+  };
+}
+
+/**
+ * Genera i rendiconti per utente delle sessioni concluse in un mese
+ * Le sessioni non ancora tariffate vengono tariffate con le tariffe in vigore
+ * @param {Date} from - Inizio del mese
+ * @param {Date} to - Fine del mese (esclusa)
+ * @returns {Promise<Array>} - Array di { telegram_id, username, sessions, kwh, minutes, energy, time, idle, total }
+ */
+async function getMonthlyStatements(from, to) {
+  try {
+    const sessions = await Session.find({
+      status: { $ne: 'active' },
+      start_time: { $gte: from, $lt: to }
+    }).sort({ start_time: 1 });
+    
+    const statements = new Map();
+    
+    for (const session of sessions) {
+      if (!session.priced_at) {
+        await priceSession(session);
+      }
+      
+      const statement = statements.get(session.telegram_id) || {
+        telegram_id: session.telegram_id,
+        username: session.username,
+        sessions: [],
+        kwh: 0,
+        minutes: 0,
+        energy: 0,
+        time: 0,
+        idle: 0,
+        total: 0
+      };
+      
+      statement.sessions.push(session);
+      statement.kwh += session.energy_kwh || 0;
+      statement.minutes += Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+      statement.energy = roundAmount(statement.energy + session.cost_energy);
+      statement.time = roundAmount(statement.time + session.cost_time);
+      statement.idle = roundAmount(statement.idle + session.cost_idle);
+      statement.total = roundAmount(statement.total + session.cost_total);
+      
+      statements.set(session.telegram_id, statement);
+    }
+    
+    return [...statements.values()].sort((a, b) => b.total - a.total);
+  } catch (error) {
+    logger.error('Error building monthly statements:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DAY_NAMES,
+  getTariffs,
+  getBands,
+  findBand,
+  setBand,
+  removeBand,
+  getTariffInfo,
+  calculateCost,
+  priceSession,
+  parseBillingMonth,
+  getMonthlyStatements
+};
@@ -0,0 +1,128 @@
+/**
+ * Gestore degli eventi segnalati da colonnine e prese smart
+ * Conferma automaticamente inizio e fine delle ricariche al posto di /iniziato e /terminato
+ */
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const sessionHandler = require('./sessionHandler');
+const queueHandler = require('./queueHandler');
+const slotHandler = require('./slotHandler');
+const logger = require('../utils/logger');
+const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
+
+// Valori accettati per l'inizio e la fine della ricarica (testo o campo state del JSON)
+const STARTED_VALUES = ['started', 'start', 'charging', 'on', '1', 'true'];
+const STOPPED_VALUES = ['stopped', 'stop', 'idle', 'off', '0', 'false'];
+
+/**
+ * Interpreta il messaggio di una colonnina o presa smart
+ * @param {String} payload - Testo ricevuto ("started", "ON", {"state": "charging"}, ...)
+ * @returns {String|null} - 'started', 'stopped' o null se non riconosciuto
+ */
+function parseChargerState(payload) {
+  let value = String(payload || '').trim();
+  
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object') {
+      value = String(parsed.state !== undefined ? parsed.state : '');
+    }
+  } catch (error) {
+    // Non è JSON: il testo è già lo stato
+  }
+  
+  value = value.toLowerCase();
+  
+  if (STARTED_VALUES.includes(value)) return 'started';
+  if (STOPPED_VALUES.includes(value)) return 'stopped';
+  return null;
+}
+
+/**
+ * Conferma l'inizio di una ricarica rilevata su uno slot
+ * La sessione viene avviata per l'utente in coda a cui lo slot è stato riservato
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} siteCode - Codice della sede
+ * @param {Number} slotNumber - Numero dello slot
+ * @param {String} source - Origine dell'evento, per il log (es. 'mqtt')
+ * @returns {Promise<Object|null>} - Sessione avviata o null se non c'è un utente da confermare
+ */
+async function confirmChargingStarted(bot, siteCode, slotNumber, source) {
+  try {
+    const activeSession = await Session.findOne({ site: siteCode, slot_number: slotNumber, status: 'active' });
+    
+    if (activeSession) {
+      logger.info(`Charging start on slot ${slotNumber} of site ${siteCode} (${source}) already confirmed by ${activeSession.username}`);
+      return null;
+    }
+    
+    const queuedUser = await Queue.findOne({ site: siteCode, slot_reserved: true, reserved_slot_number: slotNumber });
+    
+    if (!queuedUser) {
+      logger.warn(`Charging start on slot ${slotNumber} of site ${siteCode} (${source}) with no user to confirm`);
+      return null;
+    }
+    
+    const session = await sessionHandler.startSession(queuedUser.telegram_id, queuedUser.username, null, { slot_number: slotNumber }, siteCode);
+    const slot = await slotHandler.getSlot(slotNumber, siteCode);
+    
+    logger.info(`Charging start on slot ${slotNumber} of site ${siteCode} (${source}) confirmed for user ${queuedUser.username} (${queuedUser.telegram_id})`);
+    
+    if (bot) {
+      const lang = await i18n.getUserLanguage(queuedUser.telegram_id);
+      bot.sendMessage(queuedUser.telegram_id,
+        `${i18n.t(lang, 'charger.start_confirmed')}\n` + formatters.formatSessionStartMessage(session, slot, null, lang),
+        { parse_mode: 'Markdown' }).catch(err => logger.warn(`Could not notify user ${queuedUser.telegram_id}:`, err.message));
+    }
+    
+    return session;
+  } catch (error) {
+    logger.error(`Error confirming charging start on slot ${slotNumber} of site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Conferma la fine della ricarica in corso su uno slot
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} siteCode - Codice della sede
+ * @param {Number} slotNumber - Numero dello slot
+ * @param {String} source - Origine dell'evento, per il log (es. 'mqtt')
+ * @returns {Promise<Object|null>} - Oggetto { session, durationMinutes } o null se lo slot era libero
+ */
+async function confirmChargingStopped(bot, siteCode, slotNumber, source) {
+  try {
+    const activeSession = await Session.findOne({ site: siteCode, slot_number: slotNumber, status: 'active' });
+    
+    if (!activeSession) {
+      logger.info(`Charging stop on slot ${slotNumber} of site ${siteCode} (${source}) with no active session`);
+      return null;
+    }
+    
+    const result = await sessionHandler.endSession(activeSession.telegram_id, 'completed', null);
+    
+    logger.info(`Charging stop on slot ${slotNumber} of site ${siteCode} (${source}) confirmed for user ${activeSession.username} (${activeSession.telegram_id})`);
+    
+    if (bot) {
+      const lang = await i18n.getUserLanguage(activeSession.telegram_id);
+      bot.sendMessage(activeSession.telegram_id,
+        `${i18n.t(lang, 'charger.stop_detected')}\n` + formatters.formatSessionEndMessage(result, lang),
+        { parse_mode: 'Markdown' }).catch(err => logger.warn(`Could not notify user ${activeSession.telegram_id}:`, err.message));
+    }
+    
+    // Notifica il prossimo utente in coda della stessa sede
+    await queueHandler.notifyNextInQueue(bot, siteCode);
+    
+    return result;
+  } catch (error) {
+    logger.error(`Error confirming charging stop on slot ${slotNumber} of site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  parseChargerState,
+  confirmChargingStarted,
+  confirmChargingStopped
+};
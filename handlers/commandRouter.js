@@ -7,23 +7,49 @@ const logger = require('../utils/logger');
 const userHandler = require('./userHandler');
 const queueHandler = require('./queueHandler');
 const sessionHandler = require('./sessionHandler');
+const reservationHandler = require('./reservationHandler');
+const slotHandler = require('./slotHandler');
+const siteHandler = require('./siteHandler');
+const billingHandler = require('./billingHandler');
+const appealHandler = require('./appealHandler');
 const formatters = require('../utils/formatters');
+const permissions = require('../utils/permissions');
+const auditLog = require('../utils/auditLog');
+const keyboards = require('../utils/keyboards');
+const i18n = require('../utils/i18n');
 const adminCommands = require('./adminCommands');
 const Queue = require('../models/queue');
 const Session = require('../models/session');
 const User = require('../models/user');
 
+// Ricariche mostrate per pagina da /storico
+const HISTORY_PAGE_SIZE = 5;
+const MAX_HISTORY_PAGE_SIZE = 20;
+
+// Comandi admin di sola consultazione, non registrati nel registro delle azioni
+const READ_ONLY_ADMIN_COMMANDS = ['admin_status', 'admin_stats', 'admin_check_penalties', 'admin_sites', 'admin_help', 'admin_audit', 'admin_export', 'dbtest'];
+
 class CommandRouter {
   constructor() {
     // Mappa dei comandi utente con relativi handler
     this.userCommands = {
       'start': this.handleStart.bind(this),
       'prenota': this.handlePrenota.bind(this),
+      'prenota_alle': this.handlePrenotaAlle.bind(this),
+      'prenotazioni': this.handlePrenotazioni.bind(this),
+      'annulla_prenotazione': this.handleAnnullaPrenotazione.bind(this),
       'cancella': this.handleCancella.bind(this),
       'iniziato': this.handleIniziato.bind(this),
       'terminato': this.handleTerminato.bind(this),
+      'estendi': this.handleEstendi.bind(this),
       'status': this.handleStatus.bind(this),
+      'colonnine': this.handleColonnine.bind(this),
+      'sede': this.handleSede.bind(this),
       'stato_utente': this.handleStatoUtente.bind(this),
+      'kwh': this.handleKwh.bind(this),
+      'storico': this.handleStorico.bind(this),
+      'ricorso': this.handleRicorso.bind(this),
+      'lingua': this.handleLingua.bind(this),
       'help': this.handleHelp.bind(this),
       'dove_sono': this.handleDoveSono.bind(this)
     };
@@ -33,11 +59,33 @@ class CommandRouter {
       'admin_status': adminCommands.handleAdminStatus.bind(adminCommands),
       'admin_stats': adminCommands.handleAdminStats.bind(adminCommands),
       'admin_check_penalties': adminCommands.handleCheckPenalties.bind(adminCommands),
+      'admin_appeal': adminCommands.handleAppeal.bind(adminCommands),
       'admin_set_charge_time': adminCommands.handleSetChargeTime.bind(adminCommands),
       'admin_set_reminder_time': adminCommands.handleSetReminderTime.bind(adminCommands),
+      'admin_settings': adminCommands.handleSettings.bind(adminCommands),
+      'admin_penalty_rules': adminCommands.handlePenaltyRules.bind(adminCommands),
+      'admin_penalty': adminCommands.handlePenalty.bind(adminCommands),
+      'admin_ban': adminCommands.handleBan.bind(adminCommands),
+      'admin_unban': adminCommands.handleUnban.bind(adminCommands),
       'admin_set_max_slots': adminCommands.handleSetMaxSlots.bind(adminCommands),
+      'admin_slot': adminCommands.handleSlot.bind(adminCommands),
+      'admin_sites': adminCommands.handleSites.bind(adminCommands),
+      'admin_add_site': adminCommands.handleAddSite.bind(adminCommands),
+      'admin_set_site': adminCommands.handleSetSite.bind(adminCommands),
+      'admin_site_admin': adminCommands.handleSiteAdmin.bind(adminCommands),
+      'admin_grant': adminCommands.handleGrant.bind(adminCommands),
+      'admin_revoke': adminCommands.handleRevoke.bind(adminCommands),
+      'admin_id_tag': adminCommands.handleIdTag.bind(adminCommands),
+      'admin_audit': adminCommands.handleAudit.bind(adminCommands),
+      'admin_export': adminCommands.handleExport.bind(adminCommands),
+      'admin_billing': adminCommands.handleBilling.bind(adminCommands),
+      'admin_tariff': adminCommands.handleTariff.bind(adminCommands),
+      'admin_webhooks': adminCommands.handleWebhooks.bind(adminCommands),
+      'admin_api_tokens': adminCommands.handleApiTokens.bind(adminCommands),
       'admin_reset_slot': adminCommands.handleResetSlot.bind(adminCommands),
       'admin_remove_queue': adminCommands.handleRemoveQueue.bind(adminCommands),
+      'admin_approve_extension': adminCommands.handleApproveExtension.bind(adminCommands),
+      'admin_reject_extension': adminCommands.handleRejectExtension.bind(adminCommands),
       'admin_notify_all': adminCommands.handleNotifyAll.bind(adminCommands),
       'admin_reset_system': adminCommands.handleResetSystem.bind(adminCommands),
       'admin_confirm_reset': adminCommands.handleConfirmReset.bind(adminCommands),
@@ -56,8 +104,8 @@ class CommandRouter {
    * @returns {Promise<Boolean>} - true se l'utente è autorizzato, false altrimenti
    */
   async isUserAuthorized(bot, chatId, userId, username) {
-    // Se non è attiva la restrizione al gruppo o è un admin, è sempre autorizzato
-    if (!config.RESTRICT_TO_GROUP || userId === config.ADMIN_USER_ID) {
+    // Se non è attiva la restrizione al gruppo o è un moderatore/admin, è sempre autorizzato
+    if (!config.RESTRICT_TO_GROUP || await permissions.hasRole(userId, 'moderator')) {
       return true;
     }
     
@@ -86,14 +134,10 @@ class CommandRouter {
    * @param {Object} bot - Istanza del bot Telegram
    * @param {Number} chatId - ID della chat
    * @param {String} username - Username dell'utente
+   * @param {String} lang - Codice della lingua
    */
-  sendUnauthorizedMessage(bot, chatId, username) {
-    bot.sendMessage(chatId, 
-      `⚠️ *Accesso non autorizzato*\n\n` +
-      `Mi dispiace @${username}, ma per utilizzare questo bot devi essere un membro del gruppo autorizzato.\n\n` +
-      `Contatta l'amministratore per maggiori informazioni.`,
-      { parse_mode: 'Markdown' }
-    );
+  sendUnauthorizedMessage(bot, chatId, username, lang) {
+    bot.sendMessage(chatId, i18n.t(lang, 'router.unauthorized', { username }), { parse_mode: 'Markdown' });
   }
 
   /**
@@ -110,13 +154,18 @@ class CommandRouter {
     
     logger.info(`Received /${command} command from user ${userId} (${username})`);
     
+    // Lingua delle risposte, disponibile agli handler in msg.lang
+    const lang = await userHandler.getUserLanguage(userId, msg.from.language_code);
+    msg.lang = lang;
+    
     try {
       // Verifica se è un comando admin
       if (command.startsWith('admin_') || command === 'dbtest') {
-        // Verifica che l'utente sia admin
-        if (userId !== config.ADMIN_USER_ID) {
-          logger.warn(`User ${userId} tried to use admin command but is not admin`);
-          bot.sendMessage(chatId, '🚫 Comando riservato agli amministratori.');
+        // Verifica il ruolo minimo del comando o, per i comandi di sede, che l'utente amministri una sede
+        const isSiteAdminCommand = permissions.SITE_ADMIN_COMMANDS.includes(command);
+        if (!(await permissions.canUseCommand(userId, command)) && !(isSiteAdminCommand && await siteHandler.isSiteAdmin(userId))) {
+          logger.warn(`User ${userId} tried to use admin command /${command} without the required role`);
+          bot.sendMessage(chatId, i18n.t(lang, 'router.admin_only'));
           return;
         }
         
@@ -124,14 +173,23 @@ class CommandRouter {
         const adminHandler = this.adminCommands[command];
         if (adminHandler) {
           await adminHandler(bot, chatId, userId, username, msg, args);
+          
+          // Registra i comandi admin che possono modificare lo stato del sistema
+          if (!READ_ONLY_ADMIN_COMMANDS.includes(command)) {
+            await auditLog.record('admin_command', {
+              actorId: userId,
+              actorUsername: username,
+              details: ['/' + command, ...args].join(' ')
+            });
+          }
         } else {
-          bot.sendMessage(chatId, `❌ Comando admin non riconosciuto: /${command}`);
+          bot.sendMessage(chatId, i18n.t(lang, 'router.unknown_command', { command }));
         }
       } else {
         // Verifica se l'utente è autorizzato
         const isAuthorized = await this.isUserAuthorized(bot, chatId, userId, username);
         if (!isAuthorized) {
-          this.sendUnauthorizedMessage(bot, chatId, username);
+          this.sendUnauthorizedMessage(bot, chatId, username, lang);
           return;
         }
         
@@ -140,12 +198,59 @@ class CommandRouter {
         if (userHandler) {
           await userHandler(bot, chatId, userId, username, msg, args);
         } else {
-          bot.sendMessage(chatId, `❌ Comando non riconosciuto: /${command}`);
+          bot.sendMessage(chatId, i18n.t(lang, 'router.unknown_command', { command }));
         }
       }
     } catch (error) {
       logger.error(`Error handling /${command} command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(lang, 'errors.generic', { message: i18n.errorMessage(error, lang) }));
+    }
+  }
+
+  /**
+   * Gestisce la pressione di un pulsante di una tastiera inline
+   * Il callback_data contiene il comando e i suoi argomenti, che vengono
+   * passati a routeCommand come se l'utente avesse digitato il comando
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Object} query - Callback query Telegram
+   */
+  async routeCallback(bot, query) {
+    const { command, args } = keyboards.parseCallbackData(query.data);
+    
+    // Conferma subito la ricezione, altrimenti il client mostra il caricamento sul pulsante
+    try {
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      logger.warn(`Error answering callback query ${query.id}:`, error.message);
+    }
+    
+    if (!command || !query.message) {
+      logger.warn(`Ignored callback query with data "${query.data}" from user ${query.from.id}`);
+      return;
+    }
+    
+    logger.info(`Received callback "${query.data}" from user ${query.from.id}`);
+    
+    // Messaggio equivalente a quello di un comando digitato nella chat del pulsante
+    const msg = {
+      chat: query.message.chat,
+      from: query.from,
+      message_id: query.message.message_id,
+      from_callback: true
+    };
+    
+    await this.routeCommand(bot, msg, command, args);
+    
+    // Rimuove i pulsanti monouso per evitare doppie pressioni
+    if (keyboards.isOneShot(command)) {
+      try {
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+          chat_id: query.message.chat.id,
+          message_id: query.message.message_id
+        });
+      } catch (error) {
+        logger.warn(`Error removing inline keyboard from message ${query.message.message_id}:`, error.message);
+      }
     }
   }
 
@@ -155,18 +260,19 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
    */
-  async handleStart(bot, chatId, userId, username) {
+  async handleStart(bot, chatId, userId, username, msg) {
     try {
-      await userHandler.registerUser(userId, username);
+      await userHandler.registerUser(userId, username, msg.from.language_code);
       
-      const welcomeMessage = formatters.formatWelcomeMessage(username, userId);
+      const welcomeMessage = formatters.formatWelcomeMessage(username, userId, msg.lang);
       bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
         
       logger.info(`Sent welcome message to user ${userId}`);
     } catch (error) {
       logger.error(`Error in /start command for user ${userId}:`, error);
-      bot.sendMessage(chatId, '❌ Si è verificato un errore durante l\'avvio. Riprova più tardi.');
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'start.error'));
     }
   }
 
@@ -176,28 +282,137 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (preferenza di colonnina opzionale)
    */
-  async handlePrenota(bot, chatId, userId, username) {
+  async handlePrenota(bot, chatId, userId, username, msg, args = []) {
     try {
-      const result = await queueHandler.requestCharge(userId, username);
+      const { site, otherArgs: slotArgs } = await siteHandler.resolveSite(userId, args);
+      const { preference, otherArgs } = await slotHandler.parsePreference(slotArgs, site.code);
+      
+      if (otherArgs.length > 0) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'prenota.unknown_slot', { slot: otherArgs.join(' ') }), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const result = await queueHandler.requestCharge(userId, username, preference, site.code);
+      const settings = await siteHandler.getSiteSettings(site);
       
       // Se c'è un messaggio di avviso (ad esempio per penalità), mostralo prima
       if (result.warningMessage) {
-        await bot.sendMessage(chatId, `ℹ️ *Nota*\n\n${result.warningMessage}`, { parse_mode: 'Markdown' });
+        await bot.sendMessage(chatId, i18n.t(msg.lang, 'prenota.note', { message: result.warningMessage }), { parse_mode: 'Markdown' });
       }
       
       if (result.slotAvailable) {
         logger.info(`Slot available for user ${userId}, sending instructions`);
-        const availableMessage = formatters.formatSlotAvailableMessage(username, userId, config.MAX_CHARGE_TIME);
-        bot.sendMessage(chatId, availableMessage, { parse_mode: 'Markdown' });
+        const queueEmpty = (await Queue.countDocuments({ site: site.code })) === 0;
+        const tariffInfo = await billingHandler.getTariffInfo(new Date(), settings.max_charge_time, result.slot, queueEmpty);
+        const availableMessage = formatters.formatSlotAvailableMessage(username, userId, settings.max_charge_time, result.slot, tariffInfo, msg.lang);
+        bot.sendMessage(chatId, availableMessage, {
+          parse_mode: 'Markdown',
+          reply_markup: keyboards.slotAvailableKeyboard(site.code, msg.lang)
+        });
       } else {
         logger.info(`No slots available, user ${userId} added to queue at position ${result.position}`);
-        const queueMessage = formatters.formatQueueMessage(username, userId, result.position);
+        const queueMessage = formatters.formatQueueMessage(username, userId, result.position, msg.lang);
         bot.sendMessage(chatId, queueMessage, { parse_mode: 'Markdown' });
       }
     } catch (error) {
       logger.error(`Error in /prenota command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "prenota_alle"
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handlePrenotaAlle(bot, chatId, userId, username, msg, args) {
+    try {
+      const { site, otherArgs } = await siteHandler.resolveSite(userId, args);
+      
+      if (otherArgs.length < 3) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'prenota_alle.usage'), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const durationMinutes = parseInt(otherArgs[2]);
+      const reservation = await reservationHandler.createReservation(userId, username, otherArgs[0], otherArgs[1], durationMinutes, site.code);
+      
+      logger.info(`Reservation created for user ${userId} at ${reservation.start_time.toISOString()}`);
+      
+      const message = formatters.formatReservationMessage(reservation, msg.lang);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /prenota_alle command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.plain', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "prenotazioni"
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   */
+  async handlePrenotazioni(bot, chatId, userId, username, msg) {
+    try {
+      const reservations = await reservationHandler.getUserReservations(userId);
+      
+      const message = formatters.formatReservationListMessage(reservations, msg.lang);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      logger.info(`Sent reservation list to user ${userId}`);
+    } catch (error) {
+      logger.error(`Error in /prenotazioni command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "annulla_prenotazione"
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleAnnullaPrenotazione(bot, chatId, userId, username, msg, args) {
+    try {
+      const index = args.length > 0 ? parseInt(args[0]) : 1;
+      
+      if (isNaN(index) || index < 1) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'annulla_prenotazione.usage'));
+        return;
+      }
+      
+      const cancelled = await reservationHandler.cancelReservation(userId, index);
+      
+      if (!cancelled) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'annulla_prenotazione.not_found', { username }));
+        return;
+      }
+      
+      bot.sendMessage(chatId, 
+        i18n.t(msg.lang, 'annulla_prenotazione.cancelled', {
+          day: formatters.formatDay(cancelled.start_time),
+          start: formatters.formatTime(cancelled.start_time),
+          end: formatters.formatTime(cancelled.end_time)
+        }),
+        { parse_mode: 'Markdown' });
+      
+      // Lo slot liberato potrebbe servire a chi è in coda nella stessa sede
+      await queueHandler.notifyNextInQueue(bot, cancelled.site);
+    } catch (error) {
+      logger.error(`Error in /annulla_prenotazione command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -207,8 +422,9 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
    */
-  async handleCancella(bot, chatId, userId, username) {
+  async handleCancella(bot, chatId, userId, username, msg) {
     try {
       // Verifica se l'utente è in coda
       const inQueue = await Queue.findOne({ telegram_id: userId });
@@ -221,11 +437,7 @@ class CommandRouter {
         logger.info(`User ${userId} (${username}) removed from queue at position ${position}`);
         
         // Invia conferma all'utente
-        bot.sendMessage(chatId, 
-          `✅ @${username}, sei stato rimosso dalla coda con successo.\n\n` +
-          `Eri in posizione *#${position}*.\n\n` +
-          `Se vorrai ricaricare in futuro, usa nuovamente /prenota.`,
-          { parse_mode: 'Markdown' });
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'cancella.removed', { username, position }), { parse_mode: 'Markdown' });
         
         return;
       }
@@ -237,21 +449,15 @@ class CommandRouter {
       });
       
       if (session) {
-        bot.sendMessage(chatId, 
-          `ℹ️ @${username}, hai una sessione di ricarica attiva.\n\n` +
-          `Se vuoi terminare la ricarica, usa il comando /terminato.`,
-          { parse_mode: 'Markdown' });
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'cancella.active_session', { username }), { parse_mode: 'Markdown' });
         return;
       }
       
       // Se non è né in coda né in sessione
-      bot.sendMessage(chatId, 
-        `ℹ️ @${username}, non sei attualmente in coda né hai una sessione attiva.\n\n` +
-        `Per prenotare una ricarica, usa il comando /prenota.`,
-        { parse_mode: 'Markdown' });
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'cancella.nothing', { username }), { parse_mode: 'Markdown' });
     } catch (error) {
       logger.error(`Error in /cancella command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -266,41 +472,46 @@ class CommandRouter {
    */
   async handleIniziato(bot, chatId, userId, username, msg, args) {
     try {
+      // La sede è quella in cui l'utente è in coda o ha prenotato, altrimenti quella indicata o scelta
+      const { site, otherArgs: slotArgs } = await siteHandler.resolveSite(userId, args);
+      const siteCode = (await siteHandler.getPendingSite(userId)) || site.code;
+      
+      // Separa l'eventuale preferenza di colonnina dalla durata
+      const { preference, otherArgs } = await slotHandler.parsePreference(slotArgs, siteCode);
+      
       // Controlla se è stato specificato un tempo di ricarica
       let chargeDuration = null;
       
-      if (args.length > 0) {
-        const specifiedDuration = parseInt(args[0]);
+      if (otherArgs.length > 0) {
+        const specifiedDuration = parseInt(otherArgs[0]);
         
         // Verifica che il tempo specificato sia valido (da 1 a 480 minuti - massimo 8 ore)
         if (!isNaN(specifiedDuration) && specifiedDuration > 0 && specifiedDuration <= 480) {
           chargeDuration = specifiedDuration;
         } else if (!isNaN(specifiedDuration)) {
           // Il parametro è un numero ma non è valido
-          bot.sendMessage(chatId, 
-            `⚠️ *Tempo non valido*\n\n` +
-            `Il tempo specificato (${specifiedDuration} minuti) non è valido.\n` +
-            `Per favore, specifica un tempo tra 1 e 480 minuti.\n` +
-            `Esempio: */iniziato 45* per una ricarica di 45 minuti.`,
-            { parse_mode: 'Markdown' });
+          bot.sendMessage(chatId, i18n.t(msg.lang, 'iniziato.invalid_duration', { minutes: specifiedDuration }), { parse_mode: 'Markdown' });
           return;
         }
       }
       
-      const session = await sessionHandler.startSession(userId, username, chargeDuration);
+      const session = await sessionHandler.startSession(userId, username, chargeDuration, preference, siteCode);
       
-      logger.info(`Session started for user ${userId}, slot ${session.slot_number}, duration ${chargeDuration || config.MAX_CHARGE_TIME} minutes`);
+      logger.info(`Session started for user ${userId}, slot ${session.slot_number}, duration ${session.duration_minutes} minutes`);
       
-      const message = formatters.formatSessionStartMessage(session);
+      const slot = await slotHandler.getSlot(session.slot_number, session.site);
+      const queueEmpty = (await Queue.countDocuments({ site: session.site })) === 0;
+      const tariffInfo = await billingHandler.getTariffInfo(session.start_time, session.duration_minutes, slot, queueEmpty);
+      const message = formatters.formatSessionStartMessage(session, slot, tariffInfo, msg.lang);
       bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
       
       // Aggiorna lo stato del sistema nel messaggio di stato per tutti
-      const systemStatus = await queueHandler.getSystemStatus();
+      const systemStatus = await queueHandler.getSystemStatus(session.site);
       bot.sendMessage(chatId, 
-        `🔌 Attualmente occupati ${systemStatus.slots_occupied}/${systemStatus.total_slots} slot.`);
+        i18n.t(msg.lang, 'router.slots_occupied', { occupied: systemStatus.slots_occupied, total: systemStatus.total_slots }));
     } catch (error) {
       logger.error(`Error in /iniziato command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -310,26 +521,122 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (kWh erogati o letture del contatore, opzionali)
    */
-  async handleTerminato(bot, chatId, userId, username) {
+  async handleTerminato(bot, chatId, userId, username, msg, args = []) {
     try {
+      // Valida i kWh prima di chiudere la sessione, così un errore di battitura non la termina a metà
+      const reading = args.length > 0 ? sessionHandler.parseEnergyReading(args) : null;
+      
       const result = await sessionHandler.endSession(userId);
       
       logger.info(`Session ended for user ${userId}, duration: ${result.durationMinutes} minutes`);
       
-      const message = formatters.formatSessionEndMessage(result);
+      if (reading) {
+        result.session = await sessionHandler.setSessionEnergy(userId, reading);
+      }
+            
+      const message = formatters.formatSessionEndMessage(result, msg.lang);
       bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
       
       // Aggiorna lo stato del sistema nel messaggio di stato per tutti
-      const systemStatus = await queueHandler.getSystemStatus();
+      const systemStatus = await queueHandler.getSystemStatus(result.session.site);
       bot.sendMessage(chatId, 
-        `🔌 Attualmente occupati ${systemStatus.slots_occupied}/${systemStatus.total_slots} slot.`);
+        i18n.t(msg.lang, 'router.slots_occupied', { occupied: systemStatus.slots_occupied, total: systemStatus.total_slots }));
       
-      // Notifica il prossimo utente in coda
-      await queueHandler.notifyNextInQueue(bot);
+      // Notifica il prossimo utente in coda della stessa sede
+      await queueHandler.notifyNextInQueue(bot, result.session.site);
     } catch (error) {
       logger.error(`Error in /terminato command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "kwh"
+   * Registra l'energia dell'ultima ricarica terminata
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleKwh(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length === 0) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'kwh.usage'));
+        return;
+      }
+      
+      const reading = sessionHandler.parseEnergyReading(args);
+      const session = await sessionHandler.setSessionEnergy(userId, reading);
+      
+      bot.sendMessage(chatId,
+        i18n.t(msg.lang, 'kwh.recorded', {
+          energy: formatters.formatEnergy(session.energy_kwh, msg.lang),
+          day: formatters.formatDay(session.start_time),
+          time: formatters.formatTime(session.start_time)
+        }),
+        { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /kwh command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "estendi"
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (minuti da aggiungere)
+   */
+  async handleEstendi(bot, chatId, userId, username, msg, args = []) {
+    try {
+      const minutes = parseInt(args[0]);
+      
+      if (isNaN(minutes) || minutes <= 0) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'estendi.usage'), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const result = await sessionHandler.extendSession(userId, minutes);
+      
+      if (result.status === 'applied') {
+        bot.sendMessage(chatId, formatters.formatExtensionMessage(result.session, minutes, msg.lang), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      // Ci sono utenti in coda: la richiesta passa agli amministratori della sede
+      const site = await siteHandler.getSite(result.session.site);
+      const siteInfo = site && !site.is_default ? ` nella sede *${site.name}*` : '';
+      const adminIds = [...new Set([...(await permissions.getUserIdsWithRole('moderator')), ...(site ? site.admin_ids : [])])];
+      
+      for (const adminId of adminIds) {
+        bot.sendMessage(adminId, 
+          `⏩ *Richiesta di estensione*\n\n` +
+          `L'utente @${username} chiede *${minutes} minuti* in più sullo slot ${result.session.slot_number}${siteInfo}.\n` +
+          `Utenti in coda: *${result.waiting}*\n\n` +
+          `Approva con /admin_approve_extension @${username}\n` +
+          `Rifiuta con /admin_reject_extension @${username}`,
+          { parse_mode: 'Markdown', reply_markup: keyboards.extensionRequestKeyboard(username) })
+          .catch(err => logger.warn(`Could not notify moderator ${adminId}:`, err.message));
+      }
+      
+      bot.sendMessage(chatId, 
+        i18n.t(msg.lang, 'estendi.request_sent', {
+          count: result.waiting,
+          minutes,
+          end: formatters.formatTime(result.session.end_time)
+        }),
+        { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /estendi command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.plain', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -339,20 +646,91 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (sede opzionale)
    */
-  async handleStatus(bot, chatId, userId, username) {
+  async handleStatus(bot, chatId, userId, username, msg, args = []) {
     try {
-      const status = await queueHandler.getSystemStatus();
+      const { site } = await siteHandler.resolveSite(userId, args);
+      const status = await queueHandler.getSystemStatus(site.code);
       logger.info(`Retrieved system status, formatting message`);
       
-      const message = formatters.formatStatusMessage(status);
+      const message = formatters.formatStatusMessage(status, msg.lang);
+      const options = { parse_mode: 'Markdown', reply_markup: keyboards.statusKeyboard(site.code, msg.lang) };
       
-      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      // Il pulsante "Aggiorna" modifica il messaggio di stato invece di inviarne uno nuovo
+      if (msg && msg.from_callback) {
+        try {
+          await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: msg.message_id });
+        } catch (err) {
+          // Telegram rifiuta la modifica se il contenuto non è cambiato
+          if (!/message is not modified/i.test(err.message)) {
+            throw err;
+          }
+        }
+        logger.info(`Refreshed status message for user ${userId}`);
+        return;
+      }
+      
+      bot.sendMessage(chatId, message, options);
       logger.info(`Sent status message to user ${userId}`);
     } catch (error) {
       logger.error(`Error in /status command from user ${userId}:`, error);
       logger.error(error.stack);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore durante il recupero dello stato.`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'status.error'));
+    }
+  }
+
+  /**
+   * Gestisce il comando "colonnine"
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (sede opzionale)
+   */
+  async handleColonnine(bot, chatId, userId, username, msg, args = []) {
+    try {
+      const { site } = await siteHandler.resolveSite(userId, args);
+      const status = await queueHandler.getSystemStatus(site.code);
+      const message = formatters.formatSlotsMessage(status.slots, msg.lang);
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /colonnine command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'slots.error'));
+    }
+  }
+
+  /**
+   * Gestisce il comando "sede"
+   * Senza argomenti mostra le sedi disponibili, con un codice imposta la sede predefinita dell'utente
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleSede(bot, chatId, userId, username, msg, args) {
+    try {
+      if (args.length > 0) {
+        await userHandler.registerUser(userId, username, msg.from.language_code);
+        const site = await siteHandler.setUserSite(userId, args[0].replace(/^sede:/i, '').toLowerCase());
+        
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'sites.set', { username, name: site.name }), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const sites = await siteHandler.getSites();
+      const { site: currentSite } = await siteHandler.resolveSite(userId);
+      
+      const message = formatters.formatSitesMessage(sites, currentSite.code, msg.lang);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /sede command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.plain', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -362,10 +740,11 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
    */
-  async handleStatoUtente(bot, chatId, userId, username) {
+  async handleStatoUtente(bot, chatId, userId, username, msg) {
     try {
-      const userStatus = await userHandler.getUserStatus(userId);
+      const userStatus = await userHandler.getUserStatus(userId, msg.lang);
       
       if (!userStatus.exists) {
         bot.sendMessage(chatId, userStatus.message);
@@ -376,7 +755,135 @@ class CommandRouter {
       logger.info(`Sent user status to ${userId}`);
     } catch (error) {
       logger.error(`Error in /stato_utente command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "storico"
+   * Sintassi: /storico [n] [pagina]
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando
+   */
+  async handleStorico(bot, chatId, userId, username, msg, args) {
+    try {
+      const pageSize = args.length > 0 ? parseInt(args[0]) : HISTORY_PAGE_SIZE;
+      const page = args.length > 1 ? parseInt(args[1]) : 1;
+      
+      if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_PAGE_SIZE || isNaN(page) || page < 1) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'storico.usage', { max: MAX_HISTORY_PAGE_SIZE }));
+        return;
+      }
+      
+      const history = await sessionHandler.getUserSessionHistory(userId, pageSize, page);
+      const message = formatters.formatHistoryMessage(history, msg.lang);
+      const options = { parse_mode: 'Markdown', reply_markup: keyboards.pageKeyboard('storico', [pageSize], history.page, history.pages, msg.lang) };
+      
+      // I pulsanti di navigazione sostituiscono la pagina nello stesso messaggio
+      if (msg && msg.from_callback) {
+        await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: msg.message_id });
+        return;
+      }
+      
+      bot.sendMessage(chatId, message, options);
+      logger.info(`Sent session history to user ${userId}`);
+    } catch (error) {
+      logger.error(`Error in /storico command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "ricorso"
+   * Contesta la penalità più recente, o quella della ricarica indicata con #numero di /storico;
+   * il ricorso viene inviato ai moderatori con i pulsanti per deciderlo
+   * Sintassi: /ricorso [#numero] motivo
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (motivo)
+   */
+  async handleRicorso(bot, chatId, userId, username, msg, args = []) {
+    try {
+      if (args.length === 0) {
+        bot.sendMessage(chatId, i18n.t(msg.lang, 'ricorso.usage'));
+        return;
+      }
+      
+      // Il motivo è il testo dopo il comando, con gli spazi originali, preceduto da #numero
+      // della ricarica in /storico se l'utente non contesta l'ultima penalità; il # evita
+      // di scambiare per un numero un motivo che inizia con una cifra
+      const text = msg.text ? msg.text.substring(msg.text.indexOf(' ') + 1) : args.join(' ');
+      const selector = text.match(/^#(\d+)(?:\s+|$)/);
+      const index = selector ? parseInt(selector[1]) : null;
+      const reason = selector ? text.substring(selector[0].length) : text;
+      const { appeal, session } = await appealHandler.createAppeal(userId, username, reason, index);
+      
+      const adminIds = await permissions.getUserIdsWithRole('moderator');
+      
+      for (const adminId of adminIds) {
+        bot.sendMessage(adminId,
+          `📨 *Ricorso contro una penalità*\n\n` +
+          `${formatters.formatAppeal(appeal, session)}\n\n` +
+          `Accetta con /admin\\_appeal accept @${username}\n` +
+          `Rifiuta con /admin\\_appeal reject @${username}`,
+          { parse_mode: 'Markdown', reply_markup: keyboards.appealKeyboard(username) })
+          .catch(err => logger.warn(`Could not notify moderator ${adminId}:`, err.message));
+      }
+      
+      bot.sendMessage(chatId,
+        i18n.t(msg.lang, 'ricorso.sent', {
+          points: i18n.t(msg.lang, 'penalties.points', { count: appeal.points }),
+          day: formatters.formatDate(session.start_time, msg.lang)
+        }),
+        { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /ricorso command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.plain', { message: i18n.errorMessage(error, msg.lang) }));
+    }
+  }
+
+  /**
+   * Gestisce il comando "lingua"
+   * Senza argomenti mostra la lingua attuale con un pulsante per ogni lingua, con un codice la imposta
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID della chat
+   * @param {Number} userId - ID dell'utente
+   * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
+   * @param {Array} args - Argomenti del comando (codice della lingua opzionale)
+   */
+  async handleLingua(bot, chatId, userId, username, msg, args = []) {
+    try {
+      if (args.length > 0) {
+        await userHandler.registerUser(userId, username, msg.from.language_code);
+        const user = await userHandler.setUserLanguage(userId, args[0]);
+        
+        // Il menu dei comandi dello staff è impostato per chat, nella lingua dell'utente
+        if (await permissions.hasRole(userId, 'moderator') || await siteHandler.isSiteAdmin(userId)) {
+          await adminCommands.setupUserCommands(bot, userId);
+        }
+        
+        // La conferma è già nella nuova lingua
+        bot.sendMessage(chatId, i18n.t(user.language, 'lingua.set', { language: i18n.t(user.language, 'language_name') }), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      bot.sendMessage(chatId, 
+        i18n.t(msg.lang, 'lingua.current', {
+          language: i18n.t(msg.lang, 'language_name'),
+          languages: i18n.LANGUAGES.join(', ')
+        }),
+        { parse_mode: 'Markdown', reply_markup: keyboards.languageKeyboard() });
+    } catch (error) {
+      logger.error(`Error in /lingua command for user ${userId}:`, error);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.plain', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -386,18 +893,19 @@ class CommandRouter {
    * @param {Number} chatId - ID della chat
    * @param {Number} userId - ID dell'utente
    * @param {String} username - Username dell'utente
+   * @param {Object} msg - Messaggio Telegram
    */
-  async handleHelp(bot, chatId, userId, username) {
+  async handleHelp(bot, chatId, userId, username, msg) {
     try {
-      // Verifica se l'utente è admin per mostrare i comandi admin
-      const isAdmin = userId === config.ADMIN_USER_ID;
-      const message = formatters.formatHelpMessage(isAdmin);
+      // Mostra i comandi admin in base al ruolo dell'utente
+      const role = await permissions.getRole(userId);
+      const message = formatters.formatHelpMessage(role, msg.lang);
       
       bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
       logger.info(`Sent help message to user ${userId}`);
     } catch (error) {
       logger.error(`Error in /help command from user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 
@@ -411,32 +919,29 @@ class CommandRouter {
    */
   async handleDoveSono(bot, chatId, userId, username, msg) {
     try {
+      const lang = msg.lang;
       const chatType = msg.chat.type;
-      const chatTitle = msg.chat.title || "Chat privata";
+      const chatTitle = msg.chat.title || i18n.t(lang, 'dove_sono.private_chat');
       
       logger.info(`Received /dove_sono command from user ${userId} in chat ${chatId} (${chatType})`);
       
-      let message = `📍 *Informazioni sulla chat attuale*\n\n`;
+      let message = `${i18n.t(lang, 'dove_sono.title')}\n\n`;
       
       if (chatType === 'private') {
-        message += `Tipo: Chat privata con il bot\n`;
-        message += `ID: \`${chatId}\`\n\n`;
-        message += `Questo è l'ID della tua chat privata con il bot, non di un gruppo.`;
+        message += i18n.t(lang, 'dove_sono.private', { chatId });
       } else if (chatType === 'group' || chatType === 'supergroup') {
-        message += `Tipo: ${chatType === 'supergroup' ? 'Supergruppo' : 'Gruppo'}\n`;
-        message += `Nome: *${chatTitle}*\n`;
-        message += `ID: \`${chatId}\`\n\n`;
-        message += `🔍 Questo è l'ID di questo gruppo. Per configurare il bot per l'uso esclusivo in questo gruppo, ` +
-                 `l'amministratore del bot dovrà impostare questo ID nella configurazione.`;
+        message += i18n.t(lang, 'dove_sono.group_info', {
+          type: i18n.t(lang, chatType === 'supergroup' ? 'dove_sono.supergroup' : 'dove_sono.group'),
+          title: chatTitle,
+          chatId
+        });
       } else {
-        message += `Tipo: ${chatType}\n`;
-        message += `ID: \`${chatId}\`\n`;
+        message += i18n.t(lang, 'dove_sono.other', { type: chatType, chatId });
       }
       
       // Aggiungi info per gli admin
-      if (userId === config.ADMIN_USER_ID) {
-        message += `\n\n👑 *Info per l'amministratore:*\n`;
-        message += `Per configurare il bot per l'uso esclusivo in questo gruppo, imposta le variabili d'ambiente:\n`;
+      if (await permissions.hasRole(userId, 'admin')) {
+        message += `\n\n${i18n.t(lang, 'dove_sono.admin_info')}\n`;
         message += `\`AUTHORIZED_GROUP_ID=${chatId}\`\n`;
         message += `\`RESTRICT_TO_GROUP=true\``;
       }
@@ -445,7 +950,7 @@ class CommandRouter {
       logger.info(`Sent location info to user ${userId} for chat ${chatId}`);
     } catch (error) {
       logger.error(`Error in /dove_sono command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, i18n.t(msg.lang, 'errors.generic', { message: i18n.errorMessage(error, msg.lang) }));
     }
   }
 }
@@ -0,0 +1,519 @@
+/**
+ * Gestore della dashboard web per amministratori (/dashboard)
+ * Serve l'interfaccia in public/dashboard e le sue API JSON; l'accesso avviene con il
+ * Telegram Login Widget e i permessi seguono i ruoli dei comandi admin
+ */
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const Session = require('../models/session');
+const User = require('../models/user');
+const config = require('../config');
+const logger = require('../utils/logger');
+const permissions = require('../utils/permissions');
+const settingsManager = require('../utils/settingsManager');
+const penaltySystem = require('../utils/penaltySystem');
+const eventBus = require('../utils/eventBus');
+const queueHandler = require('./queueHandler');
+const siteHandler = require('./siteHandler');
+const { ApiError, asyncRoute, handleError } = require('./apiHandler');
+
+// Cookie della sessione della dashboard e sua durata (ms)
+const SESSION_COOKIE = 'sm_dashboard';
+const SESSION_DURATION = 12 * 60 * 60 * 1000;
+
+// Età massima dei dati del Telegram Login Widget (secondi)
+const LOGIN_MAX_AGE = 24 * 60 * 60;
+
+// Intervallo dei messaggi di mantenimento dello stream degli eventi (ms)
+const EVENTS_KEEPALIVE = 25 * 1000;
+
+// Giorni mostrati nel grafico dell'utilizzo giornaliero
+const STATS_DAYS = 14;
+
+// Eventi del bus che aggiornano la griglia delle colonnine e la coda
+const LIVE_EVENTS = [
+  eventBus.EVENTS.SESSION_STARTED,
+  eventBus.EVENTS.SESSION_ENDED,
+  eventBus.EVENTS.SESSION_EXTENDED,
+  eventBus.EVENTS.QUEUE_CHANGED
+];
+
+/**
+ * Chiave con cui vengono firmati i cookie di sessione
+ * @returns {String} - DASHBOARD_SECRET o, se assente, una chiave derivata dal token del bot
+ */
+function getSessionSecret() {
+  return config.DASHBOARD_SECRET || crypto.createHash('sha256').update(`dashboard:${config.BOT_TOKEN}`).digest('hex');
+}
+
+/**
+ * Confronta due stringhe in tempo costante
+ * @param {String} a - Prima stringa
+ * @param {String} b - Seconda stringa
+ * @returns {Boolean} - true se sono uguali
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verifica i dati restituiti dal Telegram Login Widget
+ * La firma è l'HMAC-SHA256 dei campi ordinati, con chiave lo SHA-256 del token del bot
+ * @param {Object} data - Campi ricevuti (id, first_name, username, auth_date, hash, ...)
+ * @returns {Number|null} - ID Telegram dell'utente o null se i dati non sono validi o sono scaduti
+ */
+function verifyTelegramLogin(data) {
+  if (!data || !data.hash || !data.id || !data.auth_date) {
+    return null;
+  }
+  
+  const checkString = Object.keys(data)
+    .filter(key => key !== 'hash' && data[key] !== undefined && data[key] !== null)
+    .sort()
+    .map(key => `${key}=${data[key]}`)
+    .join('\n');
+  
+  const secretKey = crypto.createHash('sha256').update(config.BOT_TOKEN || '').digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(checkString).digest('hex');
+  
+  if (!safeEqual(expectedHash, data.hash)) {
+    return null;
+  }
+  
+  if (Date.now() / 1000 - parseInt(data.auth_date) > LOGIN_MAX_AGE) {
+    return null;
+  }
+  
+  return parseInt(data.id);
+}
+
+/**
+ * Crea il valore del cookie di sessione
+ * @param {Number} userId - ID Telegram dell'amministratore
+ * @returns {String} - Dati della sessione in base64url seguiti dalla loro firma
+ */
+function createSessionToken(userId) {
+  const payload = Buffer.from(JSON.stringify({ id: userId, exp: Date.now() + SESSION_DURATION })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Legge l'utente dal cookie di sessione della richiesta
+ * @param {Object} req - Richiesta Express
+ * @returns {Number|null} - ID Telegram o null se il cookie manca, non è valido o è scaduto
+ */
+function readSession(req) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const cookie = cookies.find(c => c.startsWith(`${SESSION_COOKIE}=`));
+  if (!cookie) return null;
+  
+  const [payload, signature] = cookie.slice(SESSION_COOKIE.length + 1).split('.');
+  if (!payload || !signature) return null;
+  
+  const expected = crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+  if (!safeEqual(expected, signature)) return null;
+  
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return session.exp > Date.now() ? session.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Imposta o cancella il cookie di sessione
+ * @param {Object} req - Richiesta Express
+ * @param {Object} res - Risposta Express
+ * @param {String|null} value - Valore del cookie (null per cancellarlo)
+ */
+function setSessionCookie(req, res, value) {
+  // Dietro il proxy della piattaforma la connessione originale è indicata da X-Forwarded-Proto
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  
+  res.cookie(SESSION_COOKIE, value || '', {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure,
+    path: '/dashboard',
+    maxAge: value ? SESSION_DURATION : 0
+  });
+}
+
+/**
+ * Determina il ruolo e le sedi accessibili a un utente
+ * I moderatori e gli admin accedono a tutte le sedi, gli amministratori di sede solo alle proprie
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object|null>} - Oggetto { role, sites } o null se l'utente non può accedere
+ */
+async function getAccess(userId) {
+  const role = await permissions.getRole(userId);
+  const sites = await siteHandler.getSites();
+  
+  if (permissions.roleAtLeast(role, 'moderator')) {
+    return { role, sites };
+  }
+  
+  const adminSites = sites.filter(site => site.admin_ids.includes(userId));
+  return adminSites.length > 0 ? { role, sites: adminSites } : null;
+}
+
+/**
+ * Middleware di autenticazione: verifica il cookie e ricalcola i permessi a ogni richiesta,
+ * così una revoca del ruolo ha effetto immediato
+ * @param {Object} req - Richiesta Express
+ * @param {Object} res - Risposta Express
+ * @param {Function} next - Prossimo middleware
+ */
+async function authenticate(req, res, next) {
+  try {
+    const userId = readSession(req);
+    const access = userId ? await getAccess(userId) : null;
+    
+    if (!access) {
+      throw new ApiError(401, 'Accesso richiesto');
+    }
+    
+    req.dashboardUser = { id: userId, ...access };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware che richiede un ruolo minimo
+ * @param {String} minRole - Ruolo minimo ('moderator' o 'admin')
+ * @returns {Function} - Middleware Express
+ */
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!permissions.roleAtLeast(req.dashboardUser.role, minRole)) {
+      next(new ApiError(403, 'Non hai i permessi per questa operazione'));
+      return;
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Middleware che accetta solo corpi JSON nelle richieste che modificano dati:
+ * un modulo di un altro sito non può inviarli senza l'autorizzazione CORS
+ * @param {Object} req - Richiesta Express
+ * @param {Object} res - Risposta Express
+ * @param {Function} next - Prossimo middleware
+ */
+function requireJson(req, res, next) {
+  if (!req.is('application/json')) {
+    next(new ApiError(415, 'Il corpo della richiesta deve essere JSON'));
+    return;
+  }
+  
+  next();
+}
+
+/**
+ * Ricava la sede della richiesta tra quelle accessibili all'utente
+ * @param {Object} req - Richiesta Express
+ * @param {String} siteCode - Codice indicato (predefinito: la prima sede accessibile)
+ * @returns {Object} - Sede
+ */
+function getAllowedSite(req, siteCode) {
+  const sites = req.dashboardUser.sites;
+  const site = siteCode ? sites.find(s => s.code === String(siteCode).toLowerCase()) : sites[0];
+  
+  if (!site) {
+    throw new ApiError(404, `Sede ${siteCode} non trovata o non accessibile`);
+  }
+  
+  return site;
+}
+
+/**
+ * Ricariche concluse per giorno negli ultimi STATS_DAYS giorni (fuso orario italiano)
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Array>} - Array di { day, sessions, kwh, minutes }, dal giorno più vecchio
+ */
+async function getDailyUsage(siteCode) {
+  const since = new Date(Date.now() - STATS_DAYS * 24 * 60 * 60 * 1000);
+  
+  const rows = await Session.aggregate([
+    { $match: { site: siteCode, status: { $ne: 'active' }, start_time: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$start_time', timezone: '+02:00' } },
+        sessions: { $sum: 1 },
+        kwh: { $sum: { $ifNull: ['$energy_kwh', 0] } },
+        minutes: { $sum: { $divide: [{ $subtract: ['$end_time', '$start_time'] }, 60000] } }
+      }
+    }
+  ]);
+  
+  const byDay = new Map(rows.map(row => [row._id, row]));
+  const days = [];
+  
+  for (let i = STATS_DAYS - 1; i >= 0; i--) {
+    // Giorno italiano (UTC+2), come nel resto del bot
+    const day = new Date(Date.now() + 2 * 60 * 60 * 1000 - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const row = byDay.get(day);
+    
+    days.push({
+      day,
+      sessions: row ? row.sessions : 0,
+      kwh: row ? Math.round(row.kwh * 10) / 10 : 0,
+      minutes: row ? Math.round(row.minutes) : 0
+    });
+  }
+  
+  return days;
+}
+
+/**
+ * POST /api/login - Verifica i dati del Telegram Login Widget e apre la sessione
+ */
+async function login(req, res) {
+  const userId = verifyTelegramLogin(req.body);
+  
+  if (!userId) {
+    throw new ApiError(401, 'Dati di accesso Telegram non validi o scaduti');
+  }
+  
+  const access = await getAccess(userId);
+  
+  if (!access) {
+    logger.warn(`Dashboard login refused for user ${userId}: insufficient role`);
+    throw new ApiError(403, 'Il tuo account non ha accesso alla dashboard');
+  }
+  
+  setSessionCookie(req, res, createSessionToken(userId));
+  logger.info(`Dashboard login for user ${userId} (${access.role})`);
+  
+  res.json({ success: true });
+}
+
+/**
+ * GET /api/me - Utente collegato, sedi accessibili e permessi
+ */
+async function getMe(req, res) {
+  const { id, role, sites } = req.dashboardUser;
+  const user = await User.findOne({ telegram_id: id });
+  
+  res.json({
+    success: true,
+    data: {
+      telegram_id: id,
+      username: user ? user.username : null,
+      role,
+      sites: sites.map(site => ({ code: site.code, name: site.name })),
+      can_view_penalties: permissions.roleAtLeast(role, 'moderator'),
+      can_edit_penalties: permissions.roleAtLeast(role, 'admin'),
+      can_edit_settings: permissions.roleAtLeast(role, 'admin')
+    }
+  });
+}
+
+/**
+ * GET /api/status - Stato di colonnine, sessioni e coda di una sede
+ */
+async function getStatus(req, res) {
+  const site = getAllowedSite(req, req.query.site);
+  const status = await queueHandler.getSystemStatus(site.code);
+  
+  res.json({ success: true, data: status });
+}
+
+/**
+ * GET /api/events - Stream (Server-Sent Events) dei cambiamenti delle sedi accessibili
+ */
+function streamEvents(req, res) {
+  const siteCodes = req.dashboardUser.sites.map(site => site.code);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disattiva il buffering dei proxy (es. nginx)
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const listeners = LIVE_EVENTS.map(event => {
+    const listener = eventBus.subscribe(event, data => {
+      if (siteCodes.includes(data.site)) {
+        res.write(`event: change\ndata: ${JSON.stringify({ event, site: data.site })}\n\n`);
+      }
+    });
+    return { event, listener };
+  });
+  
+  const keepAlive = setInterval(() => res.write(': keepalive\n\n'), EVENTS_KEEPALIVE);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    listeners.forEach(({ event, listener }) => eventBus.off(event, listener));
+  });
+}
+
+/**
+ * POST /api/queue/reorder - Riordina la coda di una sede { site, order: [telegram_id, ...] }
+ */
+async function reorderQueue(req, res) {
+  const site = getAllowedSite(req, req.body.site);
+  const order = req.body.order;
+  
+  if (!Array.isArray(order) || !order.every(Number.isInteger)) {
+    throw new ApiError(400, 'order deve essere un elenco di ID Telegram');
+  }
+  
+  try {
+    await queueHandler.reorderQueue(site.code, order, req.dashboardUser.id);
+  } catch (error) {
+    throw new ApiError(409, error.message);
+  }
+  
+  const status = await queueHandler.getSystemStatus(site.code);
+  res.json({ success: true, data: status });
+}
+
+/**
+ * GET /api/penalties - Utenti con punti penalità o sospesi
+ */
+async function getPenalties(req, res) {
+  await penaltySystem.expirePoints();
+  
+  const users = await User.find({ $or: [{ penalty_points: { $gt: 0 } }, { temporarily_banned: true }] })
+    .sort({ penalty_points: -1, username: 1 });
+  const rules = await penaltySystem.getRules();
+    
+  res.json({
+    success: true,
+    data: users.map(user => ({
+      telegram_id: user.telegram_id,
+      username: user.username,
+      penalty_points: user.penalty_points,
+      ban_threshold: rules.ban_threshold,
+      last_penalty_date: user.last_penalty_date,
+      temporarily_banned: user.temporarily_banned,
+      ban_end_date: user.ban_end_date
+    }))
+  });
+}
+
+/**
+ * POST /api/penalties - Imposta i punti penalità di un utente { telegram_id, points, reason }
+ */
+async function adjustPenalty(req, res) {
+  const { telegram_id: telegramId, points, reason } = req.body;
+  
+  if (!Number.isInteger(telegramId)) {
+    throw new ApiError(400, 'telegram_id deve essere un numero');
+  }
+  
+  let user;
+  try {
+    user = await penaltySystem.adjustPenaltyPoints(telegramId, points, req.dashboardUser.id, String(reason || 'Modifica dalla dashboard'));
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      telegram_id: user.telegram_id,
+      penalty_points: user.penalty_points,
+      temporarily_banned: user.temporarily_banned,
+      ban_end_date: user.ban_end_date
+    }
+  });
+}
+
+/**
+ * GET /api/settings - Impostazioni modificabili con valore effettivo e provenienza
+ */
+function getSettings(req, res) {
+  res.json({ success: true, data: settingsManager.list() });
+}
+
+/**
+ * POST /api/settings - Modifica un'impostazione { key, value }, o la ripristina con value null
+ */
+async function updateSetting(req, res) {
+  const { key, value } = req.body;
+  
+  try {
+    if (value === null || value === undefined || value === '') {
+      await settingsManager.reset(key, req.dashboardUser.id);
+    } else {
+      await settingsManager.set(key, value, req.dashboardUser.id);
+    }
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+  
+  res.json({ success: true, data: settingsManager.list() });
+}
+
+/**
+ * GET /api/stats - Statistiche di una sede e utilizzo degli ultimi giorni
+ */
+async function getStats(req, res) {
+  const site = getAllowedSite(req, req.query.site);
+  const [stats, daily] = await Promise.all([
+    queueHandler.getSystemStats(site.code),
+    getDailyUsage(site.code)
+  ]);
+  
+  res.json({ success: true, data: { ...stats, daily } });
+}
+
+/**
+ * Crea il router della dashboard, da montare su /dashboard
+ * @param {Object} bot - Istanza del bot Telegram, per il nome usato dal Login Widget
+ * @returns {Object} - Router Express
+ */
+function createRouter(bot) {
+  const router = express.Router();
+  let botUsername = null;
+  
+  router.use(express.static(path.join(__dirname, '..', 'public', 'dashboard')));
+  
+  router.get('/api/config', asyncRoute(async (req, res) => {
+    if (!botUsername) {
+      botUsername = (await bot.getMe()).username;
+    }
+    res.json({ success: true, data: { bot_username: botUsername } });
+  }));
+  
+  router.post('/api/login', requireJson, asyncRoute(login));
+  router.post('/api/logout', (req, res) => {
+    setSessionCookie(req, res, null);
+    res.json({ success: true });
+  });
+  
+  router.use('/api', authenticate);
+  
+  router.get('/api/me', asyncRoute(getMe));
+  router.get('/api/status', asyncRoute(getStatus));
+  router.get('/api/events', streamEvents);
+  router.post('/api/queue/reorder', requireJson, asyncRoute(reorderQueue));
+  router.get('/api/penalties', requireRole('moderator'), asyncRoute(getPenalties));
+  router.post('/api/penalties', requireJson, requireRole('admin'), asyncRoute(adjustPenalty));
+  router.get('/api/settings', requireRole('admin'), getSettings);
+  router.post('/api/settings', requireJson, requireRole('admin'), asyncRoute(updateSetting));
+  router.get('/api/stats', asyncRoute(getStats));
+  
+  router.use('/api', (req, res, next) => next(new ApiError(404, `Endpoint ${req.method} ${req.path} non trovato`)));
+  router.use(handleError);
+  
+  return router;
+}
+
+module.exports = {
+  verifyTelegramLogin,
+  createRouter
+};
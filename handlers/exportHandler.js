@@ -0,0 +1,259 @@
+/**
+ * Gestore delle esportazioni
+ * Genera file CSV o JSON con sessioni, utenti e penalità di un periodo
+ */
+const Session = require('../models/session');
+const User = require('../models/user');
+const AuditEvent = require('../models/auditEvent');
+const moment = require('moment');
+const logger = require('../utils/logger');
+const settingsManager = require('../utils/settingsManager');
+const permissions = require('../utils/permissions');
+
+// Tipi di dati e formati esportabili
+const EXPORT_TYPES = ['sessions', 'users', 'penalties'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Periodo esportato quando non viene indicata la data di inizio
+const DEFAULT_EXPORT_DAYS = 30;
+
+// Separatore CSV: il punto e virgola è quello atteso da Excel con le impostazioni italiane
+const CSV_SEPARATOR = ';';
+
+/**
+ * Converte una data indicata dall'admin nell'inizio del giorno nel fuso orario italiano (UTC+2)
+ * @param {String} dateStr - Data (GG/MM/AAAA o AAAA-MM-GG)
+ * @returns {Date|null} - Data convertita o null se non valida
+ */
+function parseExportDate(dateStr) {
+  const day = moment.utc(dateStr, ['DD/MM/YYYY', 'D/M/YYYY', 'YYYY-MM-DD'], true);
+  
+  if (!day.isValid()) {
+    return null;
+  }
+  
+  // Mezzanotte italiana riportata in UTC, come in reservationHandler
+  return day.subtract(2, 'hours').toDate();
+}
+
+/**
+ * Formatta una data per il CSV nel fuso orario italiano (UTC+2)
+ * @param {Date} date - Data da formattare
+ * @returns {String} - Data in formato AAAA-MM-GG HH:MM
+ */
+function formatCsvDate(date) {
+  return moment.utc(date).add(2, 'hours').format('YYYY-MM-DD HH:mm');
+}
+
+/**
+ * Converte un elenco di righe in CSV
+ * @param {Array} columns - Nomi delle colonne
+ * @param {Array} rows - Array di oggetti con una proprietà per colonna
+ * @returns {String} - Contenuto CSV
+ */
+function toCsv(columns, rows) {
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatCsvDate(value);
+    
+    const text = String(value);
+    return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [columns.join(CSV_SEPARATOR)];
+  rows.forEach(row => lines.push(columns.map(column => escape(row[column])).join(CSV_SEPARATOR)));
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Riga esportata di una sessione (usata anche dall'API REST)
+ * @param {Object} session - Oggetto sessione
+ * @returns {Object} - Dati della sessione con durate prevista, effettiva e ritardo
+ */
+function toSessionRow(session) {
+  const plannedMinutes = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+  // Per le sessioni attive end_time è ancora la fine prevista
+  const actualMinutes = session.status === 'active'
+    ? null
+    : Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+  
+  return {
+    id: session._id.toString(),
+    telegram_id: session.telegram_id,
+    username: session.username,
+    site: session.site,
+    slot_number: session.slot_number,
+    status: session.status,
+    start_time: session.start_time,
+    end_time: session.end_time,
+    planned_minutes: plannedMinutes,
+    actual_minutes: actualMinutes,
+    overtime_minutes: actualMinutes === null ? null : Math.max(0, actualMinutes - plannedMinutes),
+    extension_minutes: session.extension_minutes || 0,
+    meter_start: session.meter_start,
+    meter_end: session.meter_end,
+    energy_kwh: session.energy_kwh,
+    cost_total: session.priced_at ? session.cost_total : null
+  };
+}
+
+/**
+ * Righe delle sessioni iniziate nel periodo
+ * @param {Date} from - Inizio del periodo
+ * @param {Date} to - Fine del periodo (esclusa)
+ * @returns {Promise<Object>} - Oggetto { columns, rows }
+ */
+async function getSessionRows(from, to) {
+  const sessions = await Session.find({ start_time: { $gte: from, $lt: to } }).sort({ start_time: 1 });
+  const rows = sessions.map(toSessionRow);
+  
+  return {
+    columns: ['id', 'telegram_id', 'username', 'site', 'slot_number', 'status', 'start_time', 'end_time',
+      'planned_minutes', 'actual_minutes', 'overtime_minutes', 'extension_minutes', 'meter_start', 'meter_end', 'energy_kwh', 'cost_total'],
+    rows
+  };
+}
+
+/**
+ * Righe degli utenti con il loro utilizzo nel periodo
+ * @param {Date} from - Inizio del periodo
+ * @param {Date} to - Fine del periodo (esclusa)
+ * @returns {Promise<Object>} - Oggetto { columns, rows }
+ */
+async function getUserRows(from, to) {
+  const users = await User.find().sort({ username: 1 });
+  
+  // Ricariche concluse nel periodo, per la ripartizione dei consumi
+  const usage = await Session.aggregate([
+    { $match: { start_time: { $gte: from, $lt: to }, status: { $ne: 'active' } } },
+    {
+      $group: {
+        _id: '$telegram_id',
+        charges: { $sum: 1 },
+        minutes: { $sum: { $divide: [{ $subtract: ['$end_time', '$start_time'] }, 60000] } },
+        kwh: { $sum: { $ifNull: ['$energy_kwh', 0] } }
+      }
+    }
+  ]);
+  const usageByUser = new Map(usage.map(entry => [entry._id, entry]));
+  
+  const rows = users.map(user => {
+    const periodUsage = usageByUser.get(user.telegram_id);
+    
+    return {
+      telegram_id: user.telegram_id,
+      username: user.username,
+      role: permissions.roleOf(user),
+      default_site: user.default_site,
+      period_charges: periodUsage ? periodUsage.charges : 0,
+      period_minutes: periodUsage ? Math.round(periodUsage.minutes) : 0,
+      period_kwh: periodUsage ? Math.round(periodUsage.kwh * 1000) / 1000 : 0,
+      total_charges: user.total_charges,
+      total_time: user.total_time,
+      last_charge: user.last_charge,
+      penalty_points: user.penalty_points,
+      temporarily_banned: user.temporarily_banned,
+      ban_end_date: user.ban_end_date
+    };
+  });
+  
+  return {
+    columns: ['telegram_id', 'username', 'role', 'default_site', 'period_charges', 'period_minutes', 'period_kwh', 'total_charges',
+      'total_time', 'last_charge', 'penalty_points', 'temporarily_banned', 'ban_end_date'],
+    rows
+  };
+}
+
+/**
+ * Righe delle penalità assegnate nel periodo, ricavate dal registro delle azioni
+ * @param {Date} from - Inizio del periodo
+ * @param {Date} to - Fine del periodo (esclusa)
+ * @returns {Promise<Object>} - Oggetto { columns, rows }
+ */
+async function getPenaltyRows(from, to) {
+  const events = await AuditEvent.find({
+    action: 'penalty_applied',
+    timestamp: { $gte: from, $lt: to }
+  }).sort({ timestamp: 1 });
+  
+  const rows = events.map(event => {
+    const before = event.before || {};
+    const after = event.after || {};
+    
+    return {
+      timestamp: event.timestamp,
+      telegram_id: event.target_id,
+      username: event.target_username,
+      points_added: (after.penalty_points || 0) - (before.penalty_points || 0),
+      points_total: after.penalty_points || 0,
+      banned: !before.temporarily_banned && !!after.temporarily_banned,
+      ban_end_date: after.ban_end_date ? new Date(after.ban_end_date) : null,
+      details: event.details
+    };
+  });
+  
+  return {
+    columns: ['timestamp', 'telegram_id', 'username', 'points_added', 'points_total', 'banned', 'ban_end_date', 'details'],
+    rows
+  };
+}
+
+/**
+ * Genera un file di esportazione
+ * @param {String} type - Tipo di dati ('sessions', 'users' o 'penalties')
+ * @param {Date} from - Inizio del periodo
+ * @param {Date} to - Fine del periodo (esclusa)
+ * @param {String} format - Formato del file ('csv' o 'json')
+ * @returns {Promise<Object>} - Oggetto { filename, contentType, content, count }
+ */
+async function buildExport(type, from, to, format = 'csv') {
+  try {
+    if (!EXPORT_TYPES.includes(type)) {
+      throw new Error(`Tipo di esportazione non valido. Valori ammessi: ${EXPORT_TYPES.join(', ')}.`);
+    }
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Formato non valido. Valori ammessi: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    
+    let data;
+    
+    if (type === 'sessions') {
+      data = await getSessionRows(from, to);
+    } else if (type === 'users') {
+      data = await getUserRows(from, to);
+    } else {
+      data = await getPenaltyRows(from, to);
+    }
+    
+    const period = `${formatCsvDate(from).slice(0, 10)}_${formatCsvDate(new Date(to.getTime() - 1)).slice(0, 10)}`;
+    const filename = `${type}_${period}.${format}`;
+    
+    // Il BOM permette a Excel di riconoscere la codifica UTF-8 del CSV
+    const content = format === 'csv'
+      ? Buffer.from('\uFEFF' + toCsv(data.columns, data.rows), 'utf8')
+      : Buffer.from(JSON.stringify({ type, from, to, rows: data.rows }, null, 2), 'utf8');
+    
+    logger.info(`Built ${type} export with ${data.rows.length} rows (${format})`);
+    
+    return {
+      filename,
+      contentType: format === 'csv' ? 'text/csv' : 'application/json',
+      content,
+      count: data.rows.length
+    };
+  } catch (error) {
+    logger.error(`Error building ${type} export:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_DAYS,
+  parseExportDate,
+  toSessionRow,
+  buildExport
+};
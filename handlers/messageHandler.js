@@ -39,6 +39,15 @@ function init(bot) {
     await commandRouter.routeCommand(bot, msg, command, args);
   });
 
+  // Gestione dei pulsanti delle tastiere inline
+  bot.on('callback_query', async (query) => {
+    try {
+      await commandRouter.routeCallback(bot, query);
+    } catch (error) {
+      logger.error(`Error handling callback query from user ${query.from.id}:`, error);
+    }
+  });
+
   logger.info('Message handlers initialized');
 }
 
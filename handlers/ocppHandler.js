@@ -0,0 +1,415 @@
+/**
+ * Gestore dei messaggi OCPP 1.6J inviati dalle colonnine
+ * Apre, aggiorna e chiude le sessioni in base alle transazioni segnalate dalle colonnine
+ */
+const Session = require('../models/session');
+const User = require('../models/user');
+const Setting = require('../models/setting');
+const sessionHandler = require('./sessionHandler');
+const queueHandler = require('./queueHandler');
+const slotHandler = require('./slotHandler');
+const billingHandler = require('./billingHandler');
+const logger = require('../utils/logger');
+const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
+const penaltySystem = require('../utils/penaltySystem');
+const auditLog = require('../utils/auditLog');
+
+// Intervallo di heartbeat richiesto alle colonnine (secondi)
+const HEARTBEAT_INTERVAL = 300;
+
+// Chiave del contatore degli ID di transazione nella collezione delle impostazioni
+const TRANSACTION_COUNTER_KEY = 'OCPP_TRANSACTION_ID';
+
+// Misura del contatore di energia, usata dalle colonnine quando il campo measurand è assente
+const ENERGY_MEASURAND = 'Energy.Active.Import.Register';
+
+/**
+ * Libera la colonnina su cui l'utente si è collegato se un'altra sessione attiva la occupa
+ * Chi ha indicato quella colonnina con /iniziato senza collegarsi prende lo slot della sessione
+ * che si sta spostando; una sessione con una transazione OCPP in corso non viene spostata
+ * @param {Object} session - Sessione che si sposta sulla colonnina
+ * @param {Object} slot - Colonnina su cui l'utente si è collegato
+ * @returns {Promise<Boolean>} - false se la colonnina è occupata da un'altra transazione
+ */
+async function swapSlotHolder(session, slot) {
+  const other = await Session.findOne({
+    _id: { $ne: session._id },
+    site: slot.site,
+    slot_number: slot.slot_number,
+    status: 'active'
+  });
+  
+  if (!other) {
+    return true;
+  }
+  
+  if (other.ocpp_transaction_id) {
+    return false;
+  }
+  
+  other.slot_number = session.slot_number;
+  await other.save();
+  
+  logger.info(`Session of user ${other.telegram_id} moved from slot ${slot.slot_number} to ${other.slot_number}: user ${session.telegram_id} plugged in there`);
+  
+  await auditLog.record('session_slot_swap', {
+    targetId: other.telegram_id,
+    targetUsername: other.username,
+    site: slot.site,
+    before: { slot_number: slot.slot_number },
+    after: { slot_number: other.slot_number },
+    details: `Colonnina ${slot.slot_number} occupata da @${session.username} con una ricarica OCPP`
+  });
+  
+  return true;
+}
+
+/**
+ * Genera un nuovo ID di transazione OCPP
+ * @returns {Promise<Number>} - ID di transazione
+ */
+async function nextTransactionId() {
+  const counter = await Setting.findOneAndUpdate(
+    { key: TRANSACTION_COUNTER_KEY },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  
+  return counter.value;
+}
+
+/**
+ * Verifica una tessera e restituisce l'utente associato
+ * @param {String} idTag - Codice della tessera
+ * @returns {Promise<Object>} - Oggetto { user, idTagInfo }
+ */
+async function checkIdTag(idTag) {
+  const user = idTag ? await User.findOne({ ocpp_id_tag: idTag }) : null;
+  
+  if (!user) {
+    return { user: null, idTagInfo: { status: 'Invalid' } };
+  }
+  
+  const eligibility = await penaltySystem.checkUserEligibility(user.telegram_id);
+  
+  return { user, idTagInfo: { status: eligibility.eligible ? 'Accepted' : 'Blocked' } };
+}
+
+/**
+ * Estrae l'ultima lettura del contatore di energia da un elenco di MeterValue
+ * @param {Array} meterValues - Array di MeterValue ({ timestamp, sampledValue })
+ * @returns {Number|null} - Lettura in Wh o null se assente
+ */
+function extractEnergyWh(meterValues) {
+  let reading = null;
+  
+  (meterValues || []).forEach(meterValue => {
+    (meterValue.sampledValue || []).forEach(sample => {
+      // Solo il totale della colonnina, non i valori per singola fase
+      if ((sample.measurand || ENERGY_MEASURAND) !== ENERGY_MEASURAND || sample.phase) return;
+      
+      const value = Number(sample.value);
+      if (isNaN(value)) return;
+      
+      reading = sample.unit === 'kWh' ? value * 1000 : value;
+    });
+  });
+  
+  return reading;
+}
+
+/**
+ * Aggiorna lettura finale ed energia di una sessione a partire dal contatore della colonnina
+ * @param {Object} session - Oggetto sessione
+ * @param {Number} meterWh - Lettura del contatore in Wh
+ * @returns {Boolean} - true se la lettura è stata accettata
+ */
+function applyMeterReading(session, meterWh) {
+  const meterEnd = Math.round(meterWh) / 1000;
+  const energy = session.meter_start !== null ? Math.round((meterEnd - session.meter_start) * 1000) / 1000 : null;
+  
+  if (energy === null || energy < 0 || energy > sessionHandler.MAX_SESSION_KWH) {
+    logger.warn(`Ignored OCPP meter reading ${meterWh} Wh for session ${session._id} (meter start ${session.meter_start} kWh)`);
+    return false;
+  }
+  
+  session.meter_end = meterEnd;
+  session.energy_kwh = energy;
+  
+  return true;
+}
+
+/**
+ * Gestisce BootNotification
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - Identificativo della colonnina
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleBootNotification(bot, chargePointId, payload) {
+  logger.info(`OCPP charge point ${chargePointId} booted (${payload.chargePointVendor} ${payload.chargePointModel})`);
+  
+  return {
+    status: 'Accepted',
+    currentTime: new Date().toISOString(),
+    interval: HEARTBEAT_INTERVAL
+  };
+}
+
+/**
+ * Gestisce Heartbeat
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleHeartbeat() {
+  return { currentTime: new Date().toISOString() };
+}
+
+/**
+ * Gestisce StatusNotification
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - Identificativo della colonnina
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleStatusNotification(bot, chargePointId, payload) {
+  if (payload.errorCode && payload.errorCode !== 'NoError') {
+    logger.warn(`OCPP charge point ${chargePointId} connector ${payload.connectorId} reported ${payload.status} (${payload.errorCode})`);
+  } else {
+    logger.info(`OCPP charge point ${chargePointId} connector ${payload.connectorId} is ${payload.status}`);
+  }
+  
+  return {};
+}
+
+/**
+ * Gestisce Authorize
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - Identificativo della colonnina
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleAuthorize(bot, chargePointId, payload) {
+  try {
+    const { idTagInfo } = await checkIdTag(payload.idTag);
+    
+    logger.info(`OCPP authorize of tag ${payload.idTag} on ${chargePointId}: ${idTagInfo.status}`);
+    
+    return { idTagInfo };
+  } catch (error) {
+    logger.error(`Error authorizing OCPP tag ${payload.idTag}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Gestisce StartTransaction: apre una sessione per l'utente della tessera
+ * o collega quella già avviata con /iniziato
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - Identificativo della colonnina
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleStartTransaction(bot, chargePointId, payload) {
+  try {
+    const slot = await slotHandler.getSlotByConnector(chargePointId, payload.connectorId);
+    
+    // OCPP richiede sempre un transactionId: 0 indica una transazione rifiutata
+    if (!slot) {
+      logger.warn(`OCPP transaction on unmapped connector ${chargePointId}:${payload.connectorId} rejected`);
+      return { transactionId: 0, idTagInfo: { status: 'Invalid' } };
+    }
+    
+    const { user, idTagInfo } = await checkIdTag(payload.idTag);
+    
+    if (idTagInfo.status !== 'Accepted') {
+      logger.warn(`OCPP transaction on ${chargePointId}:${payload.connectorId} rejected for tag ${payload.idTag}: ${idTagInfo.status}`);
+      return { transactionId: 0, idTagInfo };
+    }
+    
+    let session = await Session.findOne({ telegram_id: user.telegram_id, status: 'active' });
+    const linked = !!session;
+    
+    if (session && (session.site !== slot.site || session.ocpp_transaction_id)) {
+      logger.warn(`OCPP transaction on ${chargePointId}:${payload.connectorId} rejected: user ${user.telegram_id} already charging`);
+      return { transactionId: 0, idTagInfo: { status: 'ConcurrentTx' } };
+    }
+    
+    if (session) {
+      // L'utente ha già usato /iniziato: la sessione segue la colonnina effettivamente collegata
+      if (session.slot_number !== slot.slot_number) {
+        const swapped = await swapSlotHolder(session, slot);
+        
+        if (!swapped) {
+          logger.warn(`OCPP transaction on ${chargePointId}:${payload.connectorId} rejected: slot ${slot.slot_number} already has a transaction`);
+          return { transactionId: 0, idTagInfo: { status: 'ConcurrentTx' } };
+        }
+      }
+      
+      session.slot_number = slot.slot_number;
+    } else {
+      try {
+        session = await sessionHandler.startSession(user.telegram_id, user.username, null, { slot_number: slot.slot_number }, slot.site);
+      } catch (error) {
+        logger.warn(`OCPP transaction on ${chargePointId}:${payload.connectorId} rejected for user ${user.telegram_id}: ${error.message}`);
+        
+        bot.sendMessage(user.telegram_id,
+          i18n.t(user.language, 'charger.start_rejected', { slot: slot.name, message: i18n.errorMessage(error, user.language) }),
+          { parse_mode: 'Markdown' }).catch(err => logger.warn(`Could not notify user ${user.telegram_id}:`, err.message));
+        
+        return { transactionId: 0, idTagInfo: { status: 'Blocked' } };
+      }
+    }
+    
+    const transactionId = await nextTransactionId();
+    
+    session.ocpp_charge_point_id = chargePointId;
+    session.ocpp_transaction_id = transactionId;
+    session.meter_start = Math.round(payload.meterStart) / 1000;
+    await session.save();
+    
+    logger.info(`OCPP transaction ${transactionId} started on ${chargePointId}:${payload.connectorId} for user ${user.username} (${user.telegram_id})`);
+    
+    await auditLog.record('ocpp_transaction_start', {
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      site: slot.site,
+      after: { transaction_id: transactionId, charge_point: chargePointId, connector_id: payload.connectorId, meter_start: session.meter_start },
+      details: linked ? 'Collegata alla sessione avviata con /iniziato' : 'Sessione avviata dalla colonnina'
+    });
+    
+    if (!linked) {
+      bot.sendMessage(user.telegram_id,
+        `${i18n.t(user.language, 'charger.start_detected')}\n` + formatters.formatSessionStartMessage(session, slot, null, user.language),
+        { parse_mode: 'Markdown' }).catch(err => logger.warn(`Could not notify user ${user.telegram_id}:`, err.message));
+    }
+    
+    return { transactionId, idTagInfo };
+  } catch (error) {
+    logger.error(`Error handling OCPP StartTransaction from ${chargePointId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Gestisce MeterValues: aggiorna l'energia erogata della sessione in corso
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - Identificativo della colonnina
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleMeterValues(bot, chargePointId, payload) {
+  try {
+    // Le letture senza transazione (colonnina a riposo) non riguardano nessuna sessione
+    if (!payload.transactionId) return {};
+    
+    const meterWh = extractEnergyWh(payload.meterValue);
+    if (meterWh === null) return {};
+    
+    const session = await Session.findOne({
+      ocpp_charge_point_id: chargePointId,
+      ocpp_transaction_id: payload.transactionId
+    });
+    
+    if (session && applyMeterReading(session, meterWh)) {
+      await session.save();
+    }
+    
+    return {};
+  } catch (error) {
+    logger.error(`Error handling OCPP MeterValues from ${chargePointId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Gestisce StopTransaction: chiude la sessione e ne registra energia e costo
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - Identificativo della colonnina
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleStopTransaction(bot, chargePointId, payload) {
+  try {
+    let session = await Session.findOne({
+      ocpp_charge_point_id: chargePointId,
+      ocpp_transaction_id: payload.transactionId
+    });
+    
+    if (!session) {
+      logger.warn(`OCPP StopTransaction for unknown transaction ${payload.transactionId} on ${chargePointId}`);
+      return { idTagInfo: { status: 'Accepted' } };
+    }
+    
+    // La sessione può essere già stata chiusa con /terminato o da un amministratore
+    const wasActive = session.status === 'active';
+    let durationMinutes = null;
+    
+    if (wasActive) {
+      const result = await sessionHandler.endSession(session.telegram_id, 'completed', null);
+      session = result.session;
+      durationMinutes = result.durationMinutes;
+    }
+    
+    const before = { meter_end: session.meter_end, energy_kwh: session.energy_kwh };
+    
+    if (payload.transactionData) {
+      const meterWh = extractEnergyWh(payload.transactionData);
+      if (meterWh !== null) applyMeterReading(session, meterWh);
+    }
+    
+    // meterStop è la lettura definitiva e prevale sulle MeterValues
+    applyMeterReading(session, payload.meterStop);
+    
+    // Con i kWh noti il costo va ricalcolato (il salvataggio avviene in priceSession)
+    await billingHandler.priceSession(session);
+    
+    logger.info(`OCPP transaction ${payload.transactionId} stopped on ${chargePointId} (${payload.reason || 'Local'}): ${session.energy_kwh} kWh`);
+    
+    await auditLog.record('ocpp_transaction_stop', {
+      targetId: session.telegram_id,
+      targetUsername: session.username,
+      site: session.site,
+      before,
+      after: { meter_end: session.meter_end, energy_kwh: session.energy_kwh },
+      details: `Transazione ${payload.transactionId}, motivo: ${payload.reason || 'Local'}`
+    });
+    
+    if (wasActive) {
+      const lang = await i18n.getUserLanguage(session.telegram_id);
+      bot.sendMessage(session.telegram_id,
+        `${i18n.t(lang, 'charger.stop_closed')}\n` + formatters.formatSessionEndMessage({ session, durationMinutes }, lang),
+        { parse_mode: 'Markdown' }).catch(err => logger.warn(`Could not notify user ${session.telegram_id}:`, err.message));
+      
+      // Notifica il prossimo utente in coda della stessa sede
+      await queueHandler.notifyNextInQueue(bot, session.site);
+    }
+    
+    return { idTagInfo: { status: 'Accepted' } };
+  } catch (error) {
+    logger.error(`Error handling OCPP StopTransaction from ${chargePointId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Conferma i messaggi informativi che non richiedono azioni
+ * (FirmwareStatusNotification, DiagnosticsStatusNotification)
+ * @returns {Promise<Object>} - Risposta OCPP vuota
+ */
+async function handleAcknowledge() {
+  return {};
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL,
+  extractEnergyWh,
+  handleBootNotification,
+  handleHeartbeat,
+  handleStatusNotification,
+  handleAuthorize,
+  handleStartTransaction,
+  handleMeterValues,
+  handleStopTransaction,
+  handleAcknowledge
+};
@@ -4,23 +4,31 @@
  */
 const Session = require('../models/session');
 const Queue = require('../models/queue');
-const System = require('../models/system');
 const User = require('../models/user');
-const config = require('../config');
+const settingsManager = require('../utils/settingsManager');
 const moment = require('moment');
 const logger = require('../utils/logger');
 const penaltySystem = require('../utils/penaltySystem');
 const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
+const keyboards = require('../utils/keyboards');
+const reservationHandler = require('./reservationHandler');
+const slotHandler = require('./slotHandler');
+const siteHandler = require('./siteHandler');
+const auditLog = require('../utils/auditLog');
+const eventBus = require('../utils/eventBus');
 
 /**
  * Richiede uno slot di ricarica
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} username - Username Telegram dell'utente
+ * @param {Object} preference - Preferenza di slot { slot_number } o { connector_type } (opzionale)
+ * @param {String} siteCode - Codice della sede
  * @returns {Promise<Object>} - Oggetto risultato con stato e messaggio
  */
-async function requestCharge(userId, username) {
+async function requestCharge(userId, username, preference = null, siteCode = siteHandler.DEFAULT_SITE) {
   try {
-    logger.info(`User ${userId} (${username}) requesting a charging slot`);
+    logger.info(`User ${userId} (${username}) requesting a charging slot at site ${siteCode}`);
     
     // Verifica l'idoneità dell'utente (controllo penalità e ban)
     const eligibility = await penaltySystem.checkUserEligibility(userId);
@@ -40,7 +48,7 @@ async function requestCharge(userId, username) {
     
     if (activeSession) {
       logger.info(`User ${userId} already has an active session`);
-      throw new Error('Hai già una sessione di ricarica attiva.');
+      throw new i18n.LocalizedError('errors.session_active');
     }
     
     // Controlla se l'utente è già in coda
@@ -54,21 +62,59 @@ async function requestCharge(userId, username) {
       };
     }
     
-    // Ottieni lo stato del sistema
+    // Ottieni lo stato del sistema della sede (lo inizializza se non esiste)
     logger.info('Getting system status');
-    let system = await System.findOne({ name: 'system' });
-    if (!system) {
-      // Inizializza il sistema se non esiste
-      logger.info('System not found, creating a new one');
-      system = new System();
-      await system.save();
+    const system = await siteHandler.getSystem(siteCode, true);
+    const settings = await siteHandler.getSiteSettings(siteCode);
+    
+    // Se l'orario di una prenotazione anticipata è arrivato, lo slot è già riservato all'utente
+    const activeReservation = await reservationHandler.getActiveReservation(userId);
+    if (activeReservation) {
+      logger.info(`User ${userId} has an active reservation, slot already reserved`);
+      return {
+        slotAvailable: true,
+        message: 'Hai uno slot prenotato. Puoi procedere con la ricarica.',
+        warningMessage: warningMessage
+      };
+    }
+    
+    // Gli slot promessi alle prenotazioni anticipate non sono disponibili per la coda
+    const now = new Date();
+    const blockedSlots = await reservationHandler.countBlockingReservations(
+      now,
+      new Date(now.getTime() + settings.max_charge_time * 60000),
+      userId,
+      siteCode
+    );
+    
+    // La preferenza deve corrispondere ad almeno una colonnina esistente, altrimenti l'utente resterebbe in coda per sempre
+    if (preference) {
+      const slots = await slotHandler.getSlots(siteCode);
+      if (!slots.some(slot => slotHandler.matchesPreference(slot, preference))) {
+        throw new i18n.LocalizedError('errors.no_matching_slot');
+      }
     }
     
+    // Considera solo le colonnine libere compatibili con la preferenza dell'utente
+    const matchingSlots = await slotHandler.getFreeSlots(preference, null, siteCode);
+    const freeSlots = Math.min(system.slots_available - blockedSlots, matchingSlots.length);
+    
     // Controlla se ci sono slot disponibili
-    if (system.slots_available > 0) {
-      logger.info(`Slot available (${system.slots_available}/${system.total_slots})`);
+    if (freeSlots > 0) {
+      logger.info(`Slot available (${freeSlots}/${system.total_slots}, ${blockedSlots} reserved)`);
+      
+      await auditLog.record('charge_request', {
+        actorId: userId,
+        actorUsername: username,
+        targetId: userId,
+        targetUsername: username,
+        site: siteCode,
+        after: { slot_available: true, slot_number: matchingSlots[0].slot_number }
+      });
+      
       return {
         slotAvailable: true,
+        slot: matchingSlots[0],
         message: 'Slot disponibile. Puoi procedere con la ricarica.',
         warningMessage: warningMessage
       };
@@ -80,7 +126,10 @@ async function requestCharge(userId, username) {
       const queueEntry = new Queue({
         telegram_id: userId,
         username,
-        position
+        site: siteCode,
+        position,
+        preferred_slot_number: preference && preference.slot_number ? preference.slot_number : null,
+        preferred_connector_type: preference && preference.connector_type ? preference.connector_type : null
       });
       
       await queueEntry.save();
@@ -91,6 +140,18 @@ async function requestCharge(userId, username) {
       
       logger.info(`User ${userId} added to queue at position ${position}`);
       
+      await auditLog.record('queue_join', {
+        actorId: userId,
+        actorUsername: username,
+        targetId: userId,
+        targetUsername: username,
+        site: siteCode,
+        before: { queue_length: position - 1 },
+        after: { position, queue_length: position }
+      });
+      
+      eventBus.publish(eventBus.EVENTS.QUEUE_CHANGED, { site: siteCode, userId, username, reason: 'joined', position });
+      
       return {
         slotAvailable: false,
         position,
@@ -107,12 +168,13 @@ async function requestCharge(userId, username) {
 
 /**
  * Ottiene gli utenti in coda
+ * @param {String} siteCode - Codice della sede (se omesso, tutte le sedi)
  * @returns {Promise<Array>} - Array di utenti in coda
  */
-async function getQueuedUsers() {
+async function getQueuedUsers(siteCode = null) {
   try {
     logger.info('Getting queued users');
-    return await Queue.find().sort({ position: 1 });
+    return await Queue.find(siteCode ? { site: siteCode } : {}).sort({ position: 1 });
   } catch (error) {
     logger.error(`Error getting queued users: ${error.message}`);
     logger.error(error.stack);
@@ -123,12 +185,13 @@ async function getQueuedUsers() {
 /**
  * Ottiene un utente in coda per posizione
  * @param {Number} position - Posizione in coda
+ * @param {String} siteCode - Codice della sede
  * @returns {Promise<Object|null>} - Oggetto utente in coda o null se non trovato
  */
-async function getUserByPosition(position) {
+async function getUserByPosition(position, siteCode = siteHandler.DEFAULT_SITE) {
   try {
     logger.info(`Getting user at queue position ${position}`);
-    return await Queue.findOne({ position });
+    return await Queue.findOne({ site: siteCode, position });
   } catch (error) {
     logger.error(`Error getting user at position ${position}: ${error.message}`);
     logger.error(error.stack);
@@ -138,12 +201,13 @@ async function getUserByPosition(position) {
 
 /**
  * Ottiene il prossimo utente in coda
+ * @param {String} siteCode - Codice della sede
  * @returns {Promise<Object|null>} - Oggetto utente in coda o null se non ce ne sono
  */
-async function getNextInQueue() {
+async function getNextInQueue(siteCode = siteHandler.DEFAULT_SITE) {
   try {
     logger.info('Getting next user in queue');
-    return await Queue.findOne().sort({ position: 1 });
+    return await Queue.findOne({ site: siteCode }).sort({ position: 1 });
   } catch (error) {
     logger.error(`Error getting next user in queue: ${error.message}`);
     logger.error(error.stack);
@@ -154,9 +218,11 @@ async function getNextInQueue() {
 /**
  * Rimuove un utente dalla coda
  * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} reason - Motivo della rimozione ('cancelled', 'session_started', 'timeout', 'banned', 'admin')
+ * @param {Number} actorId - ID di chi rimuove l'utente, null per il sistema (default: l'utente stesso)
  * @returns {Promise<Object|null>} - Oggetto utente rimosso o null se non trovato
  */
-async function removeFromQueue(userId) {
+async function removeFromQueue(userId, reason = 'cancelled', actorId = userId) {
   try {
     logger.info(`Removing user ${userId} from queue`);
     
@@ -176,13 +242,13 @@ async function removeFromQueue(userId) {
     // Aggiorna le posizioni degli altri utenti in coda
     logger.info(`Updating positions for users after position ${position}`);
     await Queue.updateMany(
-      { position: { $gt: position } },
+      { site: queuedUser.site, position: { $gt: position } },
       { $inc: { position: -1 } }
     );
     
-    // Aggiorna la lunghezza della coda nel sistema
+    // Aggiorna la lunghezza della coda nel sistema della sede
     logger.info('Updating system queue length');
-    const system = await System.findOne({ name: 'system' });
+    const system = await siteHandler.getSystem(queuedUser.site);
     if (system) {
       system.queue_length = Math.max(0, system.queue_length - 1);
       await system.save();
@@ -190,6 +256,18 @@ async function removeFromQueue(userId) {
     
     logger.info(`User ${userId} removed from queue at position ${position}`);
     
+    await auditLog.record('queue_remove', {
+      actorId,
+      targetId: userId,
+      targetUsername: queuedUser.username,
+      site: queuedUser.site,
+      before: { position, slot_reserved: queuedUser.slot_reserved },
+      after: null,
+      details: reason
+    });
+    
+    eventBus.publish(eventBus.EVENTS.QUEUE_CHANGED, { site: queuedUser.site, userId, username: queuedUser.username, reason, position });
+    
     return queuedUser;
   } catch (error) {
     logger.error(`Error removing user ${userId} from queue: ${error.message}`);
@@ -201,25 +279,68 @@ async function removeFromQueue(userId) {
 /**
  * Notifica il prossimo utente in coda
  * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} siteCode - Codice della sede (se omesso, controlla tutte le sedi)
  * @returns {Promise<Object|null>} - Oggetto utente notificato o null se nessuno in coda
  */
-async function notifyNextInQueue(bot) {
+async function notifyNextInQueue(bot, siteCode = null) {
   try {
-    logger.info('Checking for next user in queue to notify');
+    // Senza sede indicata, controlla la coda di ogni sede
+    if (!siteCode) {
+      const sites = await siteHandler.getSites();
+      let notifiedUser = null;
+      
+      for (const site of sites) {
+        const user = await notifyNextInQueue(bot, site.code);
+        notifiedUser = notifiedUser || user;
+      }
+      
+      return notifiedUser;
+    }
+    
+    logger.info(`Checking for next user in queue to notify at site ${siteCode}`);
     
     // Verifica se ci sono slot disponibili
-    const system = await System.findOne({ name: 'system' });
+    const system = await siteHandler.getSystem(siteCode);
     
     if (!system || system.slots_available <= 0) {
       logger.info('No slots available, skipping notification');
       return null;
     }
     
-    // Trova il prossimo utente in coda
-    const nextUser = await getNextInQueue();
+    // Non assegnare alla coda gli slot promessi alle prenotazioni anticipate
+    const settings = await siteHandler.getSiteSettings(siteCode);
+    const now = new Date();
+    const blockedSlots = await reservationHandler.countBlockingReservations(
+      now,
+      new Date(now.getTime() + settings.max_charge_time * 60000),
+      null,
+      siteCode
+    );
+    
+    if (system.slots_available - blockedSlots <= 0) {
+      logger.info(`No free slots after reservations (${blockedSlots} reserved), skipping notification`);
+      return null;
+    }
+    
+    // Trova il primo utente in coda, non ancora notificato, per cui è libera una colonnina compatibile
+    const freeSlots = await slotHandler.getFreeSlots(null, null, siteCode);
+    const waitingUsers = await Queue.find({ site: siteCode, slot_reserved: false }).sort({ position: 1 });
+    
+    let nextUser = null;
+    let assignedSlot = null;
+    
+    for (const queuedUser of waitingUsers) {
+      const preference = getQueuePreference(queuedUser);
+      assignedSlot = freeSlots.find(slot => slotHandler.matchesPreference(slot, preference));
+      
+      if (assignedSlot) {
+        nextUser = queuedUser;
+        break;
+      }
+    }
     
     if (!nextUser) {
-      logger.info('No users in queue');
+      logger.info(waitingUsers.length > 0 ? 'No free slot matches the preferences of queued users' : 'No users in queue');
       return null;
     }
     
@@ -229,45 +350,57 @@ async function notifyNextInQueue(bot) {
       logger.info(`User ${nextUser.username} (${nextUser.telegram_id}) is banned, skipping and removing from queue`);
       
       // Rimuovi l'utente bannato dalla coda
-      await removeFromQueue(nextUser.telegram_id);
+      await removeFromQueue(nextUser.telegram_id, 'banned', null);
       
       // Notifica all'utente che è stato rimosso dalla coda
       if (bot) {
+        const lang = eligibility.user.language;
         bot.sendMessage(
           nextUser.telegram_id,
-          `⚠️ *Sei stato rimosso dalla coda*\n\n` +
-          `Il tuo account è attualmente sospeso fino al ${penaltySystem.formatDate(eligibility.user.ban_end_date)}.\n\n` +
-          `Motivo: troppe penalità accumulate per ritardi eccessivi.`,
+          i18n.t(lang, 'queue.removed_banned', { date: penaltySystem.formatDate(eligibility.user.ban_end_date, lang) }),
           { parse_mode: 'Markdown' }
         );
       }
       
       // Riprova con il prossimo utente
-      return await notifyNextInQueue(bot);
+      return await notifyNextInQueue(bot, siteCode);
     }
     
     // Aggiorna lo stato dell'utente in coda (notificato ma non rimosso)
     nextUser.notified = true;
     nextUser.notification_time = new Date();
     nextUser.slot_reserved = true;
+    nextUser.reserved_slot_number = assignedSlot.slot_number;
     await nextUser.save();
     
-    logger.info(`User ${nextUser.username} (${nextUser.telegram_id}) marked as notified and slot reserved`);
+    logger.info(`User ${nextUser.username} (${nextUser.telegram_id}) marked as notified and slot ${assignedSlot.slot_number} reserved`);
+    
+    eventBus.publish(eventBus.EVENTS.QUEUE_CHANGED, {
+      site: siteCode,
+      userId: nextUser.telegram_id,
+      username: nextUser.username,
+      reason: 'slot_reserved',
+      position: nextUser.position,
+      slotNumber: assignedSlot.slot_number
+    });
     
     // Se il bot è disponibile, invia una notifica
     if (bot) {
       logger.info(`Notifying user ${nextUser.username} (${nextUser.telegram_id}) about available slot`);
       
+      const lang = await i18n.getUserLanguage(nextUser.telegram_id);
       const notificationMessage = formatters.formatNotificationMessage(
         nextUser.username, 
-        nextUser.telegram_id, 
-        config.MAX_CHARGE_TIME
+        nextUser.telegram_id,
+        settings.max_charge_time,
+        assignedSlot,
+        lang
       );
       
       bot.sendMessage(
         nextUser.telegram_id,
         notificationMessage,
-        { parse_mode: 'Markdown' }
+        { parse_mode: 'Markdown', reply_markup: keyboards.slotAvailableKeyboard(siteCode, lang) }
       );
       
       logger.info(`Notified user ${nextUser.username} (${nextUser.telegram_id}) about available slot`);
@@ -304,25 +437,32 @@ async function checkQueueTimeouts(bot) {
     logger.info(`Found ${timedOutUsers.length} users with queue timeout`);
     
     for (const user of timedOutUsers) {
+      // Penalità per il mancato arrivo, se prevista dalle regole
+      const noShow = await penaltySystem.handleNoShow(user.telegram_id);
+      
       // Notifica l'utente che ha perso il suo turno
       if (bot) {
-        bot.sendMessage(
-          user.telegram_id,
-          `⏱️ *Tempo scaduto*\n\n` +
-          `@${user.username}, sono passati più di 5 minuti dalla notifica della disponibilità dello slot di ricarica. ` +
-          `Il tuo turno è stato saltato e lo slot sarà assegnato al prossimo utente in coda.\n\n` +
-          `Se desideri ancora ricaricare, utilizza nuovamente il comando /prenota per metterti in coda.`,
-          { parse_mode: 'Markdown' }
-        );
+        try {
+          const lang = await i18n.getUserLanguage(user.telegram_id);
+          let message = i18n.t(lang, 'queue.turn_expired', { username: user.username });
+          
+          if (noShow) {
+            message += `\n\n${formatters.formatNoShowMessage(noShow, lang)}`;
+          }
+          
+          await bot.sendMessage(user.telegram_id, message, { parse_mode: 'Markdown' });
+        } catch (err) {
+          logger.error(`Error notifying queue timeout to ${user.username}:`, err);
+        }
       }
       
       logger.info(`Queue timeout for user ${user.username} (${user.telegram_id}), removing from queue`);
       
       // Rimuovi l'utente dalla coda
-      await removeFromQueue(user.telegram_id);
+      await removeFromQueue(user.telegram_id, 'timeout', null);
       
-      // Notifica il prossimo utente in coda
-      await notifyNextInQueue(bot);
+      // Notifica il prossimo utente in coda della stessa sede
+      await notifyNextInQueue(bot, user.site);
     }
   } catch (error) {
     logger.error(`Error checking queue timeouts: ${error.message}`);
@@ -331,6 +471,43 @@ async function checkQueueTimeouts(bot) {
   }
 }
 
+/**
+ * Ricava la preferenza di slot di un utente in coda
+ * @param {Object} queueEntry - Voce della coda
+ * @returns {Object|null} - Preferenza { slot_number } o { connector_type }, o null se assente
+ */
+function getQueuePreference(queueEntry) {
+  if (queueEntry.preferred_slot_number) {
+    return { slot_number: queueEntry.preferred_slot_number };
+  }
+  
+  if (queueEntry.preferred_connector_type) {
+    return { connector_type: queueEntry.preferred_connector_type };
+  }
+  
+  return null;
+}
+
+/**
+ * Ottiene lo slot riservato a un utente notificato in coda
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Number|null>} - Numero dello slot riservato o null
+ */
+async function getReservedSlotNumber(userId) {
+  try {
+    const queueEntry = await Queue.findOne({ 
+      telegram_id: userId,
+      slot_reserved: true
+    });
+    
+    return queueEntry ? queueEntry.reserved_slot_number : null;
+  } catch (error) {
+    logger.error(`Error getting reserved slot for user ${userId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
 /**
  * Verifica se l'utente ha uno slot riservato
  * @param {Number} userId - ID Telegram dell'utente
@@ -352,72 +529,99 @@ async function hasReservedSlot(userId) {
 }
 
 /**
- * Ottiene lo stato attuale del sistema
+ * Ottiene lo stato attuale del sistema di una sede
+ * @param {String} siteCode - Codice della sede
  * @returns {Promise<Object>} - Oggetto con lo stato del sistema
  */
-async function getSystemStatus() {
+async function getSystemStatus(siteCode = siteHandler.DEFAULT_SITE) {
   try {
-    logger.info('getSystemStatus: Starting to get system status');
+    logger.info(`getSystemStatus: Starting to get system status for site ${siteCode}`);
+    
+    // Informazioni sulla sede, mostrate solo quando ce n'è più di una
+    const sites = await siteHandler.getSites();
+    const site = sites.find(s => s.code === siteCode);
+    const siteInfo = {
+      site: siteCode,
+      site_name: site ? site.name : siteCode,
+      multi_site: sites.length > 1
+    };
     
     // Ottieni lo stato del sistema
     logger.info('getSystemStatus: Querying system document');
-    const system = await System.findOne({ name: 'system' });
+    const system = await siteHandler.getSystem(siteCode);
     
     if (!system) {
       logger.info('getSystemStatus: System not found, creating new one');
       // Inizializza un nuovo sistema invece di lanciare un errore
-      const newSystem = new System();
-      await newSystem.save();
+      const newSystem = await siteHandler.getSystem(siteCode, true);
       
       logger.info('getSystemStatus: Returning empty status for new system');
       // Restituisci una struttura semplice senza sessioni o code
       return {
+        ...siteInfo,
         total_slots: newSystem.total_slots,
         slots_available: newSystem.slots_available,
         slots_occupied: 0,
         active_sessions: [],
         queue: [],
-        queue_length: 0
+        queue_length: 0,
+        slots: []
       };
     }
     
     logger.info('getSystemStatus: System found, getting active sessions');
     // Ottieni le sessioni attive
-    const activeSessions = await Session.find({ status: 'active' })
+    const activeSessions = await Session.find({ site: siteCode, status: 'active' })
       .sort({ end_time: 1 });
     
     logger.info(`getSystemStatus: Found ${activeSessions.length} active sessions`);
     
+    // Ottieni le colonnine con il relativo stato di occupazione
+    const slots = await slotHandler.getSlots(siteCode);
+    const occupiedSlots = activeSessions.map(session => session.slot_number);
+    const slotsWithStatus = slots.map(slot => ({
+      slot_number: slot.slot_number,
+      name: slot.name,
+      connector_type: slot.connector_type,
+      max_power_kw: slot.max_power_kw,
+      location: slot.location,
+      occupied: occupiedSlots.includes(slot.slot_number)
+    }));
+    
     // Aggiungi informazioni sul tempo rimanente
     const now = new Date();
     const sessionsWithTime = activeSessions.map(session => {
       const remainingTime = Math.max(0, Math.round((new Date(session.end_time) - now) / 60000));
+      const slot = slots.find(s => s.slot_number === session.slot_number);
       return {
         telegram_id: session.telegram_id,
         username: session.username,
         slot_number: session.slot_number,
+        slot_name: slot ? slot.name : null,
         start_time: session.start_time,
         end_time: session.end_time,
         remaining_minutes: remainingTime,
         custom_duration: session.custom_duration || false, // Aggiungi l'informazione sulla durata personalizzata
-        duration_minutes: session.duration_minutes || config.MAX_CHARGE_TIME // Aggiungi la durata effettiva
+        duration_minutes: session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME') // Aggiungi la durata effettiva
       };
     });
     
     logger.info('getSystemStatus: Getting users in queue');
     // Ottieni gli utenti in coda
-    const queuedUsers = await Queue.find().sort({ position: 1 });
+    const queuedUsers = await Queue.find({ site: siteCode }).sort({ position: 1 });
     
     logger.info(`getSystemStatus: Found ${queuedUsers.length} users in queue`);
     logger.info('getSystemStatus: Returning complete status');
     
     return {
+      ...siteInfo,
       total_slots: system.total_slots,
       slots_available: system.slots_available,
       slots_occupied: system.total_slots - system.slots_available,
       active_sessions: sessionsWithTime,
       queue: queuedUsers,
-      queue_length: queuedUsers.length
+      queue_length: queuedUsers.length,
+      slots: slotsWithStatus
     };
   } catch (error) {
     logger.error(`Error in getSystemStatus: ${error.message}`);
@@ -427,25 +631,21 @@ async function getSystemStatus() {
 }
 
 /**
- * Aggiorna il numero massimo di slot del sistema
+ * Aggiorna il numero massimo di slot del sistema di una sede
  * @param {Number} newMaxSlots - Nuovo numero massimo di slot
+ * @param {String} siteCode - Codice della sede
  * @returns {Promise<Object>} - Oggetto sistema aggiornato
  */
-async function updateMaxSlots(newMaxSlots) {
+async function updateMaxSlots(newMaxSlots, siteCode = siteHandler.DEFAULT_SITE) {
   try {
-    logger.info(`Updating max slots to ${newMaxSlots}`);
+    logger.info(`Updating max slots to ${newMaxSlots} for site ${siteCode}`);
     
     if (newMaxSlots < 1) {
       logger.warn(`Invalid max slots value: ${newMaxSlots}`);
       throw new Error('Il numero di slot deve essere almeno 1.');
     }
     
-    let system = await System.findOne({ name: 'system' });
-    
-    if (!system) {
-      logger.info('System not found, creating a new one');
-      system = new System();
-    }
+    const system = await siteHandler.getSystem(siteCode, true);
     
     const oldMaxSlots = system.total_slots;
     system.total_slots = newMaxSlots;
@@ -463,6 +663,9 @@ async function updateMaxSlots(newMaxSlots) {
     await system.save();
     logger.info(`Updated max slots from ${oldMaxSlots} to ${newMaxSlots}`);
     
+    // Allinea le colonnine al nuovo numero di slot
+    await slotHandler.ensureSlots(newMaxSlots, siteCode);
+    
     return system;
   } catch (error) {
     logger.error(`Error updating max slots to ${newMaxSlots}: ${error.message}`);
@@ -474,9 +677,10 @@ async function updateMaxSlots(newMaxSlots) {
 /**
  * Rimuove un utente dalla coda (comando admin)
  * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID dell'amministratore, per verificare che amministri la sede (opzionale)
  * @returns {Promise<Object|null>} - Oggetto utente rimosso o null se non trovato
  */
-async function adminRemoveFromQueue(username) {
+async function adminRemoveFromQueue(username, adminId = null) {
   try {
     logger.info(`Admin removing user ${username} from queue`);
     
@@ -488,8 +692,12 @@ async function adminRemoveFromQueue(username) {
       throw new Error(`Utente @${username} non trovato in coda.`);
     }
     
+    if (adminId !== null && !(await siteHandler.canModerateSite(adminId, queuedUser.site))) {
+      throw new Error('Non sei amministratore della sede di questa coda.');
+    }
+    
     logger.info(`Found user ${username} in queue, removing`);
-    return await removeFromQueue(queuedUser.telegram_id);
+    return await removeFromQueue(queuedUser.telegram_id, 'admin', adminId);
   } catch (error) {
     logger.error(`Error admin removing ${username} from queue: ${error.message}`);
     logger.error(error.stack);
@@ -498,20 +706,70 @@ async function adminRemoveFromQueue(username) {
 }
 
 /**
- * Ottiene statistiche complete del sistema
+ * Riordina la coda di una sede (dashboard web)
+ * @param {String} siteCode - Codice della sede
+ * @param {Array} orderedUserIds - ID Telegram di tutti gli utenti in coda, nel nuovo ordine
+ * @param {Number} adminId - ID dell'amministratore, per verificare che amministri la sede (opzionale)
+ * @returns {Promise<Array>} - Utenti in coda nel nuovo ordine
+ */
+async function reorderQueue(siteCode, orderedUserIds, adminId = null) {
+  try {
+    if (adminId !== null && !(await siteHandler.canModerateSite(adminId, siteCode))) {
+      throw new Error('Non sei amministratore della sede di questa coda.');
+    }
+    
+    const queuedUsers = await Queue.find({ site: siteCode }).sort({ position: 1 });
+    const currentIds = queuedUsers.map(entry => entry.telegram_id);
+    
+    // Il nuovo ordine deve contenere esattamente gli utenti in coda, per non perdere chi è entrato nel frattempo
+    const sameUsers = orderedUserIds.length === currentIds.length &&
+      new Set(orderedUserIds).size === currentIds.length &&
+      orderedUserIds.every(id => currentIds.includes(id));
+    
+    if (!sameUsers) {
+      throw new Error('La coda è cambiata nel frattempo. Aggiorna la pagina e riprova.');
+    }
+    
+    await Queue.bulkWrite(orderedUserIds.map((telegramId, index) => ({
+      updateOne: {
+        filter: { site: siteCode, telegram_id: telegramId },
+        update: { $set: { position: index + 1 } }
+      }
+    })));
+    
+    logger.info(`Queue of site ${siteCode} reordered by admin ${adminId}`);
+    
+    await auditLog.record('queue_reordered', {
+      actorId: adminId,
+      site: siteCode,
+      before: { order: currentIds },
+      after: { order: orderedUserIds }
+    });
+    
+    eventBus.publish(eventBus.EVENTS.QUEUE_CHANGED, { site: siteCode, userId: null, reason: 'reordered' });
+    
+    return await Queue.find({ site: siteCode }).sort({ position: 1 });
+  } catch (error) {
+    logger.error(`Error reordering queue of site ${siteCode}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene statistiche complete del sistema di una sede
+ * @param {String} siteCode - Codice della sede
  * @returns {Promise<Object>} - Oggetto con le statistiche
  */
-async function getSystemStats() {
+async function getSystemStats(siteCode = siteHandler.DEFAULT_SITE) {
   try {
-    logger.info('Getting system statistics');
+    logger.info(`Getting system statistics for site ${siteCode}`);
     
-    const system = await System.findOne({ name: 'system' });
+    const system = await siteHandler.getSystem(siteCode);
     
     if (!system) {
       logger.info('System not found, creating a new one');
       // Crea un nuovo sistema con statistiche di default
-      const newSystem = new System();
-      await newSystem.save();
+      const newSystem = await siteHandler.getSystem(siteCode, true);
       
       logger.info('Returning default statistics for new system');
       return {
@@ -521,6 +779,9 @@ async function getSystemStats() {
         avg_charge_time: 0,
         total_users: 0,
         active_users: 0,
+        total_kwh: 0,
+        kwh_by_user: [],
+        kwh_by_slot: [],
         current_status: {
           slots_available: newSystem.total_slots,
           slots_occupied: 0,
@@ -534,22 +795,42 @@ async function getSystemStats() {
     today.setHours(0, 0, 0, 0);
     
     logger.info('Counting completed sessions');
-    const totalSessions = await Session.countDocuments({ status: { $ne: 'active' } });
+    const totalSessions = await Session.countDocuments({ site: siteCode, status: { $ne: 'active' } });
     const todaySessions = await Session.countDocuments({
+      site: siteCode,
       status: { $ne: 'active' },
       end_time: { $gte: today }
     });
     
     // Calcola tempo medio di ricarica
     logger.info('Calculating average charging time');
-    const completedSessions = await Session.find({ status: { $ne: 'active' } });
+    const completedSessions = await Session.find({ site: siteCode, status: { $ne: 'active' } });
     let totalTime = 0;
     
+    // Energia erogata, per utente e per colonnina (solo le sessioni con kWh indicati)
+    let totalKwh = 0;
+    const kwhByUser = new Map();
+    const kwhBySlot = new Map();
+    
     completedSessions.forEach(session => {
       const startTime = new Date(session.start_time);
       const endTime = new Date(session.end_time);
       const duration = (endTime - startTime) / 60000; // in minuti
       totalTime += duration;
+      
+      if (session.energy_kwh !== null && session.energy_kwh !== undefined) {
+        totalKwh += session.energy_kwh;
+        
+        const userEntry = kwhByUser.get(session.telegram_id) || { telegram_id: session.telegram_id, username: session.username, kwh: 0, sessions: 0 };
+        userEntry.kwh += session.energy_kwh;
+        userEntry.sessions += 1;
+        kwhByUser.set(session.telegram_id, userEntry);
+        
+        const slotEntry = kwhBySlot.get(session.slot_number) || { slot_number: session.slot_number, kwh: 0, sessions: 0 };
+        slotEntry.kwh += session.energy_kwh;
+        slotEntry.sessions += 1;
+        kwhBySlot.set(session.slot_number, slotEntry);
+      }
     });
     
     const avgTime = totalSessions > 0 ? Math.round(totalTime / totalSessions) : 0;
@@ -576,6 +857,9 @@ async function getSystemStats() {
       active_users: activeUsers,
       users_with_penalties: usersWithPenalties,
       banned_users: bannedUsers,
+      total_kwh: totalKwh,
+      kwh_by_user: [...kwhByUser.values()].sort((a, b) => b.kwh - a.kwh),
+      kwh_by_slot: [...kwhBySlot.values()].sort((a, b) => a.slot_number - b.slot_number),
       current_status: {
         slots_available: system.slots_available,
         slots_occupied: system.total_slots - system.slots_available,
@@ -598,8 +882,10 @@ module.exports = {
   notifyNextInQueue,
   checkQueueTimeouts,
   hasReservedSlot,
+  getReservedSlotNumber,
   getSystemStatus,
   updateMaxSlots,
   adminRemoveFromQueue,
+  reorderQueue,
   getSystemStats
 };
@@ -0,0 +1,483 @@
+/**
+ * Gestore delle prenotazioni anticipate
+ * Gestisce la prenotazione di uno slot per una finestra temporale futura
+ */
+const Reservation = require('../models/reservation');
+const Session = require('../models/session');
+const moment = require('moment');
+const logger = require('../utils/logger');
+const penaltySystem = require('../utils/penaltySystem');
+const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
+const siteHandler = require('./siteHandler');
+const slotHandler = require('./slotHandler');
+
+// Minuti a disposizione del prenotante per confermare con /iniziato dopo l'orario di inizio
+const RESERVATION_GRACE_MINUTES = 15;
+
+// Massimo anticipo consentito per una prenotazione
+const MAX_ADVANCE_DAYS = 7;
+
+// Durata massima di una prenotazione (come per /iniziato)
+const MAX_RESERVATION_MINUTES = 480;
+
+/**
+ * Converte data e ora indicate dall'utente in un oggetto Date
+ * Gli orari sono interpretati nel fuso orario italiano (UTC+2), come in formatters.formatTime
+ * @param {String} dateStr - Data (GG/MM/AAAA, GG/MM, "oggi" o "domani")
+ * @param {String} timeStr - Ora (HH:MM)
+ * @returns {Date|null} - Data convertita o null se non valida
+ */
+function parseReservationDateTime(dateStr, timeStr) {
+  const italianNow = moment.utc().add(2, 'hours');
+  let day;
+  
+  const normalizedDate = dateStr.toLowerCase();
+  if (normalizedDate === 'oggi') {
+    day = italianNow.clone();
+  } else if (normalizedDate === 'domani') {
+    day = italianNow.clone().add(1, 'day');
+  } else {
+    day = moment.utc(dateStr, ['DD/MM/YYYY', 'D/M/YYYY'], true);
+    
+    if (!day.isValid()) {
+      // Data senza anno: usa l'anno corrente, o il prossimo se la data è già passata
+      day = moment.utc(dateStr, ['DD/MM', 'D/M'], true);
+      if (!day.isValid()) {
+        return null;
+      }
+      day.year(italianNow.year());
+      if (day.isBefore(italianNow, 'day')) {
+        day.add(1, 'year');
+      }
+    }
+  }
+  
+  const time = moment.utc(timeStr.replace('.', ':'), ['HH:mm', 'H:mm'], true);
+  if (!time.isValid()) {
+    return null;
+  }
+  
+  const italianDateTime = moment.utc({
+    year: day.year(),
+    month: day.month(),
+    date: day.date(),
+    hour: time.hours(),
+    minute: time.minutes()
+  });
+  
+  // Riporta l'orario italiano in UTC
+  return italianDateTime.subtract(2, 'hours').toDate();
+}
+
+/**
+ * Calcola il numero massimo di intervalli sovrapposti all'interno di una finestra
+ * @param {Array} intervals - Array di oggetti { start, end }
+ * @param {Date} windowStart - Inizio della finestra
+ * @param {Date} windowEnd - Fine della finestra
+ * @returns {Number} - Numero massimo di intervalli contemporanei
+ */
+function maxConcurrent(intervals, windowStart, windowEnd) {
+  const events = [];
+  
+  intervals.forEach(interval => {
+    const start = Math.max(new Date(interval.start).getTime(), windowStart.getTime());
+    const end = Math.min(new Date(interval.end).getTime(), windowEnd.getTime());
+    
+    if (start < end) {
+      events.push({ time: start, delta: 1 });
+      events.push({ time: end, delta: -1 });
+    }
+  });
+  
+  // A parità di istante, le chiusure precedono le aperture
+  events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+  
+  let current = 0;
+  let peak = 0;
+  events.forEach(event => {
+    current += event.delta;
+    peak = Math.max(peak, current);
+  });
+  
+  return peak;
+}
+
+/**
+ * Crea una prenotazione anticipata
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} dateStr - Data della prenotazione
+ * @param {String} timeStr - Ora di inizio della prenotazione
+ * @param {Number} durationMinutes - Durata in minuti
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Object>} - Oggetto prenotazione creata
+ */
+async function createReservation(userId, username, dateStr, timeStr, durationMinutes, siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    logger.info(`User ${userId} (${username}) requesting a reservation for ${dateStr} ${timeStr} (${durationMinutes} min)`);
+    
+    // Verifica l'idoneità dell'utente (controllo penalità e ban)
+    const eligibility = await penaltySystem.checkUserEligibility(userId);
+    if (!eligibility.eligible) {
+      throw new Error(eligibility.message);
+    }
+    
+    if (isNaN(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_RESERVATION_MINUTES) {
+      throw new i18n.LocalizedError('errors.reservation_duration', { max: MAX_RESERVATION_MINUTES });
+    }
+    
+    const startTime = parseReservationDateTime(dateStr, timeStr);
+    if (!startTime) {
+      throw new i18n.LocalizedError('errors.reservation_date');
+    }
+    
+    const now = new Date();
+    if (startTime <= now) {
+      throw new i18n.LocalizedError('errors.reservation_past');
+    }
+    
+    const maxAdvance = new Date(now.getTime() + MAX_ADVANCE_DAYS * 24 * 60 * 60000);
+    if (startTime > maxAdvance) {
+      throw new i18n.LocalizedError('errors.reservation_advance', { days: MAX_ADVANCE_DAYS });
+    }
+    
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+    
+    // L'utente non può avere due prenotazioni sovrapposte
+    const ownOverlap = await Reservation.findOne({
+      telegram_id: userId,
+      status: { $in: ['pending', 'notified'] },
+      start_time: { $lt: endTime },
+      end_time: { $gt: startTime }
+    });
+    
+    if (ownOverlap) {
+      throw new i18n.LocalizedError('errors.reservation_overlap', {
+        start: formatters.formatTime(ownOverlap.start_time),
+        end: formatters.formatTime(ownOverlap.end_time),
+        day: formatters.formatDay(ownOverlap.start_time)
+      });
+    }
+    
+    const system = await siteHandler.getSystem(siteCode);
+    if (!system) {
+      throw new i18n.LocalizedError('errors.system_config');
+    }
+    
+    // Raccogli le prenotazioni e le sessioni attive della sede che si sovrappongono alla finestra richiesta
+    const overlappingReservations = await Reservation.find({
+      site: siteCode,
+      status: { $in: ['pending', 'notified'] },
+      start_time: { $lt: endTime },
+      end_time: { $gt: startTime }
+    });
+    
+    const overlappingSessions = await Session.find({
+      site: siteCode,
+      status: 'active',
+      end_time: { $gt: startTime }
+    });
+    
+    const intervals = [
+      ...overlappingReservations.map(r => ({ start: r.start_time, end: r.end_time })),
+      ...overlappingSessions.map(s => ({ start: s.start_time, end: s.end_time }))
+    ];
+    
+    const occupied = maxConcurrent(intervals, startTime, endTime);
+    
+    if (occupied >= system.total_slots) {
+      logger.info(`Reservation rejected for user ${userId}: ${occupied}/${system.total_slots} slots already booked`);
+      throw new i18n.LocalizedError('errors.reservation_full');
+    }
+    
+    const reservation = new Reservation({
+      telegram_id: userId,
+      username,
+      site: siteCode,
+      start_time: startTime,
+      end_time: endTime,
+      duration_minutes: durationMinutes
+    });
+    
+    await reservation.save();
+    
+    logger.info(`Reservation created for user ${username} (${userId}) at site ${siteCode} from ${startTime.toISOString()} to ${endTime.toISOString()}`);
+    
+    return reservation;
+  } catch (error) {
+    logger.error(`Error creating reservation for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le prenotazioni non ancora concluse di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Array>} - Array di prenotazioni ordinate per orario di inizio
+ */
+async function getUserReservations(userId) {
+  try {
+    return await Reservation.find({
+      telegram_id: userId,
+      status: { $in: ['pending', 'notified'] }
+    }).sort({ start_time: 1 });
+  } catch (error) {
+    logger.error(`Error getting reservations for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Annulla una prenotazione di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} index - Posizione (1-based) nella lista delle prenotazioni dell'utente
+ * @returns {Promise<Object|null>} - Prenotazione annullata o null se non trovata
+ */
+async function cancelReservation(userId, index = 1) {
+  try {
+    const reservations = await getUserReservations(userId);
+    const reservation = reservations[index - 1];
+    
+    if (!reservation) {
+      return null;
+    }
+    
+    reservation.status = 'cancelled';
+    await reservation.save();
+    
+    logger.info(`Reservation ${reservation._id} cancelled by user ${userId}`);
+    
+    return reservation;
+  } catch (error) {
+    logger.error(`Error cancelling reservation for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Conta le prenotazioni che bloccano uno slot nella finestra indicata
+ * Usato per evitare di assegnare a chi è in coda uno slot già promesso a un prenotante
+ * @param {Date} windowStart - Inizio della finestra
+ * @param {Date} windowEnd - Fine della finestra
+ * @param {Number} excludeUserId - ID dell'utente le cui prenotazioni vanno ignorate (opzionale)
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Number>} - Numero di prenotazioni bloccanti
+ */
+async function countBlockingReservations(windowStart, windowEnd, excludeUserId = null, siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    const query = {
+      site: siteCode,
+      status: { $in: ['pending', 'notified'] },
+      start_time: { $lt: windowEnd },
+      end_time: { $gt: windowStart }
+    };
+    
+    if (excludeUserId !== null) {
+      query.telegram_id = { $ne: excludeUserId };
+    }
+    
+    const reservations = await Reservation.find(query);
+    return maxConcurrent(
+      reservations.map(r => ({ start: r.start_time, end: r.end_time })),
+      windowStart,
+      windowEnd
+    );
+  } catch (error) {
+    logger.error('Error counting blocking reservations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene la prenotazione per cui l'utente ha già ricevuto lo slot
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object|null>} - Prenotazione notificata o null
+ */
+async function getActiveReservation(userId) {
+  try {
+    return await Reservation.findOne({
+      telegram_id: userId,
+      status: 'notified'
+    });
+  } catch (error) {
+    logger.error(`Error getting active reservation for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Segna una prenotazione come utilizzata
+ * @param {String} reservationId - ID della prenotazione
+ * @param {String} sessionId - ID della sessione avviata
+ * @returns {Promise<Object|null>} - Prenotazione aggiornata
+ */
+async function fulfillReservation(reservationId, sessionId) {
+  try {
+    const reservation = await Reservation.findById(reservationId);
+    
+    if (reservation) {
+      reservation.status = 'fulfilled';
+      reservation.session_id = sessionId;
+      await reservation.save();
+      logger.info(`Reservation ${reservationId} fulfilled with session ${sessionId}`);
+    }
+    
+    return reservation;
+  } catch (error) {
+    logger.error(`Error fulfilling reservation ${reservationId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Assegna lo slot ai prenotanti la cui prenotazione è iniziata
+ * Se alla sede non c'è ancora uno slot libero la prenotazione resta in attesa e viene
+ * ricontrollata al giro successivo; se nel frattempo la fascia è terminata viene annullata
+ * @param {Object} bot - Istanza del bot Telegram
+ * @returns {Promise<Array>} - Prenotazioni notificate
+ */
+async function checkReservationStarts(bot) {
+  try {
+    const now = new Date();
+    
+    const startingReservations = await Reservation.find({
+      status: 'pending',
+      start_time: { $lte: now }
+    }).sort({ start_time: 1 });
+    
+    if (startingReservations.length > 0) {
+      logger.info(`Found ${startingReservations.length} reservations starting now`);
+    }
+    
+    // Slot liberi per sede, al netto di quelli già consegnati ad altre prenotazioni
+    const freeSlotsBySite = {};
+    const handedOver = [];
+    
+    for (const reservation of startingReservations) {
+      if (reservation.end_time <= now) {
+        await expireUnservedReservation(bot, reservation);
+        continue;
+      }
+      
+      if (freeSlotsBySite[reservation.site] === undefined) {
+        const freeSlots = await slotHandler.getFreeSlots(null, null, reservation.site);
+        const heldSlots = await Reservation.countDocuments({ site: reservation.site, status: 'notified' });
+        freeSlotsBySite[reservation.site] = freeSlots.length - heldSlots;
+      }
+      
+      if (freeSlotsBySite[reservation.site] <= 0) {
+        logger.info(`No free slot for reservation ${reservation._id} of ${reservation.username} at site ${reservation.site}, keeping it pending`);
+        continue;
+      }
+      
+      freeSlotsBySite[reservation.site]--;
+      handedOver.push(reservation);
+      
+      reservation.status = 'notified';
+      reservation.notification_time = now;
+      await reservation.save();
+      
+      if (bot) {
+        try {
+          const lang = await i18n.getUserLanguage(reservation.telegram_id);
+          await bot.sendMessage(
+            reservation.telegram_id,
+            formatters.formatReservationStartMessage(reservation, RESERVATION_GRACE_MINUTES, lang),
+            { parse_mode: 'Markdown' }
+          );
+        } catch (err) {
+          logger.error(`Error notifying reservation start to ${reservation.username}:`, err);
+        }
+      }
+      
+      logger.info(`Reservation ${reservation._id} of ${reservation.username} (${reservation.telegram_id}) is starting, slot handed over`);
+    }
+    
+    return handedOver;
+  } catch (error) {
+    logger.error(`Error checking reservation starts: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Annulla una prenotazione la cui fascia è terminata senza che si liberasse uno slot
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} reservation - Prenotazione in attesa
+ */
+async function expireUnservedReservation(bot, reservation) {
+  reservation.status = 'expired';
+  await reservation.save();
+  
+  if (bot) {
+    try {
+      const lang = await i18n.getUserLanguage(reservation.telegram_id);
+      await bot.sendMessage(
+        reservation.telegram_id,
+        i18n.t(lang, 'reservation.unserved', { username: reservation.username }),
+        { parse_mode: 'Markdown' }
+      );
+    } catch (err) {
+      logger.error(`Error notifying unserved reservation to ${reservation.username}:`, err);
+    }
+  }
+  
+  logger.info(`Reservation ${reservation._id} of ${reservation.username} (${reservation.telegram_id}) expired without a free slot`);
+}
+
+/**
+ * Fa scadere le prenotazioni notificate e non confermate entro il tempo limite
+ * @param {Object} bot - Istanza del bot Telegram
+ * @returns {Promise<Array>} - Prenotazioni scadute
+ */
+async function checkReservationTimeouts(bot) {
+  try {
+    const timeoutThreshold = new Date(Date.now() - RESERVATION_GRACE_MINUTES * 60000);
+    
+    const expiredReservations = await Reservation.find({
+      status: 'notified',
+      notification_time: { $lt: timeoutThreshold }
+    });
+    
+    for (const reservation of expiredReservations) {
+      reservation.status = 'expired';
+      await reservation.save();
+      
+      if (bot) {
+        try {
+          const lang = await i18n.getUserLanguage(reservation.telegram_id);
+          await bot.sendMessage(
+            reservation.telegram_id,
+            i18n.t(lang, 'reservation.expired', {
+              username: reservation.username,
+              grace: formatters.formatMinutes(RESERVATION_GRACE_MINUTES, lang)
+            }),
+            { parse_mode: 'Markdown' }
+          );
+        } catch (err) {
+          logger.error(`Error notifying reservation expiry to ${reservation.username}:`, err);
+        }
+      }
+      
+      logger.info(`Reservation ${reservation._id} of ${reservation.username} (${reservation.telegram_id}) expired`);
+    }
+    
+    return expiredReservations;
+  } catch (error) {
+    logger.error(`Error checking reservation timeouts: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  RESERVATION_GRACE_MINUTES,
+  createReservation,
+  getUserReservations,
+  cancelReservation,
+  countBlockingReservations,
+  getActiveReservation,
+  fulfillReservation,
+  checkReservationStarts,
+  checkReservationTimeouts
+};
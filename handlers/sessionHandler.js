@@ -3,25 +3,44 @@
  * Gestisce l'inizio e la fine delle sessioni di ricarica
  */
 const Session = require('../models/session');
-const System = require('../models/system');
 const Queue = require('../models/queue');
 const User = require('../models/user');
 const userHandler = require('./userHandler');
 const queueHandler = require('./queueHandler');
+const reservationHandler = require('./reservationHandler');
+const slotHandler = require('./slotHandler');
+const siteHandler = require('./siteHandler');
+const billingHandler = require('./billingHandler');
+const appealHandler = require('./appealHandler');
 const config = require('../config');
 const moment = require('moment');
 const logger = require('../utils/logger');
 const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
 const penaltySystem = require('../utils/penaltySystem');
+const settingsManager = require('../utils/settingsManager');
+const auditLog = require('../utils/auditLog');
+const eventBus = require('../utils/eventBus');
+
+// Durata massima complessiva di una sessione, estensioni comprese (8 ore)
+const MAX_SESSION_MINUTES = 480;
+
+// Energia massima accettata per una singola ricarica, per scartare letture palesemente errate
+const MAX_SESSION_KWH = 200;
+
+// Ore entro le quali l'utente può indicare i kWh di una ricarica già terminata
+const ENERGY_REPORT_HOURS = 24;
 
 /**
  * Inizia una nuova sessione di ricarica
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} username - Username Telegram dell'utente
  * @param {Number} chargeDuration - Durata personalizzata in minuti (opzionale)
+ * @param {Object} preference - Preferenza di slot { slot_number } o { connector_type } (opzionale)
+ * @param {String} siteCode - Codice della sede (ignorato se l'utente è in coda o ha una prenotazione in un'altra sede)
  * @returns {Promise<Object>} - Oggetto sessione creata
  */
-async function startSession(userId, username, chargeDuration = null) {
+async function startSession(userId, username, chargeDuration = null, preference = null, siteCode = null) {
   try {
     // Verifica l'idoneità dell'utente (controllo ban)
     const eligibility = await penaltySystem.checkUserEligibility(userId);
@@ -36,47 +55,79 @@ async function startSession(userId, username, chargeDuration = null) {
     });
     
     if (existingSession) {
-      throw new Error('Hai già una sessione di ricarica attiva.');
+      throw new i18n.LocalizedError('errors.session_active');
     }
     
+    // La sede è quella della coda o della prenotazione, altrimenti quella indicata
+    siteCode = (await siteHandler.getPendingSite(userId)) || siteCode || siteHandler.DEFAULT_SITE;
+    const settings = await siteHandler.getSiteSettings(siteCode);
+    
     // Verifica se ci sono slot disponibili
-    const system = await System.findOne({ name: 'system' });
+    const system = await siteHandler.getSystem(siteCode);
     
     if (!system) {
-      throw new Error('Errore di sistema. Configurazione non trovata.');
+      throw new i18n.LocalizedError('errors.system_config');
+    }
+    
+    // Verifica se l'utente ha una prenotazione anticipata già iniziata
+    const reservation = await reservationHandler.getActiveReservation(userId);
+    
+    // Se non specificata, la durata è quella prenotata
+    if (reservation && chargeDuration === null) {
+      chargeDuration = reservation.duration_minutes;
     }
     
     // Verifica se l'utente ha uno slot riservato in coda
     const hasReserved = await queueHandler.hasReservedSlot(userId);
+    const reservedSlotNumber = hasReserved ? await queueHandler.getReservedSlotNumber(userId) : null;
     
     if (hasReserved) {
-      // Se l'utente ha uno slot riservato, rimuovilo dalla coda
-      await queueHandler.removeFromQueue(userId);
-      logger.info(`User ${userId} had reserved slot, removed from queue`);
+      // Lo slot è già stato riservato all'utente al momento della notifica
+      logger.info(`User ${userId} has reserved slot ${reservedSlotNumber} in queue`);
+    } else if (reservation) {
+      // Lo slot è stato tenuto libero per la prenotazione, ma una sessione in ritardo potrebbe ancora occuparlo
+      if (system.slots_available <= 0) {
+        throw new i18n.LocalizedError('errors.reserved_slot_busy');
+      }
     } else {
       // Se non ha slot riservato, verifica che ci siano slot disponibili
       if (system.slots_available <= 0) {
-        throw new Error('Non ci sono slot disponibili al momento. Usa /prenota per metterti in coda.');
+        throw new i18n.LocalizedError('errors.no_slots_available');
+      }
+      
+      // Verifica che la ricarica non occupi uno slot promesso a una prenotazione anticipata
+      const plannedEnd = new Date(Date.now() + (chargeDuration || settings.max_charge_time) * 60000);
+      const blockedSlots = await reservationHandler.countBlockingReservations(new Date(), plannedEnd, userId, siteCode);
+      
+      if (system.slots_available - blockedSlots <= 0) {
+        throw new i18n.LocalizedError('errors.slots_reserved');
       }
     }
     
-    // Trova il prossimo slot disponibile
-    const usedSlots = await Session.find({ status: 'active' }).distinct('slot_number');
-    let slotNumber = 1;
+    // Trova lo slot da assegnare: quello riservato in coda, altrimenti il primo libero compatibile con la preferenza
+    const freeSlots = await slotHandler.getFreeSlots(preference, userId, siteCode);
+    const slot = freeSlots.find(s => s.slot_number === reservedSlotNumber) || freeSlots[0];
     
-    while (usedSlots.includes(slotNumber) && slotNumber <= system.total_slots) {
-      slotNumber++;
+    if (!slot) {
+      if (preference) {
+        throw new i18n.LocalizedError('errors.no_matching_free_slot');
+      }
+      throw new i18n.LocalizedError('errors.all_slots_occupied');
     }
     
-    if (slotNumber > system.total_slots) {
-      throw new Error('Tutti gli slot sono occupati.');
+    const slotNumber = slot.slot_number;
+    
+    if (hasReserved) {
+      // Se l'utente aveva uno slot riservato, rimuovilo dalla coda
+      await queueHandler.removeFromQueue(userId, 'session_started');
+      logger.info(`User ${userId} had reserved slot, removed from queue`);
     }
     
     // Calcola il tempo di fine
     const startTime = new Date();
     
     // Usa la durata personalizzata se specificata, altrimenti usa quella di default
-    const actualDuration = chargeDuration || config.MAX_CHARGE_TIME;
+    const actualDuration = chargeDuration || settings.max_charge_time;
     
     const endTime = new Date(startTime.getTime() + actualDuration * 60000);
     
@@ -84,22 +135,40 @@ async function startSession(userId, username, chargeDuration = null) {
     const session = new Session({
       telegram_id: userId,
       username,
+      site: siteCode,
       start_time: startTime,
       end_time: endTime,
       slot_number: slotNumber,
       status: 'active',
       custom_duration: chargeDuration !== null, // Flag per indicare se la durata è personalizzata
-      duration_minutes: actualDuration // Memorizza la durata effettiva
+      duration_minutes: actualDuration, // Memorizza la durata effettiva
+      reservation_id: reservation ? reservation._id : null
     });
     
     await session.save();
     
+    // La prenotazione anticipata è stata utilizzata
+    if (reservation) {
+      await reservationHandler.fulfillReservation(reservation._id, session._id);
+    }
+    
     // Aggiorna lo stato del sistema
     system.slots_available -= 1;
     system.active_sessions.push(session._id);
     await system.save();
     
-    logger.info(`New charging session started for user ${username} (${userId}) in slot ${slotNumber} with duration ${actualDuration} minutes`);
+    logger.info(`New charging session started for user ${username} (${userId}) at site ${siteCode} in slot ${slotNumber} with duration ${actualDuration} minutes`);
+    
+    await auditLog.record('session_start', {
+      actorId: userId,
+      actorUsername: username,
+      targetId: userId,
+      targetUsername: username,
+      site: siteCode,
+      after: { status: 'active', slot_number: slotNumber, end_time: endTime, duration_minutes: actualDuration }
+    });
+    
+    eventBus.publish(eventBus.EVENTS.SESSION_STARTED, { site: siteCode, session });
     
     return session;
   } catch (error) {
@@ -112,9 +181,10 @@ async function startSession(userId, username, chargeDuration = null) {
  * Termina una sessione di ricarica
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} status - Stato finale della sessione ('completed', 'timeout', 'admin_terminated')
+ * @param {Number} actorId - ID di chi termina la sessione, per il registro delle azioni (default: l'utente stesso)
  * @returns {Promise<Object>} - Oggetto sessione aggiornata
  */
-async function endSession(userId, status = 'completed') {
+async function endSession(userId, status = 'completed', actorId = userId) {
   try {
     // Trova la sessione attiva dell'utente
     const session = await Session.findOne({
@@ -123,7 +193,7 @@ async function endSession(userId, status = 'completed') {
     });
     
     if (!session) {
-      throw new Error('Non hai nessuna sessione di ricarica attiva.');
+      throw new i18n.LocalizedError('errors.no_active_session');
     }
     
     // Calcola la durata della sessione in minuti
@@ -131,13 +201,20 @@ async function endSession(userId, status = 'completed') {
     const endTime = new Date();
     const durationMinutes = Math.round((endTime - startTime) / 60000);
     
+    // Fine prevista, comprese le eventuali estensioni (va letta prima di sovrascrivere end_time)
+    const scheduledEndTime = new Date(session.end_time);
+    
+    const before = { status: session.status, end_time: scheduledEndTime };
+    
     // Aggiorna la sessione
     session.status = status;
     session.end_time = endTime;
+    session.extension_pending_minutes = null;
+    session.extension_requested_at = null;
     await session.save();
     
     // Aggiorna lo stato del sistema
-    const system = await System.findOne({ name: 'system' });
+    const system = await siteHandler.getSystem(session.site);
     
     if (system) {
       system.slots_available += 1;
@@ -149,11 +226,10 @@ async function endSession(userId, status = 'completed') {
       await userHandler.updateUserStats(userId, durationMinutes);
       
       // Calcola se c'è stato ritardo
-      const scheduledEndTime = new Date(session.end_time);
       const overdueMinutes = Math.max(0, Math.round((endTime - scheduledEndTime) / 60000));
       
-      // Se c'è stato ritardo e non è stato terminato dall'admin, applica penalità
-      if (overdueMinutes >= 5 && status !== 'admin_terminated') {
+      // Se c'è stato ritardo e non è stato terminato dall'admin, applica penalità (secondo le fasce delle regole)
+      if (overdueMinutes > 0 && status !== 'admin_terminated') {
         await penaltySystem.handleExcessiveOvertime(
           userId, 
           session._id, 
@@ -164,12 +240,27 @@ async function endSession(userId, status = 'completed') {
       }
     }
     
+    // Calcola il costo con le tariffe in vigore
+    await billingHandler.priceSession(session);
+    
     // Aggiungi informazione sulla durata personalizzata nel log
     const durationType = session.custom_duration ? "personalizzata" : "predefinita";
-    const actualDuration = session.duration_minutes || config.MAX_CHARGE_TIME;
+    const actualDuration = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
     
     logger.info(`Charging session ended for user ${session.username} (${userId}) - Duration: ${durationMinutes} minutes, Status: ${status}, Type: ${durationType} (${actualDuration} min)`);
     
+    await auditLog.record('session_end', {
+      actorId,
+      targetId: userId,
+      targetUsername: session.username,
+      site: session.site,
+      before,
+      after: { status, end_time: endTime },
+      details: `Durata effettiva ${durationMinutes} minuti`
+    });
+    
+    eventBus.publish(eventBus.EVENTS.SESSION_ENDED, { site: session.site, session, durationMinutes });
+    
     return {
       session,
       durationMinutes
@@ -180,6 +271,80 @@ async function endSession(userId, status = 'completed') {
   }
 }
 
+/**
+ * Interpreta i kWh indicati dall'utente
+ * Un solo valore è l'energia erogata, due valori sono le letture iniziale e finale del contatore
+ * @param {Array} args - Argomenti del comando (accetta anche la virgola come separatore decimale)
+ * @returns {Object} - Oggetto { meter_start, meter_end, energy_kwh }
+ */
+function parseEnergyReading(args) {
+  const values = args.map(arg => Number(arg.replace(',', '.')));
+  
+  if (values.length < 1 || values.length > 2 || values.some(value => isNaN(value) || value < 0)) {
+    throw new i18n.LocalizedError('errors.energy_invalid');
+  }
+
+  const reading = values.length === 2
+    ? { meter_start: values[0], meter_end: values[1], energy_kwh: values[1] - values[0] }
+    : { meter_start: null, meter_end: null, energy_kwh: values[0] };
+  
+  // Arrotonda al Wh per evitare errori di virgola mobile nella differenza delle letture
+  reading.energy_kwh = Math.round(reading.energy_kwh * 1000) / 1000;
+  
+  if (reading.energy_kwh <= 0 || reading.energy_kwh > MAX_SESSION_KWH) {
+    throw values.length === 2
+      ? new i18n.LocalizedError('errors.meter_order')
+      : new i18n.LocalizedError('errors.energy_range', { max: MAX_SESSION_KWH });
+  }
+
+  return reading;
+}
+
+/**
+ * Registra l'energia erogata nell'ultima ricarica terminata di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Object} reading - Oggetto { meter_start, meter_end, energy_kwh } restituito da parseEnergyReading
+ * @returns {Promise<Object>} - Oggetto sessione aggiornata
+ */
+async function setSessionEnergy(userId, reading) {
+  try {
+    const session = await Session.findOne({
+      telegram_id: userId,
+      status: { $ne: 'active' },
+      end_time: { $gte: new Date(Date.now() - ENERGY_REPORT_HOURS * 60 * 60000) }
+    }).sort({ end_time: -1 });
+    
+    if (!session) {
+      throw new i18n.LocalizedError('errors.no_recent_session', { hours: ENERGY_REPORT_HOURS });
+    }
+    
+    const before = { meter_start: session.meter_start, meter_end: session.meter_end, energy_kwh: session.energy_kwh };
+    
+    session.meter_start = reading.meter_start;
+    session.meter_end = reading.meter_end;
+    session.energy_kwh = reading.energy_kwh;
+    
+    // Con i kWh noti il costo va ricalcolato (il salvataggio avviene in priceSession)
+    await billingHandler.priceSession(session);
+    
+    logger.info(`Recorded ${reading.energy_kwh} kWh for session ${session._id} of user ${session.username} (${userId})`);
+    
+    await auditLog.record('session_energy', {
+      actorId: userId,
+      targetId: userId,
+      targetUsername: session.username,
+      site: session.site,
+      before,
+      after: reading
+    });
+    
+    return session;
+  } catch (error) {
+    logger.error(`Error recording energy for user ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Ottiene tutte le sessioni attive
  * @returns {Promise<Array>} - Array di sessioni attive
@@ -210,23 +375,84 @@ async function getUserActiveSession(userId) {
   }
 }
 
+/**
+ * Ottiene lo storico delle ricariche concluse di un utente, dalla più recente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} pageSize - Sessioni per pagina
+ * @param {Number} page - Numero di pagina, a partire da 1
+ * @returns {Promise<Object>} - Oggetto { entries, total, page, pages } dove ogni voce contiene
+ *   la sessione, la durata prevista ed effettiva, il ritardo, i punti penalità ricevuti e l'eventuale ricorso
+ */
+async function getUserSessionHistory(userId, pageSize = 5, page = 1) {
+  try {
+    const query = { telegram_id: userId, status: { $ne: 'active' } };
+    
+    const total = await Session.countDocuments(query);
+    const pages = Math.max(1, Math.ceil(total / pageSize));
+    const currentPage = Math.min(Math.max(1, page), pages);
+    
+    const sessions = await Session.find(query)
+      .sort({ start_time: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize);
+    
+    // I punti assegnati per ciascuna sessione sono salvati sull'utente
+    const user = await User.findOne({ telegram_id: userId });
+    const penaltySessions = (user && user.penalty_sessions) || {};
+    const appeals = await appealHandler.getAppealsForSessions(sessions.map(session => session._id));
+        
+    const entries = sessions.map((session, position) => {
+      // Alla chiusura end_time diventa la fine effettiva, la durata prevista include le estensioni
+      const plannedMinutes = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+      const actualMinutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+      
+      return {
+        session,
+        index: (currentPage - 1) * pageSize + position + 1,
+        plannedMinutes,
+        actualMinutes,
+        overtimeMinutes: Math.max(0, actualMinutes - plannedMinutes),
+        penaltyPoints: penaltySessions[session._id.toString()] || 0,
+        appeal: appeals[session._id.toString()] || null
+      };
+    });
+    
+    return { entries, total, page: currentPage, pages };
+  } catch (error) {
+    logger.error(`Error getting session history for user ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Ottiene le sessioni in scadenza (per inviare promemoria)
+ * Il preavviso del promemoria dipende dalla sede della sessione
  * @returns {Promise<Array>} - Array di sessioni in scadenza
  */
 async function getExpiringSessions() {
   try {
     const now = new Date();
-    const reminderThreshold = new Date(now.getTime() + config.REMINDER_TIME * 60000);
+    const sites = await siteHandler.getSites();
+    const expiringSessions = [];
     
-    return await Session.find({
-      status: 'active',
-      reminded: false,
-      end_time: { 
-        $gt: now, 
-        $lte: reminderThreshold 
-      }
-    });
+    for (const site of sites) {
+      const settings = await siteHandler.getSiteSettings(site);
+      const reminderThreshold = new Date(now.getTime() + settings.reminder_time * 60000);
+      
+      const sessions = await Session.find({
+        site: site.code,
+        status: 'active',
+        reminded: false,
+        end_time: { 
+          $gt: now, 
+          $lte: reminderThreshold 
+        }
+      });
+      
+      expiringSessions.push(...sessions);
+    }
+    
+    return expiringSessions;
   } catch (error) {
     logger.error('Error getting expiring sessions:', error);
     throw error;
@@ -297,9 +523,10 @@ async function markSessionTimeoutNotified(sessionId) {
 /**
  * Termina una sessione forzatamente (comando admin)
  * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID dell'amministratore, per verificare che amministri la sede (opzionale)
  * @returns {Promise<Object|null>} - Oggetto sessione terminata o null se non trovata
  */
-async function adminTerminateSession(username) {
+async function adminTerminateSession(username, adminId = null) {
   try {
     // Trova l'utente tramite username
     const user = await User.findOne({ username: username.replace('@', '') });
@@ -318,21 +545,219 @@ async function adminTerminateSession(username) {
       throw new Error(`Utente @${username} non ha sessioni attive.`);
     }
     
-    return await endSession(user.telegram_id, 'admin_terminated');
+    if (adminId !== null && !(await siteHandler.canModerateSite(adminId, session.site))) {
+      throw new Error('Non sei amministratore della sede di questa sessione.');
+    }
+    
+    return await endSession(user.telegram_id, 'admin_terminated', adminId);
   } catch (error) {
     logger.error(`Error admin terminating session for ${username}:`, error);
     throw error;
   }
 }
 
+/**
+ * Applica un'estensione a una sessione attiva spostandone la fine prevista
+ * @param {Object} session - Oggetto sessione
+ * @param {Number} minutes - Minuti da aggiungere
+ * @returns {Promise<Object>} - Oggetto sessione aggiornata
+ */
+async function applyExtension(session, minutes) {
+  session.end_time = new Date(new Date(session.end_time).getTime() + minutes * 60000);
+  session.duration_minutes = (session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME')) + minutes;
+  session.custom_duration = true;
+  session.extension_minutes = (session.extension_minutes || 0) + minutes;
+  session.extension_pending_minutes = null;
+  session.extension_requested_at = null;
+  
+  // Promemoria e avviso di scadenza vanno ricalcolati sulla nuova fine
+  session.reminded = false;
+  session.timeout_notified = false;
+  
+  await session.save();
+  
+  logger.info(`Session of user ${session.username} (${session.telegram_id}) extended by ${minutes} minutes, new end ${session.end_time.toISOString()}`);
+  
+  eventBus.publish(eventBus.EVENTS.SESSION_EXTENDED, { site: session.site, session, minutes });
+  
+  return session;
+}
+
+/**
+ * Estende la sessione attiva di un utente
+ * Se nessuno è in coda nella sede l'estensione è applicata subito,
+ * altrimenti resta in attesa di approvazione da parte di un amministratore
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} minutes - Minuti da aggiungere
+ * @returns {Promise<Object>} - Oggetto { status: 'applied'|'pending', session, waiting }
+ */
+async function extendSession(userId, minutes) {
+  try {
+    const session = await Session.findOne({
+      telegram_id: userId,
+      status: 'active'
+    });
+    
+    if (!session) {
+      throw new i18n.LocalizedError('errors.no_active_session');
+    }
+    
+    const currentDuration = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+    
+    if (!Number.isInteger(minutes) || minutes <= 0 || currentDuration + minutes > MAX_SESSION_MINUTES) {
+      throw new i18n.LocalizedError('errors.extension_limit', { minutes: Math.max(0, MAX_SESSION_MINUTES - currentDuration), max: MAX_SESSION_MINUTES });
+    }
+    
+    if (new Date(session.end_time) <= new Date()) {
+      throw new i18n.LocalizedError('errors.session_expired');
+    }
+    
+    if (session.extension_pending_minutes) {
+      throw new i18n.LocalizedError('errors.extension_pending', { minutes: session.extension_pending_minutes });
+    }
+    
+    // Lo slot non può essere trattenuto oltre l'inizio di prenotazioni anticipate che ne hanno bisogno
+    const system = await siteHandler.getSystem(session.site);
+    const newEndTime = new Date(new Date(session.end_time).getTime() + minutes * 60000);
+    const blockedSlots = await reservationHandler.countBlockingReservations(session.end_time, newEndTime, userId, session.site);
+    
+    if (system && blockedSlots > system.slots_available) {
+      throw new i18n.LocalizedError('errors.extension_reserved');
+    }
+    
+    const waiting = await Queue.countDocuments({ site: session.site });
+    
+    if (waiting === 0) {
+      const before = { end_time: session.end_time };
+      await applyExtension(session, minutes);
+      
+      await auditLog.record('session_extend', {
+        actorId: userId,
+        targetId: userId,
+        targetUsername: session.username,
+        site: session.site,
+        before,
+        after: { end_time: session.end_time },
+        details: `Estensione di ${minutes} minuti`
+      });
+      
+      return { status: 'applied', session, waiting };
+    }
+    
+    // Con utenti in attesa serve l'approvazione di un amministratore
+    session.extension_pending_minutes = minutes;
+    session.extension_requested_at = new Date();
+    await session.save();
+    
+    logger.info(`Extension of ${minutes} minutes requested by user ${session.username} (${userId}), ${waiting} users waiting at site ${session.site}`);
+    
+    return { status: 'pending', session, waiting };
+  } catch (error) {
+    logger.error(`Error extending session for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Trova la sessione con un'estensione in attesa per un utente (comando admin)
+ * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID dell'amministratore, per verificare che amministri la sede (opzionale)
+ * @returns {Promise<Object>} - Oggetto sessione
+ */
+async function getPendingExtensionSession(username, adminId = null) {
+  const user = await User.findOne({ username: username.replace('@', '') });
+  
+  if (!user) {
+    throw new Error(`Utente @${username} non trovato.`);
+  }
+  
+  const session = await Session.findOne({
+    telegram_id: user.telegram_id,
+    status: 'active',
+    extension_pending_minutes: { $gt: 0 }
+  });
+  
+  if (!session) {
+    throw new Error(`Utente @${username} non ha richieste di estensione in attesa.`);
+  }
+  
+  if (adminId !== null && !(await siteHandler.canModerateSite(adminId, session.site))) {
+    throw new Error('Non sei amministratore della sede di questa sessione.');
+  }
+  
+  return session;
+}
+
+/**
+ * Approva una richiesta di estensione in attesa (comando admin)
+ * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID dell'amministratore (opzionale)
+ * @returns {Promise<Object>} - Oggetto { session, minutes }
+ */
+async function approveExtension(username, adminId = null) {
+  try {
+    const session = await getPendingExtensionSession(username, adminId);
+    const minutes = session.extension_pending_minutes;
+    const before = { end_time: session.end_time };
+    
+    await applyExtension(session, minutes);
+    
+    await auditLog.record('session_extend', {
+      actorId: adminId,
+      targetId: session.telegram_id,
+      targetUsername: session.username,
+      site: session.site,
+      before,
+      after: { end_time: session.end_time },
+      details: `Estensione di ${minutes} minuti approvata`
+    });
+    
+    return { session, minutes };
+  } catch (error) {
+    logger.error(`Error approving extension for ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Rifiuta una richiesta di estensione in attesa (comando admin)
+ * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID dell'amministratore (opzionale)
+ * @returns {Promise<Object>} - Oggetto { session, minutes }
+ */
+async function rejectExtension(username, adminId = null) {
+  try {
+    const session = await getPendingExtensionSession(username, adminId);
+    const minutes = session.extension_pending_minutes;
+    
+    session.extension_pending_minutes = null;
+    session.extension_requested_at = null;
+    await session.save();
+    
+    logger.info(`Extension of ${minutes} minutes rejected for user ${session.username} (${session.telegram_id})`);
+    
+    return { session, minutes };
+  } catch (error) {
+    logger.error(`Error rejecting extension for ${username}:`, error);
+    throw error;
+  }
+}
+
 module.exports = {
+  MAX_SESSION_KWH,
   startSession,
   endSession,
   getActiveSessions,
   getUserActiveSession,
+  getUserSessionHistory,
   getExpiringSessions,
   getExpiredSessions,
   markSessionReminded,
   markSessionTimeoutNotified,
-  adminTerminateSession
+  adminTerminateSession,
+  parseEnergyReading,
+  setSessionEnergy,
+  extendSession,
+  approveExtension,
+  rejectExtension
 };
@@ -0,0 +1,498 @@
+/**
+ * Gestore delle sedi
+ * Gestisce le sedi di ricarica, le relative impostazioni e la sede scelta da ogni utente
+ */
+const Site = require('../models/site');
+const System = require('../models/system');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const Slot = require('../models/slot');
+const Reservation = require('../models/reservation');
+const logger = require('../utils/logger');
+const settingsManager = require('../utils/settingsManager');
+const permissions = require('../utils/permissions');
+const i18n = require('../utils/i18n');
+
+// Codice della sede predefinita, usata anche per i dati precedenti all'introduzione delle sedi
+const DEFAULT_SITE = 'default';
+
+/**
+ * Ottiene il nome del documento System di una sede
+ * La sede predefinita mantiene il documento storico "system"
+ * @param {String} siteCode - Codice della sede
+ * @returns {String} - Nome del documento System
+ */
+function getSystemName(siteCode = DEFAULT_SITE) {
+  return siteCode === DEFAULT_SITE ? 'system' : `system_${siteCode}`;
+}
+
+/**
+ * Ottiene il documento System di una sede
+ * @param {String} siteCode - Codice della sede
+ * @param {Boolean} create - Se true, crea il documento quando non esiste
+ * @returns {Promise<Object|null>} - Documento System o null se non trovato
+ */
+async function getSystem(siteCode = DEFAULT_SITE, create = false) {
+  try {
+    let system = await System.findOne({ name: getSystemName(siteCode) });
+    
+    if (!system && create) {
+      logger.info(`System for site ${siteCode} not found, creating a new one`);
+      system = new System({ name: getSystemName(siteCode) });
+      await system.save();
+    }
+    
+    return system;
+  } catch (error) {
+    logger.error(`Error getting system for site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene la sede predefinita, creandola se non esiste
+ * @returns {Promise<Object>} - Sede predefinita
+ */
+async function getDefaultSite() {
+  try {
+    let site = await Site.findOne({ code: DEFAULT_SITE });
+    
+    if (!site) {
+      site = new Site({
+        code: DEFAULT_SITE,
+        name: 'Sede principale',
+        is_default: true
+      });
+      await site.save();
+      logger.info('Default site created');
+    }
+    
+    return site;
+  } catch (error) {
+    logger.error('Error getting default site:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene una sede per codice
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Object|null>} - Sede o null se non trovata
+ */
+async function getSite(siteCode) {
+  try {
+    if (!siteCode) return null;
+    
+    if (siteCode === DEFAULT_SITE) {
+      return await getDefaultSite();
+    }
+    
+    return await Site.findOne({ code: siteCode.toLowerCase(), active: true });
+  } catch (error) {
+    logger.error(`Error getting site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene tutte le sedi attive
+ * @returns {Promise<Array>} - Array di sedi, con la predefinita per prima
+ */
+async function getSites() {
+  try {
+    await getDefaultSite();
+    return await Site.find({ active: true }).sort({ is_default: -1, code: 1 });
+  } catch (error) {
+    logger.error('Error getting sites:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le impostazioni effettive di una sede
+ * I valori non impostati sulla sede ricadono sulla configurazione globale
+ * @param {String|Object} site - Codice della sede o oggetto sede
+ * @returns {Promise<Object>} - Oggetto { max_charge_time, reminder_time }
+ */
+async function getSiteSettings(site = DEFAULT_SITE) {
+  try {
+    const siteDoc = typeof site === 'string' ? await getSite(site) : site;
+    
+    return {
+      max_charge_time: (siteDoc && siteDoc.max_charge_time) || settingsManager.get('MAX_CHARGE_TIME'),
+      reminder_time: (siteDoc && siteDoc.reminder_time) || settingsManager.get('REMINDER_TIME')
+    };
+  } catch (error) {
+    logger.error('Error getting site settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Separa l'eventuale sede dagli altri argomenti di un comando
+ * Sono accettati "sede:codice" oppure direttamente il codice di una sede esistente
+ * @param {Array} args - Argomenti del comando
+ * @returns {Promise<Object>} - Oggetto { siteCode, otherArgs }
+ */
+async function extractSiteArg(args) {
+  let siteCode = null;
+  const otherArgs = [];
+  
+  const sites = await getSites();
+  const siteCodes = sites.map(site => site.code);
+  
+  for (const arg of args) {
+    const explicitMatch = arg.match(/^sede:(.+)$/i);
+    
+    if (!siteCode && explicitMatch) {
+      const code = explicitMatch[1].toLowerCase();
+      if (!siteCodes.includes(code)) {
+        throw new i18n.LocalizedError('errors.site_not_found', { code: explicitMatch[1] });
+      }
+      siteCode = code;
+    } else if (!siteCode && siteCodes.includes(arg.toLowerCase())) {
+      siteCode = arg.toLowerCase();
+    } else {
+      otherArgs.push(arg);
+    }
+  }
+  
+  return { siteCode, otherArgs };
+}
+
+/**
+ * Determina la sede di un comando: quella indicata negli argomenti,
+ * altrimenti quella scelta dall'utente, altrimenti la sede predefinita
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Array} args - Argomenti del comando
+ * @returns {Promise<Object>} - Oggetto { site, otherArgs }
+ */
+async function resolveSite(userId, args = []) {
+  try {
+    const { siteCode, otherArgs } = await extractSiteArg(args);
+    
+    if (siteCode) {
+      return { site: await getSite(siteCode), otherArgs };
+    }
+    
+    const user = await User.findOne({ telegram_id: userId });
+    if (user && user.default_site) {
+      const site = await getSite(user.default_site);
+      if (site) {
+        return { site, otherArgs };
+      }
+    }
+    
+    return { site: await getDefaultSite(), otherArgs };
+  } catch (error) {
+    logger.error(`Error resolving site for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene la sede in cui l'utente è in attesa di iniziare la ricarica
+ * (coda o prenotazione anticipata già iniziata)
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<String|null>} - Codice della sede o null
+ */
+async function getPendingSite(userId) {
+  try {
+    const queueEntry = await Queue.findOne({ telegram_id: userId });
+    if (queueEntry) {
+      return queueEntry.site || DEFAULT_SITE;
+    }
+    
+    const reservation = await Reservation.findOne({ telegram_id: userId, status: 'notified' });
+    if (reservation) {
+      return reservation.site || DEFAULT_SITE;
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error(`Error getting pending site for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Imposta la sede predefinita di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Object>} - Sede impostata
+ */
+async function setUserSite(userId, siteCode) {
+  try {
+    const site = await getSite(siteCode);
+    
+    if (!site) {
+      throw new i18n.LocalizedError('errors.site_not_found', { code: siteCode });
+    }
+    
+    const user = await User.findOne({ telegram_id: userId });
+    if (!user) {
+      throw new i18n.LocalizedError('errors.not_registered');
+    }
+    
+    user.default_site = site.code;
+    await user.save();
+    
+    logger.info(`User ${userId} set default site to ${site.code}`);
+    
+    return site;
+  } catch (error) {
+    logger.error(`Error setting site ${siteCode} for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Crea una nuova sede (comando admin)
+ * @param {String} siteCode - Codice della sede (lettere minuscole, numeri, trattini; inizia con una lettera)
+ * @param {String} name - Nome della sede
+ * @returns {Promise<Object>} - Sede creata
+ */
+async function createSite(siteCode, name) {
+  try {
+    const code = (siteCode || '').toLowerCase();
+    
+    if (!/^[a-z][a-z0-9-]{1,19}$/.test(code) || code === DEFAULT_SITE) {
+      throw new Error('Codice sede non valido. Usa da 2 a 20 caratteri tra lettere, numeri e trattini, iniziando con una lettera.');
+    }
+    
+    const existing = await Site.findOne({ code });
+    if (existing && existing.active) {
+      throw new Error(`La sede "${code}" esiste già.`);
+    }
+    
+    let site = existing;
+    if (site) {
+      site.active = true;
+      site.name = name;
+    } else {
+      site = new Site({ code, name });
+    }
+    await site.save();
+    
+    // Crea il documento System della sede
+    await getSystem(code, true);
+    
+    logger.info(`Site ${code} (${name}) created`);
+    
+    return site;
+  } catch (error) {
+    logger.error(`Error creating site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Aggiorna una proprietà di una sede (comando admin)
+ * @param {String} siteCode - Codice della sede
+ * @param {String} field - Proprietà da aggiornare (nome, tempo, promemoria)
+ * @param {String} value - Nuovo valore
+ * @returns {Promise<Object>} - Sede aggiornata
+ */
+async function updateSite(siteCode, field, value) {
+  try {
+    const site = await getSite(siteCode);
+    
+    if (!site) {
+      throw new Error(`Sede "${siteCode}" non trovata.`);
+    }
+    
+    switch (field) {
+      case 'nome':
+        if (!value) throw new Error('Il nome non può essere vuoto.');
+        site.name = value;
+        break;
+      case 'tempo': {
+        const minutes = parseInt(value);
+        if (isNaN(minutes) || minutes < 1 || minutes > 120) {
+          throw new Error('Il tempo di ricarica deve essere tra 1 e 120 minuti.');
+        }
+        site.max_charge_time = minutes;
+        break;
+      }
+      case 'promemoria': {
+        const minutes = parseInt(value);
+        if (isNaN(minutes) || minutes < 1 || minutes > 30) {
+          throw new Error('Il tempo di promemoria deve essere tra 1 e 30 minuti.');
+        }
+        site.reminder_time = minutes;
+        break;
+      }
+      default:
+        throw new Error('Proprietà non valida. Usa: nome, tempo, promemoria.');
+    }
+    
+    await site.save();
+    logger.info(`Site ${site.code} updated: ${field} = ${value}`);
+    
+    return site;
+  } catch (error) {
+    logger.error(`Error updating site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Aggiunge o rimuove un amministratore di sede (comando admin)
+ * @param {String} siteCode - Codice della sede
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Boolean} add - true per aggiungere, false per rimuovere
+ * @returns {Promise<Object>} - Sede aggiornata
+ */
+async function setSiteAdmin(siteCode, adminId, add = true) {
+  try {
+    const site = await getSite(siteCode);
+    
+    if (!site) {
+      throw new Error(`Sede "${siteCode}" non trovata.`);
+    }
+    
+    if (add) {
+      if (!site.admin_ids.includes(adminId)) {
+        site.admin_ids.push(adminId);
+      }
+    } else {
+      site.admin_ids = site.admin_ids.filter(id => id !== adminId);
+    }
+    
+    await site.save();
+    logger.info(`Site ${site.code}: admin ${adminId} ${add ? 'added' : 'removed'}`);
+    
+    return site;
+  } catch (error) {
+    logger.error(`Error updating admins of site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se un utente è amministratore di una sede
+ * Gli utenti con ruolo admin sono amministratori di tutte le sedi
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} siteCode - Codice della sede (se omesso, verifica se amministra almeno una sede)
+ * @returns {Promise<Boolean>} - true se l'utente amministra la sede
+ */
+async function isSiteAdmin(userId, siteCode = null) {
+  try {
+    if (await permissions.hasRole(userId, 'admin')) return true;
+    
+    const query = { active: true, admin_ids: userId };
+    if (siteCode) {
+      query.code = siteCode;
+    }
+    
+    return (await Site.countDocuments(query)) > 0;
+  } catch (error) {
+    logger.error(`Error checking site admin ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se un utente può moderare una sede: i moderatori e gli admin
+ * possono farlo in tutte le sedi, gli amministratori di sede solo nelle proprie
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Boolean>} - true se l'utente può moderare la sede
+ */
+async function canModerateSite(userId, siteCode) {
+  if (await permissions.hasRole(userId, 'moderator')) return true;
+  return await isSiteAdmin(userId, siteCode);
+}
+
+/**
+ * Determina la sede di un comando admin e verifica che l'utente la amministri
+ * @param {Number} userId - ID Telegram dell'amministratore
+ * @param {Array} args - Argomenti del comando
+ * @param {Boolean} allowModerator - Se true basta il ruolo di moderatore (comandi di sola consultazione)
+ * @returns {Promise<Object>} - Oggetto { site, otherArgs }
+ */
+async function resolveAdminSite(userId, args = [], allowModerator = false) {
+  try {
+    const { siteCode, otherArgs } = await extractSiteArg(args);
+    const minRole = allowModerator ? 'moderator' : 'admin';
+    let site = null;
+    
+    if (siteCode) {
+      site = await getSite(siteCode);
+    } else if (await permissions.hasRole(userId, minRole)) {
+      site = (await resolveSite(userId)).site;
+    } else {
+      // Per un amministratore di sede, la sede predefinita è la prima che amministra
+      site = await Site.findOne({ active: true, admin_ids: userId }).sort({ is_default: -1, code: 1 });
+    }
+    
+    const allowed = allowModerator ? await canModerateSite(userId, site && site.code) : await isSiteAdmin(userId, site && site.code);
+    
+    if (!site || !allowed) {
+      throw new Error('Non sei amministratore di questa sede.');
+    }
+    
+    return { site, otherArgs };
+  } catch (error) {
+    logger.error(`Error resolving admin site for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Assegna la sede predefinita ai dati creati prima dell'introduzione delle sedi
+ * @returns {Promise<void>}
+ */
+async function migrateToSites() {
+  try {
+    await getDefaultSite();
+    
+    const missing = { site: { $exists: false } };
+    const update = { $set: { site: DEFAULT_SITE } };
+    
+    const results = await Promise.all([
+      Session.updateMany(missing, update),
+      Queue.updateMany(missing, update),
+      Slot.updateMany(missing, update),
+      Reservation.updateMany(missing, update)
+    ]);
+    
+    const migrated = results.reduce((total, result) => total + (result.modifiedCount || 0), 0);
+    if (migrated > 0) {
+      logger.info(`Assigned ${migrated} documents to the default site`);
+    }
+    
+    // Il numero di slot ora è unico solo all'interno della sede
+    try {
+      await Slot.collection.dropIndex('slot_number_1');
+      logger.info('Dropped legacy unique index on slot_number');
+    } catch (err) {
+      // L'indice non esiste più, niente da fare
+    }
+  } catch (error) {
+    logger.error('Error migrating data to sites:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_SITE,
+  getSystemName,
+  getSystem,
+  getDefaultSite,
+  getSite,
+  getSites,
+  getSiteSettings,
+  extractSiteArg,
+  resolveSite,
+  getPendingSite,
+  setUserSite,
+  createSite,
+  updateSite,
+  setSiteAdmin,
+  isSiteAdmin,
+  canModerateSite,
+  resolveAdminSite,
+  migrateToSites
+};
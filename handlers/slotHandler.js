@@ -0,0 +1,300 @@
+/**
+ * Gestore delle colonnine
+ * Gestisce identità, caratteristiche e disponibilità dei singoli slot
+ */
+const Slot = require('../models/slot');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const logger = require('../utils/logger');
+const siteHandler = require('./siteHandler');
+
+// Nomi alternativi accettati per i tipi di connettore
+const CONNECTOR_ALIASES = {
+  'type2': 'Type 2',
+  'tipo2': 'Type 2',
+  't2': 'Type 2',
+  'ccs': 'CCS',
+  'ccs2': 'CCS',
+  'schuko': 'Schuko'
+};
+
+/**
+ * Normalizza il nome di un tipo di connettore
+ * @param {String} value - Nome indicato dall'utente (es. "type2", "CCS")
+ * @returns {String|null} - Tipo di connettore o null se non riconosciuto
+ */
+function normalizeConnectorType(value) {
+  if (!value) return null;
+  const key = value.toLowerCase().replace(/[\s_-]/g, '');
+  return CONNECTOR_ALIASES[key] || null;
+}
+
+/**
+ * Crea i documenti Slot mancanti fino al numero totale di slot della sede
+ * e disattiva quelli in eccesso
+ * @param {Number} totalSlots - Numero totale di slot configurati
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Array>} - Array degli slot attivi
+ */
+async function ensureSlots(totalSlots, siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    const existing = await Slot.find({ site: siteCode });
+    const existingNumbers = existing.map(slot => slot.slot_number);
+    
+    for (let slotNumber = 1; slotNumber <= totalSlots; slotNumber++) {
+      if (!existingNumbers.includes(slotNumber)) {
+        await Slot.create({
+          site: siteCode,
+          slot_number: slotNumber,
+          name: `Colonnina ${slotNumber}`
+        });
+        logger.info(`Created slot ${slotNumber} for site ${siteCode}`);
+      }
+    }
+    
+    // Riattiva gli slot entro il totale e disattiva quelli oltre
+    await Slot.updateMany({ site: siteCode, slot_number: { $lte: totalSlots }, active: false }, { $set: { active: true } });
+    await Slot.updateMany({ site: siteCode, slot_number: { $gt: totalSlots }, active: true }, { $set: { active: false } });
+    
+    return await Slot.find({ site: siteCode, active: true }).sort({ slot_number: 1 });
+  } catch (error) {
+    logger.error(`Error ensuring slots (${totalSlots}) for site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene gli slot attivi di una sede
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Array>} - Array di slot ordinati per numero
+ */
+async function getSlots(siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    const slots = await Slot.find({ site: siteCode, active: true }).sort({ slot_number: 1 });
+    
+    // Al primo utilizzo crea gli slot a partire dalla configurazione del sistema della sede
+    if (slots.length === 0) {
+      const system = await siteHandler.getSystem(siteCode);
+      if (system) {
+        logger.info(`No slots found for site ${siteCode}, creating ${system.total_slots} default slots`);
+        return await ensureSlots(system.total_slots, siteCode);
+      }
+    }
+    
+    return slots;
+  } catch (error) {
+    logger.error(`Error getting slots for site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene uno slot per numero
+ * @param {Number} slotNumber - Numero dello slot
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Object|null>} - Oggetto slot o null se non trovato
+ */
+async function getSlot(slotNumber, siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    return await Slot.findOne({ site: siteCode, slot_number: slotNumber });
+  } catch (error) {
+    logger.error(`Error getting slot ${slotNumber} for site ${siteCode}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene lo slot collegato a un connettore di una colonnina OCPP
+ * @param {String} chargePointId - Identificativo della colonnina OCPP
+ * @param {Number} connectorId - Numero del connettore
+ * @returns {Promise<Object|null>} - Oggetto slot o null se il connettore non è associato
+ */
+async function getSlotByConnector(chargePointId, connectorId) {
+  try {
+    return await Slot.findOne({
+      ocpp_charge_point_id: chargePointId,
+      ocpp_connector_id: connectorId,
+      active: true
+    });
+  } catch (error) {
+    logger.error(`Error getting slot for OCPP connector ${chargePointId}:${connectorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Interpreta gli argomenti di un comando separando la preferenza di slot dagli altri argomenti
+ * Sono accettati "#2" o "slot2" per uno slot specifico, il tipo di connettore (type2, ccs, schuko)
+ * oppure il nome di una colonnina
+ * @param {Array} args - Argomenti del comando
+ * @param {String} siteCode - Codice della sede in cui cercare le colonnine per nome
+ * @returns {Promise<Object>} - Oggetto { preference, otherArgs }
+ */
+async function parsePreference(args, siteCode = siteHandler.DEFAULT_SITE) {
+  let preference = null;
+  const otherArgs = [];
+  
+  for (const arg of args) {
+    const slotMatch = arg.match(/^(?:#|slot)(\d+)$/i);
+    const connectorType = normalizeConnectorType(arg);
+    
+    if (!preference && slotMatch) {
+      preference = { slot_number: parseInt(slotMatch[1]) };
+    } else if (!preference && connectorType) {
+      preference = { connector_type: connectorType };
+    } else if (!preference && isNaN(parseFloat(arg))) {
+      // Prova a interpretare l'argomento come nome di una colonnina
+      const escaped = arg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const slot = await Slot.findOne({ site: siteCode, active: true, name: new RegExp(`^${escaped}$`, 'i') });
+      
+      if (slot) {
+        preference = { slot_number: slot.slot_number };
+      } else {
+        otherArgs.push(arg);
+      }
+    } else {
+      otherArgs.push(arg);
+    }
+  }
+  
+  return { preference, otherArgs };
+}
+
+/**
+ * Verifica se uno slot soddisfa una preferenza
+ * @param {Object} slot - Oggetto slot
+ * @param {Object} preference - Preferenza { slot_number } o { connector_type } (opzionale)
+ * @returns {Boolean} - true se lo slot è compatibile
+ */
+function matchesPreference(slot, preference) {
+  if (!preference) return true;
+  
+  if (preference.slot_number) {
+    return slot.slot_number === preference.slot_number;
+  }
+  
+  if (preference.connector_type) {
+    return slot.connector_type === preference.connector_type;
+  }
+  
+  return true;
+}
+
+/**
+ * Ottiene gli slot liberi, esclusi quelli occupati da sessioni attive
+ * e quelli già riservati a utenti in coda notificati
+ * @param {Object} preference - Preferenza di slot (opzionale)
+ * @param {Number} excludeUserId - Utente le cui riserve in coda non vanno escluse (opzionale)
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Array>} - Array di slot liberi compatibili con la preferenza
+ */
+async function getFreeSlots(preference = null, excludeUserId = null, siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    const slots = await getSlots(siteCode);
+    const usedSlots = await Session.find({ site: siteCode, status: 'active' }).distinct('slot_number');
+    
+    const reservedQuery = { site: siteCode, slot_reserved: true, reserved_slot_number: { $ne: null } };
+    if (excludeUserId !== null) {
+      reservedQuery.telegram_id = { $ne: excludeUserId };
+    }
+    const reservedSlots = await Queue.find(reservedQuery).distinct('reserved_slot_number');
+    
+    return slots.filter(slot =>
+      !usedSlots.includes(slot.slot_number) &&
+      !reservedSlots.includes(slot.slot_number) &&
+      matchesPreference(slot, preference)
+    );
+  } catch (error) {
+    logger.error('Error getting free slots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Aggiorna una proprietà di uno slot (comando admin)
+ * @param {Number} slotNumber - Numero dello slot
+ * @param {String} field - Proprietà da aggiornare (nome, tipo, kw, luogo, ocpp)
+ * @param {String} value - Nuovo valore
+ * @param {String} siteCode - Codice della sede
+ * @returns {Promise<Object>} - Oggetto slot aggiornato
+ */
+async function updateSlot(slotNumber, field, value, siteCode = siteHandler.DEFAULT_SITE) {
+  try {
+    const slot = await Slot.findOne({ site: siteCode, slot_number: slotNumber, active: true });
+    
+    if (!slot) {
+      throw new Error(`Slot ${slotNumber} non trovato.`);
+    }
+    
+    switch (field) {
+      case 'nome':
+        if (!value) throw new Error('Il nome non può essere vuoto.');
+        slot.name = value;
+        break;
+      case 'tipo': {
+        const connectorType = normalizeConnectorType(value);
+        if (!connectorType) {
+          throw new Error(`Tipo di connettore non valido. Valori ammessi: ${Slot.CONNECTOR_TYPES.join(', ')}.`);
+        }
+        slot.connector_type = connectorType;
+        break;
+      }
+      case 'kw': {
+        const power = parseFloat((value || '').replace(',', '.'));
+        if (isNaN(power) || power <= 0 || power > 400) {
+          throw new Error('La potenza deve essere un numero di kW tra 0 e 400.');
+        }
+        slot.max_power_kw = power;
+        break;
+      }
+      case 'luogo':
+        slot.location = value || '';
+        break;
+      case 'ocpp': {
+        // "CP001:1" collega lo slot al connettore 1 della colonnina CP001, "no" lo scollega
+        if (['no', 'nessuno', 'rimuovi'].includes((value || '').toLowerCase())) {
+          slot.ocpp_charge_point_id = null;
+          slot.ocpp_connector_id = null;
+          break;
+        }
+        
+        const match = (value || '').match(/^([^\s:]+):(\d+)$/);
+        if (!match || parseInt(match[2]) < 1) {
+          throw new Error('Indica colonnina e connettore OCPP nel formato CP001:1, oppure "no" per scollegare lo slot.');
+        }
+        
+        const connectorId = parseInt(match[2]);
+        const linkedSlot = await getSlotByConnector(match[1], connectorId);
+        if (linkedSlot && !linkedSlot._id.equals(slot._id)) {
+          throw new Error(`Il connettore ${match[1]}:${connectorId} è già associato allo slot ${linkedSlot.slot_number} della sede ${linkedSlot.site}.`);
+        }
+        
+        slot.ocpp_charge_point_id = match[1];
+        slot.ocpp_connector_id = connectorId;
+        break;
+      }
+      default:
+        throw new Error('Proprietà non valida. Usa: nome, tipo, kw, luogo, ocpp.');
+    }
+    
+    await slot.save();
+    logger.info(`Slot ${slotNumber} of site ${siteCode} updated: ${field} = ${value}`);
+    
+    return slot;
+  } catch (error) {
+    logger.error(`Error updating slot ${slotNumber}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  normalizeConnectorType,
+  ensureSlots,
+  getSlots,
+  getSlot,
+  getSlotByConnector,
+  parsePreference,
+  matchesPreference,
+  getFreeSlots,
+  updateSlot
+};
@@ -3,14 +3,18 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const penaltySystem = require('../utils/penaltySystem');
 const formatters = require('../utils/formatters');
+const permissions = require('../utils/permissions');
+const auditLog = require('../utils/auditLog');
+const i18n = require('../utils/i18n');
 
 /**
  * Registra un nuovo utente o aggiorna i dati di un utente esistente
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} username - Username Telegram dell'utente
+ * @param {String} languageCode - language_code di Telegram, usato come lingua iniziale (opzionale)
  * @returns {Promise<Object>} - Oggetto utente creato o aggiornato
  */
-async function registerUser(userId, username) {
+async function registerUser(userId, username, languageCode = null) {
   try {
     // Controlla se l'utente è già registrato
     let user = await User.findOne({ telegram_id: userId });
@@ -28,7 +32,9 @@ async function registerUser(userId, username) {
         telegram_id: userId,
         username: username,
         // Verifica se l'utente è un admin
-        is_admin: userId === config.ADMIN_USER_ID
+        is_admin: userId === config.ADMIN_USER_ID,
+        role: userId === config.ADMIN_USER_ID ? 'admin' : 'user',
+        language: languageCode ? i18n.resolveLanguage(languageCode) : undefined
       });
       
       await user.save();
@@ -42,6 +48,69 @@ async function registerUser(userId, username) {
   }
 }
 
+/**
+ * Ottiene la lingua di un utente per rispondere a un comando
+ * Gli utenti senza lingua salvata ricevono quella di Telegram, che viene salvata
+ * così da restare la stessa anche nelle notifiche
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} languageCode - language_code di Telegram (opzionale)
+ * @returns {Promise<String>} - Codice della lingua
+ */
+async function getUserLanguage(userId, languageCode = null) {
+  try {
+    const user = await User.findOne({ telegram_id: userId });
+    
+    if (user && user.language) {
+      return user.language;
+    }
+    
+    const language = i18n.resolveLanguage(languageCode);
+    
+    if (user && languageCode) {
+      user.language = language;
+      await user.save();
+      logger.info(`Language of user ${userId} set to ${language} from Telegram`);
+    }
+    
+    return language;
+  } catch (error) {
+    logger.error(`Error getting language for user ${userId}:`, error);
+    return i18n.resolveLanguage(languageCode);
+  }
+}
+
+/**
+ * Imposta la lingua di un utente (comando /lingua)
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} language - Codice della lingua
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function setUserLanguage(userId, language) {
+  try {
+    const code = (language || '').toLowerCase();
+    
+    if (!i18n.LANGUAGES.includes(code)) {
+      throw new i18n.LocalizedError('lingua.invalid', { code: language, languages: i18n.LANGUAGES.join(', ') });
+    }
+    
+    const user = await User.findOne({ telegram_id: userId });
+    
+    if (!user) {
+      throw new i18n.LocalizedError('errors.not_registered');
+    }
+    
+    user.language = code;
+    await user.save();
+    
+    logger.info(`Language of user ${userId} set to ${code}`);
+    
+    return user;
+  } catch (error) {
+    logger.error(`Error setting language for user ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Ottiene i dati di un utente
  * @param {Number} userId - ID Telegram dell'utente
@@ -63,14 +132,108 @@ async function getUser(userId) {
  */
 async function isAdmin(userId) {
   try {
-    const user = await getUser(userId);
-    return user && user.is_admin;
+    return await permissions.hasRole(userId, 'admin');
   } catch (error) {
     logger.error(`Error checking admin status for user ${userId}:`, error);
     return false;
   }
 }
 
+/**
+ * Imposta il ruolo di un utente (comando admin)
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} role - Nuovo ruolo ('user', 'moderator' o 'admin')
+ * @param {Number} adminId - ID dell'amministratore che modifica il ruolo (opzionale)
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function setUserRole(username, role, adminId = null) {
+  try {
+    if (!permissions.isValidRole(role)) {
+      throw new Error(`Ruolo non valido. Valori ammessi: ${permissions.ROLES.join(', ')}.`);
+    }
+    
+    const user = await User.findOne({ username: username.replace('@', '') });
+    
+    if (!user) {
+      throw new Error(`Utente @${username} non trovato.`);
+    }
+    
+    if (user.telegram_id === config.ADMIN_USER_ID && role !== 'admin') {
+      throw new Error('Non è possibile modificare il ruolo dell\'amministratore principale.');
+    }
+    
+    const previousRole = permissions.roleOf(user);
+    
+    user.role = role;
+    user.is_admin = role === 'admin';
+    await user.save();
+    
+    logger.info(`Role of user ${user.username} (${user.telegram_id}) set to ${role}`);
+    
+    await auditLog.record('role_changed', {
+      actorId: adminId,
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      before: { role: previousRole },
+      after: { role }
+    });
+        
+    return user;
+  } catch (error) {
+    logger.error(`Error setting role for ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Assegna o rimuove la tessera (idTag OCPP) di un utente (comando admin)
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} idTag - Codice della tessera (null per rimuoverla)
+ * @param {Number} adminId - ID dell'amministratore che modifica la tessera (opzionale)
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function setIdTag(username, idTag, adminId = null) {
+  try {
+    // L'idTag di OCPP 1.6 è una stringa di al massimo 20 caratteri
+    if (idTag !== null && !/^[\x21-\x7E]{1,20}$/.test(idTag)) {
+      throw new Error('Il codice della tessera deve avere al massimo 20 caratteri, senza spazi.');
+    }
+    
+    const user = await User.findOne({ username: username.replace('@', '') });
+    
+    if (!user) {
+      throw new Error(`Utente @${username} non trovato.`);
+    }
+    
+    if (idTag !== null) {
+      const owner = await User.findOne({ ocpp_id_tag: idTag });
+      if (owner && owner.telegram_id !== user.telegram_id) {
+        throw new Error(`La tessera ${idTag} è già assegnata a @${owner.username}.`);
+      }
+    }
+    
+    const previousTag = user.ocpp_id_tag || null;
+    
+    user.ocpp_id_tag = idTag === null ? undefined : idTag;
+    await user.save();
+    
+    logger.info(`OCPP id tag of user ${user.username} (${user.telegram_id}) set to ${idTag}`);
+    
+    await auditLog.record('id_tag_changed', {
+      actorId: adminId,
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      before: { ocpp_id_tag: previousTag },
+      after: { ocpp_id_tag: idTag }
+    });
+    
+    return user;
+  } catch (error) {
+    logger.error(`Error setting id tag for ${username}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Aggiorna le statistiche dell'utente dopo una ricarica
  * @param {Number} userId - ID Telegram dell'utente
@@ -116,40 +279,42 @@ async function getUsers(filter = {}) {
 /**
  * Ottiene lo stato dell'utente (incluse le penalità)
  * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} lang - Codice della lingua del messaggio (opzionale)
  * @returns {Promise<Object>} - Oggetto con stato utente
  */
-async function getUserStatus(userId) {
+async function getUserStatus(userId, lang = i18n.DEFAULT_LANGUAGE) {
   try {
     const user = await User.findOne({ telegram_id: userId });
     
     if (!user) {
       return { 
         exists: false,
-        message: 'Utente non registrato. Usa /start per registrarti.'
+        message: i18n.t(lang, 'errors.not_registered')
       };
     }
     
     // Controlla ban scaduti
     if (user.temporarily_banned && user.ban_end_date) {
       if (new Date() > user.ban_end_date) {
-        user.temporarily_banned = false;
-        user.ban_end_date = null;
+        penaltySystem.liftBan(user);
         await user.save();
       }
     }
     
-    // Controlla reset penalità dopo 30 giorni
-    if (user.penalty_points > 0 && user.last_penalty_date) {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      if (user.last_penalty_date < thirtyDaysAgo) {
-        user.penalty_points = 0;
-        await user.save();
-      }
+    // Ricalcola i punti togliendo le penalità scadute
+    const rules = await penaltySystem.getRules();
+    const previousPoints = user.penalty_points;
+    const events = await penaltySystem.refreshPoints(user, rules);
+    
+    if (user.penalty_points !== previousPoints) {
+      await user.save();
     }
     
-    const statusMessage = formatters.formatUserStatusMessage(user);
+    const statusMessage = formatters.formatUserStatusMessage(user, {
+      ban_threshold: rules.ban_threshold,
+      warning_points: penaltySystem.warningPoints(rules),
+      events
+    }, lang);
     
     return {
       exists: true,
@@ -164,8 +329,12 @@ async function getUserStatus(userId) {
 
 module.exports = {
   registerUser,
+  getUserLanguage,
+  setUserLanguage,
   getUser,
   isAdmin,
+  setUserRole,
+  setIdTag,
   updateUserStats,
   getUsers,
   getUserStatus
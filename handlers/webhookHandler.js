@@ -0,0 +1,253 @@
+/**
+ * Gestore dei webhook in uscita
+ * Configurazione dei webhook e firma delle consegne; l'invio è svolto da utils/webhookDispatcher
+ */
+const crypto = require('crypto');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const logger = require('../utils/logger');
+const auditLog = require('../utils/auditLog');
+
+// Eventi a cui un webhook può iscriversi
+const WEBHOOK_EVENTS = [
+  'session_started',
+  'session_ended',
+  'session_timeout',
+  'queue_joined',
+  'queue_notified',
+  'queue_timeout',
+  'penalty_applied',
+  'user_banned'
+];
+
+// Evento di prova inviato da /admin_webhooks test, consegnato a prescindere dal filtro
+const PING_EVENT = 'ping';
+
+/**
+ * Interpreta l'elenco di eventi di un webhook
+ * @param {String} eventsStr - Eventi separati da virgola, oppure "all" (o "*") per tutti
+ * @returns {Array} - Eventi scelti (vuoto = tutti)
+ */
+function parseEvents(eventsStr) {
+  if (!eventsStr || ['all', 'tutti', '*'].includes(eventsStr.toLowerCase())) {
+    return [];
+  }
+  
+  const events = [...new Set(eventsStr.toLowerCase().split(',').map(event => event.trim()).filter(Boolean))];
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  
+  if (unknown.length > 0) {
+    throw new Error(`Eventi non validi: ${unknown.join(', ')}. Eventi disponibili: ${WEBHOOK_EVENTS.join(', ')}.`);
+  }
+  
+  return events;
+}
+
+/**
+ * Genera un nuovo segreto per la firma delle consegne
+ * @returns {String} - Segreto esadecimale di 32 byte
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Calcola la firma del corpo di una consegna
+ * @param {String} secret - Segreto del webhook
+ * @param {String} body - Corpo JSON della consegna
+ * @returns {String} - Firma nel formato "sha256=<hmac esadecimale>"
+ */
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Ottiene i webhook configurati, nell'ordine in cui sono stati creati
+ * @returns {Promise<Array>} - Array di webhook
+ */
+async function getWebhooks() {
+  try {
+    return await Webhook.find().sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error('Error getting webhooks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene un webhook dal suo numero nell'elenco di /admin_webhooks
+ * @param {String|Number} number - Numero del webhook, a partire da 1
+ * @returns {Promise<Object>} - Webhook
+ */
+async function getWebhookByNumber(number) {
+  const webhooks = await getWebhooks();
+  const index = parseInt(number) - 1;
+  
+  if (isNaN(index) || !webhooks[index]) {
+    throw new Error(`Webhook ${number} non trovato. Usa /admin_webhooks per l'elenco.`);
+  }
+  
+  return webhooks[index];
+}
+
+/**
+ * Ottiene i webhook attivi iscritti a un evento
+ * @param {String} event - Nome dell'evento
+ * @returns {Promise<Array>} - Array di webhook
+ */
+async function getWebhooksForEvent(event) {
+  try {
+    return await Webhook.find({
+      active: true,
+      $or: [{ events: { $size: 0 } }, { events: event }]
+    });
+  } catch (error) {
+    logger.error(`Error getting webhooks for event ${event}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Crea un webhook (comando admin)
+ * @param {String} url - URL di destinazione (http o https)
+ * @param {String} eventsStr - Eventi separati da virgola, oppure "all"
+ * @param {Number} adminId - ID dell'admin
+ * @returns {Promise<Object>} - Webhook creato, con il segreto generato
+ */
+async function createWebhook(url, eventsStr, adminId = null) {
+  try {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+    
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error('URL non valido. Usa un indirizzo http:// o https://.');
+    }
+    
+    const events = parseEvents(eventsStr);
+    
+    const webhook = await Webhook.create({
+      url: parsedUrl.toString(),
+      events,
+      secret: generateSecret(),
+      created_by: adminId
+    });
+    
+    logger.info(`Webhook ${webhook._id} for ${parsedUrl.host} created by admin ${adminId}`);
+    
+    // Il segreto non viene registrato
+    await auditLog.record('webhook_created', {
+      actorId: adminId,
+      after: { url: webhook.url, events }
+    });
+    
+    return webhook;
+  } catch (error) {
+    logger.error(`Error creating webhook for ${url}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un webhook e le sue consegne in attesa (comando admin)
+ * @param {String|Number} number - Numero del webhook nell'elenco
+ * @param {Number} adminId - ID dell'admin
+ * @returns {Promise<Object>} - Webhook eliminato
+ */
+async function removeWebhook(number, adminId = null) {
+  try {
+    const webhook = await getWebhookByNumber(number);
+    
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhook_id: webhook._id, status: 'pending' });
+    
+    logger.info(`Webhook ${webhook._id} removed by admin ${adminId}`);
+    
+    await auditLog.record('webhook_removed', {
+      actorId: adminId,
+      before: { url: webhook.url, events: webhook.events }
+    });
+    
+    return webhook;
+  } catch (error) {
+    logger.error(`Error removing webhook ${number}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Attiva o sospende un webhook (comando admin)
+ * Un webhook sospeso non riceve nuovi eventi; riattivandolo si azzerano i fallimenti consecutivi
+ * @param {String|Number} number - Numero del webhook nell'elenco
+ * @param {Boolean} active - true per attivarlo
+ * @param {Number} adminId - ID dell'admin
+ * @returns {Promise<Object>} - Webhook aggiornato
+ */
+async function setWebhookActive(number, active, adminId = null) {
+  try {
+    const webhook = await getWebhookByNumber(number);
+    
+    webhook.active = active;
+    if (active) {
+      webhook.failure_count = 0;
+    }
+    await webhook.save();
+    
+    logger.info(`Webhook ${webhook._id} ${active ? 'enabled' : 'disabled'} by admin ${adminId}`);
+    
+    await auditLog.record(active ? 'webhook_enabled' : 'webhook_disabled', {
+      actorId: adminId,
+      details: webhook.url
+    });
+    
+    return webhook;
+  } catch (error) {
+    logger.error(`Error updating webhook ${number}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Genera un nuovo segreto per un webhook (comando admin)
+ * Le consegne ancora in attesa vengono firmate con il nuovo segreto
+ * @param {String|Number} number - Numero del webhook nell'elenco
+ * @param {Number} adminId - ID dell'admin
+ * @returns {Promise<Object>} - Webhook aggiornato
+ */
+async function rotateSecret(number, adminId = null) {
+  try {
+    const webhook = await getWebhookByNumber(number);
+    
+    webhook.secret = generateSecret();
+    await webhook.save();
+    
+    logger.info(`Secret of webhook ${webhook._id} rotated by admin ${adminId}`);
+    
+    await auditLog.record('webhook_secret_rotated', {
+      actorId: adminId,
+      details: webhook.url
+    });
+    
+    return webhook;
+  } catch (error) {
+    logger.error(`Error rotating secret of webhook ${number}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  parseEvents,
+  signPayload,
+  getWebhooks,
+  getWebhookByNumber,
+  getWebhooksForEvent,
+  createWebhook,
+  removeWebhook,
+  setWebhookActive,
+  rotateSecret
+};
@@ -0,0 +1,702 @@
+/**
+ * Catalogo dei messaggi in inglese
+ * Le voci con forme { one, other } scelgono il plurale in base al parametro count
+ */
+module.exports = {
+  // Nome della lingua, mostrato da /lingua
+  language_name: 'English',
+  // Locale per numeri e date
+  locale: 'en-GB',
+
+  common: {
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    slot: '🔌 Charger: {slot}',
+    custom_duration: '(custom duration)',
+    not_available: 'N/A'
+  },
+
+  commands: {
+    start: 'Start the bot',
+    prenota: 'Book a charger or join the queue',
+    prenota_alle: 'Book a future time slot',
+    prenotazioni: 'Show your bookings',
+    annulla_prenotazione: 'Cancel a booking',
+    cancella: 'Leave the queue',
+    iniziato: 'Confirm you started charging, optionally with a duration',
+    terminato: 'Confirm you finished charging',
+    estendi: 'Extend the current charge',
+    kwh: 'Report the kWh of your last charge',
+    status: 'Show the current status of the chargers',
+    colonnine: 'List the chargers',
+    sede: 'Show or choose your charging site',
+    stato_utente: 'Show your status and penalties',
+    storico: 'Show your latest charges',
+    ricorso: 'Appeal a penalty',
+    lingua: 'Choose the bot language',
+    help: 'Show the available commands',
+    dove_sono: 'Show the ID of the current chat'
+  },
+
+  keyboards: {
+    started: '✅ I started',
+    give_up: '❌ Give up',
+    book: '📝 Book',
+    refresh: '🔄 Refresh',
+    newer: '⬅️ Newer',
+    older: 'Older ➡️'
+  },
+
+  errors: {
+    generic: '❌ An error occurred: {message}',
+    plain: '❌ {message}',
+    not_registered: 'You are not registered yet. Use /start to register.',
+    system_config: 'System error. Configuration not found.',
+    session_active: 'You already have an active charging session.',
+    no_active_session: 'You have no active charging session.',
+    no_matching_slot: 'No charger matches your preference. Use /colonnine to see the list.',
+    no_matching_free_slot: 'No free charger matches your preference. Use /colonnine to see the status of the chargers.',
+    reserved_slot_busy: 'Your reserved charger has not been freed yet. Please try again in a few minutes.',
+    no_slots_available: 'No chargers are available right now. Use /prenota to join the queue.',
+    slots_reserved: 'The free chargers are booked by other users in this time slot. Use /prenota to join the queue or choose a shorter duration.',
+    all_slots_occupied: 'All chargers are occupied.',
+    energy_invalid: 'Enter the kWh delivered (e.g. 12.4) or the start and end meter readings (e.g. 1520.3 1532.7).',
+    meter_order: 'The end meter reading must be greater than the start reading.',
+    energy_range: 'The energy must be between 0 and {max} kWh.',
+    no_recent_session: 'You have no charges finished in the last {hours} hours.',
+    extension_limit: 'You can extend the session by at most {minutes} minutes (maximum duration {max} minutes).',
+    session_expired: 'Your session time has already expired. End the charge with /terminato.',
+    extension_pending: 'You already have a {minutes}-minute extension request awaiting approval.',
+    extension_reserved: 'The session cannot be extended: the charger is booked by another user in this time slot.',
+    reservation_duration: 'The duration must be between 1 and {max} minutes.',
+    reservation_date: 'Invalid date or time. Use the format DD/MM/YYYY HH:MM (e.g. /prenota_alle 25/06/2025 22:30 120).',
+    reservation_past: 'The booking time must be in the future.',
+    reservation_advance: 'You can book at most {days} days in advance.',
+    reservation_overlap: 'You already have a booking from {start} to {end} on {day}.',
+    reservation_full: 'All chargers are already booked or occupied in that time slot. Try a different time.',
+    site_not_found: 'Site "{code}" not found. Use /sede to see the available sites.',
+    appeal_reason: 'Explain the reason for your appeal in at most {max} characters.',
+    appeal_pending: 'You already have an appeal awaiting a decision.',
+    appeal_no_penalty: 'You have no penalties to appeal.',
+    appeal_active_session: 'You can appeal once your current charge has ended.',
+    appeal_no_session: 'There is no charge number {index} in your /storico.',
+    appeal_no_session_penalty: 'Charge number {index} in your /storico has no valid penalty to appeal.',
+    appeal_exists: 'You have already appealed this penalty.'
+  },
+
+  router: {
+    unauthorized: '⚠️ *Unauthorized access*\n\n' +
+      'Sorry @{username}, you must be a member of the authorized group to use this bot.\n\n' +
+      'Contact the administrator for more information.',
+    admin_only: '🚫 This command is reserved for administrators.',
+    unknown_command: '❌ Unknown command: /{command}',
+    slots_occupied: '🔌 Chargers currently occupied: {occupied}/{total}.'
+  },
+
+  start: {
+    error: '❌ An error occurred while starting. Please try again later.'
+  },
+
+  prenota: {
+    unknown_slot: '❌ Unknown charger: *{slot}*\n\n' +
+      'You can give the number (*/prenota #2*), the connector (*/prenota ccs*) or the name of the charger.\n' +
+      'Use /colonnine to see the list.',
+    note: 'ℹ️ *Note*\n\n{message}'
+  },
+
+  prenota_alle: {
+    usage: '❌ Usage: */prenota_alle [date] [time] [duration] [site]*\n\n' +
+      'The date can be DD/MM/YYYY, DD/MM, *oggi* (today) or *domani* (tomorrow); the duration is in minutes.\n' +
+      'Example: */prenota_alle domani 22:30 120*'
+  },
+
+  annulla_prenotazione: {
+    usage: '❌ Usage: /annulla_prenotazione [number]\n\nThe number is the one shown by /prenotazioni.',
+    not_found: 'ℹ️ @{username}, I could not find that booking.\n\n' +
+      'Use /prenotazioni to see your bookings.',
+    cancelled: '✅ Booking on *{day}* from *{start}* to *{end}* cancelled.'
+  },
+
+  cancella: {
+    removed: '✅ @{username}, you have been removed from the queue.\n\n' +
+      'You were in position *#{position}*.\n\n' +
+      'If you want to charge later, use /prenota again.',
+    active_session: 'ℹ️ @{username}, you have an active charging session.\n\n' +
+      'To end the charge, use the /terminato command.',
+    nothing: 'ℹ️ @{username}, you are not in the queue and have no active session.\n\n' +
+      'To book a charge, use the /prenota command.'
+  },
+
+  iniziato: {
+    invalid_duration: '⚠️ *Invalid duration*\n\n' +
+      'The duration you gave ({minutes} minutes) is not valid.\n' +
+      'Please give a duration between 1 and 480 minutes.\n' +
+      'Example: */iniziato 45* for a 45-minute charge.'
+  },
+
+  kwh: {
+    usage: '❌ Usage: /kwh [kWh] or /kwh [start reading] [end reading]\n\n' +
+      'Examples: /kwh 12.4 or /kwh 1520.3 1532.7',
+    recorded: '⚡ Recorded *{energy}* for the charge on {day} at {time}.'
+  },
+
+  estendi: {
+    usage: '⚠️ Tell me how many minutes you want to extend the charge by.\n' +
+      'Example: */estendi 30*',
+    request_sent: {
+      one: '⏳ *Extension request sent*\n\n' +
+        'There is {count} user in the queue, so the {minutes}-minute extension must be approved by an administrator.\n' +
+        'You will receive a message with the outcome. Until then, your current end time of *{end}* applies.',
+      other: '⏳ *Extension request sent*\n\n' +
+        'There are {count} users in the queue, so the {minutes}-minute extension must be approved by an administrator.\n' +
+        'You will receive a message with the outcome. Until then, your current end time of *{end}* applies.'
+    }
+  },
+
+  status: {
+    error: '❌ An error occurred while retrieving the status.',
+    title: '📊 *Current system status*',
+    site: '📍 Site: *{name}*',
+    slots_occupied: '🔌 Chargers occupied: *{occupied}/{total}*',
+    charging_title: '⚡ *Users currently charging:*',
+    charging_item: '{index}. @{username}{slot} ⏱️ ends in *{minutes} min* {duration}',
+    nobody_charging: '✨ *Nobody is charging right now.*',
+    waiting: '👥 Users waiting: *{count}*',
+    wait_time: '⏱️ Estimated average wait: *{minutes} minutes*',
+    next_title: '🔜 *Next in the queue:*',
+    cancel_hint: 'In the queue? To give up your turn, use */cancella*.',
+    queue_empty: '✅ *Nobody is in the queue.*',
+    book_hint: 'Want to charge? Use */prenota* to get started.',
+    board_updated: '🕒 _Updated at {time}_'
+  },
+
+  slots: {
+    error: '❌ An error occurred while retrieving the chargers.',
+    none: 'ℹ️ No chargers configured.',
+    title: '🔌 *Chargers*',
+    occupied: '🔴 occupied',
+    free: '🟢 free',
+    footer: 'To choose a charger use */prenota #2* or */prenota ccs*.'
+  },
+
+  sites: {
+    title: '📍 *Charging sites*',
+    item: '• *{name}* - code: `{code}`',
+    current: ' ✅ *in use*',
+    footer: 'To choose your site use */sede [code]*.\n' +
+      'You can also give the site in a single command, for example */prenota sede:{code}*.',
+    set: '✅ @{username}, your default site is now *{name}*.\n\n' +
+      'The /prenota, /status and /colonnine commands will use this site unless you give another one.'
+  },
+
+  storico: {
+    usage: '❌ Usage: /storico [n]\n\nn is the number of charges to show per page (at most {max}).'
+  },
+  
+  ricorso: {
+    usage: '❌ Usage: /ricorso [#number] reason\n\n' +
+      'Appeal your latest penalty by explaining what happened (e.g. /ricorso the charger locked up and I could not unplug the car).\n' +
+      'To appeal the penalty of another charge, first give its /storico number preceded by # (e.g. /ricorso #3 the charger was broken).',
+    sent: '📨 *Appeal sent*\n\n' +
+      'You appealed the penalty ({points}) for the charge of {day}.\n' +
+      'You will get a message once an administrator has decided.',
+    accepted: '✅ *Appeal accepted*\n\nThe penalty ({points}) for the charge of {day} has been cancelled.',
+    ban_lifted: 'The suspension of your account has also been lifted.',
+    rejected: '⛔ *Appeal rejected*\n\nThe penalty for the charge of {day} still stands.'
+  },
+
+  dove_sono: {
+    title: '📍 *Current chat information*',
+    private_chat: 'Private chat',
+    private: 'Type: Private chat with the bot\n' +
+      'ID: `{chatId}`\n\n' +
+      'This is the ID of your private chat with the bot, not of a group.',
+    group: 'Group',
+    supergroup: 'Supergroup',
+    group_info: 'Type: {type}\n' +
+      'Name: *{title}*\n' +
+      'ID: `{chatId}`\n\n' +
+      '🔍 This is the ID of this group. To restrict the bot to this group, ' +
+      'the bot administrator must set this ID in the configuration.',
+    other: 'Type: {type}\n' +
+      'ID: `{chatId}`\n',
+    admin_info: '👑 *Administrator info:*\n' +
+      'To restrict the bot to this group, set the environment variables:'
+  },
+
+  lingua: {
+    current: '🌐 Your language is *{language}*.\n\n' +
+      'To change it use */lingua [code]* or the buttons below.\n' +
+      'Available languages: {languages}',
+    set: '✅ Language set to *{language}*.',
+    invalid: 'Language not available: {code}. Available languages: {languages}.'
+  },
+
+  session_status: {
+    active: '✅ Active',
+    completed: '✓ Completed',
+    timeout: '⏱️ Expired',
+    admin_terminated: '🛑 Ended by admin'
+  },
+
+  session: {
+    duration_custom: '*{minutes}* (custom)',
+    duration_default: '*{minutes}* (default)',
+    started: `
+✅ *Charging started!*
+
+{slot}⏱️ Started at: *{start}*
+⌛ Expected end: *{end}*
+⏳ Charging time: {duration}
+{tariff}
+📱 *What to do now:*
+- You will get a reminder 5 minutes before the end
+- When you finish charging, unplug the vehicle
+- Confirm with */terminato* to free the charger
+
+⚠️ *Important:* If you do not confirm within the maximum time, you will receive penalties that may limit your future use of the service.
+`,
+    extended: `
+⏩ *Session extended by {minutes}!*
+
+⌛ New expected end: *{end}*
+⏳ Total duration: *{duration}*
+
+You will get a new reminder before the end.
+`,
+    energy: '⚡ Energy delivered: *{energy}*',
+    energy_prompt: '⚡ How many kWh did you charge? Send */kwh 12.4* or the meter readings */kwh 1520.3 1532.7*',
+    cost: '💶 Cost: *{cost}*',
+    ended: `
+✅ *Charging finished!*
+
+⏱️ Total duration: *{duration}*
+{energy}{cost}
+🔋 Thank you for using SlotManager Bot!
+
+👍 You freed the charger for the other users.
+Want to book another charge? Use */prenota*
+`
+  },
+
+  tariff: {
+    band: '*{code}* band',
+    base: 'base rate',
+    current: '💶 Current rate: {band}, {price}/kWh',
+    estimated_energy: ' (about {energy})',
+    estimated_cost: '🧮 Estimated cost: *{cost}*{energy}',
+    cheaper: '🌙 If you can wait: from {day} at {time}, {band} at {price}/kWh'
+  },
+
+  welcome: `
+👋 *Welcome to SlotManager Bot, @{username}!*
+
+This bot manages the queue for the charging stations quickly and simply.
+
+📱 *To get started:*
+
+- Use */prenota* to request a charger
+- If they are all occupied, you will join the queue
+- You will be notified when it is your turn
+- To start a charge with a custom duration use */iniziato [minutes]*
+  Example: */iniziato 45* for a 45-minute charge
+
+📊 To check the status of the chargers use */status*
+❓ For more information use */help*
+🌐 To change language use */lingua*
+
+Happy charging! ⚡
+`,
+
+  queue: {
+    added: `
+⏳ *All chargers are occupied right now*
+
+✅ @{username}, you have been added to the queue in position *#{position}*.
+
+*What happens next:*
+- When a charger is freed, users are notified in queue order
+- You will be notified when it is your turn
+- You will have 5 minutes to start charging after the notification
+- You can set a custom duration with */iniziato [minutes]*
+
+*Options:*
+- Use */status* to check your position in the queue
+- Use */cancella* if you change your mind and no longer want to wait
+
+Thank you for your patience! 🙏
+`,
+    slot_available: `
+✅ *Good news, @{username}!*
+
+🟢 **A charger is free, you can start charging right away.**
+{slot}{tariff}
+*Here is what to do:*
+
+1️⃣ Go to the charger
+2️⃣ Activate it and plug in your vehicle
+3️⃣ Press *I started* below to use the default time ({minutes} minutes)
+   • or send */iniziato 45* to set a duration of 45 minutes
+
+⚠️ *Important:* If you do not confirm the start with */iniziato*, the charger stays reserved for you but you will not be shown as charging.
+`,
+    your_turn: `
+🔔 *IT'S YOUR TURN, @{username}!*
+
+🟢 A charger has been freed and reserved for you.
+{slot}
+*What to do now:*
+
+1️⃣ Go to the charger right away
+2️⃣ Activate it and plug in your vehicle
+3️⃣ Press *I started* below to use the default time ({minutes} minutes)
+   • or send */iniziato 45* to set a duration of 45 minutes
+
+⚠️ *WARNING: You only have 5 minutes to confirm* the start with */iniziato*, otherwise you will lose your turn and the charger will go to the next user in the queue.
+
+If you can no longer charge, press *Give up* to free the charger right away.
+`,
+    removed_banned: '⚠️ *You have been removed from the queue*\n\n' +
+      'Your account is suspended until {date}.\n\n' +
+      'Reason: too many penalties for excessive delays.',
+    turn_expired: '⏱️ *Time is up*\n\n' +
+      '@{username}, more than 5 minutes have passed since you were notified that a charger was available. ' +
+      'Your turn has been skipped and the charger will go to the next user in the queue.\n\n' +
+      'If you still want to charge, use the /prenota command again to join the queue.'
+  },
+
+  reservation: {
+    confirmed: `
+📅 *Booking confirmed, @{username}!*
+
+🗓️ Day: *{day}*
+⏱️ From *{start}* to *{end}*
+⏳ Duration: *{duration}*
+
+*What happens next:*
+- At the booked time you will be notified of the charger reserved for you
+- Confirm the start with */iniziato* to begin charging
+- Use */prenotazioni* to see your bookings
+- Use */annulla_prenotazione* if you change your mind
+`,
+    none: '📅 *No active bookings*\n\n' +
+      'To book a time slot use */prenota_alle [date] [time] [duration]*.\n' +
+      'Example: */prenota_alle domani 22:30 120*',
+    list_title: '📅 *Your bookings*',
+    list_item: '{index}. {day} from *{start}* to *{end}*{status}',
+    reserved_now: ' 🟢 *charger reserved now*',
+    cancel_hint: 'To cancel a booking use */annulla_prenotazione [number]*.',
+    starting: `
+🔔 *IT'S TIME FOR YOUR BOOKING, @{username}!*
+
+🟢 A charger is reserved for you from *{start}* to *{end}*.
+
+*What to do now:*
+
+1️⃣ Go to the charger
+2️⃣ Activate it and plug in your vehicle
+3️⃣ Confirm the start with */iniziato* (booked duration: {duration})
+
+⚠️ *You have {grace} to confirm* the start, otherwise the booking will be cancelled.
+`,
+    expired: '⏱️ *Booking expired*\n\n' +
+      '@{username}, you did not confirm the start of charging within {grace} ' +
+      'of the booked time. The booking has been cancelled and the charger has been freed.\n\n' +
+      'If you still want to charge, use /prenota or /prenota_alle.',
+    unserved: '⏱️ *Booking cancelled*\n\n' +
+      '@{username}, no charger became free during the booked time slot. ' +
+      'The booking has been cancelled without any penalty.\n\n' +
+      'If you still want to charge, use /prenota or /prenota_alle.'
+  },
+
+  reminder: `
+⏰ *Charging reminder, @{username}*
+
+You only have *{minutes}* left before the end {duration}.
+
+*Information:*
+- Charging will end at *{end}*
+- Get the vehicle ready to be unplugged
+- When you finish, confirm with */terminato* to free the charger
+
+Thank you for your cooperation! Other users may be waiting. 👍
+`,
+
+  timeout: {
+    duration_custom: 'custom charging time of *{minutes}*',
+    duration_default: 'charging time of *{minutes}*',
+    message: `
+⚠️ *TIME IS UP, @{username}*
+
+Your {duration} has ended.
+
+*What to do immediately:*
+1. Finish charging
+2. Unplug the vehicle from the charger
+3. Confirm with */terminato* to free the charger
+
+⚡ Other users are waiting to use the charger.
+Thank you for your cooperation!
+
+⚠️ *Note:* Delays lead to penalties that may limit your future use of the service.
+`
+  },
+
+  overtime: {
+    warning: `
+⚠️ *WARNING*
+
+@{username}, your time expired *{minutes}* ago.
+
+Please finish charging and free the charger as soon as possible.
+Remember that delays lead to penalties ({points}).
+`,
+    significant: `
+🔴 *SIGNIFICANT DELAY*
+
+@{username}, your time expired *{minutes}* ago!
+
+Please free the charger immediately.
+⚠️ You are accumulating {points} for this delay.
+When you reach {threshold} points your account will be temporarily suspended.
+`,
+    severe: `
+🚨 *SERIOUS VIOLATION*
+
+@{username}, your time expired *{minutes}* ago!
+
+You are preventing other users from using the charger.
+🔴 *This delay already costs {points} and may lead to a ban*
+
+Free the charger IMMEDIATELY.
+`
+  },
+
+  penalties: {
+    points: { one: '{count} penalty point', other: '{count} penalty points' },
+    ban_ended: 'Your temporary ban has ended. You can use the chargers again. Please respect the time limits to avoid further penalties.',
+    banned_until: 'Your account is temporarily suspended until {date} because of too many penalties. You cannot book chargers until then.',
+    banned: '🚫 *Penalty threshold reached*: your account is temporarily suspended until {date}.',
+    banned_manual: 'Your account was suspended by an administrator until {date}. Reason: {reason}. You cannot book chargers until then.',
+    points_reset: 'Your penalties have expired: you no longer have any penalty points.',
+    near_threshold: '⚠️ Warning: you have {points} penalty points out of {threshold}. When you reach {threshold} points your account will be temporarily suspended.',
+    user_banned: '🚫 *Account temporarily suspended*\n\n' +
+      'You have reached {points} penalty points because of repeated delays.\n\n' +
+      'Your account is suspended until {date}.\n' +
+      'You will not be able to use the chargers until then.\n\n' +
+      'For more information, use the /stato_utente command.',
+    no_show_free: 'ℹ️ This no-show carries no penalty ({used}/{grace} allowed this month). ' +
+      'Beyond those, every no-show this month costs {points}.',
+    no_show_applied: '⚠️ *No-show penalty*\n\n' +
+      'You received {points} because you did not start charging after being notified of your turn.\n\n' +
+      'You now have a total of {total}/{threshold} penalty points.\n' +
+      'When you reach {threshold} points your account will be temporarily suspended.',
+    no_show_banned: '🚫 *Account temporarily suspended*\n\n' +
+      'You have reached {points} penalty points because of repeated no-shows.\n\n' +
+      'Your account is suspended until {date}.\n' +
+      'You will not be able to use the chargers until then.',
+    applied: '⚠️ *Penalty applied*\n\n' +
+      'You received {points} penalty points for a {minutes}-minute delay.\n\n' +
+      'You now have a total of {total}/{threshold} penalty points.\n' +
+      'When you reach {threshold} points your account will be temporarily suspended.\n\n' +
+      'For more information, use the /stato_utente command.'
+  },
+
+  user_status: {
+    title: '👤 *Your current status*',
+    username: 'Username: @{username}',
+    charges: 'Completed charges: *{count}*',
+    total_time: 'Total charging time: *{minutes} min*',
+    penalty_points: '⚠️ Penalty points: *{points}*',
+    last_penalty: 'Last delay: {date}',
+    banned: '🚫 *Account temporarily suspended until {date}*',
+    ban_reason: 'Suspension reason: {reason}',
+    near_threshold: '⚠️ *Warning: you are close to the suspension threshold ({threshold} points)*',
+    expiry_title: 'Point expiry:',
+    expiry: '   • {points} until {date}',
+    no_penalties: '✅ No active penalties'
+  },
+
+  history: {
+    title: '📖 *Charging history*',
+    empty: 'You have not completed any charges yet.',
+    page: { one: 'Page {page}/{pages} - {count} charge', other: 'Page {page}/{pages} - {count} charges' },
+    item: '{index}. 🔋 *{day}* from {start} to {end} - Charger {slot}',
+    duration: '   • Duration: {actual} min of {planned} planned',
+    energy: '   • ⚡ Energy: {energy}',
+    cost: '   • 💶 Cost: {cost}',
+    overtime: '   • ⏰ Delay: {minutes} min',
+    penalty_points: '   • ⚠️ Penalty points: {points}',
+    appeal_pending: '   • 📨 Appeal awaiting a decision',
+    appeal_accepted: '   • ✅ Appeal accepted: {points} cancelled',
+    appeal_rejected: '   • ⛔ Appeal rejected'
+  },
+  
+  billing: {
+    title: '🧾 *Charging statement {month}*',
+    summary: '🔋 Charges: {count} ({minutes} min, {energy})',
+    energy: '⚡ Energy: {amount}',
+    time: '⏱️ Time: {amount}',
+    idle: '🅿️ Parking beyond the planned time: {amount}',
+    total: '💶 *Total to reimburse: {amount}*'
+  },
+
+  charger: {
+    start_confirmed: '🔌 *Charging confirmed automatically by the charger*',
+    stop_detected: '🔌 *End of charging detected by the charger*',
+    start_detected: '🔌 *Charging detected by the charger*',
+    stop_closed: '🔌 *Charging closed by the charger*',
+    start_rejected: '❌ The charger *{slot}* cannot start charging: {message}'
+  },
+
+  notices: {
+    role_admin: 'administrator',
+    role_moderator: 'moderator',
+    role_granted: '👮 *New role*\n\n' +
+      'You have been given the *{role}* role.\n' +
+      'Use /admin\\_help to see the available commands.',
+    session_terminated: 'ℹ️ *Session ended by an administrator*\n\n' +
+      'Your charging session was ended by an administrator.\n' +
+      'If you have any questions, contact support.',
+    queue_removed: 'ℹ️ *Removed from the queue*\n\n' +
+      'You were removed from the queue by an administrator.\n' +
+      'If you have any questions, contact support.',
+    extension_rejected: '⛔ *Extension not approved*\n\n' +
+      'Your request for {minutes} more minutes was not approved because other users are waiting.\n' +
+      'Your charge still ends at *{end}*.',
+    announcement: '📢 *Announcement from the administrator*\n\n{message}',
+    penalty_added: '⚠️ *Penalty from an administrator*\n\n' +
+      'You received {points}.\n' +
+      'Reason: {reason}\n\n' +
+      'You now have a total of {total} penalty points. For more information, use the /stato\\_utente command.',
+    penalty_removed: '✅ *Penalties reduced by an administrator*\n\n' +
+      'Removed from your account: {points}.\n' +
+      'Reason: {reason}\n\n' +
+      'You now have a total of {total} penalty points.',
+    days: { one: '{count} day', other: '{count} days' },
+    banned: '🚫 *Account suspended by an administrator*\n\n' +
+      'Your account is suspended for {days}, until {date}.\n' +
+      'Reason: {reason}\n\n' +
+      'You will not be able to book chargers until then. If you have any questions, contact support.',
+    unbanned: '✅ *Suspension lifted*\n\n' +
+      'An administrator has lifted the suspension of your account: you can book again with /prenota.',
+    system_reset: 'ℹ️ *System notice*\n\n' +
+      'The system has been reset by the administrator.\n' +
+      'All active sessions and queues have been cleared.\n\n' +
+      'If you want to charge, use the /prenota command again.'
+  },
+
+  help: {
+    user: `
+🔋 *SlotManager Bot guide* 🔋
+
+*How to charge your vehicle:*
+
+1️⃣ Use */prenota* to request a charger
+   • If a charger is free, you will get the OK to proceed
+   • If all chargers are occupied, you will join the queue
+   • You can choose a charger or a connector: */prenota #2*, */prenota ccs*
+
+2️⃣ When it is your turn:
+   • Go to the charger and activate it
+   • Confirm the start with */iniziato* (default time)
+   • Or set the duration: */iniziato 45* (for 45 minutes)
+   • *You have 5 minutes* to start, otherwise you lose your turn
+
+3️⃣ While charging:
+   • You have the time you chose
+   • You will get a reminder 5 minutes before the end
+   • Need more time? Use */estendi 30* (if someone is waiting, an administrator decides)
+
+4️⃣ When you finish:
+   • Complete the charge and unplug the vehicle
+   • Confirm with */terminato* to free the charger
+   • Report the kWh charged: */terminato 12.4* or, later, */kwh 12.4*
+
+*Other useful commands:*
+
+📝 */prenota* - Request a charger or join the queue
+📅 */prenota_alle [date] [time] [duration]* - Book a future time slot
+🗓️ */prenotazioni* - Show your bookings
+🚫 */annulla_prenotazione [number]* - Cancel a booking
+❌ */cancella* - Give up your place in the queue
+⏩ */estendi [minutes]* - Extend the current charge
+⚡ */kwh [kWh]* - Report the energy of your last charge (or the meter readings)
+📊 */status* - See which chargers are free or occupied
+🔌 */colonnine* - List the chargers with connector and power
+📍 */sede [code]* - Show the sites or choose your default one
+👤 */stato_utente* - Show your status and any penalties
+📖 */storico [n]* - Your latest charges, n per page
+📨 */ricorso [#number] reason* - Appeal your latest penalty, or the one of the charge with that /storico number
+🌐 */lingua [it|en]* - Choose the bot language
+❓ */help* - Show this guide
+📍 */dove_sono* - Show the ID of the current chat
+
+*Tips:*
+- Once notified, you have 5 minutes to start
+- If you change your mind or something comes up, use */cancella* to free your place
+- Respect the maximum time out of courtesy to everyone
+- Frequent delays lead to penalties and possible temporary suspensions
+`,
+    admin: `
+
+🔧 *ADMINISTRATOR COMMANDS* 🔧
+
+*System management:*
+📊 */admin_status* - Detailed system status
+📈 */admin_stats* - System statistics
+📦 */admin_export <sessions|users|penalties> [from] [to] [csv|json]* - Export data to a file
+🧾 */admin_billing [month]* - Send each user their monthly statement
+🕒 */admin_tariff [add|remove] [band] [days] [hours] [price]* - Time-of-use tariff bands
+🪝 */admin_webhooks [add|remove|enable|disable|secret|test]* - Webhooks for system events
+🔑 */admin_api_tokens [add|revoke] [name] [scopes]* - REST API tokens
+🔄 */admin_set_max_slots [number]* - Set the maximum number of chargers
+🔄 */admin_set_charge_time [minutes]* - Set the default maximum charging time
+🔄 */admin_set_reminder_time [minutes]* - Set the reminder time
+⚙️ */admin_settings* - Show the settings and where they come from
+🔌 */admin_slot [site] [number] [nome|tipo|kw|luogo|ocpp] [value]* - Configure a charger
+
+*Site management:*
+📍 */admin_sites* - List the configured sites
+➕ */admin_add_site [code] [name]* - Add a site
+✏️ */admin_set_site [code] [nome|tempo|promemoria] [value]* - Edit a site
+👤 */admin_site_admin [code] [add|remove] [user]* - Manage site administrators
+ℹ️ Management commands also accept the site as an argument (e.g. */admin_status nord*)
+🗑️ */admin_reset_system* - Completely reset the system (requires confirmation)
+
+*User management:*
+⏹️ */admin_reset_slot @username* - Force-end a session
+🚫 */admin_remove_queue @username* - Remove a user from the queue
+✅ */admin_approve_extension @username* - Approve an extension request
+⛔ */admin_reject_extension @username* - Reject an extension request
+📣 */admin_notify_all [message]* - Send a message to everyone
+👥 */admin_check_penalties* - Show users with penalties
+📨 */admin_appeal [accept|reject] @username* - Appeals against penalties
+⚖️ */admin_penalty_rules [preview] [rule] [values]* - Penalty rules, with a preview on recent sessions
+➕ */admin_penalty @username +N|-N [reason]* - Add or remove penalty points
+🚫 */admin_ban @username [days] [reason]* - Suspend a user
+✅ */admin_unban @username* - Lift a user's suspension
+👮 */admin_grant @username [moderator|admin]* - Assign a role
+🚷 */admin_revoke @username* - Revoke the moderator or administrator role
+🪪 */admin_id_tag @username [tag|remove]* - Assign the OCPP card
+📜 */admin_audit [@username] [days]* - Action log
+
+*Diagnostics:*
+🔍 */dbtest* - Check the database status
+🔄 */admin_update_commands* - Update the bot commands
+`,
+    moderator: `
+
+🛡️ *MODERATOR COMMANDS* 🛡️
+
+📊 */admin_status* - Detailed system status
+📈 */admin_stats* - System statistics
+⏹️ */admin_reset_slot @username* - Force-end a session
+🚫 */admin_remove_queue @username* - Remove a user from the queue
+✅ */admin_approve_extension @username* - Approve an extension request
+⛔ */admin_reject_extension @username* - Reject an extension request
+👥 */admin_check_penalties* - Show users with penalties
+📨 */admin_appeal [accept|reject] @username* - Appeals against penalties
+📜 */admin_audit [@username] [days]* - Action log
+`
+  }
+};
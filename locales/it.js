@@ -0,0 +1,702 @@
+/**
+ * Catalogo dei messaggi in italiano (lingua predefinita)
+ * Le voci con forme { one, other } scelgono il plurale in base al parametro count
+ */
+module.exports = {
+  // Nome della lingua, mostrato da /lingua
+  language_name: 'Italiano',
+  // Locale per numeri e date
+  locale: 'it-IT',
+
+  common: {
+    minutes: { one: '{count} minuto', other: '{count} minuti' },
+    slot: '🔌 Colonnina: {slot}',
+    custom_duration: '(durata personalizzata)',
+    not_available: 'N/A'
+  },
+
+  commands: {
+    start: 'Avvia il bot',
+    prenota: 'Prenota uno slot o mettiti in coda',
+    prenota_alle: 'Prenota una fascia oraria futura',
+    prenotazioni: 'Visualizza le tue prenotazioni',
+    annulla_prenotazione: 'Annulla una prenotazione',
+    cancella: 'Cancella la tua prenotazione in coda',
+    iniziato: 'Conferma l\'inizio della ricarica o specifica durata',
+    terminato: 'Conferma la fine della ricarica',
+    estendi: 'Estendi la ricarica in corso',
+    kwh: 'Indica i kWh dell\'ultima ricarica',
+    status: 'Visualizza lo stato attuale del sistema',
+    colonnine: 'Elenco delle colonnine di ricarica',
+    sede: 'Visualizza o scegli la sede di ricarica',
+    stato_utente: 'Visualizza il tuo stato e penalità',
+    storico: 'Visualizza le tue ultime ricariche',
+    ricorso: 'Contesta una penalità',
+    lingua: 'Scegli la lingua del bot',
+    help: 'Mostra i comandi disponibili',
+    dove_sono: 'Mostra ID della chat corrente'
+  },
+
+  keyboards: {
+    started: '✅ Ho iniziato',
+    give_up: '❌ Rinuncia',
+    book: '📝 Prenota',
+    refresh: '🔄 Aggiorna',
+    newer: '⬅️ Più recenti',
+    older: 'Meno recenti ➡️'
+  },
+
+  errors: {
+    generic: '❌ Si è verificato un errore: {message}',
+    plain: '❌ {message}',
+    not_registered: 'Utente non registrato. Usa /start per registrarti.',
+    system_config: 'Errore di sistema. Configurazione non trovata.',
+    session_active: 'Hai già una sessione di ricarica attiva.',
+    no_active_session: 'Non hai nessuna sessione di ricarica attiva.',
+    no_matching_slot: 'Nessuna colonnina corrisponde alla preferenza indicata. Usa /colonnine per vedere l\'elenco.',
+    no_matching_free_slot: 'Nessuna colonnina libera corrisponde alla preferenza indicata. Usa /colonnine per vedere lo stato delle colonnine.',
+    reserved_slot_busy: 'Lo slot prenotato non è ancora stato liberato. Riprova tra qualche minuto.',
+    no_slots_available: 'Non ci sono slot disponibili al momento. Usa /prenota per metterti in coda.',
+    slots_reserved: 'Gli slot liberi sono prenotati da altri utenti in questa fascia oraria. Usa /prenota per metterti in coda o indica una durata più breve.',
+    all_slots_occupied: 'Tutti gli slot sono occupati.',
+    energy_invalid: 'Indica i kWh erogati (es. 12.4) oppure le letture iniziale e finale del contatore (es. 1520.3 1532.7).',
+    meter_order: 'La lettura finale del contatore deve essere maggiore di quella iniziale.',
+    energy_range: 'L\'energia deve essere compresa tra 0 e {max} kWh.',
+    no_recent_session: 'Non hai ricariche terminate nelle ultime {hours} ore.',
+    extension_limit: 'Puoi estendere la sessione al massimo di {minutes} minuti (durata massima {max} minuti).',
+    session_expired: 'Il tempo della tua sessione è già scaduto. Termina la ricarica con /terminato.',
+    extension_pending: 'Hai già una richiesta di estensione di {minutes} minuti in attesa di approvazione.',
+    extension_reserved: 'Non è possibile estendere la sessione: lo slot è prenotato da un altro utente in questa fascia oraria.',
+    reservation_duration: 'La durata deve essere compresa tra 1 e {max} minuti.',
+    reservation_date: 'Data o ora non valide. Usa il formato GG/MM/AAAA HH:MM (es. /prenota_alle 25/06/2025 22:30 120).',
+    reservation_past: 'L\'orario della prenotazione deve essere nel futuro.',
+    reservation_advance: 'Puoi prenotare al massimo con {days} giorni di anticipo.',
+    reservation_overlap: 'Hai già una prenotazione dalle {start} alle {end} del {day}.',
+    reservation_full: 'Tutti gli slot sono già prenotati o occupati in quella fascia oraria. Prova un orario diverso.',
+    site_not_found: 'Sede "{code}" non trovata. Usa /sede per vedere le sedi disponibili.',
+    appeal_reason: 'Spiega il motivo del ricorso in al massimo {max} caratteri.',
+    appeal_pending: 'Hai già un ricorso in attesa di decisione.',
+    appeal_no_penalty: 'Non hai penalità da contestare.',
+    appeal_active_session: 'Potrai presentare ricorso al termine della ricarica in corso.',
+    appeal_no_session: 'Non c\'è una ricarica numero {index} nel tuo /storico.',
+    appeal_no_session_penalty: 'La ricarica numero {index} del tuo /storico non ha penalità valide da contestare.',
+    appeal_exists: 'Hai già presentato ricorso per questa penalità.'
+  },
+
+  router: {
+    unauthorized: '⚠️ *Accesso non autorizzato*\n\n' +
+      'Mi dispiace @{username}, ma per utilizzare questo bot devi essere un membro del gruppo autorizzato.\n\n' +
+      'Contatta l\'amministratore per maggiori informazioni.',
+    admin_only: '🚫 Comando riservato agli amministratori.',
+    unknown_command: '❌ Comando non riconosciuto: /{command}',
+    slots_occupied: '🔌 Attualmente occupati {occupied}/{total} slot.'
+  },
+
+  start: {
+    error: '❌ Si è verificato un errore durante l\'avvio. Riprova più tardi.'
+  },
+
+  prenota: {
+    unknown_slot: '❌ Colonnina non riconosciuta: *{slot}*\n\n' +
+      'Puoi indicare il numero (*/prenota #2*), il connettore (*/prenota ccs*) o il nome della colonnina.\n' +
+      'Usa /colonnine per vedere l\'elenco.',
+    note: 'ℹ️ *Nota*\n\n{message}'
+  },
+
+  prenota_alle: {
+    usage: '❌ Uso: */prenota_alle [data] [ora] [durata] [sede]*\n\n' +
+      'La data può essere GG/MM/AAAA, GG/MM, *oggi* o *domani*; la durata è in minuti.\n' +
+      'Esempio: */prenota_alle domani 22:30 120*'
+  },
+
+  annulla_prenotazione: {
+    usage: '❌ Uso: /annulla_prenotazione [numero]\n\nIl numero è quello mostrato da /prenotazioni.',
+    not_found: 'ℹ️ @{username}, non ho trovato la prenotazione indicata.\n\n' +
+      'Usa /prenotazioni per vedere le tue prenotazioni.',
+    cancelled: '✅ Prenotazione del *{day}* dalle *{start}* alle *{end}* annullata.'
+  },
+
+  cancella: {
+    removed: '✅ @{username}, sei stato rimosso dalla coda con successo.\n\n' +
+      'Eri in posizione *#{position}*.\n\n' +
+      'Se vorrai ricaricare in futuro, usa nuovamente /prenota.',
+    active_session: 'ℹ️ @{username}, hai una sessione di ricarica attiva.\n\n' +
+      'Se vuoi terminare la ricarica, usa il comando /terminato.',
+    nothing: 'ℹ️ @{username}, non sei attualmente in coda né hai una sessione attiva.\n\n' +
+      'Per prenotare una ricarica, usa il comando /prenota.'
+  },
+
+  iniziato: {
+    invalid_duration: '⚠️ *Tempo non valido*\n\n' +
+      'Il tempo specificato ({minutes} minuti) non è valido.\n' +
+      'Per favore, specifica un tempo tra 1 e 480 minuti.\n' +
+      'Esempio: */iniziato 45* per una ricarica di 45 minuti.'
+  },
+
+  kwh: {
+    usage: '❌ Uso: /kwh [kWh] oppure /kwh [lettura iniziale] [lettura finale]\n\n' +
+      'Esempi: /kwh 12.4 oppure /kwh 1520.3 1532.7',
+    recorded: '⚡ Registrati *{energy}* per la ricarica del {day} delle {time}.'
+  },
+
+  estendi: {
+    usage: '⚠️ Specifica di quanti minuti vuoi estendere la ricarica.\n' +
+      'Esempio: */estendi 30*',
+    request_sent: {
+      one: '⏳ *Richiesta di estensione inviata*\n\n' +
+        'C\'è {count} utente in coda, quindi l\'estensione di {minutes} minuti deve essere approvata da un amministratore.\n' +
+        'Riceverai un messaggio con l\'esito. Fino ad allora vale il termine attuale delle *{end}*.',
+      other: '⏳ *Richiesta di estensione inviata*\n\n' +
+        'Ci sono {count} utenti in coda, quindi l\'estensione di {minutes} minuti deve essere approvata da un amministratore.\n' +
+        'Riceverai un messaggio con l\'esito. Fino ad allora vale il termine attuale delle *{end}*.'
+    }
+  },
+
+  status: {
+    error: '❌ Si è verificato un errore durante il recupero dello stato.',
+    title: '📊 *Stato attuale del sistema*',
+    site: '📍 Sede: *{name}*',
+    slots_occupied: '🔌 Slot occupati: *{occupied}/{total}*',
+    charging_title: '⚡ *Utenti attualmente in ricarica:*',
+    charging_item: '{index}. @{username}{slot} ⏱️ termina tra *{minutes} min* {duration}',
+    nobody_charging: '✨ *Nessun utente attualmente in ricarica.*',
+    waiting: '👥 Utenti in attesa: *{count}*',
+    wait_time: '⏱️ Tempo medio di attesa stimato: *{minutes} minuti*',
+    next_title: '🔜 *Prossimi in coda:*',
+    cancel_hint: 'Sei in coda? Per rinunciare al tuo turno, usa */cancella*.',
+    queue_empty: '✅ *Nessun utente in coda.*',
+    book_hint: 'Vuoi ricaricare? Usa */prenota* per iniziare.',
+    board_updated: '🕒 _Aggiornato alle {time}_'
+  },
+
+  slots: {
+    error: '❌ Si è verificato un errore durante il recupero delle colonnine.',
+    none: 'ℹ️ Nessuna colonnina configurata.',
+    title: '🔌 *Colonnine di ricarica*',
+    occupied: '🔴 occupata',
+    free: '🟢 libera',
+    footer: 'Per scegliere una colonnina usa */prenota #2* o */prenota ccs*.'
+  },
+
+  sites: {
+    title: '📍 *Sedi di ricarica*',
+    item: '• *{name}* - codice: `{code}`',
+    current: ' ✅ *in uso*',
+    footer: 'Per scegliere la tua sede usa */sede [codice]*.\n' +
+      'Puoi anche indicare la sede in un singolo comando, ad esempio */prenota sede:{code}*.',
+    set: '✅ @{username}, la tua sede predefinita ora è *{name}*.\n\n' +
+      'I comandi /prenota, /status e /colonnine useranno questa sede se non ne indichi un\'altra.'
+  },
+
+  storico: {
+    usage: '❌ Uso: /storico [n]\n\nn è il numero di ricariche da mostrare per pagina (massimo {max}).'
+  },
+  
+  ricorso: {
+    usage: '❌ Uso: /ricorso [#numero] motivo\n\n' +
+      'Contesta la tua ultima penalità spiegando cosa è successo (es. /ricorso la colonnina si è bloccata e non potevo scollegare l\'auto).\n' +
+      'Per contestare la penalità di un\'altra ricarica indica prima il suo numero in /storico preceduto da # (es. /ricorso #3 la colonnina era guasta).',
+    sent: '📨 *Ricorso inviato*\n\n' +
+      'Hai contestato la penalità ({points}) per la ricarica del {day}.\n' +
+      'Riceverai un messaggio quando un amministratore avrà deciso.',
+    accepted: '✅ *Ricorso accettato*\n\nLa penalità ({points}) per la ricarica del {day} è stata annullata.',
+    ban_lifted: 'Anche la sospensione del tuo account è stata revocata.',
+    rejected: '⛔ *Ricorso respinto*\n\nLa penalità per la ricarica del {day} resta valida.'
+  },
+
+  dove_sono: {
+    title: '📍 *Informazioni sulla chat attuale*',
+    private_chat: 'Chat privata',
+    private: 'Tipo: Chat privata con il bot\n' +
+      'ID: `{chatId}`\n\n' +
+      'Questo è l\'ID della tua chat privata con il bot, non di un gruppo.',
+    group: 'Gruppo',
+    supergroup: 'Supergruppo',
+    group_info: 'Tipo: {type}\n' +
+      'Nome: *{title}*\n' +
+      'ID: `{chatId}`\n\n' +
+      '🔍 Questo è l\'ID di questo gruppo. Per configurare il bot per l\'uso esclusivo in questo gruppo, ' +
+      'l\'amministratore del bot dovrà impostare questo ID nella configurazione.',
+    other: 'Tipo: {type}\n' +
+      'ID: `{chatId}`\n',
+    admin_info: '👑 *Info per l\'amministratore:*\n' +
+      'Per configurare il bot per l\'uso esclusivo in questo gruppo, imposta le variabili d\'ambiente:'
+  },
+
+  lingua: {
+    current: '🌐 La tua lingua è *{language}*.\n\n' +
+      'Per cambiarla usa */lingua [codice]* oppure i pulsanti qui sotto.\n' +
+      'Lingue disponibili: {languages}',
+    set: '✅ Lingua impostata: *{language}*.',
+    invalid: 'Lingua non disponibile: {code}. Lingue disponibili: {languages}.'
+  },
+
+  session_status: {
+    active: '✅ Attiva',
+    completed: '✓ Completata',
+    timeout: '⏱️ Scaduta',
+    admin_terminated: '🛑 Terminata da admin'
+  },
+
+  session: {
+    duration_custom: '*{minutes}* (personalizzato)',
+    duration_default: '*{minutes}* (predefinito)',
+    started: `
+✅ *Ricarica iniziata con successo!*
+
+{slot}⏱️ Hai iniziato alle: *{start}*
+⌛ Termine previsto: *{end}*
+⏳ Tempo di ricarica: {duration}
+{tariff}
+📱 *Cosa fare ora:*
+- Riceverai un promemoria 5 minuti prima della scadenza
+- Quando termini la ricarica, scollega il veicolo
+- Conferma con */terminato* per liberare lo slot
+
+⚠️ *Importante:* Se non confermi entro il tempo massimo, riceverai penalità che potrebbero limitare l'uso futuro del servizio.
+`,
+    extended: `
+⏩ *Sessione estesa di {minutes}!*
+
+⌛ Nuovo termine previsto: *{end}*
+⏳ Durata complessiva: *{duration}*
+
+Riceverai un nuovo promemoria prima della scadenza.
+`,
+    energy: '⚡ Energia erogata: *{energy}*',
+    energy_prompt: '⚡ Quanti kWh hai caricato? Invia */kwh 12.4* oppure le letture del contatore */kwh 1520.3 1532.7*',
+    cost: '💶 Costo: *{cost}*',
+    ended: `
+✅ *Ricarica terminata con successo!*
+
+⏱️ Durata totale: *{duration}*
+{energy}{cost}
+🔋 Grazie per aver utilizzato SlotManager Bot!
+
+👍 Hai liberato lo slot per gli altri utenti.
+Vuoi prenotare una nuova ricarica? Usa */prenota*
+`
+  },
+
+  tariff: {
+    band: 'fascia *{code}*',
+    base: 'tariffa base',
+    current: '💶 Ora è in vigore la {band}: {price}/kWh',
+    estimated_energy: ' (circa {energy})',
+    estimated_cost: '🧮 Costo stimato: *{cost}*{energy}',
+    cheaper: '🌙 Se puoi aspettare: dal {day} alle {time} {band} a {price}/kWh'
+  },
+
+  welcome: `
+👋 *Benvenuto a SlotManager Bot, @{username}!*
+
+Questo bot gestisce la coda per le colonnine di ricarica in modo semplice e veloce.
+
+📱 *Per iniziare subito:*
+
+- Usa */prenota* per richiedere una colonnina
+- Se tutte sono occupate, verrai messo in coda
+- Riceverai una notifica quando sarà il tuo turno
+- Per iniziare una ricarica con durata personalizzata usa */iniziato [minuti]*
+  Esempio: */iniziato 45* per una ricarica di 45 minuti
+
+📊 Per verificare lo stato delle colonnine usa */status*
+❓ Per maggiori informazioni usa */help*
+🌐 Per cambiare lingua usa */lingua*
+
+Buona ricarica! ⚡
+`,
+
+  queue: {
+    added: `
+⏳ *Tutte le colonnine sono occupate in questo momento*
+
+✅ @{username}, sei stato aggiunto in coda in posizione *#{position}*.
+
+*Cosa succederà ora:*
+- Quando si libera uno slot, gli utenti vengono avvisati in ordine di coda
+- Riceverai una notifica quando sarà il tuo turno
+- Avrai 5 minuti per iniziare la ricarica, dopo la notifica
+- Potrai specificare una durata personalizzata con */iniziato [minuti]*
+
+*Opzioni disponibili:*
+- Usa */status* per controllare la tua posizione in coda
+- Usa */cancella* se cambi idea e non vuoi più attendere
+
+Ti ringraziamo per la pazienza! 🙏
+`,
+    slot_available: `
+✅ *Ottima notizia, @{username}!*
+
+🟢 **C'è uno slot libero, puoi procedere subito con la ricarica.**
+{slot}{tariff}
+*Ecco cosa fare:*
+
+1️⃣ Vai alla colonnina di ricarica
+2️⃣ Attivala e collega il tuo veicolo
+3️⃣ Premi *Ho iniziato* qui sotto per usare il tempo predefinito ({minutes} minuti)
+   • oppure scrivi */iniziato 45* per specificare una durata di 45 minuti
+
+⚠️ *Importante:* Se non confermi l'inizio con */iniziato*, lo slot rimarrà riservato per te ma non risulterai in ricarica.
+`,
+    your_turn: `
+🔔 *È IL TUO TURNO, @{username}!*
+
+🟢 Si è liberato uno slot di ricarica riservato per te.
+{slot}
+*Cosa fare ora:*
+
+1️⃣ Vai subito alla colonnina di ricarica
+2️⃣ Attivala e collega il tuo veicolo
+3️⃣ Premi *Ho iniziato* qui sotto per usare il tempo predefinito ({minutes} minuti)
+   • oppure scrivi */iniziato 45* per specificare una durata di 45 minuti
+
+⚠️ *ATTENZIONE: Hai solo 5 minuti per confermare* l'inizio con */iniziato*, altrimenti perderai il turno e lo slot passerà al prossimo utente in coda.
+
+Se non puoi più ricaricare, premi *Rinuncia* per liberare subito lo slot.
+`,
+    removed_banned: '⚠️ *Sei stato rimosso dalla coda*\n\n' +
+      'Il tuo account è attualmente sospeso fino al {date}.\n\n' +
+      'Motivo: troppe penalità accumulate per ritardi eccessivi.',
+    turn_expired: '⏱️ *Tempo scaduto*\n\n' +
+      '@{username}, sono passati più di 5 minuti dalla notifica della disponibilità dello slot di ricarica. ' +
+      'Il tuo turno è stato saltato e lo slot sarà assegnato al prossimo utente in coda.\n\n' +
+      'Se desideri ancora ricaricare, utilizza nuovamente il comando /prenota per metterti in coda.'
+  },
+
+  reservation: {
+    confirmed: `
+📅 *Prenotazione confermata, @{username}!*
+
+🗓️ Giorno: *{day}*
+⏱️ Dalle *{start}* alle *{end}*
+⏳ Durata: *{duration}*
+
+*Cosa succederà ora:*
+- All'orario prenotato riceverai una notifica con lo slot riservato per te
+- Conferma l'inizio con */iniziato* per avviare la ricarica
+- Usa */prenotazioni* per vedere le tue prenotazioni
+- Usa */annulla_prenotazione* se cambi idea
+`,
+    none: '📅 *Nessuna prenotazione attiva*\n\n' +
+      'Per prenotare una fascia oraria usa */prenota_alle [data] [ora] [durata]*.\n' +
+      'Esempio: */prenota_alle domani 22:30 120*',
+    list_title: '📅 *Le tue prenotazioni*',
+    list_item: '{index}. {day} dalle *{start}* alle *{end}*{status}',
+    reserved_now: ' 🟢 *slot riservato ora*',
+    cancel_hint: 'Per annullare una prenotazione usa */annulla_prenotazione [numero]*.',
+    starting: `
+🔔 *È L'ORA DELLA TUA PRENOTAZIONE, @{username}!*
+
+🟢 Uno slot di ricarica è riservato per te dalle *{start}* alle *{end}*.
+
+*Cosa fare ora:*
+
+1️⃣ Vai alla colonnina di ricarica
+2️⃣ Attivala e collega il tuo veicolo
+3️⃣ Conferma l'inizio con */iniziato* (durata prenotata: {duration})
+
+⚠️ *Hai {grace} per confermare* l'inizio, altrimenti la prenotazione verrà annullata.
+`,
+    expired: '⏱️ *Prenotazione scaduta*\n\n' +
+      '@{username}, non hai confermato l\'inizio della ricarica entro {grace} ' +
+      'dall\'orario prenotato. La prenotazione è stata annullata e lo slot è stato liberato.\n\n' +
+      'Se desideri ancora ricaricare, usa /prenota o /prenota_alle.',
+    unserved: '⏱️ *Prenotazione annullata*\n\n' +
+      '@{username}, durante la fascia prenotata non si è liberato nessuno slot. ' +
+      'La prenotazione è stata annullata senza penalità.\n\n' +
+      'Se desideri ancora ricaricare, usa /prenota o /prenota_alle.'
+  },
+
+  reminder: `
+⏰ *Promemoria ricarica, @{username}*
+
+Ti restano solo *{minutes}* prima del termine {duration}.
+
+*Informazioni:*
+- La ricarica terminerà alle *{end}*
+- Prepara il veicolo per essere scollegato
+- Al termine, conferma con */terminato* per liberare lo slot
+
+Grazie per la collaborazione! Altri utenti potrebbero essere in attesa. 👍
+`,
+
+  timeout: {
+    duration_custom: 'personalizzato di *{minutes}*',
+    duration_default: 'di *{minutes}*',
+    message: `
+⚠️ *TEMPO SCADUTO, @{username}*
+
+Il tuo tempo di ricarica {duration} è terminato.
+
+*Cosa fare immediatamente:*
+1. Concludi la ricarica
+2. Scollega il veicolo dalla colonnina
+3. Conferma con */terminato* per liberare lo slot
+
+⚡ Altri utenti sono in attesa per utilizzare la colonnina.
+Grazie per la tua collaborazione!
+
+⚠️ *Nota:* I ritardi comportano penalità che possono limitare l'uso futuro del servizio.
+`
+  },
+
+  overtime: {
+    warning: `
+⚠️ *ATTENZIONE*
+
+@{username}, il tuo tempo è scaduto da *{minutes}*.
+
+Per favore, concludi la ricarica e libera la colonnina appena possibile.
+Ricorda che i ritardi comportano penalità ({points}).
+`,
+    significant: `
+🔴 *RITARDO SIGNIFICATIVO*
+
+@{username}, il tuo tempo è scaduto da *{minutes}*!
+
+Ti preghiamo di liberare immediatamente la colonnina.
+⚠️ Stai accumulando {points} per questo ritardo.
+Al raggiungimento di {threshold} punti il tuo account sarà temporaneamente sospeso.
+`,
+    severe: `
+🚨 *VIOLAZIONE GRAVE*
+
+@{username}, il tuo tempo è scaduto da *{minutes}*!
+
+Stai impedendo ad altri utenti di utilizzare la colonnina.
+🔴 *Questo ritardo comporta già {points} e potrebbe portare al ban*
+
+Libera IMMEDIATAMENTE la colonnina.
+`
+  },
+
+  penalties: {
+    points: { one: '{count} punto penalità', other: '{count} punti penalità' },
+    ban_ended: 'Il tuo ban temporaneo è terminato. Sei di nuovo autorizzato a utilizzare le colonnine di ricarica. Per favore, rispetta i tempi per evitare ulteriori penalità.',
+    banned_until: 'Il tuo account è temporaneamente sospeso fino al {date} a causa di troppe penalità accumulate. Non puoi prenotare colonnine fino a quella data.',
+    banned: '🚫 *Soglia di penalità raggiunta*: il tuo account è temporaneamente sospeso fino al {date}.',
+    banned_manual: 'Il tuo account è stato sospeso da un amministratore fino al {date}. Motivo: {reason}. Non puoi prenotare colonnine fino a quella data.',
+    points_reset: 'Le tue penalità sono scadute: non hai più punti penalità.',
+    near_threshold: '⚠️ Attenzione: hai {points} punti penalità su {threshold}. Al raggiungimento di {threshold} punti il tuo account sarà temporaneamente sospeso.',
+    user_banned: '🚫 *Account temporaneamente sospeso*\n\n' +
+      'Hai raggiunto {points} punti penalità a causa di ripetuti ritardi.\n\n' +
+      'Il tuo account è sospeso fino al {date}.\n' +
+      'Non potrai utilizzare le colonnine di ricarica fino a quella data.\n\n' +
+      'Per maggiori informazioni, usa il comando /stato_utente.',
+    no_show_free: 'ℹ️ Questo mancato arrivo non comporta penalità ({used}/{grace} concessi questo mese). ' +
+      'Oltre quelli concessi, ogni mancato arrivo del mese comporta {points}.',
+    no_show_applied: '⚠️ *Penalità per mancato arrivo*\n\n' +
+      'Ti sono stati assegnati {points} perché non hai iniziato la ricarica dopo la notifica del tuo turno.\n\n' +
+      'Hai ora un totale di {total}/{threshold} punti penalità.\n' +
+      'Al raggiungimento di {threshold} punti il tuo account sarà temporaneamente sospeso.',
+    no_show_banned: '🚫 *Account temporaneamente sospeso*\n\n' +
+      'Hai raggiunto {points} punti penalità a causa di ripetuti mancati arrivi.\n\n' +
+      'Il tuo account è sospeso fino al {date}.\n' +
+      'Non potrai utilizzare le colonnine di ricarica fino a quella data.',
+    applied: '⚠️ *Penalità applicata*\n\n' +
+      'Ti sono stati assegnati {points} punti penalità per un ritardo di {minutes} minuti.\n\n' +
+      'Hai ora un totale di {total}/{threshold} punti penalità.\n' +
+      'Al raggiungimento di {threshold} punti il tuo account sarà temporaneamente sospeso.\n\n' +
+      'Per maggiori informazioni, usa il comando /stato_utente.'
+  },
+
+  user_status: {
+    title: '👤 *Il tuo stato attuale*',
+    username: 'Username: @{username}',
+    charges: 'Ricariche completate: *{count}*',
+    total_time: 'Tempo totale di ricarica: *{minutes} min*',
+    penalty_points: '⚠️ Punti penalità: *{points}*',
+    last_penalty: 'Ultimo ritardo: {date}',
+    banned: '🚫 *Account temporaneamente sospeso fino al {date}*',
+    ban_reason: 'Motivo della sospensione: {reason}',
+    near_threshold: '⚠️ *Attenzione: sei vicino alla soglia di sospensione ({threshold} punti)*',
+    expiry_title: 'Scadenza dei punti:',
+    expiry: '   • {points} fino al {date}',
+    no_penalties: '✅ Nessuna penalità attiva'
+  },
+
+  history: {
+    title: '📖 *Storico ricariche*',
+    empty: 'Non hai ancora completato nessuna ricarica.',
+    page: { one: 'Pagina {page}/{pages} - {count} ricarica', other: 'Pagina {page}/{pages} - {count} ricariche' },
+    item: '{index}. 🔋 *{day}* dalle {start} alle {end} - Slot {slot}',
+    duration: '   • Durata: {actual} min su {planned} previsti',
+    energy: '   • ⚡ Energia: {energy}',
+    cost: '   • 💶 Costo: {cost}',
+    overtime: '   • ⏰ Ritardo: {minutes} min',
+    penalty_points: '   • ⚠️ Punti penalità: {points}',
+    appeal_pending: '   • 📨 Ricorso in attesa di decisione',
+    appeal_accepted: '   • ✅ Ricorso accettato: {points} annullati',
+    appeal_rejected: '   • ⛔ Ricorso respinto'
+  },
+  
+  billing: {
+    title: '🧾 *Rendiconto ricariche {month}*',
+    summary: '🔋 Ricariche: {count} ({minutes} min, {energy})',
+    energy: '⚡ Energia: {amount}',
+    time: '⏱️ Tempo: {amount}',
+    idle: '🅿️ Sosta oltre il tempo previsto: {amount}',
+    total: '💶 *Totale da rimborsare: {amount}*'
+  },
+
+  charger: {
+    start_confirmed: '🔌 *Ricarica confermata automaticamente dalla colonnina*',
+    stop_detected: '🔌 *Fine ricarica rilevata dalla colonnina*',
+    start_detected: '🔌 *Ricarica rilevata dalla colonnina*',
+    stop_closed: '🔌 *Ricarica chiusa dalla colonnina*',
+    start_rejected: '❌ La colonnina *{slot}* non può avviare la ricarica: {message}'
+  },
+
+  notices: {
+    role_admin: 'amministratore',
+    role_moderator: 'moderatore',
+    role_granted: '👮 *Nuovo ruolo*\n\n' +
+      'Ti è stato assegnato il ruolo di *{role}*.\n' +
+      'Usa /admin\\_help per vedere i comandi disponibili.',
+    session_terminated: 'ℹ️ *Sessione terminata dall\'amministratore*\n\n' +
+      'La tua sessione di ricarica è stata terminata da un amministratore.\n' +
+      'Se hai domande, contatta l\'assistenza.',
+    queue_removed: 'ℹ️ *Rimosso dalla coda*\n\n' +
+      'Sei stato rimosso dalla coda da un amministratore.\n' +
+      'Se hai domande, contatta l\'assistenza.',
+    extension_rejected: '⛔ *Estensione non approvata*\n\n' +
+      'La tua richiesta di {minutes} minuti in più non è stata approvata perché ci sono altri utenti in attesa.\n' +
+      'Il termine della ricarica resta alle *{end}*.',
+    announcement: '📢 *Annuncio dell\'amministratore*\n\n{message}',
+    penalty_added: '⚠️ *Penalità assegnata da un amministratore*\n\n' +
+      'Ti sono stati assegnati {points}.\n' +
+      'Motivo: {reason}\n\n' +
+      'Hai ora un totale di {total} punti penalità. Per maggiori informazioni, usa il comando /stato_utente.',
+    penalty_removed: '✅ *Penalità ridotte da un amministratore*\n\n' +
+      'Ti sono stati tolti {points}.\n' +
+      'Motivo: {reason}\n\n' +
+      'Hai ora un totale di {total} punti penalità.',
+    days: { one: '{count} giorno', other: '{count} giorni' },
+    banned: '🚫 *Account sospeso da un amministratore*\n\n' +
+      'Il tuo account è sospeso per {days}, fino al {date}.\n' +
+      'Motivo: {reason}\n\n' +
+      'Non potrai prenotare le colonnine fino a quella data. Se hai domande, contatta l\'assistenza.',
+    unbanned: '✅ *Sospensione revocata*\n\n' +
+      'Un amministratore ha revocato la sospensione del tuo account: puoi di nuovo prenotare con /prenota.',
+    system_reset: 'ℹ️ *Notifica di Sistema*\n\n' +
+      'Il sistema è stato resettato dall\'amministratore.\n' +
+      'Tutte le sessioni attive e le code sono state cancellate.\n\n' +
+      'Se desideri ricaricare, utilizza nuovamente il comando /prenota.'
+  },
+
+  help: {
+    user: `
+🔋 *Guida a SlotManager Bot* 🔋
+
+*Come ricaricare il tuo veicolo:*
+
+1️⃣ Usa */prenota* per richiedere una colonnina
+   • Se c'è uno slot libero, riceverai l'OK per procedere
+   • Se tutte le colonnine sono occupate, verrai messo in coda
+   • Puoi indicare una colonnina o un connettore: */prenota #2*, */prenota ccs*
+
+2️⃣ Quando arriva il tuo turno:
+   • Vai alla colonnina e attivala
+   • Conferma l'inizio con */iniziato* (tempo predefinito)
+   • Oppure specifica la durata: */iniziato 45* (per 45 minuti)
+   • *Hai 5 minuti* per iniziare, altrimenti perderai il turno
+
+3️⃣ Durante la ricarica:
+   • Hai a disposizione il tempo che hai specificato
+   • Riceverai un promemoria 5 minuti prima della scadenza
+   • Serve più tempo? Usa */estendi 30* (se c'è qualcuno in coda decide l'amministratore)
+
+4️⃣ Al termine:
+   • Completa la ricarica e scollega il veicolo
+   • Conferma con */terminato* per liberare lo slot
+   • Indica i kWh caricati: */terminato 12.4* o, dopo, */kwh 12.4*
+
+*Altri comandi utili:*
+
+📝 */prenota* - Richiedi una colonnina o mettiti in coda
+📅 */prenota_alle [data] [ora] [durata]* - Prenota una fascia oraria futura
+🗓️ */prenotazioni* - Visualizza le tue prenotazioni
+🚫 */annulla_prenotazione [numero]* - Annulla una prenotazione
+❌ */cancella* - Rinuncia al tuo posto in coda
+⏩ */estendi [minuti]* - Estendi la ricarica in corso
+⚡ */kwh [kWh]* - Indica l'energia dell'ultima ricarica (o le letture del contatore)
+📊 */status* - Verifica quali colonnine sono libere/occupate
+🔌 */colonnine* - Elenco delle colonnine con connettore e potenza
+📍 */sede [codice]* - Visualizza le sedi o scegli quella predefinita
+👤 */stato_utente* - Visualizza il tuo stato e eventuali penalità
+📖 */storico [n]* - Le tue ultime ricariche, n per pagina
+📨 */ricorso [#numero] motivo* - Contesta l'ultima penalità, o quella della ricarica con il numero di /storico
+🌐 */lingua [it|en]* - Scegli la lingua del bot
+❓ */help* - Visualizza questa guida
+📍 */dove_sono* - Mostra l'ID della chat attuale
+
+*Consigli:*
+- Ricevuta la notifica, hai 5 minuti per iniziare
+- Se cambi idea o hai un imprevisto, usa */cancella* per liberare il posto
+- Rispetta il tempo massimo per la cortesia di tutti
+- Ritardi frequenti comportano penalità e possibili sospensioni temporanee
+`,
+    admin: `
+
+🔧 *COMANDI AMMINISTRATORE* 🔧
+
+*Gestione Sistema:*
+📊 */admin_status* - Stato dettagliato del sistema
+📈 */admin_stats* - Statistiche del sistema
+📦 */admin_export <sessions|users|penalties> [da] [a] [csv|json]* - Esporta i dati in un file
+🧾 */admin_billing [mese]* - Invia a ogni utente il rendiconto del mese
+🕒 */admin_tariff [add|remove] [fascia] [giorni] [orario] [prezzo]* - Fasce orarie di tariffazione
+🪝 */admin_webhooks [add|remove|enable|disable|secret|test]* - Webhook per gli eventi del sistema
+🔑 */admin_api_tokens [add|revoke] [nome] [ambiti]* - Token dell'API REST
+🔄 */admin_set_max_slots [numero]* - Imposta il numero massimo di slot
+🔄 */admin_set_charge_time [minuti]* - Imposta il tempo massimo di ricarica predefinito
+🔄 */admin_set_reminder_time [minuti]* - Imposta il tempo di promemoria
+⚙️ */admin_settings* - Visualizza le impostazioni e la loro provenienza
+🔌 */admin_slot [sede] [numero] [nome|tipo|kw|luogo|ocpp] [valore]* - Configura una colonnina
+
+*Gestione Sedi:*
+📍 */admin_sites* - Elenco delle sedi configurate
+➕ */admin_add_site [codice] [nome]* - Aggiunge una sede
+✏️ */admin_set_site [codice] [nome|tempo|promemoria] [valore]* - Modifica una sede
+👤 */admin_site_admin [codice] [add|remove] [utente]* - Gestisce gli amministratori di sede
+ℹ️ I comandi di gestione accettano anche la sede come argomento (es. */admin_status nord*)
+🗑️ */admin_reset_system* - Resetta completamente il sistema (richiede conferma)
+
+*Gestione Utenti:*
+⏹️ */admin_reset_slot @username* - Termina forzatamente la sessione
+🚫 */admin_remove_queue @username* - Rimuove un utente dalla coda
+✅ */admin_approve_extension @username* - Approva una richiesta di estensione
+⛔ */admin_reject_extension @username* - Rifiuta una richiesta di estensione
+📣 */admin_notify_all [messaggio]* - Invia un messaggio a tutti
+👥 */admin_check_penalties* - Visualizza utenti con penalità
+📨 */admin_appeal [accept|reject] @username* - Ricorsi contro le penalità
+⚖️ */admin_penalty_rules [preview] [regola] [valori]* - Regole delle penalità, con anteprima sulle sessioni recenti
+➕ */admin_penalty @username +N|-N [motivo]* - Aggiunge o toglie punti penalità
+🚫 */admin_ban @username [giorni] [motivo]* - Sospende un utente
+✅ */admin_unban @username* - Revoca la sospensione di un utente
+👮 */admin_grant @username [moderator|admin]* - Assegna un ruolo
+🚷 */admin_revoke @username* - Revoca il ruolo di moderatore o amministratore
+🪪 */admin_id_tag @username [tessera|remove]* - Assegna la tessera OCPP
+📜 */admin_audit [@username] [giorni]* - Registro delle azioni
+
+*Diagnostica:*
+🔍 */dbtest* - Verifica lo stato del database
+🔄 */admin_update_commands* - Aggiorna i comandi del bot
+`,
+    moderator: `
+
+🛡️ *COMANDI MODERATORE* 🛡️
+
+📊 */admin_status* - Stato dettagliato del sistema
+📈 */admin_stats* - Statistiche del sistema
+⏹️ */admin_reset_slot @username* - Termina forzatamente la sessione
+🚫 */admin_remove_queue @username* - Rimuove un utente dalla coda
+✅ */admin_approve_extension @username* - Approva una richiesta di estensione
+⛔ */admin_reject_extension @username* - Rifiuta una richiesta di estensione
+👥 */admin_check_penalties* - Visualizza utenti con penalità
+📨 */admin_appeal [accept|reject] @username* - Ricorsi contro le penalità
+📜 */admin_audit [@username] [giorni]* - Registro delle azioni
+`
+  }
+};
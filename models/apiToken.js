@@ -0,0 +1,38 @@
+/**
+ * Modello per i token di accesso all'API REST
+ * Del token viene salvato solo l'hash SHA-256: il valore in chiaro è mostrato una sola volta alla creazione
+ */
+const mongoose = require('mongoose');
+
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Primi caratteri del token, per riconoscerlo nell'elenco
+  token_prefix: {
+    type: String,
+    required: true
+  },
+  // Ambiti a cui il token dà accesso (status, sessions, queue, users, stats)
+  scopes: {
+    type: [String],
+    default: []
+  },
+  created_by: {
+    type: Number,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
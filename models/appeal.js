@@ -0,0 +1,49 @@
+/**
+ * Modello per i ricorsi contro le penalità
+ * Ogni documento contesta i punti assegnati per il ritardo su una sessione
+ */
+const mongoose = require('mongoose');
+
+const appealSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  session_id: { // Sessione su cui è stata assegnata la penalità contestata
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  points: { // Punti contestati al momento del ricorso
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  decided_by: { // ID Telegram dell'amministratore che ha deciso il ricorso
+    type: Number,
+    default: null
+  },
+  decided_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Un solo ricorso per sessione
+appealSchema.index({ session_id: 1 }, { unique: true });
+appealSchema.index({ status: 1, createdAt: 1 });
+appealSchema.index({ telegram_id: 1, status: 1 });
+
+module.exports = mongoose.model('Appeal', appealSchema);
@@ -0,0 +1,53 @@
+/**
+ * Modello per il registro delle azioni (audit log)
+ * Ogni documento descrive un'azione che ha modificato lo stato del sistema
+ */
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  // Chi ha eseguito l'azione (null per le azioni automatiche del sistema)
+  actor_id: {
+    type: Number,
+    default: null
+  },
+  actor_username: {
+    type: String,
+    default: null
+  },
+  // Utente su cui ricade l'azione
+  target_id: {
+    type: Number,
+    default: null
+  },
+  target_username: {
+    type: String,
+    default: null
+  },
+  site: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  details: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: { createdAt: 'timestamp', updatedAt: false } });
+
+// Aggiungi indici per migliorare le prestazioni
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ target_id: 1, timestamp: -1 });
+auditEventSchema.index({ actor_id: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
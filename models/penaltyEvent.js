@@ -0,0 +1,44 @@
+/**
+ * Modello per le penalità assegnate agli utenti
+ * Ogni documento è una penalità con la propria scadenza: i punti attuali di un utente
+ * sono la somma delle penalità non ancora scadute
+ */
+const mongoose = require('mongoose');
+
+const penaltyEventSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  // Origine della penalità: ritardo su una sessione, modifica di un amministratore,
+  // punti assegnati prima dell'introduzione delle scadenze, o mancato arrivo dopo la notifica
+  // del turno
+  reason: {
+    type: String,
+    enum: ['overtime', 'adjustment', 'legacy', 'no_show'],
+    default: 'overtime'
+  },
+  session_id: { // Sessione in ritardo, per le penalità dovute a un ritardo
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  overdue_minutes: {
+    type: Number,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Aggiungi indici per migliorare le prestazioni
+penaltyEventSchema.index({ telegram_id: 1, expires_at: 1 });
+penaltyEventSchema.index({ session_id: 1 }, { sparse: true });
+
+module.exports = mongoose.model('PenaltyEvent', penaltyEventSchema);
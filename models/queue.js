@@ -10,6 +10,11 @@ const queueSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Sede di ricarica
+  site: {
+    type: String,
+    default: 'default'
+  },
   position: {
     type: Number,
     required: true
@@ -29,11 +34,26 @@ const queueSchema = new mongoose.Schema({
   slot_reserved: {
     type: Boolean,
     default: false
+  },
+  // Preferenza indicata con /prenota (slot specifico o tipo di connettore)
+  preferred_slot_number: {
+    type: Number,
+    default: null
+  },
+  preferred_connector_type: {
+    type: String,
+    default: null
+  },
+  // Slot riservato all'utente al momento della notifica
+  reserved_slot_number: {
+    type: Number,
+    default: null
   }
 }, { timestamps: true });
 
 // Aggiungi indici per migliorare le prestazioni
 queueSchema.index({ position: 1 });
+queueSchema.index({ site: 1, position: 1 });
 queueSchema.index({ telegram_id: 1 });
 queueSchema.index({ notified: 1, notification_time: 1, slot_reserved: 1 });
 
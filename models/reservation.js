@@ -0,0 +1,55 @@
+/**
+ * Modello per le prenotazioni anticipate
+ * Una prenotazione blocca uno slot per una finestra temporale futura
+ */
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // Sede di ricarica
+  site: {
+    type: String,
+    default: 'default'
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  end_time: {
+    type: Date,
+    required: true
+  },
+  duration_minutes: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'notified', 'fulfilled', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  notification_time: {
+    type: Date,
+    default: null
+  },
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  }
+}, { timestamps: true });
+
+// Aggiungi indici per migliorare le prestazioni
+reservationSchema.index({ telegram_id: 1, status: 1 });
+reservationSchema.index({ status: 1, start_time: 1 });
+reservationSchema.index({ status: 1, start_time: 1, end_time: 1 });
+reservationSchema.index({ site: 1, status: 1, start_time: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -13,6 +13,11 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Sede di ricarica
+  site: {
+    type: String,
+    default: 'default'
+  },
   start_time: {
     type: Date,
     required: true
@@ -45,13 +50,72 @@ const sessionSchema = new mongoose.Schema({
   duration_minutes: { // Nuovo campo per memorizzare la durata effettiva in minuti
     type: Number,
     default: null
+  },
+  reservation_id: { // Prenotazione anticipata da cui è nata la sessione
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  extension_minutes: { // Minuti aggiunti con /estendi
+    type: Number,
+    default: 0
+  },
+  extension_pending_minutes: { // Estensione in attesa di approvazione dell'admin
+    type: Number,
+    default: null
+  },
+  extension_requested_at: {
+    type: Date,
+    default: null
+  },
+  meter_start: { // Lettura del contatore della colonnina all'inizio (kWh)
+    type: Number,
+    default: null
+  },
+  meter_end: { // Lettura del contatore della colonnina alla fine (kWh)
+    type: Number,
+    default: null
+  },
+  energy_kwh: { // Energia erogata, indicata dall'utente o calcolata dalle letture
+    type: Number,
+    default: null
+  },
+  cost_energy: { // Costi in euro calcolati alla chiusura (e ricalcolati quando vengono indicati i kWh)
+    type: Number,
+    default: 0
+  },
+  cost_time: {
+    type: Number,
+    default: 0
+  },
+  cost_idle: {
+    type: Number,
+    default: 0
+  },
+  cost_total: {
+    type: Number,
+    default: 0
+  },
+  priced_at: {
+    type: Date,
+    default: null
+  },
+  ocpp_charge_point_id: { // Colonnina OCPP che ha aperto o collegato la transazione
+    type: String,
+    default: null
+  },
+  ocpp_transaction_id: { // ID della transazione OCPP assegnato dal sistema centrale
+    type: Number,
+    default: null
   }
 }, { timestamps: true });
 
 // Aggiungi indici per migliorare le prestazioni
 sessionSchema.index({ telegram_id: 1, status: 1 });
 sessionSchema.index({ status: 1, end_time: 1 });
+sessionSchema.index({ site: 1, status: 1 });
 sessionSchema.index({ status: 1, reminded: 1, end_time: 1 });
 sessionSchema.index({ status: 1, timeout_notified: 1, end_time: 1 });
+sessionSchema.index({ ocpp_transaction_id: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,23 @@
+/**
+ * Modello per le impostazioni modificate a runtime dagli amministratori
+ * Ogni documento sovrascrive il valore predefinito letto dalle variabili d'ambiente
+ */
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updated_by: { // ID Telegram dell'amministratore che ha modificato il valore
+    type: Number,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,47 @@
+/**
+ * Modello per le sedi di ricarica
+ * Ogni sede ha le proprie colonnine, la propria coda e le proprie impostazioni
+ */
+const mongoose = require('mongoose');
+
+const siteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  is_default: {
+    type: Boolean,
+    default: false
+  },
+  // Impostazioni della sede (null = valore globale da config)
+  max_charge_time: {
+    type: Number,
+    default: null
+  },
+  reminder_time: {
+    type: Number,
+    default: null
+  },
+  // Amministratori della sede, oltre all'amministratore globale
+  admin_ids: {
+    type: [Number],
+    default: []
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// Aggiungi indici per migliorare le prestazioni
+siteSchema.index({ active: 1, code: 1 });
+siteSchema.index({ admin_ids: 1 });
+
+module.exports = mongoose.model('Site', siteSchema);
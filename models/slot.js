@@ -0,0 +1,60 @@
+/**
+ * Modello per le singole colonnine di ricarica
+ * Descrive identità e caratteristiche di ogni slot
+ */
+const mongoose = require('mongoose');
+
+const CONNECTOR_TYPES = ['Type 2', 'CCS', 'Schuko'];
+
+const slotSchema = new mongoose.Schema({
+  // Sede di ricarica
+  site: {
+    type: String,
+    default: 'default'
+  },
+  slot_number: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  connector_type: {
+    type: String,
+    enum: CONNECTOR_TYPES,
+    default: 'Type 2'
+  },
+  max_power_kw: {
+    type: Number,
+    default: null
+  },
+  location: {
+    type: String,
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Colonnina e connettore OCPP che corrispondono allo slot (null se la colonnina non è collegata)
+  ocpp_charge_point_id: {
+    type: String,
+    default: null
+  },
+  ocpp_connector_id: {
+    type: Number,
+    default: null
+  }
+}, { timestamps: true });
+
+// Aggiungi indici per migliorare le prestazioni
+slotSchema.index({ site: 1, slot_number: 1 }, { unique: true });
+slotSchema.index({ site: 1, active: 1, slot_number: 1 });
+slotSchema.index({ connector_type: 1 });
+slotSchema.index({ ocpp_charge_point_id: 1, ocpp_connector_id: 1 });
+
+const Slot = mongoose.model('Slot', slotSchema);
+Slot.CONNECTOR_TYPES = CONNECTOR_TYPES;
+
+module.exports = Slot;
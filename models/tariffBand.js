@@ -0,0 +1,37 @@
+/**
+ * Modello per le fasce orarie di tariffazione (es. F1, F2, F3)
+ * Gli orari sono espressi in minuti dalla mezzanotte nel fuso orario italiano
+ */
+const mongoose = require('mongoose');
+
+const tariffBandSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Giorni della settimana in cui vale la fascia (0 = domenica, 6 = sabato)
+  days: {
+    type: [Number],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  start_minute: {
+    type: Number,
+    required: true
+  },
+  // Se end_minute è minore di start_minute la fascia attraversa la mezzanotte
+  end_minute: {
+    type: Number,
+    required: true
+  },
+  price_per_kwh: {
+    type: Number,
+    required: true
+  },
+  updated_by: {
+    type: Number,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('TariffBand', tariffBandSchema);
@@ -33,6 +33,22 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Ruolo per i permessi dei comandi (is_admin resta allineato al ruolo admin)
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Sede usata quando l'utente non ne indica una nei comandi
+  default_site: {
+    type: String,
+    default: null
+  },
+  // Lingua dei messaggi; assente per gli utenti registrati prima delle traduzioni (italiano)
+  language: {
+    type: String,
+    enum: ['it', 'en']
+  },
   // Campi per il sistema di penalità
   penalty_points: {
     type: Number,
@@ -50,16 +66,43 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  ban_start_date: {
+    type: Date,
+    default: null
+  },
+  ban_reason: { // Motivo indicato dall'amministratore per i ban manuali, null per quelli automatici
+    type: String,
+    default: null
+  },
+  ban_penalty_id: { // Penalità che ha fatto raggiungere la soglia, per i ban automatici
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PenaltyEvent',
+    default: null
+  },
+  no_show_month: { // Inizio del mese a cui si riferisce no_show_count
+    type: Date,
+    default: null
+  },
+  no_show_count: { // Mancati arrivi dopo la notifica del turno nel mese, per quelli concessi senza penalità
+    type: Number,
+    default: 0
+  },
   penalty_sessions: {
     type: Object,
     default: {}
+  },
+  // Tessera RFID (idTag OCPP) con cui l'utente si identifica alle colonnine; assente se non assegnata
+  ocpp_id_tag: {
+    type: String
   }
 }, { timestamps: true });
 
 // Indici per migliorare le prestazioni
 userSchema.index({ username: 1 });
+userSchema.index({ role: 1 });
 userSchema.index({ last_charge: -1 });
 userSchema.index({ penalty_points: -1 });
 userSchema.index({ temporarily_banned: 1, ban_end_date: 1 });
+userSchema.index({ ocpp_id_tag: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,46 @@
+/**
+ * Modello per i webhook in uscita
+ * Ogni webhook riceve gli eventi del sistema a cui è iscritto, firmati con il proprio segreto
+ */
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Eventi inoltrati (vuoto = tutti)
+  events: {
+    type: [String],
+    default: []
+  },
+  // Chiave HMAC con cui viene firmato il corpo delle consegne
+  secret: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Number,
+    default: null
+  },
+  // Esito dell'ultimo tentativo di consegna
+  last_status: {
+    type: String,
+    default: null
+  },
+  last_delivery_at: {
+    type: Date,
+    default: null
+  },
+  // Consegne fallite consecutive
+  failure_count: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
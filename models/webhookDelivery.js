@@ -0,0 +1,47 @@
+/**
+ * Modello per le consegne dei webhook
+ * Una consegna non riuscita resta in attesa e viene ritentata con attese crescenti
+ */
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Corpo JSON inviato, identico a ogni tentativo perché la firma resti verificabile
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_error: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// Aggiungi indici per migliorare le prestazioni
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+// Le consegne vengono eliminate dopo 30 giorni (i tentativi si esauriscono molto prima)
+webhookDeliverySchema.index({ 'createdAt': 1 }, { expireAfterSeconds: 2592000 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
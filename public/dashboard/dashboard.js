@@ -0,0 +1,548 @@
+/**
+ * Dashboard web per amministratori
+ * Interfaccia a pagina singola servita da server.js su /dashboard: usa le API JSON di
+ * handlers/dashboardHandler.js e si aggiorna in tempo reale con lo stream degli eventi
+ */
+(function () {
+  'use strict';
+  
+  const API_BASE = '/dashboard/api';
+  
+  // Aggiornamento periodico, nel caso lo stream degli eventi si interrompa (ms)
+  const REFRESH_INTERVAL = 30 * 1000;
+  
+  const state = {
+    me: null,
+    site: null,
+    tab: 'slots',
+    status: null,
+    events: null,
+    refreshTimer: null
+  };
+  
+  const $ = id => document.getElementById(id);
+  
+  /**
+   * Esegue una richiesta alle API della dashboard
+   * @param {String} path - Percorso relativo a /dashboard/api
+   * @param {Object} body - Corpo JSON (se presente la richiesta è una POST)
+   * @returns {Promise<*>} - Campo data della risposta
+   */
+  async function api(path, body) {
+    const options = body === undefined
+      ? { credentials: 'same-origin' }
+      : {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      };
+    
+    const response = await fetch(API_BASE + path, options);
+    const result = await response.json().catch(() => ({ success: false, message: `Errore HTTP ${response.status}` }));
+    
+    if (!result.success) {
+      const error = new Error(result.message || `Errore HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    return result.data;
+  }
+  
+  /**
+   * Mostra un messaggio sopra le schede
+   * @param {String} text - Testo del messaggio
+   * @param {Boolean} isError - true per un messaggio di errore
+   */
+  function showMessage(text, isError = false) {
+    const message = $('message');
+    message.textContent = text;
+    message.className = isError ? 'error' : 'success';
+    message.hidden = false;
+    clearTimeout(showMessage.timer);
+    showMessage.timer = setTimeout(() => { message.hidden = true; }, 5000);
+  }
+  
+  /**
+   * Gestisce l'errore di un'azione: con la sessione scaduta torna alla pagina di accesso
+   * @param {Error} error - Errore della richiesta
+   */
+  function handleError(error) {
+    if (error.status === 401) {
+      showLogin();
+      return;
+    }
+    showMessage(error.message, true);
+  }
+  
+  /**
+   * Crea un elemento HTML
+   * @param {String} tag - Nome del tag
+   * @param {Object} props - Proprietà da assegnare (className, textContent, ...)
+   * @param {Array} children - Elementi figli
+   * @returns {HTMLElement} - Elemento creato
+   */
+  function el(tag, props = {}, children = []) {
+    const element = Object.assign(document.createElement(tag), props);
+    children.forEach(child => element.append(child));
+    return element;
+  }
+  
+  /**
+   * Formatta data e ora nel formato italiano
+   * @param {String} value - Data ISO
+   * @returns {String} - Data formattata o "-" se assente
+   */
+  function formatDate(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleString('it-IT', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+  }
+  
+  /**
+   * Formatta un orario nel formato italiano
+   * @param {String} value - Data ISO
+   * @returns {String} - Orario HH:MM
+   */
+  function formatTime(value) {
+    return new Date(value).toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
+  }
+  
+  // --- Accesso ---
+  
+  /**
+   * Mostra la pagina di accesso con il Telegram Login Widget
+   */
+  async function showLogin() {
+    stopLiveUpdates();
+    $('dashboard-view').hidden = true;
+    $('toolbar').hidden = true;
+    $('login-view').hidden = false;
+    
+    if ($('login-widget').childElementCount > 0) return;
+    
+    try {
+      const config = await api('/config');
+      const script = el('script', { async: true, src: 'https://telegram.org/js/telegram-widget.js?22' });
+      script.dataset.telegramLogin = config.bot_username;
+      script.dataset.size = 'large';
+      script.dataset.onauth = 'onTelegramAuth(user)';
+      script.dataset.requestAccess = 'write';
+      $('login-widget').append(script);
+    } catch (error) {
+      $('login-error').textContent = error.message;
+      $('login-error').hidden = false;
+    }
+  }
+  
+  // Chiamata dal Telegram Login Widget dopo l'autorizzazione
+  window.onTelegramAuth = async user => {
+    try {
+      await api('/login', user);
+      $('login-error').hidden = true;
+      await start();
+    } catch (error) {
+      $('login-error').textContent = error.message;
+      $('login-error').hidden = false;
+    }
+  };
+  
+  /**
+   * Chiude la sessione e torna alla pagina di accesso
+   */
+  async function logout() {
+    await api('/logout', {}).catch(() => null);
+    showLogin();
+  }
+  
+  // --- Avvio e aggiornamenti in tempo reale ---
+  
+  /**
+   * Carica l'utente collegato e mostra la dashboard, o la pagina di accesso se serve
+   */
+  async function start() {
+    try {
+      state.me = await api('/me');
+    } catch (error) {
+      showLogin();
+      return;
+    }
+    
+    const { me } = state;
+    $('login-view').hidden = true;
+    $('dashboard-view').hidden = false;
+    $('toolbar').hidden = false;
+    $('user-info').textContent = `@${me.username || me.telegram_id} (${me.role})`;
+    
+    const select = $('site-select');
+    select.replaceChildren(...me.sites.map(site => el('option', { value: site.code, textContent: site.name })));
+    select.hidden = me.sites.length < 2;
+    state.site = me.sites[0].code;
+    
+    document.querySelectorAll('#tabs button').forEach(button => {
+      button.hidden = Boolean(button.dataset.requires) && !me[button.dataset.requires];
+    });
+    
+    startLiveUpdates();
+    showTab(state.tab);
+  }
+  
+  /**
+   * Apre lo stream degli eventi e l'aggiornamento periodico
+   */
+  function startLiveUpdates() {
+    stopLiveUpdates();
+    
+    state.events = new EventSource(`${API_BASE}/events`);
+    state.events.addEventListener('change', event => {
+      const data = JSON.parse(event.data);
+      if (data.site === state.site) {
+        refreshStatus();
+      }
+    });
+    state.events.onopen = () => $('live-indicator').classList.add('connected');
+    state.events.onerror = () => $('live-indicator').classList.remove('connected');
+    
+    state.refreshTimer = setInterval(refreshStatus, REFRESH_INTERVAL);
+  }
+  
+  /**
+   * Chiude lo stream degli eventi e l'aggiornamento periodico
+   */
+  function stopLiveUpdates() {
+    if (state.events) {
+      state.events.close();
+      state.events = null;
+    }
+    clearInterval(state.refreshTimer);
+    state.refreshTimer = null;
+  }
+  
+  /**
+   * Mostra una scheda e ne carica i dati
+   * @param {String} tab - Nome della scheda
+   */
+  function showTab(tab) {
+    state.tab = tab;
+    
+    document.querySelectorAll('#tabs button').forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.querySelectorAll('.tab').forEach(section => {
+      section.hidden = section.id !== `tab-${tab}`;
+    });
+    
+    if (tab === 'slots' || tab === 'queue') refreshStatus();
+    if (tab === 'penalties') loadPenalties();
+    if (tab === 'settings') loadSettings();
+    if (tab === 'stats') loadStats();
+  }
+  
+  /**
+   * Ricarica lo stato della sede e aggiorna colonnine e coda
+   */
+  async function refreshStatus() {
+    try {
+      state.status = await api(`/status?site=${encodeURIComponent(state.site)}`);
+      renderSlots(state.status);
+      renderQueue(state.status);
+    } catch (error) {
+      handleError(error);
+    }
+  }
+  
+  // --- Colonnine ---
+  
+  /**
+   * Disegna la griglia delle colonnine con il loro stato
+   * @param {Object} status - Stato della sede
+   */
+  function renderSlots(status) {
+    $('summary').replaceChildren(
+      el('span', { className: 'badge free', textContent: `${status.slots_available} liberi` }),
+      el('span', { className: 'badge occupied', textContent: `${status.slots_occupied} occupati` }),
+      el('span', { className: 'badge', textContent: `${status.queue_length} in coda` })
+    );
+    
+    const reserved = status.queue.filter(entry => entry.slot_reserved).map(entry => entry.reserved_slot_number);
+    const slots = status.slots.length > 0
+      ? status.slots
+      : Array.from({ length: status.total_slots }, (value, index) => ({ slot_number: index + 1, occupied: false }));
+    
+    $('slot-grid').replaceChildren(...slots.map(slot => {
+      const session = status.active_sessions.find(s => s.slot_number === slot.slot_number);
+      let stateClass = 'free';
+      let detail = 'Libera';
+      
+      if (slot.occupied && session) {
+        stateClass = session.remaining_minutes === 0 ? 'overdue' : 'occupied';
+        detail = `@${session.username} - fine ${formatTime(session.end_time)} (${session.remaining_minutes} min)`;
+      } else if (reserved.includes(slot.slot_number)) {
+        const entry = status.queue.find(e => e.slot_reserved && e.reserved_slot_number === slot.slot_number);
+        stateClass = 'reserved';
+        detail = `Riservata a @${entry.username}`;
+      }
+      
+      const specs = [slot.connector_type, slot.max_power_kw ? `${slot.max_power_kw} kW` : null].filter(Boolean).join(' · ');
+      
+      return el('div', { className: `slot ${stateClass}` }, [
+        el('strong', { textContent: slot.name || `Slot ${slot.slot_number}` }),
+        el('span', { className: 'specs', textContent: specs }),
+        el('span', { textContent: detail })
+      ]);
+    }));
+  }
+  
+  // --- Coda ---
+  
+  /**
+   * Disegna la coda; gli utenti senza slot riservato possono essere trascinati
+   * @param {Object} status - Stato della sede
+   */
+  function renderQueue(status) {
+    const list = $('queue-list');
+    $('queue-empty').hidden = status.queue.length > 0;
+    
+    list.replaceChildren(...status.queue.map(entry => {
+      const item = el('li', {
+        className: entry.slot_reserved ? 'reserved' : 'waiting',
+        draggable: !entry.slot_reserved
+      }, [
+        el('strong', { textContent: `@${entry.username}` }),
+        el('span', {
+          textContent: entry.slot_reserved
+            ? ` - slot ${entry.reserved_slot_number} riservato`
+            : ` - in coda dalle ${formatTime(entry.request_time)}`
+        })
+      ]);
+      item.dataset.telegramId = entry.telegram_id;
+      return item;
+    }));
+  }
+  
+  let draggedItem = null;
+  
+  $('queue-list').addEventListener('dragstart', event => {
+    draggedItem = event.target.closest('li.waiting');
+    if (draggedItem) {
+      draggedItem.classList.add('dragging');
+      event.dataTransfer.effectAllowed = 'move';
+    }
+  });
+  
+  $('queue-list').addEventListener('dragover', event => {
+    const target = event.target.closest('li.waiting');
+    if (!draggedItem || !target || target === draggedItem) return;
+    
+    event.preventDefault();
+    const rect = target.getBoundingClientRect();
+    const after = event.clientY > rect.top + rect.height / 2;
+    target.parentNode.insertBefore(draggedItem, after ? target.nextSibling : target);
+  });
+  
+  $('queue-list').addEventListener('dragend', async () => {
+    if (!draggedItem) return;
+    draggedItem.classList.remove('dragging');
+    draggedItem = null;
+    
+    const order = [...$('queue-list').children].map(item => parseInt(item.dataset.telegramId));
+    const current = state.status.queue.map(entry => entry.telegram_id);
+    if (order.join() === current.join()) return;
+    
+    try {
+      state.status = await api('/queue/reorder', { site: state.site, order });
+      showMessage('Ordine della coda aggiornato.');
+    } catch (error) {
+      handleError(error);
+    }
+    renderQueue(state.status);
+  });
+  
+  // --- Penalità ---
+  
+  /**
+   * Carica la tabella degli utenti con penalità
+   */
+  async function loadPenalties() {
+    try {
+      const users = await api('/penalties');
+      $('penalties-empty').hidden = users.length > 0;
+      $('penalty-rows').replaceChildren(...users.map(renderPenaltyRow));
+    } catch (error) {
+      handleError(error);
+    }
+  }
+  
+  /**
+   * Crea la riga di un utente, con la modifica dei punti per gli amministratori
+   * @param {Object} user - Utente con penalità
+   * @returns {HTMLElement} - Riga della tabella
+   */
+  function renderPenaltyRow(user) {
+    const cells = [
+      el('td', { textContent: `@${user.username}` }),
+      el('td', { textContent: `${user.penalty_points}/${user.ban_threshold}` }),
+      el('td', { textContent: formatDate(user.last_penalty_date) }),
+      el('td', { textContent: user.temporarily_banned ? formatDate(user.ban_end_date) : '-' })
+    ];
+    
+    if (state.me.can_edit_penalties) {
+      const points = el('input', { type: 'number', min: 0, max: 100, value: user.penalty_points, className: 'points' });
+      const reason = el('input', { type: 'text', placeholder: 'Motivo' });
+      const save = el('button', { type: 'button', textContent: 'Salva' });
+      
+      save.addEventListener('click', async () => {
+        try {
+          await api('/penalties', { telegram_id: user.telegram_id, points: parseInt(points.value), reason: reason.value });
+          showMessage(`Punti di @${user.username} aggiornati.`);
+          loadPenalties();
+        } catch (error) {
+          handleError(error);
+        }
+      });
+      
+      cells.push(el('td', { className: 'actions' }, [points, reason, save]));
+    } else {
+      cells.push(el('td'));
+    }
+    
+    return el('tr', {}, cells);
+  }
+  
+  // --- Impostazioni ---
+  
+  /**
+   * Carica le impostazioni modificabili
+   */
+  async function loadSettings() {
+    try {
+      renderSettings(await api('/settings'));
+    } catch (error) {
+      handleError(error);
+    }
+  }
+  
+  /**
+   * Disegna l'editor delle impostazioni
+   * @param {Array} settings - Impostazioni con valore e provenienza
+   */
+  function renderSettings(settings) {
+    $('setting-rows').replaceChildren(...settings.map(setting => {
+      const input = el('input', { type: 'number', step: 'any', value: setting.value });
+      const save = el('button', { type: 'button', textContent: 'Salva' });
+      const reset = el('button', { type: 'button', textContent: 'Ripristina', hidden: setting.source !== 'admin' });
+      
+      const update = async value => {
+        try {
+          renderSettings(await api('/settings', { key: setting.key, value }));
+          showMessage(`${setting.key} aggiornato.`);
+        } catch (error) {
+          handleError(error);
+        }
+      };
+      
+      save.addEventListener('click', () => update(input.value));
+      reset.addEventListener('click', () => update(null));
+      
+      return el('tr', {}, [
+        el('td', {}, [el('strong', { textContent: setting.key }), el('br'), el('small', { textContent: setting.description })]),
+        el('td', {}, [input]),
+        el('td', {
+          textContent: setting.source === 'admin'
+            ? `Dashboard/bot (${formatDate(setting.updated_at)})`
+            : `Variabile d'ambiente (${setting.default_value})`
+        }),
+        el('td', { className: 'actions' }, [save, reset])
+      ]);
+    }));
+  }
+  
+  // --- Statistiche ---
+  
+  /**
+   * Carica le statistiche della sede e disegna i grafici
+   */
+  async function loadStats() {
+    try {
+      const stats = await api(`/stats?site=${encodeURIComponent(state.site)}`);
+      
+      $('stats-summary').replaceChildren(
+        el('span', { className: 'badge', textContent: `${stats.total_charges_completed} ricariche` }),
+        el('span', { className: 'badge', textContent: `${stats.charges_today} oggi` }),
+        el('span', { className: 'badge', textContent: `${stats.avg_charge_time} min medi` }),
+        el('span', { className: 'badge', textContent: `${Math.round(stats.total_kwh * 10) / 10} kWh` }),
+        el('span', { className: 'badge', textContent: `${stats.active_users} utenti attivi` })
+      );
+      
+      const dayLabel = day => day.slice(8, 10) + '/' + day.slice(5, 7);
+      barChart($('chart-sessions'), stats.daily.map(d => ({ label: dayLabel(d.day), value: d.sessions })), '');
+      barChart($('chart-kwh'), stats.daily.map(d => ({ label: dayLabel(d.day), value: d.kwh })), ' kWh');
+      barChart($('chart-slots'), stats.kwh_by_slot.map(s => ({ label: `Slot ${s.slot_number}`, value: Math.round(s.kwh * 10) / 10 })), ' kWh');
+    } catch (error) {
+      handleError(error);
+    }
+  }
+  
+  /**
+   * Disegna un grafico a barre SVG
+   * @param {HTMLElement} container - Contenitore del grafico
+   * @param {Array} items - Array di { label, value }
+   * @param {String} unit - Unità mostrata nei suggerimenti
+   */
+  function barChart(container, items, unit) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const width = 640;
+    const height = 180;
+    const barArea = height - 24;
+    const max = Math.max(1, ...items.map(item => item.value));
+    const step = width / Math.max(1, items.length);
+    
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('role', 'img');
+    
+    items.forEach((item, index) => {
+      const barHeight = Math.round(item.value / max * (barArea - 16));
+      const x = index * step + step * 0.15;
+      
+      const bar = document.createElementNS(ns, 'rect');
+      bar.setAttribute('x', x);
+      bar.setAttribute('y', barArea - barHeight);
+      bar.setAttribute('width', step * 0.7);
+      bar.setAttribute('height', barHeight);
+      const title = document.createElementNS(ns, 'title');
+      title.textContent = `${item.label}: ${item.value}${unit}`;
+      bar.append(title);
+      
+      const value = document.createElementNS(ns, 'text');
+      value.setAttribute('x', x + step * 0.35);
+      value.setAttribute('y', barArea - barHeight - 4);
+      value.setAttribute('class', 'value');
+      value.textContent = item.value || '';
+      
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', x + step * 0.35);
+      label.setAttribute('y', height - 6);
+      label.textContent = item.label;
+      
+      svg.append(bar, value, label);
+    });
+    
+    container.replaceChildren(items.length > 0 ? svg : el('p', { textContent: 'Nessun dato.' }));
+  }
+  
+  // --- Eventi dell'interfaccia ---
+  
+  document.querySelectorAll('#tabs button').forEach(button => {
+    button.addEventListener('click', () => showTab(button.dataset.tab));
+  });
+  
+  $('site-select').addEventListener('change', event => {
+    state.site = event.target.value;
+    showTab(state.tab);
+  });
+  
+  $('logout-button').addEventListener('click', logout);
+  
+  start();
+})();
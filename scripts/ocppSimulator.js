@@ -0,0 +1,189 @@
+/**
+ * Colonnina OCPP 1.6J simulata per provare il sistema centrale in locale
+ *
+ * Uso: node scripts/ocppSimulator.js [--url=ws://localhost:9220/ocpp/CP001] [--tag=TAG001]
+ *        [--connector=1] [--kwh=10] [--steps=5] [--interval=2] [--password=...]
+ *
+ * Si collega, esegue BootNotification e Authorize, avvia una transazione, invia
+ * le letture del contatore ogni --interval secondi e la chiude dopo --steps letture.
+ * Accetta RemoteStopTransaction, così da provare anche /admin_reset_slot.
+ */
+const WebSocket = require('ws');
+
+// Legge le opzioni --chiave=valore dalla riga di comando
+const options = process.argv.slice(2).reduce((result, arg) => {
+  const match = arg.match(/^--([^=]+)=(.*)$/);
+  if (match) result[match[1]] = match[2];
+  return result;
+}, {});
+
+const url = options.url || 'ws://localhost:9220/ocpp/CP001';
+const chargePointId = url.split('/').pop();
+const idTag = options.tag || 'TAG001';
+const connectorId = parseInt(options.connector || '1');
+const totalWh = Math.round(parseFloat(options.kwh || '10') * 1000);
+const steps = parseInt(options.steps || '5');
+const intervalMs = parseFloat(options.interval || '2') * 1000;
+
+// Lettura iniziale del contatore della colonnina (Wh)
+const METER_START = 1520300;
+
+const wsOptions = options.password
+  ? { headers: { Authorization: `Basic ${Buffer.from(`${chargePointId}:${options.password}`).toString('base64')}` } }
+  : {};
+const ws = new WebSocket(url, 'ocpp1.6', wsOptions);
+
+const pendingCalls = new Map();
+let messageCounter = 0;
+let transactionId = null;
+let meter = METER_START;
+let meterTimer = null;
+let stopping = false;
+
+/**
+ * Invia una richiesta al sistema centrale e ne attende la risposta
+ * @param {String} action - Azione OCPP
+ * @param {Object} payload - Dati della richiesta
+ * @returns {Promise<Object>} - Risposta del sistema centrale
+ */
+function call(action, payload) {
+  const messageId = String(++messageCounter);
+  
+  console.log(`→ ${action}`, JSON.stringify(payload));
+  ws.send(JSON.stringify([2, messageId, action, payload]));
+  
+  return new Promise((resolve, reject) => pendingCalls.set(messageId, { action, resolve, reject }));
+}
+
+/**
+ * Lettura del contatore nel formato MeterValue
+ * @returns {Array} - Array di MeterValue
+ */
+function meterValue() {
+  return [{
+    timestamp: new Date().toISOString(),
+    sampledValue: [{ value: String(meter), measurand: 'Energy.Active.Import.Register', unit: 'Wh' }]
+  }];
+}
+
+/**
+ * Chiude la transazione in corso e termina la simulazione
+ * @param {String} reason - Motivo della chiusura (Local, Remote, ...)
+ */
+async function stopTransaction(reason) {
+  if (stopping) return;
+  stopping = true;
+  clearInterval(meterTimer);
+  
+  await call('StatusNotification', { connectorId, errorCode: 'NoError', status: 'Finishing' });
+  await call('StopTransaction', {
+    transactionId,
+    idTag,
+    meterStop: meter,
+    timestamp: new Date().toISOString(),
+    reason
+  });
+  await call('StatusNotification', { connectorId, errorCode: 'NoError', status: 'Available' });
+  
+  console.log(`Simulazione conclusa: ${(meter - METER_START) / 1000} kWh erogati`);
+  ws.close();
+}
+
+ws.on('open', async () => {
+  try {
+    console.log(`Colonnina ${chargePointId} collegata a ${url}`);
+    
+    await call('BootNotification', { chargePointVendor: 'Simulatore', chargePointModel: 'GreenCharge' });
+    await call('StatusNotification', { connectorId, errorCode: 'NoError', status: 'Available' });
+    
+    const authorization = await call('Authorize', { idTag });
+    if (authorization.idTagInfo.status !== 'Accepted') {
+      console.log(`Tessera ${idTag} rifiutata (${authorization.idTagInfo.status})`);
+      ws.close();
+      return;
+    }
+    
+    await call('StatusNotification', { connectorId, errorCode: 'NoError', status: 'Preparing' });
+    
+    const start = await call('StartTransaction', {
+      connectorId,
+      idTag,
+      meterStart: meter,
+      timestamp: new Date().toISOString()
+    });
+    
+    if (start.idTagInfo.status !== 'Accepted') {
+      console.log(`Transazione rifiutata (${start.idTagInfo.status})`);
+      ws.close();
+      return;
+    }
+    
+    transactionId = start.transactionId;
+    await call('StatusNotification', { connectorId, errorCode: 'NoError', status: 'Charging' });
+    
+    let step = 0;
+    meterTimer = setInterval(async () => {
+      try {
+        step += 1;
+        meter = METER_START + Math.round(totalWh * step / steps);
+        
+        await call('MeterValues', { connectorId, transactionId, meterValue: meterValue() });
+        
+        if (step >= steps) {
+          await stopTransaction('EVDisconnected');
+        }
+      } catch (error) {
+        console.error('Errore nella simulazione:', error.message);
+        ws.close();
+      }
+    }, intervalMs);
+  } catch (error) {
+    console.error('Errore nella simulazione:', error.message);
+    ws.close();
+  }
+});
+
+ws.on('message', data => {
+  const message = JSON.parse(data.toString());
+  const [type, messageId] = message;
+  
+  // Risposta a una richiesta della colonnina
+  if (type === 3 || type === 4) {
+    const pending = pendingCalls.get(messageId);
+    if (!pending) return;
+    
+    pendingCalls.delete(messageId);
+    
+    if (type === 3) {
+      console.log(`← ${pending.action}`, JSON.stringify(message[2]));
+      pending.resolve(message[2]);
+    } else {
+      pending.reject(new Error(`${pending.action}: ${message[2]} ${message[3]}`));
+    }
+    return;
+  }
+  
+  // Richiesta del sistema centrale
+  const action = message[2];
+  const payload = message[3] || {};
+  console.log(`← ${action}`, JSON.stringify(payload));
+  
+  if (action === 'RemoteStopTransaction' && payload.transactionId === transactionId && !stopping) {
+    ws.send(JSON.stringify([3, messageId, { status: 'Accepted' }]));
+    stopTransaction('Remote').catch(error => console.error('Errore nella chiusura:', error.message));
+  } else if (action === 'RemoteStopTransaction') {
+    ws.send(JSON.stringify([3, messageId, { status: 'Rejected' }]));
+  } else {
+    ws.send(JSON.stringify([4, messageId, 'NotImplemented', `Azione ${action} non supportata dal simulatore`, {}]));
+  }
+});
+
+ws.on('close', () => {
+  clearInterval(meterTimer);
+  process.exit(0);
+});
+
+ws.on('error', error => {
+  console.error('Errore di connessione:', error.message);
+  process.exit(1);
+});
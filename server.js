@@ -14,6 +14,14 @@ const config = require('./config');
 // Componenti dell'applicazione
 const messageHandler = require('./handlers/messageHandler');
 const notifier = require('./utils/notifier');
+const siteHandler = require('./handlers/siteHandler');
+const apiHandler = require('./handlers/apiHandler');
+const dashboardHandler = require('./handlers/dashboardHandler');
+const settingsManager = require('./utils/settingsManager');
+const ocppServer = require('./utils/ocppServer');
+const mqttBridge = require('./utils/mqttBridge');
+const webhookDispatcher = require('./utils/webhookDispatcher');
+const statusBoard = require('./utils/statusBoard');
 
 // Aggiungere questa riga per disabilitare i warning di Bluebird
 process.env.BLUEBIRD_WARNINGS = '0';
@@ -35,6 +43,9 @@ app.get('/healthz', (req, res) => {
   res.status(200).send('OK');
 });
 
+// API REST per i sistemi esterni (autenticata con i token creati da /admin_api_tokens)
+app.use('/api/v1', apiHandler.createRouter());
+
 // Endpoint per impostare il webhook (senza necessità di script locale)
 app.get('/setup-webhook', async (req, res) => {
   try {
@@ -112,6 +123,14 @@ mongoose.connect(config.MONGODB_URI, mongooseOptions)
   .then(async () => {
     logger.info('✅ Connessione a MongoDB riuscita');
     
+    // Assegna alla sede predefinita i dati creati prima dell'introduzione delle sedi
+    await siteHandler.migrateToSites();
+    
+    // Carica le impostazioni modificate dagli amministratori e tienile sincronizzate
+    await settingsManager.load();
+    settingsManager.startSync();
+    logger.info(`Impostazioni effettive: MAX_CHARGE_TIME=${settingsManager.get('MAX_CHARGE_TIME')} (${settingsManager.getSource('MAX_CHARGE_TIME')}), REMINDER_TIME=${settingsManager.get('REMINDER_TIME')} (${settingsManager.getSource('REMINDER_TIME')})`);
+    
     // Inizializza il bot in modalità webhook
     bot = new TelegramBot(config.BOT_TOKEN, { polling: false });
     
@@ -122,6 +141,9 @@ mongoose.connect(config.MONGODB_URI, mongooseOptions)
       res.sendStatus(200);
     });
     
+    // Dashboard web per amministratori (accesso con il Telegram Login Widget)
+    app.use('/dashboard', dashboardHandler.createRouter(bot));
+    
     // Inizializza gli handler dei messaggi
     await messageHandler.init(bot);
     
@@ -151,9 +173,27 @@ mongoose.connect(config.MONGODB_URI, mongooseOptions)
     
     // Avvia il server Express
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`🚀 Server webhook in ascolto sulla porta ${PORT}`);
     });
+    
+    // Le colonnine OCPP si collegano allo stesso server, perché la piattaforma espone una sola porta
+    if (config.OCPP_ENABLED) {
+      ocppServer.start(bot, { server });
+    }
+    
+    // Pubblica lo stato delle colonnine sul broker MQTT
+    if (config.MQTT_URL) {
+      mqttBridge.start(bot);
+    }
+    
+    // Inoltra gli eventi del sistema ai webhook configurati
+    webhookDispatcher.start();
+    
+    // Mantiene aggiornato il messaggio di stato fissato nel gruppo autorizzato
+    if (statusBoard.isEnabled()) {
+      statusBoard.start(bot);
+    }
   })
   .catch(err => {
     logger.error('❌ Errore di connessione a MongoDB:', err);
@@ -213,6 +253,15 @@ async function shutdownService(reason) {
       logger.info('Sistema di notifiche fermato');
     }
     
+    // Ferma la sincronizzazione delle impostazioni
+    settingsManager.stopSync();
+    
+    // Chiudi le connessioni delle colonnine OCPP e del broker MQTT e ferma webhook e messaggio di stato
+    ocppServer.stop();
+    mqttBridge.stop();
+    webhookDispatcher.stop();
+    statusBoard.stop();
+    
     // Se possibile, invia un messaggio all'admin
     if (bot && config.ADMIN_USER_ID) {
       try {
@@ -12,6 +12,12 @@ const BotManager = require('./botManager');
 const LockManager = require('./lockManager');
 const InstanceTracker = require('./instanceTracker');
 const notifier = require('./notifier');
+const siteHandler = require('../handlers/siteHandler');
+const settingsManager = require('./settingsManager');
+const ocppServer = require('./ocppServer');
+const mqttBridge = require('./mqttBridge');
+const webhookDispatcher = require('./webhookDispatcher');
+const statusBoard = require('./statusBoard');
 const LocalLockManager = require('./localLockManager');
 const StartupNotification = require('../models/startupNotification');
 
@@ -94,6 +100,14 @@ class AppManager {
       await mongoose.connect(config.MONGODB_URI, mongooseOptions);
       logger.info('✅ Connessione a MongoDB riuscita');
       
+      // Assegna alla sede predefinita i dati creati prima dell'introduzione delle sedi
+      await siteHandler.migrateToSites();
+      
+      // Carica le impostazioni modificate dagli amministratori e tienile sincronizzate
+      await settingsManager.load();
+      settingsManager.startSync();
+      logger.info(`Impostazioni effettive: MAX_CHARGE_TIME=${settingsManager.get('MAX_CHARGE_TIME')} (${settingsManager.getSource('MAX_CHARGE_TIME')}), REMINDER_TIME=${settingsManager.get('REMINDER_TIME')} (${settingsManager.getSource('REMINDER_TIME')})`);
+      
       // Inizializza i moduli
       await this.lockManager.initialize();
       
@@ -477,6 +491,32 @@ class AppManager {
         } catch (err) {
           logger.error('Errore nell\'avvio del sistema di notifiche:', err);
         }
+        
+        // Avvio sistema centrale OCPP per le colonnine collegate
+        if (config.OCPP_ENABLED) {
+          try {
+            ocppServer.start(this.botManager.getBot(), { port: config.OCPP_PORT });
+          } catch (err) {
+            logger.error('Errore nell\'avvio del sistema centrale OCPP:', err);
+          }
+        }
+        
+        // Avvio integrazione MQTT
+        if (config.MQTT_URL) {
+          try {
+            mqttBridge.start(this.botManager.getBot());
+          } catch (err) {
+            logger.error('Errore nell\'avvio dell\'integrazione MQTT:', err);
+          }
+        }
+        
+        // Avvio invio dei webhook
+        webhookDispatcher.start();
+        
+        // Avvio del messaggio di stato fissato nel gruppo autorizzato
+        if (statusBoard.isEnabled()) {
+          statusBoard.start(this.botManager.getBot());
+        }
       }
     } catch (error) {
       logger.error('Errore durante l\'avvio del bot:', error);
@@ -547,6 +587,15 @@ class AppManager {
         this.notificationSystem = null;
       }
       
+      // Ferma la sincronizzazione delle impostazioni
+      settingsManager.stopSync();
+      
+      // Chiudi le connessioni delle colonnine OCPP e del broker MQTT e ferma webhook e messaggio di stato
+      ocppServer.stop();
+      mqttBridge.stop();
+      webhookDispatcher.stop();
+      statusBoard.stop();
+      
       // Ferma gli intervalli
       if (this.masterLockHeartbeatInterval) {
         clearInterval(this.masterLockHeartbeatInterval);
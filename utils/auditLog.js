@@ -0,0 +1,84 @@
+/**
+ * Registro delle azioni che modificano lo stato del sistema
+ * Un errore di scrittura del registro non deve mai interrompere l'azione registrata
+ */
+const AuditEvent = require('../models/auditEvent');
+const logger = require('./logger');
+
+// Eventi mostrati per pagina da /admin_audit
+const PAGE_SIZE = 10;
+
+/**
+ * Registra un'azione
+ * @param {String} action - Nome dell'azione (es. 'session_start', 'queue_remove')
+ * @param {Object} data - Dati dell'evento
+ * @param {Number} data.actorId - ID di chi ha eseguito l'azione (null per il sistema)
+ * @param {String} data.actorUsername - Username di chi ha eseguito l'azione
+ * @param {Number} data.targetId - ID dell'utente interessato
+ * @param {String} data.targetUsername - Username dell'utente interessato
+ * @param {String} data.site - Codice della sede
+ * @param {*} data.before - Valore prima dell'azione
+ * @param {*} data.after - Valore dopo l'azione
+ * @param {String} data.details - Descrizione aggiuntiva
+ * @returns {Promise<Object|null>} - Evento salvato o null in caso di errore
+ */
+async function record(action, data = {}) {
+  try {
+    return await AuditEvent.create({
+      action,
+      actor_id: data.actorId !== undefined ? data.actorId : null,
+      actor_username: data.actorUsername || null,
+      target_id: data.targetId !== undefined ? data.targetId : null,
+      target_username: data.targetUsername || null,
+      site: data.site || null,
+      before: data.before !== undefined ? data.before : null,
+      after: data.after !== undefined ? data.after : null,
+      details: data.details || ''
+    });
+  } catch (error) {
+    logger.error(`Error recording audit event ${action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Ottiene una pagina di eventi del registro
+ * @param {Object} filter - Filtro { userId, days }
+ * @param {Number} filter.userId - Solo eventi eseguiti da o riguardanti questo utente (opzionale)
+ * @param {Number} filter.days - Solo eventi degli ultimi giorni indicati (opzionale)
+ * @param {Number} page - Numero di pagina, a partire da 1
+ * @returns {Promise<Object>} - Oggetto { events, total, page, pages }
+ */
+async function getEvents(filter = {}, page = 1) {
+  try {
+    const query = {};
+    
+    if (filter.userId) {
+      query.$or = [{ actor_id: filter.userId }, { target_id: filter.userId }];
+    }
+    
+    if (filter.days) {
+      query.timestamp = { $gte: new Date(Date.now() - filter.days * 24 * 60 * 60000) };
+    }
+    
+    const total = await AuditEvent.countDocuments(query);
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(1, page), pages);
+    
+    const events = await AuditEvent.find(query)
+      .sort({ timestamp: -1 })
+      .skip((currentPage - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE);
+    
+    return { events, total, page: currentPage, pages };
+  } catch (error) {
+    logger.error('Error getting audit events:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  PAGE_SIZE,
+  record,
+  getEvents
+};
@@ -0,0 +1,57 @@
+/**
+ * Bus degli eventi interni
+ * I gestori pubblicano i cambi di stato di sessioni e code; le integrazioni esterne
+ * (es. MQTT) li ascoltano senza che i gestori debbano conoscerle
+ */
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+// Eventi pubblicati sul bus
+const EVENTS = {
+  SESSION_STARTED: 'session_started',
+  SESSION_ENDED: 'session_ended',
+  SESSION_EXTENDED: 'session_extended',
+  SESSION_TIMEOUT: 'session_timeout',
+  QUEUE_CHANGED: 'queue_changed',
+  PENALTY_APPLIED: 'penalty_applied',
+  USER_BANNED: 'user_banned'
+};
+
+class EventBus extends EventEmitter {
+  /**
+   * Pubblica un evento
+   * Un errore di un ascoltatore non deve mai interrompere l'azione che ha generato l'evento
+   * @param {String} event - Nome dell'evento (uno di EVENTS)
+   * @param {Object} data - Dati dell'evento (site contiene il codice della sede, se l'evento ne riguarda una)
+   */
+  publish(event, data = {}) {
+    try {
+      this.emit(event, data);
+    } catch (error) {
+      logger.error(`Errore in un ascoltatore dell'evento ${event}:`, error);
+    }
+  }
+
+  /**
+   * Registra un ascoltatore asincrono, registrando nel log le sue promise rifiutate
+   * @param {String} event - Nome dell'evento
+   * @param {Function} listener - Funzione async che riceve i dati dell'evento
+   * @returns {Function} - Funzione registrata, da passare a off() per rimuoverla
+   */
+  subscribe(event, listener) {
+    const wrapped = data => {
+      Promise.resolve()
+        .then(() => listener(data))
+        .catch(error => logger.error(`Errore in un ascoltatore dell'evento ${event}:`, error));
+    };
+    
+    this.on(event, wrapped);
+    return wrapped;
+  }
+}
+
+const eventBus = new EventBus();
+eventBus.EVENTS = EVENTS;
+
+// Esporta un'istanza singola
+module.exports = eventBus;
@@ -1,7 +1,8 @@
 /**
  * Utilità per formattare i messaggi per gli utenti
  */
-const config = require('../config');
+const settingsManager = require('./settingsManager');
+const { t, DEFAULT_LANGUAGE } = require('./i18n');
 
 /**
  * Formatta un timestamp in formato HH:MM usando il fuso orario italiano (UTC+2)
@@ -19,6 +20,21 @@ function formatTime(timestamp) {
   return `${italianHour.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Formatta un timestamp in formato GG/MM usando il fuso orario italiano (UTC+2)
+ * @param {Date|String} timestamp - Timestamp da formattare
+ * @returns {String} - Giorno formattato
+ */
+function formatDay(timestamp) {
+  // Sposta il timestamp di 2 ore per ottenere il giorno italiano, come in formatTime
+  const date = new Date(new Date(timestamp).getTime() + 2 * 60 * 60000);
+
+  const day = date.getUTCDate();
+  const month = date.getUTCMonth() + 1;
+
+  return `${day.toString().padStart(2, '0')}/${month.toString().padStart(2, '0')}`;
+}
+
 /**
  * Calcola e formatta la differenza di tempo tra un timestamp e adesso
  * @param {Date|String} timestamp - Timestamp di riferimento
@@ -39,61 +55,145 @@ function formatTimeDiff(timestamp) {
 }
 
 /**
- * Formatta uno stato di sessione in italiano
+ * Formatta una durata in minuti, con il plurale della lingua
+ * @param {Number} minutes - Durata in minuti
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Durata formattata (es. "30 minuti")
+ */
+function formatMinutes(minutes, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'common.minutes', { count: minutes });
+}
+
+/**
+ * Formatta uno stato di sessione nella lingua dell'utente
  * @param {String} status - Stato della sessione (active, completed, timeout, admin_terminated)
- * @returns {String} - Stato formattato in italiano
- */
-function formatSessionStatus(status) {
-  const statusMap = {
-    'active': '✅ Attiva',
-    'completed': '✓ Completata',
-    'timeout': '⏱️ Scaduta',
-    'admin_terminated': '🛑 Terminata da admin'
-  };
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Stato formattato
+ */
+function formatSessionStatus(status, lang = DEFAULT_LANGUAGE) {
+  const statusKeys = ['active', 'completed', 'timeout', 'admin_terminated'];
+  
+  return statusKeys.includes(status) ? t(lang, `session_status.${status}`) : status;
+}
+
+/**
+ * Formatta la descrizione di una colonnina
+ * @param {Object} slot - Oggetto slot
+ * @returns {String} - Descrizione formattata (nome, connettore, potenza, posizione)
+ */
+function formatSlotInfo(slot) {
+  if (!slot) return '';
+  
+  let info = `*${slot.name}* (#${slot.slot_number}) - ${slot.connector_type}`;
+  
+  if (slot.max_power_kw) {
+    info += `, ${slot.max_power_kw} kW`;
+  }
+  
+  if (slot.location) {
+    info += `\n📍 ${slot.location}`;
+  }
+  
+  return info;
+}
+
+/**
+ * Genera un messaggio con l'elenco delle colonnine e il loro stato
+ * @param {Array} slots - Array di oggetti slot con campo occupied
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatSlotsMessage(slots, lang = DEFAULT_LANGUAGE) {
+  if (!slots || slots.length === 0) {
+    return t(lang, 'slots.none');
+  }
   
-  return statusMap[status] || status;
+  let message = `${t(lang, 'slots.title')}\n\n`;
+  
+  slots.forEach(slot => {
+    const statusIcon = t(lang, slot.occupied ? 'slots.occupied' : 'slots.free');
+    message += `${formatSlotInfo(slot)}\n${statusIcon}\n\n`;
+  });
+  
+  message += t(lang, 'slots.footer');
+  
+  return message;
+}
+
+/**
+ * Genera un messaggio con l'elenco delle sedi
+ * @param {Array} sites - Array di sedi
+ * @param {String} currentSiteCode - Codice della sede attualmente in uso dall'utente
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatSitesMessage(sites, currentSiteCode, lang = DEFAULT_LANGUAGE) {
+  let message = `${t(lang, 'sites.title')}\n\n`;
+  
+  sites.forEach(site => {
+    const currentText = site.code === currentSiteCode ? t(lang, 'sites.current') : '';
+    message += `${t(lang, 'sites.item', { name: site.name, code: site.code })}${currentText}\n`;
+  });
+  
+  message += `\n${t(lang, 'sites.footer', { code: sites[sites.length - 1].code })}`;
+  
+  return message;
 }
 
 /**
  * Genera un messaggio di stato formattato
  * @param {Object} status - Oggetto stato del sistema
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatStatusMessage(status) {
-  let message = `📊 *Stato attuale del sistema*\n`;
-  message += `🔌 Slot occupati: *${status.slots_occupied}/${status.total_slots}*\n`;
+function formatStatusMessage(status, lang = DEFAULT_LANGUAGE) {
+  let message = `${t(lang, 'status.title')}\n`;
+  
+  if (status.multi_site) {
+    message += `${t(lang, 'status.site', { name: status.site_name })}\n`;
+  }
+  
+  message += `${t(lang, 'status.slots_occupied', { occupied: status.slots_occupied, total: status.total_slots })}\n`;
   
   if (status.active_sessions.length > 0) {
-    message += `\n⚡ *Utenti attualmente in ricarica:*\n`;
+    message += `\n${t(lang, 'status.charging_title')}\n`;
     status.active_sessions.forEach((session, index) => {
       // Visualizza se la durata è personalizzata
       const durationInfo = session.custom_duration 
-        ? `(durata personalizzata)` 
+        ? t(lang, 'common.custom_duration') 
         : ``;
       
-      message += `${index + 1}. @${session.username} ⏱️ termina tra *${session.remaining_minutes} min* ${durationInfo}\n`;
+      const slotInfo = session.slot_name ? ` 🔌 ${session.slot_name}` : ``;
+      
+      message += `${t(lang, 'status.charging_item', {
+        index: index + 1,
+        username: session.username,
+        slot: slotInfo,
+        minutes: session.remaining_minutes,
+        duration: durationInfo
+      })}\n`;
     });
   } else {
-    message += `\n✨ *Nessun utente attualmente in ricarica.*\n`;
+    message += `\n${t(lang, 'status.nobody_charging')}\n`;
   }
   
   message += `\n`;
   
   if (status.queue.length > 0) {
-    message += `👥 Utenti in attesa: *${status.queue.length}*\n`;
-    message += `⏱️ Tempo medio di attesa stimato: *${estimateWaitTime(status)} minuti*\n`;
+    message += `${t(lang, 'status.waiting', { count: status.queue.length })}\n`;
+    message += `${t(lang, 'status.wait_time', { minutes: estimateWaitTime(status) })}\n`;
     
     if (status.queue.length <= 3) {
-      message += `\n🔜 *Prossimi in coda:*\n`;
+      message += `\n${t(lang, 'status.next_title')}\n`;
       status.queue.forEach((user, index) => {
         message += `${index + 1}. @${user.username}\n`;
       });
     }
     
-    message += `\nSei in coda? Per rinunciare al tuo turno, usa */cancella*.`;
+    message += `\n${t(lang, 'status.cancel_hint')}`;
   } else {
-    message += `✅ *Nessun utente in coda.*\n`;
-    message += `\nVuoi ricaricare? Usa */prenota* per iniziare.`;
+    message += `${t(lang, 'status.queue_empty')}\n`;
+    message += `\n${t(lang, 'status.book_hint')}`;
   }
   
   return message;
@@ -101,73 +201,18 @@ function formatStatusMessage(status) {
 
 /**
  * Genera un messaggio di aiuto formattato
- * @param {Boolean} isAdmin - Indica se l'utente è admin
+ * @param {String} role - Ruolo dell'utente ('user', 'moderator' o 'admin')
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatHelpMessage(isAdmin = false) {
-  let message = `
-🔋 *Guida a SlotManager Bot* 🔋
-
-*Come ricaricare il tuo veicolo:*
-
-1️⃣ Usa */prenota* per richiedere una colonnina
-   • Se c'è uno slot libero, riceverai l'OK per procedere
-   • Se tutte le colonnine sono occupate, verrai messo in coda
-
-2️⃣ Quando arriva il tuo turno:
-   • Vai alla colonnina e attivala
-   • Conferma l'inizio con */iniziato* (tempo predefinito)
-   • Oppure specifica la durata: */iniziato 45* (per 45 minuti)
-   • *Hai 5 minuti* per iniziare, altrimenti perderai il turno
-
-3️⃣ Durante la ricarica:
-   • Hai a disposizione il tempo che hai specificato
-   • Riceverai un promemoria 5 minuti prima della scadenza
-
-4️⃣ Al termine:
-   • Completa la ricarica e scollega il veicolo
-   • Conferma con */terminato* per liberare lo slot
-
-*Altri comandi utili:*
-
-📝 */prenota* - Richiedi una colonnina o mettiti in coda
-❌ */cancella* - Rinuncia al tuo posto in coda
-📊 */status* - Verifica quali colonnine sono libere/occupate 
-👤 */stato_utente* - Visualizza il tuo stato e eventuali penalità
-❓ */help* - Visualizza questa guida
-📍 */dove_sono* - Mostra l'ID della chat attuale
-
-*Consigli:*
-- Ricevuta la notifica, hai 5 minuti per iniziare
-- Se cambi idea o hai un imprevisto, usa */cancella* per liberare il posto
-- Rispetta il tempo massimo per la cortesia di tutti
-- Ritardi frequenti comportano penalità e possibili sospensioni temporanee
-`;
+function formatHelpMessage(role = 'user', lang = DEFAULT_LANGUAGE) {
+  let message = t(lang, 'help.user');
 
   // Aggiungi le istruzioni per l'admin se l'utente è admin
-  if (isAdmin) {
-    message += `
-
-🔧 *COMANDI AMMINISTRATORE* 🔧
-
-*Gestione Sistema:*
-📊 */admin_status* - Stato dettagliato del sistema
-📈 */admin_stats* - Statistiche del sistema
-🔄 */admin_set_max_slots [numero]* - Imposta il numero massimo di slot
-🔄 */admin_set_charge_time [minuti]* - Imposta il tempo massimo di ricarica predefinito
-🔄 */admin_set_reminder_time [minuti]* - Imposta il tempo di promemoria
-🗑️ */admin_reset_system* - Resetta completamente il sistema (richiede conferma)
-
-*Gestione Utenti:*
-⏹️ */admin_reset_slot @username* - Termina forzatamente la sessione
-🚫 */admin_remove_queue @username* - Rimuove un utente dalla coda
-📣 */admin_notify_all [messaggio]* - Invia un messaggio a tutti
-👥 */admin_check_penalties* - Visualizza utenti con penalità
-
-*Diagnostica:*
-🔍 */dbtest* - Verifica lo stato del database
-🔄 */admin_update_commands* - Aggiorna i comandi del bot
-`;
+  if (role === 'admin') {
+    message += t(lang, 'help.admin');
+  } else if (role === 'moderator') {
+    message += t(lang, 'help.moderator');
   }
 
   return message;
@@ -175,10 +220,12 @@ function formatHelpMessage(isAdmin = false) {
 
 /**
  * Genera un messaggio di aiuto per amministratori
+ * @param {String} role - Ruolo dell'utente (predefinito 'admin')
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatAdminHelpMessage() {
-  return formatHelpMessage(true);
+function formatAdminHelpMessage(role = 'admin', lang = DEFAULT_LANGUAGE) {
+  return formatHelpMessage(role, lang);
 }
 
 /**
@@ -219,74 +266,229 @@ function estimateWaitTime(status) {
 /**
  * Formatta un messaggio per l'inizio della ricarica
  * @param {Object} session - Oggetto sessione
+ * @param {Object} slot - Colonnina assegnata (opzionale)
+ * @param {Object} tariffInfo - Risultato di billingHandler.getTariffInfo (opzionale)
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatSessionStartMessage(session) {
+function formatSessionStartMessage(session, slot = null, tariffInfo = null, lang = DEFAULT_LANGUAGE) {
   // Determina se la durata è personalizzata o predefinita
   const isCustomDuration = session.custom_duration;
-  const durationMinutes = session.duration_minutes || config.MAX_CHARGE_TIME;
-  const durationText = isCustomDuration 
-    ? `*${durationMinutes} minuti* (personalizzato)` 
-    : `*${durationMinutes} minuti* (predefinito)`;
+  const durationMinutes = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+  const durationText = t(lang, isCustomDuration ? 'session.duration_custom' : 'session.duration_default', {
+    minutes: formatMinutes(durationMinutes, lang)
+  });
   
-  return `
-✅ *Ricarica iniziata con successo!*
+  const slotText = slot ? `${t(lang, 'common.slot', { slot: formatSlotInfo(slot) })}\n` : '';
+  
+  return t(lang, 'session.started', {
+    slot: slotText,
+    start: formatTime(session.start_time),
+    end: formatTime(session.end_time),
+    duration: durationText,
+    tariff: formatTariffInfo(tariffInfo, lang)
+  });
+}
 
-⏱️ Hai iniziato alle: *${formatTime(session.start_time)}*
-⌛ Termine previsto: *${formatTime(session.end_time)}*
-⏳ Tempo di ricarica: ${durationText}
+/**
+ * Formatta un messaggio per l'estensione di una sessione di ricarica
+ * @param {Object} session - Oggetto sessione aggiornata
+ * @param {Number} minutes - Minuti aggiunti
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatExtensionMessage(session, minutes, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'session.extended', {
+    minutes: formatMinutes(minutes, lang),
+    end: formatTime(session.end_time),
+    duration: formatMinutes(session.duration_minutes, lang)
+  });
+}
 
-📱 *Cosa fare ora:*
-- Riceverai un promemoria 5 minuti prima della scadenza
-- Quando termini la ricarica, scollega il veicolo
-- Conferma con */terminato* per liberare lo slot
+/**
+ * Formatta una quantità di energia
+ * @param {Number} kwh - Energia in kWh
+ * @param {String} lang - Codice della lingua, per il separatore decimale (opzionale)
+ * @returns {String} - Energia formattata con una cifra decimale (es. "12,4 kWh")
+ */
+function formatEnergy(kwh, lang = DEFAULT_LANGUAGE) {
+  return `${(Math.round((kwh || 0) * 10) / 10).toLocaleString(t(lang, 'locale'))} kWh`;
+}
 
-⚠️ *Importante:* Se non confermi entro il tempo massimo, riceverai penalità che potrebbero limitare l'uso futuro del servizio.
-`;
+/**
+ * Formatta un importo in euro
+ * @param {Number} amount - Importo in euro
+ * @param {String} lang - Codice della lingua, per il separatore decimale (opzionale)
+ * @returns {String} - Importo formattato (es. "€ 3,72")
+ */
+function formatCurrency(amount, lang = DEFAULT_LANGUAGE) {
+  return `€ ${(amount || 0).toLocaleString(t(lang, 'locale'), { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 /**
- * Formatta un messaggio per la fine della ricarica
- * @param {Object} result - Oggetto risultato con sessione e durata
- * @returns {String} - Messaggio formattato
+ * Formatta fascia corrente, costo stimato ed eventuale fascia più economica
+ * @param {Object} info - Risultato di billingHandler.getTariffInfo (può essere null)
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Righe da aggiungere al messaggio (vuoto senza tariffe configurate)
  */
-function formatSessionEndMessage(result) {
-  return `
-✅ *Ricarica terminata con successo!*
+function formatTariffInfo(info, lang = DEFAULT_LANGUAGE) {
+  if (!info) return '';
+  
+  const bandText = info.band ? t(lang, 'tariff.band', { code: info.band.code }) : t(lang, 'tariff.base');
+  let text = `${t(lang, 'tariff.current', { band: bandText, price: formatCurrency(info.price, lang) })}\n`;
+  
+  if (info.estimatedCost !== null) {
+    const energyText = info.estimatedKwh !== null ? t(lang, 'tariff.estimated_energy', { energy: formatEnergy(info.estimatedKwh, lang) }) : '';
+    text += `${t(lang, 'tariff.estimated_cost', { cost: formatCurrency(info.estimatedCost, lang), energy: energyText })}\n`;
+  }
 
-⏱️ Durata totale: *${result.durationMinutes} minuti*
-🔋 Grazie per aver utilizzato SlotManager Bot!
+  if (info.cheaperWindow) {
+    const windowBand = info.cheaperWindow.band ? t(lang, 'tariff.band', { code: info.cheaperWindow.band.code }) : t(lang, 'tariff.base');
+    text += `${t(lang, 'tariff.cheaper', {
+      day: formatDay(info.cheaperWindow.start),
+      time: formatTime(info.cheaperWindow.start),
+      band: windowBand,
+      price: formatCurrency(info.cheaperWindow.price, lang)
+    })}\n`;
+  }
 
-👍 Hai liberato lo slot per gli altri utenti.
-Vuoi prenotare una nuova ricarica? Usa */prenota*
-`;
+  return text;
 }
 
 /**
- * Formatta un messaggio di benvenuto
- * @param {String} username - Username dell'utente
- * @param {Number} userId - ID dell'utente
- * @returns {String} - Messaggio formattato
+ * Formatta una fascia oraria di tariffazione
+ * @param {Object} band - Oggetto fascia
+ * @param {Array} dayNames - Abbreviazioni dei giorni (indice = giorno della settimana)
+ * @returns {String} - Fascia formattata
  */
-function formatWelcomeMessage(username, userId) {
-  return `
-👋 *Benvenuto a SlotManager Bot, @${username}!*
+function formatTariffBand(band, dayNames) {
+  const formatMinute = minute => `${Math.floor(minute / 60).toString().padStart(2, '0')}:${(minute % 60).toString().padStart(2, '0')}`;
+  const days = band.days.length === 7 ? 'tutti i giorni' : band.days.map(day => dayNames[day]).join(', ');
+  
+  return `*${band.code}*: ${days}, ${formatMinute(band.start_minute)}-${formatMinute(band.end_minute)} - ${formatCurrency(band.price_per_kwh)}/kWh`;
+}
 
-Questo bot gestisce la coda per le colonnine di ricarica in modo semplice e veloce.
+/**
+ * Formatta un webhook per l'elenco di /admin_webhooks
+ * @param {Object} webhook - Oggetto webhook
+ * @param {Number} number - Numero del webhook nell'elenco
+ * @returns {String} - Webhook formattato
+ */
+function formatWebhook(webhook, number) {
+  const events = webhook.events.length > 0 ? webhook.events.map(event => `\`${event}\``).join(', ') : 'tutti';
+  let text = `*${number}.* ${webhook.active ? '✅' : '⏸️'} \`${webhook.url}\`\n   Eventi: ${events}\n`;
+  
+  if (webhook.last_delivery_at) {
+    text += `   Ultima consegna: ${formatDate(webhook.last_delivery_at)} - ${webhook.last_status}`;
+    text += webhook.failure_count > 0 ? ` (${webhook.failure_count} fallimenti consecutivi)\n` : '\n';
+  }
+  
+  return text;
+}
 
-📱 *Per iniziare subito:*
+/**
+ * Formatta un token dell'API REST per l'elenco di /admin_api_tokens
+ * @param {Object} apiToken - Oggetto token
+ * @returns {String} - Token formattato
+ */
+function formatApiToken(apiToken) {
+  const lastUsed = apiToken.last_used_at ? formatDate(apiToken.last_used_at) : 'mai';
+  
+  return `🔑 *${apiToken.name.replace(/_/g, '\\_')}* (\`${apiToken.token_prefix}…\`)\n` +
+    `   Ambiti: ${apiToken.scopes.join(', ')}\n` +
+    `   Ultimo utilizzo: ${lastUsed}`;
+}
 
-- Usa */prenota* per richiedere una colonnina
-- Se tutte sono occupate, verrai messo in coda
-- Riceverai una notifica quando sarà il tuo turno
-- Per iniziare una ricarica con durata personalizzata usa */iniziato [minuti]*
-  Esempio: */iniziato 45* per una ricarica di 45 minuti
+/**
+ * Formatta le regole delle penalità per /admin_penalty_rules
+ * @param {Object} rules - Regole { tiers, ban_threshold, ban_days, decay_days }
+ * @returns {String} - Regole formattate
+ */
+function formatPenaltyRules(rules) {
+  const formatPoints = points => `${points} ${points === 1 ? 'punto' : 'punti'}`;
+  let text = '*Fasce di ritardo* (tiers):\n';
+  
+  rules.tiers.forEach((tier, index) => {
+    const next = rules.tiers[index + 1];
+    const range = next ? `${tier.from_minutes}-${next.from_minutes} min` : `da ${tier.from_minutes} min`;
+    const points = tier.every_minutes ? `${formatPoints(tier.points)} ogni ${tier.every_minutes} min` : formatPoints(tier.points);
+    
+    text += `   • ${range}: ${points} (\`${tier.from_minutes}:${tier.points}${tier.every_minutes ? `/${tier.every_minutes}` : ''}\`)\n`;
+  });
+  
+  text += `*Soglia di ban* (ban\\_threshold): ${formatPoints(rules.ban_threshold)}\n`;
+  text += `*Durata del ban* (ban\\_days): ${rules.ban_days} giorni\n`;
+  text += `*Durata di ogni penalità* (decay\\_days): ${rules.decay_days} giorni\n`;
+  text += `*Mancato arrivo* (no\\_show\\_points): ${rules.no_show_points > 0 ? formatPoints(rules.no_show_points) : 'nessuna penalità'}\n`;
+  text += `*Mancati arrivi senza penalità al mese* (no\\_show\\_grace): ${rules.no_show_grace}`;
+  
+  return text;
+}
 
-📊 Per verificare lo stato delle colonnine usa */status*
-❓ Per maggiori informazioni usa */help*
+/**
+ * Toglie da un testo scritto da un utente i caratteri che romperebbero il Markdown
+ * @param {String} text - Testo da ripulire
+ * @returns {String} - Testo senza caratteri di formattazione
+ */
+function stripMarkdown(text) {
+  return String(text || '').replace(/[*_`[\]]/g, '');
+}
 
-Buona ricarica! ⚡
-`;
+/**
+ * Formatta un ricorso contro una penalità per gli amministratori
+ * @param {Object} appeal - Oggetto ricorso
+ * @param {Object} session - Sessione penalizzata (opzionale)
+ * @returns {String} - Ricorso formattato
+ */
+function formatAppeal(appeal, session = null) {
+  const reason = stripMarkdown(appeal.reason);
+  let text = `👤 @${appeal.username} (${appeal.telegram_id}) - ${appeal.points} punti\n`;
+  
+  if (session) {
+    const plannedMinutes = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+    const actualMinutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+    
+    text += `   Ricarica del ${formatDate(session.start_time)}, slot ${session.slot_number}: ${actualMinutes} min su ${plannedMinutes} previsti\n`;
+  }
+  
+  text += `   Motivo: ${reason}`;
+  
+  return text;
+}
+
+/**
+ * Formatta un messaggio per la fine della ricarica
+ * @param {Object} result - Oggetto risultato con sessione e durata
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatSessionEndMessage(result, lang = DEFAULT_LANGUAGE) {
+  // Senza kWh indicati con /terminato, chiedi all'utente di comunicarli
+  const energyText = result.session && result.session.energy_kwh !== null && result.session.energy_kwh !== undefined
+    ? t(lang, 'session.energy', { energy: formatEnergy(result.session.energy_kwh, lang) })
+    : t(lang, 'session.energy_prompt');
+  
+  // Il costo viene mostrato solo se sono configurate delle tariffe
+  const costText = result.session && result.session.cost_total > 0
+    ? `\n${t(lang, 'session.cost', { cost: formatCurrency(result.session.cost_total, lang) })}`
+    : '';
+  
+  return t(lang, 'session.ended', {
+    duration: formatMinutes(result.durationMinutes, lang),
+    energy: energyText,
+    cost: costText
+  });
+}
+
+/**
+ * Formatta un messaggio di benvenuto
+ * @param {String} username - Username dell'utente
+ * @param {Number} userId - ID dell'utente
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatWelcomeMessage(username, userId, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'welcome', { username });
 }
 
 /**
@@ -294,26 +496,11 @@ Buona ricarica! ⚡
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
  * @param {Number} position - Posizione in coda
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatQueueMessage(username, userId, position) {
-  return `
-⏳ *Tutte le colonnine sono occupate in questo momento*
-
-✅ @${username}, sei stato aggiunto in coda in posizione *#${position}*.
-
-*Cosa succederà ora:*
-- Quando si libera uno slot, gli utenti vengono avvisati in ordine di coda
-- Riceverai una notifica quando sarà il tuo turno
-- Avrai 5 minuti per iniziare la ricarica, dopo la notifica
-- Potrai specificare una durata personalizzata con */iniziato [minuti]*
-
-*Opzioni disponibili:*
-- Usa */status* per controllare la tua posizione in coda
-- Usa */cancella* se cambi idea e non vuoi più attendere
-
-Ti ringraziamo per la pazienza! 🙏
-`;
+function formatQueueMessage(username, userId, position, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'queue.added', { username, position });
 }
 
 /**
@@ -321,24 +508,21 @@ Ti ringraziamo per la pazienza! 🙏
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
  * @param {Number} maxChargeTime - Tempo massimo di ricarica
+ * @param {Object} slot - Colonnina libera suggerita (opzionale)
+ * @param {Object} tariffInfo - Risultato di billingHandler.getTariffInfo (opzionale)
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatSlotAvailableMessage(username, userId, maxChargeTime) {
-  return `
-✅ *Ottima notizia, @${username}!*
-
-🟢 **C'è uno slot libero, puoi procedere subito con la ricarica.**
-
-*Ecco cosa fare:*
-
-1️⃣ Vai alla colonnina di ricarica
-2️⃣ Attivala e collega il tuo veicolo
-3️⃣ Conferma l'inizio con uno di questi comandi:
-   • */iniziato* - Per usare il tempo predefinito (${maxChargeTime} minuti)
-   • */iniziato 45* - Per specificare una durata di 45 minuti
-
-⚠️ *Importante:* Se non confermi l'inizio con */iniziato*, lo slot rimarrà riservato per te ma non risulterai in ricarica.
-`;
+function formatSlotAvailableMessage(username, userId, maxChargeTime, slot = null, tariffInfo = null, lang = DEFAULT_LANGUAGE) {
+  const slotText = slot ? `\n${t(lang, 'common.slot', { slot: formatSlotInfo(slot) })}\n` : '';
+  const tariffText = tariffInfo ? `${slotText ? '' : '\n'}${formatTariffInfo(tariffInfo, lang)}` : '';
+  
+  return t(lang, 'queue.slot_available', {
+    username,
+    slot: slotText,
+    tariff: tariffText,
+    minutes: maxChargeTime
+  });
 }
 
 /**
@@ -346,26 +530,80 @@ function formatSlotAvailableMessage(username, userId, maxChargeTime) {
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
  * @param {Number} maxChargeTime - Tempo massimo di ricarica
+ * @param {Object} slot - Colonnina riservata (opzionale)
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatNotificationMessage(username, userId, maxChargeTime, slot = null, lang = DEFAULT_LANGUAGE) {
+  const slotText = slot ? `\n${t(lang, 'common.slot', { slot: formatSlotInfo(slot) })}\n` : '';
+  
+  return t(lang, 'queue.your_turn', {
+    username,
+    slot: slotText,
+    minutes: maxChargeTime
+  });
+}
+
+/**
+ * Formatta un messaggio di conferma per una prenotazione anticipata
+ * @param {Object} reservation - Oggetto prenotazione
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatNotificationMessage(username, userId, maxChargeTime) {
-  return `
-🔔 *È IL TUO TURNO, @${username}!*
+function formatReservationMessage(reservation, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'reservation.confirmed', {
+    username: reservation.username,
+    day: formatDay(reservation.start_time),
+    start: formatTime(reservation.start_time),
+    end: formatTime(reservation.end_time),
+    duration: formatMinutes(reservation.duration_minutes, lang)
+  });
+}
 
-🟢 Si è liberato uno slot di ricarica riservato per te.
+/**
+ * Formatta la lista delle prenotazioni di un utente
+ * @param {Array} reservations - Array di prenotazioni
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatReservationListMessage(reservations, lang = DEFAULT_LANGUAGE) {
+  if (reservations.length === 0) {
+    return t(lang, 'reservation.none');
+  }
+
+  let message = `${t(lang, 'reservation.list_title')}\n\n`;
 
-*Cosa fare ora:*
+  reservations.forEach((reservation, index) => {
+    const statusText = reservation.status === 'notified' ? t(lang, 'reservation.reserved_now') : '';
+    message += `${t(lang, 'reservation.list_item', {
+      index: index + 1,
+      day: formatDay(reservation.start_time),
+      start: formatTime(reservation.start_time),
+      end: formatTime(reservation.end_time),
+      status: statusText
+    })}\n`;
+  });
 
-1️⃣ Vai subito alla colonnina di ricarica
-2️⃣ Attivala e collega il tuo veicolo
-3️⃣ Conferma l'inizio con uno di questi comandi:
-   • */iniziato* - Per usare il tempo predefinito (${maxChargeTime} minuti)
-   • */iniziato 45* - Per specificare una durata di 45 minuti
+  message += `\n${t(lang, 'reservation.cancel_hint')}`;
 
-⚠️ *ATTENZIONE: Hai solo 5 minuti per confermare* l'inizio con */iniziato*, altrimenti perderai il turno e lo slot passerà al prossimo utente in coda.
+  return message;
+}
 
-Se non puoi più ricaricare, usa */cancella* per liberare subito lo slot.
-`;
+/**
+ * Formatta un messaggio per l'inizio di una prenotazione anticipata
+ * @param {Object} reservation - Oggetto prenotazione
+ * @param {Number} graceMinutes - Minuti a disposizione per confermare
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatReservationStartMessage(reservation, graceMinutes, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'reservation.starting', {
+    username: reservation.username,
+    start: formatTime(reservation.start_time),
+    end: formatTime(reservation.end_time),
+    duration: formatMinutes(reservation.duration_minutes, lang),
+    grace: formatMinutes(graceMinutes, lang)
+  });
 }
 
 /**
@@ -374,23 +612,18 @@ Se non puoi più ricaricare, usa */cancella* per liberare subito lo slot.
  * @param {Number} remainingMinutes - Minuti rimanenti
  * @param {Date} endTime - Orario di fine ricarica
  * @param {Boolean} isCustomDuration - Indica se la durata è personalizzata
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatReminderMessage(username, remainingMinutes, endTime, isCustomDuration = false) {
-  const durationText = isCustomDuration ? "(durata personalizzata)" : "";
+function formatReminderMessage(username, remainingMinutes, endTime, isCustomDuration = false, lang = DEFAULT_LANGUAGE) {
+  const durationText = isCustomDuration ? t(lang, 'common.custom_duration') : "";
   
-  return `
-⏰ *Promemoria ricarica, @${username}*
-
-Ti restano solo *${remainingMinutes} minuti* prima del termine ${durationText}.
-
-*Informazioni:*
-- La ricarica terminerà alle *${formatTime(endTime)}*
-- Prepara il veicolo per essere scollegato
-- Al termine, conferma con */terminato* per liberare lo slot
-
-Grazie per la collaborazione! Altri utenti potrebbero essere in attesa. 👍
-`;
+  return t(lang, 'reminder', {
+    username,
+    minutes: formatMinutes(remainingMinutes, lang),
+    duration: durationText,
+    end: formatTime(endTime)
+  });
 }
 
 /**
@@ -398,67 +631,69 @@ Grazie per la collaborazione! Altri utenti potrebbero essere in attesa. 👍
  * @param {String} username - Username dell'utente
  * @param {Number} chargeDuration - Tempo di ricarica in minuti
  * @param {Boolean} isCustomDuration - Indica se la durata è personalizzata
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatTimeoutMessage(username, chargeDuration, isCustomDuration = false) {
-  const durationText = isCustomDuration 
-    ? `personalizzato di *${chargeDuration} minuti*` 
-    : `di *${chargeDuration} minuti*`;
+function formatTimeoutMessage(username, chargeDuration, isCustomDuration = false, lang = DEFAULT_LANGUAGE) {
+  const durationText = t(lang, isCustomDuration ? 'timeout.duration_custom' : 'timeout.duration_default', {
+    minutes: formatMinutes(chargeDuration, lang)
+  });
   
-  return `
-⚠️ *TEMPO SCADUTO, @${username}*
-
-Il tuo tempo di ricarica ${durationText} è terminato.
-
-*Cosa fare immediatamente:*
-1. Concludi la ricarica
-2. Scollega il veicolo dalla colonnina
-3. Conferma con */terminato* per liberare lo slot
-
-⚡ Altri utenti sono in attesa per utilizzare la colonnina.
-Grazie per la tua collaborazione!
+  return t(lang, 'timeout.message', { username, duration: durationText });
+}
 
-⚠️ *Nota:* I ritardi comportano penalità che possono limitare l'uso futuro del servizio.
-`;
+/**
+ * Formatta l'esito di un mancato arrivo, aggiunto al messaggio del turno scaduto
+ * @param {Object} noShow - Risultato di penaltySystem.handleNoShow
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatNoShowMessage(noShow, lang = DEFAULT_LANGUAGE) {
+  if (noShow.banned) {
+    return t(lang, 'penalties.no_show_banned', {
+      points: noShow.penaltyPoints,
+      date: formatDate(noShow.banEndDate, lang)
+    });
+  }
+  
+  if (noShow.points > 0) {
+    return t(lang, 'penalties.no_show_applied', {
+      points: t(lang, 'penalties.points', { count: noShow.points }),
+      total: noShow.penaltyPoints,
+      threshold: noShow.threshold
+    });
+  }
+  
+  return t(lang, 'penalties.no_show_free', {
+    used: noShow.used,
+    grace: noShow.grace,
+    points: t(lang, 'penalties.points', { count: noShow.nextPoints })
+  });
 }
 
 /**
  * Formatta un messaggio progressivo di ritardo
  * @param {String} username - Username dell'utente
  * @param {Number} overtimeMinutes - Minuti di ritardo
+ * @param {Number} penaltyPoints - Punti penalità previsti per il ritardo
+ * @param {Number} banThreshold - Punti che comportano il ban
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatOvertimeMessage(username, overtimeMinutes) {
+function formatOvertimeMessage(username, overtimeMinutes, penaltyPoints, banThreshold, lang = DEFAULT_LANGUAGE) {
+  const params = {
+    username,
+    minutes: formatMinutes(overtimeMinutes, lang),
+    points: t(lang, 'penalties.points', { count: penaltyPoints }),
+    threshold: banThreshold
+  };
+  
   if (overtimeMinutes >= 5 && overtimeMinutes < 15) {
-    return `
-⚠️ *ATTENZIONE*
-
-@${username}, il tuo tempo è scaduto da *${overtimeMinutes} minuti*.
-
-Per favore, concludi la ricarica e libera la colonnina appena possibile.
-Ricorda che i ritardi comportano penalità (1 punto).
-`;
+    return t(lang, 'overtime.warning', params);
   } else if (overtimeMinutes >= 15 && overtimeMinutes < 30) {
-    return `
-🔴 *RITARDO SIGNIFICATIVO*
-
-@${username}, il tuo tempo è scaduto da *${overtimeMinutes} minuti*!
-
-Ti preghiamo di liberare immediatamente la colonnina.
-⚠️ Stai accumulando 2 punti penalità per questo ritardo.
-Al raggiungimento di 10 punti il tuo account sarà temporaneamente sospeso.
-`;
+    return t(lang, 'overtime.significant', params);
   } else if (overtimeMinutes >= 30) {
-    return `
-🚨 *VIOLAZIONE GRAVE*
-
-@${username}, il tuo tempo è scaduto da *${overtimeMinutes} minuti*!
-
-Stai impedendo ad altri utenti di utilizzare la colonnina.
-🔴 *Questo comportamento comporta 3 punti penalità per ogni 30 minuti di ritardo e potrebbe portare al ban*
-
-Libera IMMEDIATAMENTE la colonnina.
-`;
+    return t(lang, 'overtime.severe', params);
   }
 
   return "";
@@ -467,40 +702,205 @@ Libera IMMEDIATAMENTE la colonnina.
 /**
  * Formatta un messaggio per lo stato utente
  * @param {Object} user - Utente
+ * @param {Object} penalties - Stato delle penalità { ban_threshold, warning_points, events } (events: penalità non scadute)
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Messaggio formattato
  */
-function formatUserStatusMessage(user) {
-  let message = `👤 *Il tuo stato attuale*\n\n`;
+function formatUserStatusMessage(user, penalties, lang = DEFAULT_LANGUAGE) {
+  let message = `${t(lang, 'user_status.title')}\n\n`;
   
-  message += `Username: @${user.username}\n`;
-  message += `Ricariche completate: *${user.total_charges}*\n`;
-  message += `Tempo totale di ricarica: *${user.total_time} min*\n`;
+  message += `${t(lang, 'user_status.username', { username: user.username })}\n`;
+  message += `${t(lang, 'user_status.charges', { count: user.total_charges })}\n`;
+  message += `${t(lang, 'user_status.total_time', { minutes: user.total_time })}\n`;
   
   if (user.penalty_points > 0) {
-    message += `⚠️ Punti penalità: *${user.penalty_points}*\n`;
-    message += `Ultimo ritardo: ${formatDate(user.last_penalty_date)}\n`;
+    message += `${t(lang, 'user_status.penalty_points', { points: user.penalty_points })}\n`;
+    message += `${t(lang, 'user_status.last_penalty', { date: formatDate(user.last_penalty_date, lang) })}\n`;
     
     if (user.temporarily_banned) {
-      message += `🚫 *Account temporaneamente sospeso fino al ${formatDate(user.ban_end_date)}*\n`;
-    } else if (user.penalty_points >= 7) {
-      message += `⚠️ *Attenzione: sei vicino alla soglia di sospensione (10 punti)*\n`;
+      message += formatBanStatus(user, lang);
+    } else if (user.penalty_points >= penalties.warning_points) {
+      message += `${t(lang, 'user_status.near_threshold', { threshold: penalties.ban_threshold })}\n`;
     }
     
-    message += `\nI punti penalità vengono azzerati 30 giorni dopo l'ultimo ritardo.`;
+    message += `\n${t(lang, 'user_status.expiry_title')}\n`;
+    
+    penalties.events.forEach(event => {
+      message += `${t(lang, 'user_status.expiry', {
+        points: t(lang, 'penalties.points', { count: event.points }),
+        date: formatDate(event.expires_at, lang)
+      })}\n`;
+    });
+  } else if (user.temporarily_banned) {
+    // Ban manuale di un utente senza punti penalità
+    message += formatBanStatus(user, lang);
   } else {
-    message += `✅ Nessuna penalità attiva\n`;
+    message += `${t(lang, 'user_status.no_penalties')}\n`;
   }
   
   return message;
 }
 
 /**
- * Formatta una data in formato italiano
+ * Formatta la riga della sospensione nello stato dell'utente, con il motivo per i ban manuali
+ * @param {Object} user - Oggetto utente
+ * @param {String} lang - Codice della lingua
+ * @returns {String} - Righe formattate
+ */
+function formatBanStatus(user, lang) {
+  let message = `${t(lang, 'user_status.banned', { date: formatDate(user.ban_end_date, lang) })}\n`;
+  
+  if (user.ban_reason) {
+    message += `${t(lang, 'user_status.ban_reason', { reason: stripMarkdown(user.ban_reason) })}\n`;
+  }
+  
+  return message;
+}
+
+/**
+ * Formatta una pagina dello storico delle ricariche di un utente
+ * @param {Object} history - Risultato di getUserSessionHistory { entries, total, page, pages }
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatHistoryMessage(history, lang = DEFAULT_LANGUAGE) {
+  if (history.total === 0) {
+    return `${t(lang, 'history.title')}\n\n${t(lang, 'history.empty')}`;
+  }
+
+  let message = `${t(lang, 'history.title')}\n`;
+  message += `${t(lang, 'history.page', { page: history.page, pages: history.pages, count: history.total })}\n\n`;
+  
+  history.entries.forEach(entry => {
+    const session = entry.session;
+    
+    message += `${t(lang, 'history.item', {
+      index: entry.index,
+      day: formatDay(session.start_time),
+      start: formatTime(session.start_time),
+      end: formatTime(session.end_time),
+      slot: session.slot_number
+    })}\n`;
+    message += t(lang, 'history.duration', { actual: entry.actualMinutes, planned: entry.plannedMinutes });
+    message += session.status !== 'completed' ? ` (${formatSessionStatus(session.status, lang)})\n` : `\n`;
+    
+    if (session.energy_kwh !== null && session.energy_kwh !== undefined) {
+      message += `${t(lang, 'history.energy', { energy: formatEnergy(session.energy_kwh, lang) })}\n`;
+    }
+    
+    if (session.cost_total > 0) {
+      message += `${t(lang, 'history.cost', { cost: formatCurrency(session.cost_total, lang) })}\n`;
+    }
+        
+    if (entry.overtimeMinutes > 0) {
+      message += `${t(lang, 'history.overtime', { minutes: entry.overtimeMinutes })}\n`;
+    }
+    
+    if (entry.penaltyPoints > 0) {
+      message += `${t(lang, 'history.penalty_points', { points: entry.penaltyPoints })}\n`;
+    }
+    
+    if (entry.appeal) {
+      message += `${t(lang, `history.appeal_${entry.appeal.status}`, {
+        points: t(lang, 'penalties.points', { count: entry.appeal.points })
+      })}\n`;
+    }
+    
+    message += `\n`;
+  });
+  
+  return message;
+}
+
+/**
+ * Formatta il rendiconto mensile di un utente
+ * @param {Object} statement - Rendiconto generato da billingHandler.getMonthlyStatements
+ * @param {String} monthLabel - Mese del rendiconto (MM/AAAA)
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {String} - Messaggio formattato
+ */
+function formatBillingStatement(statement, monthLabel, lang = DEFAULT_LANGUAGE) {
+  let message = `${t(lang, 'billing.title', { month: monthLabel })}\n\n`;
+  
+  statement.sessions.forEach(session => {
+    const minutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+    const energyText = session.energy_kwh !== null && session.energy_kwh !== undefined ? `, ${formatEnergy(session.energy_kwh, lang)}` : '';
+    
+    message += `• ${formatDay(session.start_time)} ${formatTime(session.start_time)} - ${minutes} min${energyText}: ${formatCurrency(session.cost_total, lang)}\n`;
+  });
+  
+  message += `\n${t(lang, 'billing.summary', {
+    count: statement.sessions.length,
+    minutes: statement.minutes,
+    energy: formatEnergy(statement.kwh, lang)
+  })}\n`;
+  
+  if (statement.energy > 0) {
+    message += `${t(lang, 'billing.energy', { amount: formatCurrency(statement.energy, lang) })}\n`;
+  }
+  if (statement.time > 0) {
+    message += `${t(lang, 'billing.time', { amount: formatCurrency(statement.time, lang) })}\n`;
+  }
+  if (statement.idle > 0) {
+    message += `${t(lang, 'billing.idle', { amount: formatCurrency(statement.idle, lang) })}\n`;
+  }
+
+  message += `\n${t(lang, 'billing.total', { amount: formatCurrency(statement.total, lang) })}`;
+  
+  return message;
+}
+
+/**
+ * Formatta una pagina del registro delle azioni
+ * @param {Object} result - Risultato di auditLog.getEvents { events, total, page, pages }
+ * @param {String} targetUsername - Username usato come filtro (opzionale)
+ * @param {Number} days - Giorni considerati
+ * @returns {String} - Messaggio formattato
+ */
+function formatAuditMessage(result, targetUsername, days) {
+  const filterText = `${targetUsername ? `@${targetUsername}, ` : ''}ultimi ${days} giorni`;
+  
+  if (result.total === 0) {
+    return `📜 *Registro azioni*\n\nNessuna azione registrata (${filterText}).`;
+  }
+
+  let message = `📜 *Registro azioni* (${filterText})\n`;
+  message += `Pagina ${result.page}/${result.pages} - ${result.total} eventi\n\n`;
+  
+  // I valori sono tra apici inversi perché possono contenere caratteri speciali del Markdown
+  const formatValue = value => value === null || value === undefined ? '-' : `\`${JSON.stringify(value)}\``;
+  
+  result.events.forEach(event => {
+    const actor = event.actor_id === null
+      ? 'sistema'
+      : (event.actor_username ? `@${event.actor_username}` : `ID ${event.actor_id}`);
+    const target = event.target_username ? `@${event.target_username}` : (event.target_id ? `ID ${event.target_id}` : null);
+    
+    message += `🕒 ${formatDate(event.timestamp)} - \`${event.action}\`\n`;
+    message += `   • Da: ${actor}${target ? ` su ${target}` : ''}${event.site ? ` (sede ${event.site})` : ''}\n`;
+    
+    if (event.before !== null || event.after !== null) {
+      message += `   • ${formatValue(event.before)} → ${formatValue(event.after)}\n`;
+    }
+    
+    if (event.details) {
+      message += `   • \`${event.details}\`\n`;
+    }
+    
+    message += `\n`;
+  });
+  
+  return message;
+}
+
+/**
+ * Formatta una data con giorno e ora, nel formato della lingua
  * @param {Date} date - Data
+ * @param {String} lang - Codice della lingua (opzionale)
  * @returns {String} - Data formattata
  */
-function formatDate(date) {
-  if (!date) return 'N/A';
+function formatDate(date, lang = DEFAULT_LANGUAGE) {
+  if (!date) return t(lang, 'common.not_available');
   
   const options = { 
     year: 'numeric', 
@@ -510,12 +910,14 @@ function formatDate(date) {
     minute: '2-digit'
   };
   
-  return new Date(date).toLocaleDateString('it-IT', options);
+  return new Date(date).toLocaleDateString(t(lang, 'locale'), options);
 }
 
 module.exports = {
   formatTime,
+  formatDay,
   formatTimeDiff,
+  formatMinutes,
   formatSessionStatus,
   formatStatusMessage,
   formatHelpMessage,
@@ -523,13 +925,33 @@ module.exports = {
   estimateWaitTime,
   formatSessionStartMessage,
   formatSessionEndMessage,
+  formatEnergy,
+  formatCurrency,
+  formatTariffInfo,
+  formatTariffBand,
+  formatWebhook,
+  formatApiToken,
+  formatPenaltyRules,
+  stripMarkdown,
+  formatAppeal,
+  formatBillingStatement,
+  formatExtensionMessage,
   formatWelcomeMessage,
   formatQueueMessage,
   formatSlotAvailableMessage,
+  formatSlotInfo,
+  formatSlotsMessage,
+  formatSitesMessage,
   formatNotificationMessage,
+  formatReservationMessage,
+  formatReservationListMessage,
+  formatReservationStartMessage,
   formatReminderMessage,
   formatTimeoutMessage,
   formatOvertimeMessage,
+  formatNoShowMessage,
   formatUserStatusMessage,
+  formatHistoryMessage,
+  formatAuditMessage,
   formatDate
 };
@@ -0,0 +1,147 @@
+/**
+ * Traduzione dei messaggi per gli utenti
+ * I testi sono nei cataloghi della cartella locales, uno per lingua; le chiavi mancanti
+ * in una lingua usano il testo italiano
+ */
+const User = require('../models/user');
+const logger = require('./logger');
+
+// Cataloghi dei messaggi, per codice della lingua
+const CATALOGS = {
+  it: require('../locales/it'),
+  en: require('../locales/en')
+};
+
+// Lingue disponibili con /lingua
+const LANGUAGES = Object.keys(CATALOGS);
+
+// Lingua usata quando quella dell'utente non è nota (comportamento precedente del bot)
+const DEFAULT_LANGUAGE = 'it';
+
+// Lingua per gli utenti con Telegram in una lingua non disponibile
+const FALLBACK_LANGUAGE = 'en';
+
+// Regole per il plurale, create una volta per lingua
+const pluralRules = {};
+
+/**
+ * Cerca una chiave nel catalogo di una lingua
+ * @param {String} lang - Codice della lingua
+ * @param {String} key - Chiave con i livelli separati da punti (es. 'cancella.removed')
+ * @returns {String|Object|undefined} - Testo, forme plurali o undefined se assente
+ */
+function lookup(lang, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), CATALOGS[lang]);
+}
+
+/**
+ * Sceglie la forma plurale di un testo
+ * @param {String} lang - Codice della lingua
+ * @param {Object} forms - Forme del testo ({ one, other })
+ * @param {Number} count - Numero che determina la forma
+ * @returns {String} - Forma adatta al numero
+ */
+function selectPlural(lang, forms, count) {
+  if (!pluralRules[lang]) {
+    pluralRules[lang] = new Intl.PluralRules(lang);
+  }
+  
+  return forms[pluralRules[lang].select(Number(count) || 0)] || forms.other;
+}
+
+/**
+ * Traduce un messaggio
+ * I segnaposto {nome} vengono sostituiti con i parametri; se la voce ha forme plurali,
+ * la forma è scelta in base al parametro count
+ * @param {String} lang - Codice della lingua (default: DEFAULT_LANGUAGE)
+ * @param {String} key - Chiave del messaggio
+ * @param {Object} params - Valori dei segnaposto (opzionale)
+ * @returns {String} - Messaggio tradotto, o la chiave se non esiste in nessun catalogo
+ */
+function t(lang, key, params = {}) {
+  const language = CATALOGS[lang] ? lang : DEFAULT_LANGUAGE;
+  let entry = lookup(language, key);
+  
+  if (entry === undefined) {
+    entry = lookup(DEFAULT_LANGUAGE, key);
+  }
+  
+  if (entry === undefined) {
+    logger.warn(`Missing translation for key ${key}`);
+    return key;
+  }
+  
+  if (typeof entry === 'object') {
+    entry = selectPlural(language, entry, params.count);
+  }
+  
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
+
+/**
+ * Ricava la lingua del bot dal language_code di Telegram
+ * @param {String} languageCode - Codice IETF inviato da Telegram (es. 'en', 'pt-br'), opzionale
+ * @returns {String} - Lingua disponibile: la stessa se esiste un catalogo, l'inglese per le altre,
+ *                     l'italiano se Telegram non indica la lingua
+ */
+function resolveLanguage(languageCode) {
+  if (!languageCode) return DEFAULT_LANGUAGE;
+  
+  const language = String(languageCode).toLowerCase().split('-')[0];
+  return LANGUAGES.includes(language) ? language : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Ottiene la lingua di un utente, per i messaggi inviati fuori dai comandi (notifiche)
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} languageCode - language_code di Telegram, usato se l'utente non ha una lingua salvata (opzionale)
+ * @returns {Promise<String>} - Codice della lingua
+ */
+async function getUserLanguage(userId, languageCode = null) {
+  try {
+    const user = await User.findOne({ telegram_id: userId }).select('language');
+    
+    return user && user.language ? user.language : resolveLanguage(languageCode);
+  } catch (error) {
+    logger.error(`Error getting language of user ${userId}:`, error);
+    return resolveLanguage(languageCode);
+  }
+}
+
+/**
+ * Errore con un messaggio da mostrare all'utente nella sua lingua
+ * Il messaggio dell'errore resta in italiano, per il log e per chi non conosce la lingua dell'utente
+ */
+class LocalizedError extends Error {
+  /**
+   * @param {String} key - Chiave del messaggio
+   * @param {Object} params - Valori dei segnaposto (opzionale)
+   */
+  constructor(key, params = {}) {
+    super(t(DEFAULT_LANGUAGE, key, params));
+    this.name = 'LocalizedError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Traduce il messaggio di un errore
+ * @param {Error} error - Errore (LocalizedError o errore generico)
+ * @param {String} lang - Codice della lingua
+ * @returns {String} - Messaggio tradotto, o il messaggio originale per gli errori generici
+ */
+function errorMessage(error, lang) {
+  return error.key ? t(lang, error.key, error.params) : error.message;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  FALLBACK_LANGUAGE,
+  t,
+  resolveLanguage,
+  getUserLanguage,
+  LocalizedError,
+  errorMessage
+};
@@ -0,0 +1,151 @@
+/**
+ * Tastiere inline per i messaggi del bot
+ * Il callback_data di ogni pulsante ha la stessa sintassi del comando testuale
+ * corrispondente (comando seguito dagli argomenti separati da spazi),
+ * così il dispatcher delle callback può riutilizzare gli handler dei comandi
+ */
+const { t, LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+
+// Comandi i cui pulsanti vanno rimossi dal messaggio dopo l'uso
+const ONE_SHOT_COMMANDS = ['iniziato', 'cancella', 'lingua', 'admin_approve_extension', 'admin_reject_extension', 'admin_appeal'];
+
+/**
+ * Costruisce il callback_data di un pulsante
+ * @param {String} command - Comando da eseguire (senza /)
+ * @param {Array} args - Argomenti del comando
+ * @returns {String} - Callback data (massimo 64 byte per Telegram)
+ */
+function callbackData(command, args = []) {
+  return [command, ...args].join(' ').slice(0, 64);
+}
+
+/**
+ * Interpreta il callback_data di un pulsante
+ * @param {String} data - Callback data ricevuto
+ * @returns {Object} - Oggetto { command, args }
+ */
+function parseCallbackData(data) {
+  const [command, ...args] = (data || '').split(' ').filter(arg => arg.length > 0);
+  return { command: (command || '').toLowerCase(), args };
+}
+
+/**
+ * Verifica se i pulsanti di un comando vanno rimossi dopo l'uso
+ * @param {String} command - Comando eseguito
+ * @returns {Boolean} - true se il comando è monouso
+ */
+function isOneShot(command) {
+  return ONE_SHOT_COMMANDS.includes(command);
+}
+
+/**
+ * Tastiera per i messaggi di slot disponibile e di notifica del turno
+ * @param {String} siteCode - Codice della sede dello slot (opzionale)
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {Object} - reply_markup con i pulsanti "Ho iniziato" e "Rinuncia"
+ */
+function slotAvailableKeyboard(siteCode = null, lang = DEFAULT_LANGUAGE) {
+  const siteArgs = siteCode ? [`sede:${siteCode}`] : [];
+  
+  return {
+    inline_keyboard: [[
+      { text: t(lang, 'keyboards.started'), callback_data: callbackData('iniziato', siteArgs) },
+      { text: t(lang, 'keyboards.give_up'), callback_data: callbackData('cancella') }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per il messaggio di stato
+ * @param {String} siteCode - Codice della sede mostrata
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {Object} - reply_markup con i pulsanti "Prenota" e "Aggiorna"
+ */
+function statusKeyboard(siteCode, lang = DEFAULT_LANGUAGE) {
+  const siteArgs = [`sede:${siteCode}`];
+  
+  return {
+    inline_keyboard: [[
+      { text: t(lang, 'keyboards.book'), callback_data: callbackData('prenota', siteArgs) },
+      { text: t(lang, 'keyboards.refresh'), callback_data: callbackData('status', siteArgs) }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per la scelta della lingua
+ * Ogni pulsante mostra il nome della lingua nella lingua stessa
+ * @returns {Object} - reply_markup con un pulsante per ogni lingua disponibile
+ */
+function languageKeyboard() {
+  return {
+    inline_keyboard: [LANGUAGES.map(language => ({
+      text: t(language, 'language_name'),
+      callback_data: callbackData('lingua', [language])
+    }))]
+  };
+}
+
+/**
+ * Tastiera per la richiesta di estensione inviata agli amministratori
+ * @param {String} username - Username dell'utente che chiede l'estensione
+ * @returns {Object} - reply_markup con i pulsanti "Approva" e "Rifiuta"
+ */
+function extensionRequestKeyboard(username) {
+  return {
+    inline_keyboard: [[
+      { text: '✅ Approva', callback_data: callbackData('admin_approve_extension', [`@${username}`]) },
+      { text: '⛔ Rifiuta', callback_data: callbackData('admin_reject_extension', [`@${username}`]) }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per il ricorso contro una penalità inviato agli amministratori
+ * @param {String} username - Username dell'utente che ha presentato il ricorso
+ * @returns {Object} - reply_markup con i pulsanti "Accetta" e "Rifiuta"
+ */
+function appealKeyboard(username) {
+  return {
+    inline_keyboard: [[
+      { text: '✅ Accetta', callback_data: callbackData('admin_appeal', ['accept', `@${username}`]) },
+      { text: '⛔ Rifiuta', callback_data: callbackData('admin_appeal', ['reject', `@${username}`]) }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per sfogliare un elenco paginato (registro delle azioni, storico delle ricariche)
+ * Il numero di pagina è passato al comando come ultimo argomento
+ * @param {String} command - Comando che mostra l'elenco
+ * @param {Array} filterArgs - Argomenti del comando da ripetere a ogni pagina
+ * @param {Number} page - Pagina mostrata
+ * @param {Number} pages - Numero totale di pagine
+ * @param {String} lang - Codice della lingua (opzionale)
+ * @returns {Object|undefined} - reply_markup con i pulsanti di navigazione, undefined se c'è una sola pagina
+ */
+function pageKeyboard(command, filterArgs, page, pages, lang = DEFAULT_LANGUAGE) {
+  const buttons = [];
+  
+  if (page > 1) {
+    buttons.push({ text: t(lang, 'keyboards.newer'), callback_data: callbackData(command, [...filterArgs, page - 1]) });
+  }
+
+  if (page < pages) {
+    buttons.push({ text: t(lang, 'keyboards.older'), callback_data: callbackData(command, [...filterArgs, page + 1]) });
+  }
+
+  return buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined;
+}
+
+module.exports = {
+  callbackData,
+  parseCallbackData,
+  isOneShot,
+  slotAvailableKeyboard,
+  statusKeyboard,
+  languageKeyboard,
+  extensionRequestKeyboard,
+  appealKeyboard,
+  pageKeyboard
+};
@@ -0,0 +1,227 @@
+/**
+ * Integrazione MQTT
+ * Pubblica lo stato di colonnine, coda e sessioni attive di ogni sede (es. per Home Assistant)
+ * e riceve dalle colonnine o prese smart gli eventi di inizio e fine ricarica
+ */
+const mqtt = require('mqtt');
+const config = require('../config');
+const logger = require('./logger');
+const eventBus = require('./eventBus');
+const siteHandler = require('../handlers/siteHandler');
+const queueHandler = require('../handlers/queueHandler');
+const chargerHandler = require('../handlers/chargerHandler');
+
+// Attesa prima di pubblicare lo stato, per raggruppare gli eventi ravvicinati della stessa sede (ms)
+const PUBLISH_DELAY = 500;
+
+// Eventi del bus che modificano lo stato pubblicato
+const STATE_EVENTS = [
+  eventBus.EVENTS.SESSION_STARTED,
+  eventBus.EVENTS.SESSION_ENDED,
+  eventBus.EVENTS.SESSION_EXTENDED,
+  eventBus.EVENTS.QUEUE_CHANGED
+];
+
+class MqttBridge {
+  constructor() {
+    this.client = null;
+    this.bot = null;
+    this.prefix = config.MQTT_TOPIC_PREFIX;
+    // Pubblicazioni in attesa, per codice della sede
+    this.publishTimers = new Map();
+    // Ascoltatori registrati sul bus degli eventi
+    this.listeners = [];
+  }
+
+  /**
+   * Si collega al broker e inizia a pubblicare lo stato
+   * @param {Object} bot - Istanza del bot Telegram, per le notifiche agli utenti
+   * @param {String} url - URL del broker (default: MQTT_URL)
+   */
+  start(bot, url = config.MQTT_URL) {
+    if (this.client) {
+      this.stop();
+    }
+    
+    this.bot = bot;
+    this.client = mqtt.connect(url, {
+      username: config.MQTT_USERNAME || undefined,
+      password: config.MQTT_PASSWORD || undefined,
+      // Con il bot spento il broker segnala offline agli abbonati
+      will: { topic: `${this.prefix}/status`, payload: 'offline', retain: true, qos: 1 }
+    });
+    
+    this.client.on('connect', () => {
+      logger.info(`Connesso al broker MQTT ${url}`);
+      this.client.publish(`${this.prefix}/status`, 'online', { retain: true, qos: 1 });
+      this.client.subscribe(`${this.prefix}/+/slots/+/charger`, { qos: 1 });
+      this.publishAllSites();
+    });
+    
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload.toString()).catch(error => {
+        logger.error(`Errore nella gestione del messaggio MQTT su ${topic}:`, error);
+      });
+    });
+    
+    this.client.on('error', error => logger.warn('Errore della connessione MQTT:', error.message));
+    
+    this.listeners = STATE_EVENTS.map(event => {
+      const listener = eventBus.subscribe(event, data => this.schedulePublish(data.site));
+      return { event, listener };
+    });
+    
+    logger.info('Integrazione MQTT avviata');
+  }
+
+  /**
+   * Pubblica lo stato offline e si scollega dal broker
+   */
+  stop() {
+    if (!this.client) return;
+    
+    this.listeners.forEach(({ event, listener }) => eventBus.off(event, listener));
+    this.listeners = [];
+    
+    this.publishTimers.forEach(timer => clearTimeout(timer));
+    this.publishTimers.clear();
+    
+    const client = this.client;
+    this.client = null;
+    
+    if (client.connected) {
+      client.publish(`${this.prefix}/status`, 'offline', { retain: true, qos: 1 }, () => client.end());
+    } else {
+      client.end(true);
+    }
+    
+    logger.info('Integrazione MQTT fermata');
+  }
+
+  /**
+   * Programma la pubblicazione dello stato di una sede
+   * @param {String} siteCode - Codice della sede
+   */
+  schedulePublish(siteCode) {
+    if (!this.client || !siteCode) return;
+    
+    clearTimeout(this.publishTimers.get(siteCode));
+    this.publishTimers.set(siteCode, setTimeout(() => {
+      this.publishTimers.delete(siteCode);
+      this.publishSite(siteCode).catch(error => {
+        logger.error(`Errore nella pubblicazione MQTT dello stato della sede ${siteCode}:`, error);
+      });
+    }, PUBLISH_DELAY));
+  }
+
+  /**
+   * Pubblica lo stato di tutte le sedi
+   */
+  async publishAllSites() {
+    try {
+      const sites = await siteHandler.getSites();
+      
+      for (const site of sites) {
+        await this.publishSite(site.code);
+      }
+    } catch (error) {
+      logger.error('Errore nella pubblicazione MQTT dello stato delle sedi:', error);
+    }
+  }
+
+  /**
+   * Pubblica stato delle colonnine, coda e sessioni attive di una sede (messaggi retained)
+   * @param {String} siteCode - Codice della sede
+   */
+  async publishSite(siteCode) {
+    if (!this.client || !this.client.connected) return;
+    
+    const status = await queueHandler.getSystemStatus(siteCode);
+    const base = `${this.prefix}/${siteCode}`;
+    const options = { retain: true, qos: 1 };
+    
+    // Slot riservati agli utenti in coda che sono stati avvisati
+    const reservedSlots = status.queue
+      .filter(entry => entry.slot_reserved && entry.reserved_slot_number)
+      .map(entry => entry.reserved_slot_number);
+    
+    const sessions = status.active_sessions.map(session => ({
+      username: session.username,
+      slot_number: session.slot_number,
+      start_time: session.start_time,
+      end_time: session.end_time,
+      remaining_minutes: session.remaining_minutes,
+      duration_minutes: session.duration_minutes
+    }));
+    
+    status.slots.forEach(slot => {
+      const session = sessions.find(s => s.slot_number === slot.slot_number) || null;
+      let state = 'free';
+      if (slot.occupied) {
+        state = 'occupied';
+      } else if (reservedSlots.includes(slot.slot_number)) {
+        state = 'reserved';
+      }
+      
+      this.client.publish(`${base}/slots/${slot.slot_number}`, JSON.stringify({
+        slot_number: slot.slot_number,
+        name: slot.name,
+        connector_type: slot.connector_type,
+        max_power_kw: slot.max_power_kw,
+        state,
+        session
+      }), options);
+    });
+    
+    this.client.publish(`${base}/queue`, JSON.stringify({
+      length: status.queue_length,
+      waiting: status.queue.filter(entry => !entry.slot_reserved).length
+    }), options);
+    
+    this.client.publish(`${base}/sessions`, JSON.stringify(sessions), options);
+    
+    this.client.publish(`${base}/summary`, JSON.stringify({
+      total_slots: status.total_slots,
+      slots_available: status.slots_available,
+      slots_occupied: status.slots_occupied,
+      queue_length: status.queue_length,
+      updated_at: new Date().toISOString()
+    }), options);
+  }
+
+  /**
+   * Gestisce un evento di inizio o fine ricarica ricevuto su <prefisso>/<sede>/slots/<numero>/charger
+   * @param {String} topic - Topic del messaggio
+   * @param {String} payload - Contenuto del messaggio
+   */
+  async handleMessage(topic, payload) {
+    const parts = topic.slice(this.prefix.length + 1).split('/');
+    const [siteCode, , slotPart] = parts;
+    const slotNumber = parseInt(slotPart);
+    
+    if (parts.length !== 4 || isNaN(slotNumber)) return;
+    
+    const state = chargerHandler.parseChargerState(payload);
+    
+    if (!state) {
+      logger.warn(`Messaggio MQTT non riconosciuto su ${topic}: ${payload}`);
+      return;
+    }
+    
+    const site = await siteHandler.getSite(siteCode);
+    
+    if (!site) {
+      logger.warn(`Messaggio MQTT per la sede sconosciuta ${siteCode}`);
+      return;
+    }
+    
+    if (state === 'started') {
+      await chargerHandler.confirmChargingStarted(this.bot, site.code, slotNumber, 'mqtt');
+    } else {
+      await chargerHandler.confirmChargingStopped(this.bot, site.code, slotNumber, 'mqtt');
+    }
+  }
+}
+
+// Esporta un'istanza singola
+module.exports = new MqttBridge();
@@ -6,11 +6,18 @@ const mongoose = require('mongoose');
 const logger = require('./logger');
 const config = require('../config');
 const formatters = require('./formatters');
+const i18n = require('./i18n');
 const penaltySystem = require('./penaltySystem');
+const settingsManager = require('./settingsManager');
+const permissions = require('./permissions');
 const Session = require('../models/session');
 const Queue = require('../models/queue');
 const User = require('../models/user');
 const queueHandler = require('../handlers/queueHandler');
+const reservationHandler = require('../handlers/reservationHandler');
+const sessionHandler = require('../handlers/sessionHandler');
+const siteHandler = require('../handlers/siteHandler');
+const eventBus = require('./eventBus');
 
 /**
  * Avvia il sistema di notifiche periodiche
@@ -33,6 +40,7 @@ function startNotificationSystem(bot, executeWithLock = null, isActiveInstance =
   let timeoutTimer = null;
   let overdueTimer = null;
   let queueTimeoutTimer = null;
+  let reservationTimer = null;
   
   // Timer per verificare le sessioni in scadenza (promemoria)
   reminderTimer = setInterval(async () => {
@@ -142,6 +150,33 @@ function startNotificationSystem(bot, executeWithLock = null, isActiveInstance =
     }
   }, 60000); // Controlla ogni minuto
   
+  // Timer per assegnare gli slot alle prenotazioni anticipate e far scadere quelle non confermate
+  reservationTimer = setInterval(async () => {
+    try {
+      // Se abbiamo una funzione per verificare l'istanza attiva, usiamola
+      if (isActiveInstance && !(await isActiveInstance())) {
+        logger.info('Non siamo l\'istanza attiva, salto il controllo delle prenotazioni');
+        return;
+      }
+      
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('Sistema di notifiche: MongoDB non connesso, skip controllo prenotazioni');
+        return;
+      }
+      
+      if (executeWithLock) {
+        await executeWithLock('check_reservations', async () => {
+          await checkReservations(bot);
+        });
+      } else {
+        await checkReservations(bot);
+      }
+    } catch (error) {
+      logger.error('Errore durante il controllo delle prenotazioni:', error);
+    }
+  }, 60000); // Controlla ogni minuto
+  
   logger.info('Sistema di notifiche avviato');
   
   return {
@@ -149,8 +184,9 @@ function startNotificationSystem(bot, executeWithLock = null, isActiveInstance =
     timeoutTimer,
     overdueTimer,
     queueTimeoutTimer,
+    reservationTimer,
     stop: () => {
-      stopNotificationSystem(reminderTimer, timeoutTimer, overdueTimer, queueTimeoutTimer);
+      stopNotificationSystem(reminderTimer, timeoutTimer, overdueTimer, queueTimeoutTimer, reservationTimer);
       return true;
     }
   };
@@ -162,8 +198,9 @@ function startNotificationSystem(bot, executeWithLock = null, isActiveInstance =
  * @param {Object} timeoutTimer - Timer dei timeout
  * @param {Object} overdueTimer - Timer dei ritardi
  * @param {Object} queueTimeoutTimer - Timer dei timeout della coda
+ * @param {Object} reservationTimer - Timer delle prenotazioni anticipate
  */
-function stopNotificationSystem(reminderTimer, timeoutTimer, overdueTimer, queueTimeoutTimer) {
+function stopNotificationSystem(reminderTimer, timeoutTimer, overdueTimer, queueTimeoutTimer, reservationTimer) {
   if (reminderTimer) {
     clearInterval(reminderTimer);
     reminderTimer = null;
@@ -184,6 +221,11 @@ function stopNotificationSystem(reminderTimer, timeoutTimer, overdueTimer, queue
     queueTimeoutTimer = null;
   }
   
+  if (reservationTimer) {
+    clearInterval(reservationTimer);
+    reservationTimer = null;
+  }
+  
   logger.info('Sistema di notifiche fermato');
   return true;
 }
@@ -207,17 +249,9 @@ async function checkExpiringSessions(bot) {
     }
     
     const now = new Date();
-    const reminderThreshold = new Date(now.getTime() + config.REMINDER_TIME * 60000);
     
-    // Trova sessioni che stanno per scadere e non hanno ancora ricevuto un promemoria
-    const expiringSessions = await Session.find({
-      status: 'active',
-      reminded: false,
-      end_time: { 
-        $gt: now, 
-        $lte: reminderThreshold 
-      }
-    });
+    // Trova sessioni che stanno per scadere e non hanno ancora ricevuto un promemoria (preavviso per sede)
+    const expiringSessions = await sessionHandler.getExpiringSessions();
     
     if (expiringSessions.length > 0) {
       logger.info(`Trovate ${expiringSessions.length} sessioni in scadenza da notificare`);
@@ -231,12 +265,14 @@ async function checkExpiringSessions(bot) {
           Math.round((new Date(session.end_time) - now) / 60000)
         );
         
-        // Genera il messaggio di promemoria
+        // Genera il messaggio di promemoria nella lingua dell'utente
+        const lang = await i18n.getUserLanguage(session.telegram_id);
         const reminderMessage = formatters.formatReminderMessage(
           session.username, 
           remainingMinutes, 
           session.end_time,
-          session.custom_duration // passa l'informazione se la durata è personalizzata
+          session.custom_duration, // passa l'informazione se la durata è personalizzata
+          lang
         );
         
         // Invia la notifica
@@ -295,13 +331,15 @@ async function checkExpiredSessions(bot) {
     for (const session of expiredSessions) {
       try {
         // Ottieni la durata effettiva dalla sessione
-        const chargeDuration = session.duration_minutes || config.MAX_CHARGE_TIME;
+        const chargeDuration = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
         
-        // Genera il messaggio di timeout
+        // Genera il messaggio di timeout nella lingua dell'utente
+        const lang = await i18n.getUserLanguage(session.telegram_id);
         const timeoutMessage = formatters.formatTimeoutMessage(
           session.username, 
           chargeDuration,
-          session.custom_duration // passa l'informazione se la durata è personalizzata
+          session.custom_duration, // passa l'informazione se la durata è personalizzata
+          lang
         );
         
         // Invia la notifica
@@ -316,6 +354,8 @@ async function checkExpiredSessions(bot) {
         await session.save();
         
         logger.info(`Inviata notifica di timeout a ${session.username} (${session.telegram_id})`);
+        
+        eventBus.publish(eventBus.EVENTS.SESSION_TIMEOUT, { site: session.site, session });
       } catch (err) {
         logger.error(`Errore nell'invio della notifica di timeout a ${session.username}:`, err);
       }
@@ -371,7 +411,15 @@ async function checkOverdueSessions(bot) {
         
         if (overdueMinutes >= 5) {
           // Genera un messaggio progressivamente più severo in base al ritardo
-          const message = formatters.formatOvertimeMessage(session.username, overdueMinutes);
+          const lang = await i18n.getUserLanguage(session.telegram_id);
+          const rules = await penaltySystem.getRules();
+          const message = formatters.formatOvertimeMessage(
+            session.username,
+            overdueMinutes,
+            penaltySystem.calculatePoints(overdueMinutes, rules),
+            rules.ban_threshold,
+            lang
+          );
           
           // Invia la notifica
           await bot.sendMessage(session.telegram_id, message, { parse_mode: 'Markdown' });
@@ -387,19 +435,25 @@ async function checkOverdueSessions(bot) {
             config.ADMIN_USER_ID
           );
           
-          // Notifica anche all'admin per ritardi gravi (ogni 30 minuti)
-          if (config.ADMIN_USER_ID && overdueMinutes >= 30 && overdueMinutes % 30 === 0) {
+          // Notifica anche all'admin globale e agli admin della sede per ritardi gravi (ogni 30 minuti)
+          if (overdueMinutes >= 30 && overdueMinutes % 30 === 0) {
             // Informazioni sulla durata personalizzata
             const durationInfo = session.custom_duration 
               ? `(durata personalizzata: ${session.duration_minutes} minuti)` 
-              : `(durata predefinita: ${config.MAX_CHARGE_TIME} minuti)`;
+              : `(durata predefinita: ${session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME')} minuti)`;
+            
+            const site = await siteHandler.getSite(session.site);
+            const siteInfo = site && !site.is_default ? ` della sede *${site.name}*` : '';
+            const adminIds = [...new Set([...(await permissions.getUserIdsWithRole('moderator')), ...(site ? site.admin_ids : [])])];
             
-            await bot.sendMessage(
-              config.ADMIN_USER_ID,
-              `🚨 *Segnalazione ritardo grave*\n\n` +
-              `L'utente @${session.username} sta occupando lo slot ${session.slot_number} da *${overdueMinutes} minuti* oltre il tempo massimo ${durationInfo}.`,
-              { parse_mode: 'Markdown' }
-            );
+            for (const adminId of adminIds) {
+              await bot.sendMessage(
+                adminId,
+                `🚨 *Segnalazione ritardo grave*\n\n` +
+                `L'utente @${session.username} sta occupando lo slot ${session.slot_number}${siteInfo} da *${overdueMinutes} minuti* oltre il tempo massimo ${durationInfo}.`,
+                { parse_mode: 'Markdown' }
+              );
+            }
           }
         }
       } catch (err) {
@@ -412,10 +466,32 @@ async function checkOverdueSessions(bot) {
   }
 }
 
+/**
+ * Assegna gli slot alle prenotazioni anticipate iniziate e gestisce quelle scadute
+ * @param {Object} bot - Istanza del bot Telegram
+ * @returns {Promise<void>}
+ */
+async function checkReservations(bot) {
+  try {
+    await reservationHandler.checkReservationStarts(bot);
+    
+    const expired = await reservationHandler.checkReservationTimeouts(bot);
+    
+    // Gli slot delle prenotazioni scadute tornano disponibili per la coda
+    if (expired.length > 0) {
+      await queueHandler.notifyNextInQueue(bot);
+    }
+  } catch (error) {
+    logger.error('Error checking reservations:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   startNotificationSystem,
   stopNotificationSystem,
   checkExpiringSessions,
   checkExpiredSessions,
-  checkOverdueSessions
+  checkOverdueSessions,
+  checkReservations
 };
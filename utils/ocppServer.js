@@ -0,0 +1,282 @@
+/**
+ * Sistema centrale OCPP 1.6J
+ * Accetta le connessioni WebSocket delle colonnine (ws://host/ocpp/<id colonnina>)
+ * e inoltra i loro messaggi a ocppHandler
+ */
+const { WebSocketServer } = require('ws');
+const config = require('../config');
+const logger = require('./logger');
+const ocppHandler = require('../handlers/ocppHandler');
+
+// Sottoprotocollo WebSocket di OCPP 1.6J
+const OCPP_PROTOCOL = 'ocpp1.6';
+
+// Percorso a cui si collegano le colonnine, seguito dal loro identificativo
+const OCPP_PATH = '/ocpp/';
+
+// Tipi di messaggio OCPP-J
+const MESSAGE_CALL = 2;
+const MESSAGE_CALL_RESULT = 3;
+const MESSAGE_CALL_ERROR = 4;
+
+// Tempo massimo di attesa della risposta di una colonnina (ms)
+const CALL_TIMEOUT = 10000;
+
+// Azioni accettate dalle colonnine e relativi gestori
+const ACTIONS = {
+  BootNotification: ocppHandler.handleBootNotification,
+  Heartbeat: ocppHandler.handleHeartbeat,
+  StatusNotification: ocppHandler.handleStatusNotification,
+  Authorize: ocppHandler.handleAuthorize,
+  StartTransaction: ocppHandler.handleStartTransaction,
+  MeterValues: ocppHandler.handleMeterValues,
+  StopTransaction: ocppHandler.handleStopTransaction,
+  FirmwareStatusNotification: ocppHandler.handleAcknowledge,
+  DiagnosticsStatusNotification: ocppHandler.handleAcknowledge
+};
+
+class OcppServer {
+  constructor() {
+    this.wss = null;
+    this.bot = null;
+    // Connessioni aperte, per identificativo della colonnina
+    this.chargePoints = new Map();
+    // Richieste inviate alle colonnine in attesa di risposta, per ID del messaggio
+    this.pendingCalls = new Map();
+    this.messageCounter = 0;
+  }
+
+  /**
+   * Avvia il sistema centrale
+   * @param {Object} bot - Istanza del bot Telegram, per le notifiche agli utenti
+   * @param {Object} options - { server } per condividere un server HTTP esistente, altrimenti { port }
+   */
+  start(bot, options = {}) {
+    if (this.wss) {
+      this.stop();
+    }
+    
+    this.bot = bot;
+    this.wss = new WebSocketServer({
+      ...(options.server ? { server: options.server } : { port: options.port || config.OCPP_PORT }),
+      handleProtocols: protocols => (protocols.has(OCPP_PROTOCOL) ? OCPP_PROTOCOL : false),
+      verifyClient: info => this.verifyClient(info.req)
+    });
+    
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.wss.on('error', error => logger.error('Errore del server OCPP:', error));
+    
+    logger.info(`Sistema centrale OCPP avviato ${options.server ? 'sul server HTTP' : `sulla porta ${options.port || config.OCPP_PORT}`}`);
+  }
+
+  /**
+   * Ferma il sistema centrale e chiude le connessioni delle colonnine
+   */
+  stop() {
+    if (!this.wss) return;
+    
+    this.pendingCalls.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Sistema centrale OCPP fermato.'));
+    });
+    this.pendingCalls.clear();
+    
+    this.chargePoints.forEach(ws => ws.terminate());
+    this.chargePoints.clear();
+    
+    this.wss.close();
+    this.wss = null;
+    
+    logger.info('Sistema centrale OCPP fermato');
+  }
+
+  /**
+   * Ricava l'identificativo della colonnina dal percorso della connessione
+   * @param {String} url - URL della richiesta
+   * @returns {String|null} - Identificativo o null se il percorso non è valido
+   */
+  getChargePointId(url) {
+    const pathname = (url || '').split('?')[0];
+    if (!pathname.startsWith(OCPP_PATH)) return null;
+    
+    const chargePointId = decodeURIComponent(pathname.slice(OCPP_PATH.length));
+    return /^[^\s/]{1,48}$/.test(chargePointId) ? chargePointId : null;
+  }
+
+  /**
+   * Verifica percorso e, se configurata, password della colonnina (autenticazione Basic di OCPP)
+   * @param {Object} req - Richiesta HTTP di upgrade
+   * @returns {Boolean} - true se la connessione è ammessa
+   */
+  verifyClient(req) {
+    const chargePointId = this.getChargePointId(req.url);
+    if (!chargePointId) return false;
+    
+    if (!config.OCPP_PASSWORD) return true;
+    
+    const header = req.headers.authorization || '';
+    const credentials = Buffer.from(header.replace(/^Basic /, ''), 'base64').toString('utf8');
+    const valid = header.startsWith('Basic ') && credentials === `${chargePointId}:${config.OCPP_PASSWORD}`;
+    
+    if (!valid) {
+      logger.warn(`Connessione OCPP rifiutata per la colonnina ${chargePointId}: credenziali non valide`);
+    }
+    
+    return valid;
+  }
+
+  /**
+   * Gestisce la connessione di una colonnina
+   * @param {Object} ws - WebSocket della colonnina
+   * @param {Object} req - Richiesta HTTP di upgrade
+   */
+  handleConnection(ws, req) {
+    const chargePointId = this.getChargePointId(req.url);
+    
+    // Una nuova connessione della stessa colonnina sostituisce la precedente
+    const previous = this.chargePoints.get(chargePointId);
+    if (previous) {
+      previous.terminate();
+    }
+    
+    this.chargePoints.set(chargePointId, ws);
+    logger.info(`Colonnina OCPP ${chargePointId} connessa`);
+    
+    ws.on('message', data => {
+      this.handleMessage(chargePointId, ws, data.toString()).catch(error => {
+        logger.error(`Errore nella gestione di un messaggio OCPP di ${chargePointId}:`, error);
+      });
+    });
+    
+    ws.on('close', () => {
+      if (this.chargePoints.get(chargePointId) === ws) {
+        this.chargePoints.delete(chargePointId);
+        logger.info(`Colonnina OCPP ${chargePointId} disconnessa`);
+      }
+    });
+    
+    ws.on('error', error => logger.warn(`Errore di connessione della colonnina OCPP ${chargePointId}:`, error.message));
+  }
+
+  /**
+   * Gestisce un messaggio OCPP-J ricevuto da una colonnina
+   * @param {String} chargePointId - Identificativo della colonnina
+   * @param {Object} ws - WebSocket della colonnina
+   * @param {String} text - Messaggio ricevuto
+   */
+  async handleMessage(chargePointId, ws, text) {
+    let message;
+    
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      logger.warn(`Messaggio OCPP non valido da ${chargePointId}: ${text}`);
+      return;
+    }
+    
+    if (!Array.isArray(message)) return;
+    
+    const [type, messageId] = message;
+    
+    if (type === MESSAGE_CALL_RESULT || type === MESSAGE_CALL_ERROR) {
+      const pending = this.pendingCalls.get(messageId);
+      if (!pending) return;
+      
+      clearTimeout(pending.timer);
+      this.pendingCalls.delete(messageId);
+      
+      if (type === MESSAGE_CALL_RESULT) {
+        pending.resolve(message[2]);
+      } else {
+        pending.reject(new Error(`${message[2]}: ${message[3] || 'errore della colonnina'}`));
+      }
+      return;
+    }
+    
+    if (type !== MESSAGE_CALL) return;
+    
+    const action = message[2];
+    const handler = ACTIONS[action];
+    
+    if (!handler) {
+      this.send(ws, [MESSAGE_CALL_ERROR, messageId, 'NotImplemented', `Azione ${action} non supportata`, {}]);
+      return;
+    }
+    
+    try {
+      const response = await handler(this.bot, chargePointId, message[3] || {});
+      this.send(ws, [MESSAGE_CALL_RESULT, messageId, response]);
+    } catch (error) {
+      this.send(ws, [MESSAGE_CALL_ERROR, messageId, 'InternalError', error.message, {}]);
+    }
+  }
+
+  /**
+   * Invia un messaggio a una colonnina se la connessione è aperta
+   * @param {Object} ws - WebSocket della colonnina
+   * @param {Array} message - Messaggio OCPP-J
+   */
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Verifica se una colonnina è connessa
+   * @param {String} chargePointId - Identificativo della colonnina
+   * @returns {Boolean} - true se la colonnina è connessa
+   */
+  isConnected(chargePointId) {
+    return this.chargePoints.has(chargePointId);
+  }
+
+  /**
+   * Invia una richiesta a una colonnina e ne attende la risposta
+   * @param {String} chargePointId - Identificativo della colonnina
+   * @param {String} action - Azione OCPP
+   * @param {Object} payload - Dati della richiesta
+   * @returns {Promise<Object>} - Risposta della colonnina
+   */
+  call(chargePointId, action, payload) {
+    const ws = this.chargePoints.get(chargePointId);
+    
+    if (!ws) {
+      return Promise.reject(new Error(`La colonnina ${chargePointId} non è connessa.`));
+    }
+    
+    const messageId = `${Date.now()}-${++this.messageCounter}`;
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(messageId);
+        reject(new Error(`La colonnina ${chargePointId} non ha risposto a ${action}.`));
+      }, CALL_TIMEOUT);
+      
+      this.pendingCalls.set(messageId, { resolve, reject, timer });
+      this.send(ws, [MESSAGE_CALL, messageId, action, payload]);
+    });
+  }
+
+  /**
+   * Chiede alla colonnina di interrompere la transazione di una sessione
+   * @param {Object} session - Oggetto sessione con transazione OCPP
+   * @returns {Promise<String>} - Stato della risposta ('Accepted' o 'Rejected')
+   */
+  async remoteStopTransaction(session) {
+    if (!session.ocpp_transaction_id) {
+      throw new Error('La sessione non è collegata a una transazione OCPP.');
+    }
+    
+    const response = await this.call(session.ocpp_charge_point_id, 'RemoteStopTransaction', {
+      transactionId: session.ocpp_transaction_id
+    });
+    
+    logger.info(`RemoteStopTransaction ${session.ocpp_transaction_id} su ${session.ocpp_charge_point_id}: ${response.status}`);
+    
+    return response.status;
+  }
+}
+
+// Esporta un'istanza singola
+module.exports = new OcppServer();
@@ -3,14 +3,455 @@
  * Gestisce l'assegnazione e la verifica delle penalità per gli utenti
  */
 const User = require('../models/user');
+const PenaltyEvent = require('../models/penaltyEvent');
+const Session = require('../models/session');
+const Setting = require('../models/setting');
 const logger = require('./logger');
 const formatters = require('./formatters');
+const i18n = require('./i18n');
+const auditLog = require('./auditLog');
+const eventBus = require('./eventBus');
+const settingsManager = require('./settingsManager');
+
+// Chiave del documento Setting con le regole modificate dagli amministratori
+const RULES_KEY = 'PENALTY_RULES';
+
+// Regole predefinite: fasce di ritardo dalla più breve (punti fissi, o per ogni every_minutes
+// di ritardo), soglia e durata del ban, giorni dopo cui scade ciascuna penalità, punti per chi
+// non inizia la ricarica dopo la notifica del proprio turno (0 = nessuna penalità) e mancati
+// arrivi senza penalità concessi ogni mese
+const DEFAULT_RULES = {
+  tiers: [
+    { from_minutes: 5, points: 1 },
+    { from_minutes: 15, points: 2 },
+    { from_minutes: 30, points: 3, every_minutes: 30 }
+  ],
+  ban_threshold: 10,
+  ban_days: 7,
+  decay_days: 30,
+  no_show_points: 0,
+  no_show_grace: 1
+};
+
+// Limiti delle regole numeriche modificabili con /admin_penalty_rules
+const RULE_LIMITS = {
+  ban_threshold: { min: 1, max: 100 },
+  ban_days: { min: 1, max: 365 },
+  decay_days: { min: 1, max: 365 },
+  no_show_points: { min: 0, max: 100 },
+  no_show_grace: { min: 0, max: 31 }
+};
+
+// Regole che non riguardano i ritardi, per cui l'anteprima sulle sessioni non ha senso
+const NO_SHOW_FIELDS = ['no_show_points', 'no_show_grace'];
+
+// Regole modificabili, nell'ordine in cui vengono mostrate
+const RULE_FIELDS = ['tiers', ...Object.keys(RULE_LIMITS)];
+
+// Limiti delle fasce di ritardo
+const MAX_TIER_MINUTES = 1440;
+const MAX_TIER_POINTS = 100;
+
+// Frazione della soglia di ban oltre la quale l'utente riceve un avviso
+const WARNING_RATIO = 0.7;
+
+// Giorni di sessioni concluse usati per l'anteprima di una modifica
+const PREVIEW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class PenaltySystem {
+  /**
+   * Ottiene le regole delle penalità in vigore
+   * @returns {Promise<Object>} - Regole { tiers, ban_threshold, ban_days, decay_days, no_show_points, no_show_grace }
+   */
+  async getRules() {
+    try {
+      const setting = await Setting.findOne({ key: RULES_KEY });
+      
+      return { ...DEFAULT_RULES, ...(setting ? setting.value : {}) };
+    } catch (error) {
+      logger.error('Error loading penalty rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcola i punti penalità per un ritardo
+   * @param {Number} overdueMinutes - Minuti di ritardo
+   * @param {Object} rules - Regole delle penalità
+   * @returns {Number} - Punti penalità (0 se il ritardo è sotto la prima fascia)
+   */
+  calculatePoints(overdueMinutes, rules) {
+    const tier = [...rules.tiers].reverse().find(candidate => overdueMinutes >= candidate.from_minutes);
+    
+    if (!tier) {
+      return 0;
+    }
+    
+    return tier.every_minutes ? tier.points * Math.ceil(overdueMinutes / tier.every_minutes) : tier.points;
+  }
+
+  /**
+   * Punti oltre i quali l'utente viene avvisato dell'avvicinarsi del ban
+   * @param {Object} rules - Regole delle penalità
+   * @returns {Number} - Punti dell'avviso
+   */
+  warningPoints(rules) {
+    return Math.ceil(rules.ban_threshold * WARNING_RATIO);
+  }
+
+  /**
+   * Interpreta la modifica di una regola
+   * Le fasce si indicano come minuti:punti, oppure minuti:punti/ogni per i punti ripetuti
+   * per ogni intervallo di ritardo (es. 5:1 15:2 30:3/30)
+   * @param {String} field - Regola da modificare (tiers, ban_threshold, ban_days, decay_days)
+   * @param {Array} values - Valori indicati dall'amministratore
+   * @returns {Object} - Regola modificata { [field]: valore }
+   */
+  parseRule(field, values) {
+    const name = String(field).toLowerCase();
+    
+    if (name === 'tiers') {
+      if (values.length === 0) {
+        throw new Error('Indica almeno una fascia nel formato minuti:punti o minuti:punti/ogni (es. 5:1 15:2 30:3/30).');
+      }
+      
+      const tiers = values.map(value => {
+        const match = String(value).match(/^(\d+):(\d+)(?:\/(\d+))?$/);
+        
+        if (!match) {
+          throw new Error(`Fascia non valida: ${value}. Usa il formato minuti:punti o minuti:punti/ogni (es. 30:3/30).`);
+        }
+        
+        const tier = { from_minutes: parseInt(match[1]), points: parseInt(match[2]) };
+        if (match[3]) {
+          tier.every_minutes = parseInt(match[3]);
+        }
+        
+        if (tier.from_minutes < 1 || tier.from_minutes > MAX_TIER_MINUTES) {
+          throw new Error(`I minuti di ritardo di una fascia devono essere tra 1 e ${MAX_TIER_MINUTES}.`);
+        }
+        if (tier.points < 1 || tier.points > MAX_TIER_POINTS) {
+          throw new Error(`I punti di una fascia devono essere tra 1 e ${MAX_TIER_POINTS}.`);
+        }
+        if (tier.every_minutes !== undefined && (tier.every_minutes < 1 || tier.every_minutes > MAX_TIER_MINUTES)) {
+          throw new Error(`L'intervallo di una fascia deve essere tra 1 e ${MAX_TIER_MINUTES} minuti.`);
+        }
+        
+        return tier;
+      });
+      
+      for (let i = 1; i < tiers.length; i++) {
+        if (tiers[i].from_minutes <= tiers[i - 1].from_minutes) {
+          throw new Error('Le fasce devono essere indicate dalla più breve alla più lunga, senza ripetere i minuti.');
+        }
+      }
+      
+      return { tiers };
+    }
+    
+    const limits = RULE_LIMITS[name];
+    
+    if (!limits) {
+      throw new Error(`Regola sconosciuta: ${field}. Valori ammessi: ${RULE_FIELDS.join(', ')}.`);
+    }
+    
+    const number = values.length === 1 ? parseInt(values[0]) : NaN;
+    if (isNaN(number) || number < limits.min || number > limits.max) {
+      throw new Error(`${name} deve essere un numero tra ${limits.min} e ${limits.max}.`);
+    }
+    
+    return { [name]: number };
+  }
+
+  /**
+   * Modifica una regola delle penalità
+   * @param {String} field - Regola da modificare
+   * @param {Array} values - Valori indicati dall'amministratore
+   * @param {Number} adminId - ID dell'amministratore (opzionale)
+   * @returns {Promise<Object>} - Regole in vigore dopo la modifica
+   */
+  async setRule(field, values, adminId = null) {
+    try {
+      const change = this.parseRule(field, values);
+      const name = Object.keys(change)[0];
+      const rules = await this.getRules();
+      const updated = { ...rules, ...change };
+      
+      await Setting.findOneAndUpdate(
+        { key: RULES_KEY },
+        { $set: { value: updated, updated_by: adminId } },
+        { upsert: true, new: true }
+      );
+      
+      logger.info(`Penalty rule ${name} changed by admin ${adminId}`);
+      
+      await auditLog.record('penalty_rules_changed', {
+        actorId: adminId,
+        before: { [name]: rules[name] },
+        after: change
+      });
+      
+      return updated;
+    } catch (error) {
+      logger.error(`Error changing penalty rule ${field}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ripristina le regole predefinite delle penalità
+   * @param {Number} adminId - ID dell'amministratore (opzionale)
+   * @returns {Promise<Object>} - Regole predefinite
+   */
+  async resetRules(adminId = null) {
+    try {
+      const rules = await this.getRules();
+      
+      await Setting.deleteOne({ key: RULES_KEY });
+      
+      logger.info(`Penalty rules reset by admin ${adminId}`);
+      
+      await auditLog.record('penalty_rules_reset', {
+        actorId: adminId,
+        before: rules,
+        after: DEFAULT_RULES
+      });
+      
+      return { ...DEFAULT_RULES };
+    } catch (error) {
+      logger.error('Error resetting penalty rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confronta le regole in vigore con una modifica, applicandole alle sessioni concluse
+   * negli ultimi PREVIEW_DAYS giorni (i punti degli utenti partono da zero)
+   * @param {String} field - Regola da modificare
+   * @param {Array} values - Valori indicati dall'amministratore
+   * @returns {Promise<Object>} - Oggetto { days, sessions, rules, current, proposed } con l'esito di simulateRules
+   */
+  async previewRule(field, values) {
+    try {
+      const rules = await this.getRules();
+      const change = this.parseRule(field, values);
+      
+      if (NO_SHOW_FIELDS.includes(Object.keys(change)[0])) {
+        throw new Error('L\'anteprima è disponibile solo per le regole sui ritardi.');
+      }
+      
+      const proposedRules = { ...rules, ...change };
+      
+      const since = new Date(Date.now() - PREVIEW_DAYS * DAY_MS);
+      const sessions = await Session.find({
+        status: { $in: ['completed', 'timeout'] },
+        end_time: { $gte: since }
+      }).sort({ end_time: 1 });
+      
+      return {
+        days: PREVIEW_DAYS,
+        sessions: sessions.length,
+        rules: proposedRules,
+        current: this.simulateRules(sessions, rules),
+        proposed: this.simulateRules(sessions, proposedRules)
+      };
+    } catch (error) {
+      logger.error(`Error previewing penalty rule ${field}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Applica delle regole a un elenco di sessioni concluse, in ordine di fine
+   * Come per gli utenti, ogni penalità scade decay_days giorni dopo essere stata assegnata
+   * @param {Array} sessions - Sessioni concluse ordinate per end_time
+   * @param {Object} rules - Regole delle penalità
+   * @returns {Object} - Oggetto { penalized_sessions, points, users, bans }
+   */
+  simulateRules(sessions, rules) {
+    const users = new Map();
+    const result = { penalized_sessions: 0, points: 0, users: 0, bans: 0 };
+    
+    for (const session of sessions) {
+      const plannedMinutes = session.duration_minutes || settingsManager.get('MAX_CHARGE_TIME');
+      const actualMinutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+      const points = this.calculatePoints(Math.max(0, actualMinutes - plannedMinutes), rules);
+      
+      if (points === 0) {
+        continue;
+      }
+      
+      const endTime = new Date(session.end_time);
+      const state = users.get(session.telegram_id) || { penalties: [], ban_end: null };
+      
+      state.penalties = state.penalties.filter(penalty => penalty.expires_at > endTime);
+      state.penalties.push({ points, expires_at: new Date(endTime.getTime() + rules.decay_days * DAY_MS) });
+      
+      const total = state.penalties.reduce((sum, penalty) => sum + penalty.points, 0);
+      
+      if (total >= rules.ban_threshold && !(state.ban_end && endTime < state.ban_end)) {
+        state.ban_end = new Date(endTime.getTime() + rules.ban_days * DAY_MS);
+        result.bans++;
+      }
+      
+      users.set(session.telegram_id, state);
+      result.penalized_sessions++;
+      result.points += points;
+    }
+    
+    result.users = users.size;
+    return result;
+  }
+
+  /**
+   * Ricalcola i punti di un utente come somma delle penalità non scadute
+   * I punti assegnati prima delle scadenze diventano un'unica penalità che scade
+   * decay_days giorni dopo l'ultima infrazione, come avveniva in precedenza
+   * @param {Object} user - Documento dell'utente (le modifiche non vengono salvate)
+   * @param {Object} rules - Regole delle penalità
+   * @returns {Promise<Array>} - Penalità non scadute, dalla prima in scadenza
+   */
+  async refreshPoints(user, rules) {
+    try {
+      const now = new Date();
+      let penalties = await PenaltyEvent.find({ telegram_id: user.telegram_id, expires_at: { $gt: now } }).sort({ expires_at: 1 });
+      
+      if (penalties.length === 0 && user.penalty_points > 0 && !(await PenaltyEvent.exists({ telegram_id: user.telegram_id }))) {
+        const expiresAt = new Date(user.last_penalty_date || now);
+        expiresAt.setDate(expiresAt.getDate() + rules.decay_days);
+        
+        if (expiresAt > now) {
+          penalties = [await PenaltyEvent.create({
+            telegram_id: user.telegram_id,
+            points: user.penalty_points,
+            reason: 'legacy',
+            expires_at: expiresAt
+          })];
+        }
+      }
+      
+      user.penalty_points = penalties.reduce((total, penalty) => total + penalty.points, 0);
+      
+      return penalties;
+    } catch (error) {
+      logger.error(`Error refreshing penalty points of user ${user.telegram_id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra una nuova penalità, che scade dopo decay_days giorni
+   * @param {Object} user - Documento dell'utente
+   * @param {Number} points - Punti della penalità
+   * @param {Object} rules - Regole delle penalità
+   * @param {Object} details - Origine della penalità { reason, session_id, overdue_minutes } (opzionale)
+   * @returns {Promise<Object>} - Penalità creata
+   */
+  async addPenalty(user, points, rules, details = {}) {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + rules.decay_days);
+    
+    return PenaltyEvent.create({
+      telegram_id: user.telegram_id,
+      points,
+      expires_at: expiresAt,
+      ...details
+    });
+  }
+
+  /**
+   * Toglie punti a un utente, riducendo le penalità dalla prima in scadenza
+   * @param {Array} penalties - Penalità non scadute restituite da refreshPoints
+   * @param {Number} points - Punti da togliere
+   * @returns {Promise<Number>} - Punti effettivamente tolti
+   */
+  async removePoints(penalties, points) {
+    let remaining = points;
+    
+    for (const penalty of penalties) {
+      if (remaining <= 0) break;
+      
+      const removed = Math.min(penalty.points, remaining);
+      remaining -= removed;
+      
+      if (removed === penalty.points) {
+        await PenaltyEvent.deleteOne({ _id: penalty._id });
+      } else {
+        penalty.points -= removed;
+        await penalty.save();
+      }
+    }
+    
+    return points - remaining;
+  }
+
+  /**
+   * Aggiorna i punti di tutti gli utenti con penalità, togliendo quelle scadute
+   * @returns {Promise<Number>} - Numero di utenti i cui punti sono cambiati
+   */
+  async expirePoints() {
+    try {
+      const rules = await this.getRules();
+      const users = await User.find({ penalty_points: { $gt: 0 } });
+      let changed = 0;
+      
+      for (const user of users) {
+        const previousPoints = user.penalty_points;
+        await this.refreshPoints(user, rules);
+        
+        if (user.penalty_points !== previousPoints) {
+          await user.save();
+          changed++;
+        }
+      }
+      
+      return changed;
+    } catch (error) {
+      logger.error('Error expiring penalty points:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sospende un utente per un numero di giorni a partire da ora (le modifiche non vengono salvate)
+   * @param {Object} user - Documento dell'utente
+   * @param {Number} days - Giorni di sospensione
+   * @param {String} reason - Motivo indicato dall'amministratore, null per i ban automatici
+   * @param {Object} penaltyId - ID della penalità che ha fatto raggiungere la soglia, per i ban automatici (opzionale)
+   * @returns {Date} - Fine della sospensione
+   */
+  applyBan(user, days, reason = null, penaltyId = null) {
+    const banStartDate = new Date();
+    const banEndDate = new Date(banStartDate);
+    banEndDate.setDate(banEndDate.getDate() + days);
+    
+    user.temporarily_banned = true;
+    user.ban_start_date = banStartDate;
+    user.ban_end_date = banEndDate;
+    user.ban_reason = reason;
+    user.ban_penalty_id = penaltyId;
+    
+    return banEndDate;
+  }
+
+  /**
+   * Revoca la sospensione di un utente (le modifiche non vengono salvate)
+   * @param {Object} user - Documento dell'utente
+   */
+  liftBan(user) {
+    user.temporarily_banned = false;
+    user.ban_start_date = null;
+    user.ban_end_date = null;
+    user.ban_reason = null;
+    user.ban_penalty_id = null;
+  }
+
   /**
    * Controlla l'idoneità di un utente in base alle sue penalità
    * @param {Number} userId - ID Telegram dell'utente
-   * @returns {Promise<Object>} Oggetto con stato di idoneità e messaggio
+   * @returns {Promise<Object>} Oggetto con stato di idoneità e messaggio (nella lingua dell'utente)
    */
   async checkUserEligibility(userId) {
     try {
@@ -31,47 +472,50 @@ class PenaltySystem {
         const now = new Date();
         if (now > user.ban_end_date) {
           // Il ban è scaduto, rimuovilo
-          user.temporarily_banned = false;
-          user.ban_end_date = null;
+          this.liftBan(user);
           await user.save();
           
           return {
             eligible: true,
-            message: `Il tuo ban temporaneo è terminato. Sei di nuovo autorizzato a utilizzare le colonnine di ricarica. Per favore, rispetta i tempi per evitare ulteriori penalità.`,
+            message: i18n.t(user.language, 'penalties.ban_ended'),
             user
           };
         } else {
           // L'utente è ancora bannato
           return {
             eligible: false,
-            message: `Il tuo account è temporaneamente sospeso fino al ${this.formatDate(user.ban_end_date)} a causa di troppe penalità accumulate. Non puoi prenotare colonnine fino a quella data.`,
+            message: user.ban_reason
+              ? i18n.t(user.language, 'penalties.banned_manual', { date: this.formatDate(user.ban_end_date, user.language), reason: formatters.stripMarkdown(user.ban_reason) })
+              : i18n.t(user.language, 'penalties.banned_until', { date: this.formatDate(user.ban_end_date, user.language) }),
             user
           };
         }
       }
       
-      // Controlla reset penalità dopo 30 giorni
-      if (user.penalty_points > 0 && user.last_penalty_date) {
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      // Ricalcola i punti togliendo le penalità scadute
+      if (user.penalty_points > 0) {
+        const rules = await this.getRules();
+        const previousPoints = user.penalty_points;
+        await this.refreshPoints(user, rules);
         
-        if (user.last_penalty_date < thirtyDaysAgo) {
-          // Le penalità sono scadute, azzera
-          user.penalty_points = 0;
+        if (user.penalty_points !== previousPoints) {
           await user.save();
-          
+        }
+        
+        if (user.penalty_points === 0) {
+          // Tutte le penalità sono scadute
           return {
             eligible: true,
-            message: `I tuoi punti penalità sono stati azzerati poiché sono passati più di 30 giorni dall'ultima infrazione.`,
+            message: i18n.t(user.language, 'penalties.points_reset'),
             user
           };
         }
         
         // Se ha penalità ma non è bannato, è comunque idoneo (con avviso)
-        if (user.penalty_points >= 7) {
+        if (user.penalty_points >= this.warningPoints(rules)) {
           return {
             eligible: true,
-            message: `⚠️ Attenzione: hai ${user.penalty_points} punti penalità su 10. Al raggiungimento di 10 punti il tuo account sarà temporaneamente sospeso.`,
+            message: i18n.t(user.language, 'penalties.near_threshold', { points: user.penalty_points, threshold: rules.ban_threshold }),
             user
           };
         }
@@ -94,6 +538,120 @@ class PenaltySystem {
     }
   }
 
+  /**
+   * Gestisce un mancato arrivo: l'utente non ha iniziato la ricarica dopo la notifica del proprio turno
+   * I primi no_show_grace mancati arrivi del mese non comportano punti, i successivi ne comportano
+   * no_show_points; con no_show_points a 0 i mancati arrivi non vengono penalizzati né contati
+   * @param {Number} userId - ID Telegram dell'utente
+   * @returns {Promise<Object|null>} - Oggetto { points, used, grace, nextPoints, penaltyPoints, threshold,
+   *                                   banned, banEndDate }, null se non è prevista una penalità o in caso di errore
+   */
+  async handleNoShow(userId) {
+    try {
+      const rules = await this.getRules();
+      
+      if (rules.no_show_points === 0) {
+        return null;
+      }
+      
+      const user = await User.findOne({ telegram_id: userId });
+      
+      if (!user) {
+        return null;
+      }
+      
+      // Mancati arrivi già registrati nel mese corrente, contati sull'utente: le penalità possono
+      // essere tolte da un amministratore o da un ricorso, il conteggio no
+      const now = new Date();
+      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+      
+      if (!user.no_show_month || user.no_show_month < monthStart) {
+        user.no_show_month = monthStart;
+        user.no_show_count = 0;
+      }
+      
+      const previous = user.no_show_count;
+      user.no_show_count = previous + 1;
+      
+      const points = previous < rules.no_show_grace ? 0 : rules.no_show_points;
+      
+      await this.refreshPoints(user, rules);
+      
+      const before = {
+        penalty_points: user.penalty_points,
+        temporarily_banned: user.temporarily_banned
+      };
+      
+      let newlyBanned = false;
+      
+      if (points > 0) {
+        const penalty = await this.addPenalty(user, points, rules, { reason: 'no_show' });
+        user.penalty_points += points;
+        user.last_penalty_date = now;
+        
+        if (user.penalty_points >= rules.ban_threshold && !user.temporarily_banned) {
+          // Ban della durata prevista dalle regole
+          this.applyBan(user, rules.ban_days, null, penalty._id);
+          newlyBanned = true;
+          
+          logger.info(`User ${userId} banned until ${user.ban_end_date} for reaching ${user.penalty_points} penalty points`);
+        }
+      }
+      
+      // Salva anche il conteggio dei mancati arrivi e i punti ricalcolati senza le penalità scadute
+      await user.save();
+      
+      logger.info(`No-show of user ${userId}: ${points} penalty points (${previous + 1} this month, ${rules.no_show_grace} allowed)`);
+      
+      if (points > 0) {
+        await auditLog.record('penalty_applied', {
+          actorId: null,
+          targetId: userId,
+          targetUsername: user.username,
+          before,
+          after: {
+            penalty_points: user.penalty_points,
+            temporarily_banned: user.temporarily_banned,
+            ban_end_date: user.ban_end_date
+          },
+          details: `Mancato arrivo dopo la notifica del turno (${previous + 1} nel mese)`
+        });
+        
+        eventBus.publish(eventBus.EVENTS.PENALTY_APPLIED, {
+          userId,
+          username: user.username,
+          sessionId: null,
+          overdueMinutes: null,
+          points,
+          penaltyPoints: user.penalty_points
+        });
+      }
+      
+      if (newlyBanned) {
+        eventBus.publish(eventBus.EVENTS.USER_BANNED, {
+          userId,
+          username: user.username,
+          penaltyPoints: user.penalty_points,
+          banEndDate: user.ban_end_date
+        });
+      }
+      
+      return {
+        points,
+        used: Math.min(previous + 1, rules.no_show_grace),
+        grace: rules.no_show_grace,
+        nextPoints: rules.no_show_points,
+        penaltyPoints: user.penalty_points,
+        threshold: rules.ban_threshold,
+        banned: newlyBanned,
+        banEndDate: user.ban_end_date
+      };
+    } catch (error) {
+      logger.error(`Error handling no-show of user ${userId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Gestisce le penalità per ritardi eccessivi
    * @param {Number} userId - ID Telegram dell'utente
@@ -105,13 +663,18 @@ class PenaltySystem {
    */
   async handleExcessiveOvertime(userId, sessionId, overdueMinutes, bot = null, adminId = null) {
     try {
-      // Se il ritardo è inferiore a 5 minuti, non applicare penalità
-      if (overdueMinutes < 5) {
+      const rules = await this.getRules();
+      
+      // Determina i punti penalità in base al ritardo
+      const penaltyPoints = this.calculatePoints(overdueMinutes, rules);
+      
+      // Se il ritardo è inferiore alla prima fascia, non applicare penalità
+      if (penaltyPoints === 0) {
         return {
           applied: false,
           points: 0,
           banned: false,
-          message: 'Nessuna penalità applicata: ritardo inferiore a 5 minuti'
+          message: 'Nessuna penalità applicata: ritardo inferiore alla prima fascia'
         };
       }
       
@@ -127,19 +690,14 @@ class PenaltySystem {
         });
       }
       
-      // Determina i punti penalità in base al ritardo
-      let penaltyPoints = 0;
-      
-      if (overdueMinutes >= 5 && overdueMinutes < 15) {
-        // 5-15 minuti: 1 punto
-        penaltyPoints = 1;
-      } else if (overdueMinutes >= 15 && overdueMinutes < 30) {
-        // 15-30 minuti: 2 punti
-        penaltyPoints = 2;
-      } else {
-        // Oltre 30 minuti: 3 punti per ogni mezz'ora completa
-        penaltyPoints = 3 * Math.ceil(overdueMinutes / 30);
-      }
+      // Punti attuali, senza le penalità scadute
+      await this.refreshPoints(user, rules);
+      
+      // Stato prima della penalità, per il registro delle azioni
+      const before = {
+        penalty_points: user.penalty_points,
+        temporarily_banned: user.temporarily_banned
+      };
       
       // Monitora se le penalità sono già state applicate per questa sessione
       const sessionKey = sessionId.toString();
@@ -148,6 +706,9 @@ class PenaltySystem {
         user.penalty_sessions = {};
       }
       
+      // Punti assegnati ora, registrati come una penalità con la propria scadenza
+      let addedPoints = penaltyPoints;
+      
       // Se la sessione è già stata penalizzata, applicare solo incrementi
       if (user.penalty_sessions[sessionKey]) {
         const previousPenalty = user.penalty_sessions[sessionKey];
@@ -155,6 +716,7 @@ class PenaltySystem {
         // Se la penalità attuale è maggiore della precedente, applica solo la differenza
         if (penaltyPoints > previousPenalty) {
           const additionalPoints = penaltyPoints - previousPenalty;
+          addedPoints = additionalPoints;
           user.penalty_points += additionalPoints;
           user.penalty_sessions[sessionKey] = penaltyPoints;
           
@@ -176,20 +738,24 @@ class PenaltySystem {
         logger.info(`Applied ${penaltyPoints} penalty points to user ${userId} (total: ${user.penalty_points})`);
       }
       
+      // penalty_sessions è un oggetto generico: mongoose non rileva da solo le modifiche alle sue chiavi
+      user.markModified('penalty_sessions');
+      
       // Aggiorna la data dell'ultima penalità
       user.last_penalty_date = new Date();
       
-      // Controlla se l'utente deve essere bannato (10+ punti)
+      const penalty = await this.addPenalty(user, addedPoints, rules, {
+        reason: 'overtime',
+        session_id: sessionId,
+        overdue_minutes: overdueMinutes
+      });
+      
+      // Controlla se l'utente deve essere bannato (soglia delle regole)
       let newlyBanned = false;
       
-      if (user.penalty_points >= 10 && !user.temporarily_banned) {
-        user.temporarily_banned = true;
-        
-        // Ban di 7 giorni
-        const banEndDate = new Date();
-        banEndDate.setDate(banEndDate.getDate() + 7);
-        user.ban_end_date = banEndDate;
-        
+      if (user.penalty_points >= rules.ban_threshold && !user.temporarily_banned) {
+        // Ban della durata prevista dalle regole
+        this.applyBan(user, rules.ban_days, null, penalty._id);
         newlyBanned = true;
         
         logger.info(`User ${userId} banned until ${user.ban_end_date} for reaching ${user.penalty_points} penalty points`);
@@ -213,27 +779,58 @@ class PenaltySystem {
       // Salva le modifiche
       await user.save();
       
+      await auditLog.record('penalty_applied', {
+        actorId: null,
+        targetId: userId,
+        targetUsername: user.username,
+        before,
+        after: {
+          penalty_points: user.penalty_points,
+          temporarily_banned: user.temporarily_banned,
+          ban_end_date: user.ban_end_date
+        },
+        details: `Ritardo di ${overdueMinutes} minuti sulla sessione ${sessionKey}`
+      });
+      
+      eventBus.publish(eventBus.EVENTS.PENALTY_APPLIED, {
+        userId,
+        username: user.username,
+        sessionId: sessionKey,
+        overdueMinutes,
+        points: user.penalty_points - before.penalty_points,
+        penaltyPoints: user.penalty_points
+      });
+      
+      if (newlyBanned) {
+        eventBus.publish(eventBus.EVENTS.USER_BANNED, {
+          userId,
+          username: user.username,
+          penaltyPoints: user.penalty_points,
+          banEndDate: user.ban_end_date
+        });
+      }
+      
       // Notifica l'utente della penalità
       if (bot) {
         try {
           if (newlyBanned) {
             await bot.sendMessage(
               userId,
-              `🚫 *Account temporaneamente sospeso*\n\n` +
-              `Hai raggiunto ${user.penalty_points} punti penalità a causa di ripetuti ritardi.\n\n` +
-              `Il tuo account è sospeso fino al ${this.formatDate(user.ban_end_date)}.\n` +
-              `Non potrai utilizzare le colonnine di ricarica fino a quella data.\n\n` +
-              `Per maggiori informazioni, usa il comando /stato_utente.`,
+              i18n.t(user.language, 'penalties.user_banned', {
+                points: user.penalty_points,
+                date: this.formatDate(user.ban_end_date, user.language)
+              }),
               { parse_mode: 'Markdown' }
             );
           } else if (penaltyPoints > 0) {
             await bot.sendMessage(
               userId,
-              `⚠️ *Penalità applicata*\n\n` +
-              `Ti sono stati assegnati ${penaltyPoints} punti penalità per un ritardo di ${overdueMinutes} minuti.\n\n` +
-              `Hai ora un totale di ${user.penalty_points}/10 punti penalità.\n` +
-              `Al raggiungimento di 10 punti il tuo account sarà temporaneamente sospeso.\n\n` +
-              `Per maggiori informazioni, usa il comando /stato_utente.`,
+              i18n.t(user.language, 'penalties.applied', {
+                points: penaltyPoints,
+                minutes: overdueMinutes,
+                total: user.penalty_points,
+                threshold: rules.ban_threshold
+              }),
               { parse_mode: 'Markdown' }
             );
           }
@@ -246,7 +843,7 @@ class PenaltySystem {
         applied: true,
         points: penaltyPoints,
         banned: newlyBanned,
-        message: newlyBanned ? 'Utente bannato per 7 giorni' : 'Penalità applicata'
+        message: newlyBanned ? `Utente bannato per ${rules.ban_days} giorni` : 'Penalità applicata'
       };
     } catch (error) {
       logger.error(`Error handling excessive overtime for user ${userId}:`, error);
@@ -260,22 +857,326 @@ class PenaltySystem {
   }
 
   /**
-   * Formatta una data in formato italiano
+   * Imposta manualmente i punti penalità di un utente (dashboard web)
+   * Raggiungendo la soglia di ban l'utente viene sospeso come per le penalità automatiche
+   * @param {Number} userId - ID Telegram dell'utente
+   * @param {Number} points - Nuovo totale di punti penalità
+   * @param {Number} adminId - ID dell'amministratore
+   * @param {String} reason - Motivo della modifica (opzionale)
+   * @returns {Promise<Object>} - Utente aggiornato
+   */
+  async adjustPenaltyPoints(userId, points, adminId = null, reason = '') {
+    try {
+      if (!Number.isInteger(points) || points < 0 || points > 100) {
+        throw new Error('I punti penalità devono essere un numero intero tra 0 e 100.');
+      }
+      
+      const user = await User.findOne({ telegram_id: userId });
+      
+      if (!user) {
+        throw new Error(`Utente ${userId} non trovato.`);
+      }
+      
+      const rules = await this.getRules();
+      const penalties = await this.refreshPoints(user, rules);
+      
+      const before = {
+        penalty_points: user.penalty_points,
+        temporarily_banned: user.temporarily_banned
+      };
+      
+      // Le differenze diventano una nuova penalità o riducono quelle prossime alla scadenza
+      let penalty = null;
+      
+      if (points > before.penalty_points) {
+        penalty = await this.addPenalty(user, points - before.penalty_points, rules, { reason: 'adjustment' });
+        user.last_penalty_date = new Date();
+      } else if (points < before.penalty_points) {
+        await this.removePoints(penalties, before.penalty_points - points);
+      }
+      
+      user.penalty_points = points;
+      let newlyBanned = false;
+      
+      if (user.penalty_points >= rules.ban_threshold && !user.temporarily_banned) {
+        // Ban della durata prevista dalle regole
+        this.applyBan(user, rules.ban_days, null, penalty ? penalty._id : null);
+        newlyBanned = true;
+      }
+      
+      await user.save();
+      
+      logger.info(`Penalty points of user ${userId} set from ${before.penalty_points} to ${points} by admin ${adminId}`);
+      
+      await auditLog.record('penalty_adjusted', {
+        actorId: adminId,
+        targetId: userId,
+        targetUsername: user.username,
+        before,
+        after: {
+          penalty_points: user.penalty_points,
+          temporarily_banned: user.temporarily_banned,
+          ban_end_date: user.ban_end_date
+        },
+        details: reason
+      });
+      
+      if (points > before.penalty_points) {
+        eventBus.publish(eventBus.EVENTS.PENALTY_APPLIED, {
+          userId,
+          username: user.username,
+          sessionId: null,
+          overdueMinutes: null,
+          points: points - before.penalty_points,
+          penaltyPoints: user.penalty_points
+        });
+      }
+      
+      if (newlyBanned) {
+        eventBus.publish(eventBus.EVENTS.USER_BANNED, {
+          userId,
+          username: user.username,
+          penaltyPoints: user.penalty_points,
+          banEndDate: user.ban_end_date
+        });
+      }
+      
+      return user;
+    } catch (error) {
+      logger.error(`Error adjusting penalty points for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggiunge o toglie punti penalità a un utente (comando /admin_penalty)
+   * Il totale resta tra 0 e 100; raggiungendo la soglia di ban l'utente viene sospeso
+   * @param {Number} userId - ID Telegram dell'utente
+   * @param {Number} delta - Punti da aggiungere (positivi) o togliere (negativi)
+   * @param {Number} adminId - ID dell'amministratore
+   * @param {String} reason - Motivo della modifica
+   * @returns {Promise<Object>} - Oggetto { user, previousPoints, newlyBanned }
+   */
+  async changePenaltyPoints(userId, delta, adminId, reason) {
+    try {
+      if (!Number.isInteger(delta) || delta === 0) {
+        throw new Error('Indica i punti da aggiungere o togliere, ad esempio +3 o -2.');
+      }
+      
+      const user = await User.findOne({ telegram_id: userId });
+      
+      if (!user) {
+        throw new Error(`Utente ${userId} non trovato.`);
+      }
+      
+      await this.refreshPoints(user, await this.getRules());
+      
+      const previousPoints = user.penalty_points;
+      const wasBanned = user.temporarily_banned;
+      const updated = await this.adjustPenaltyPoints(userId, Math.min(100, Math.max(0, previousPoints + delta)), adminId, reason);
+      
+      return {
+        user: updated,
+        previousPoints,
+        newlyBanned: !wasBanned && updated.temporarily_banned
+      };
+    } catch (error) {
+      logger.error(`Error changing penalty points for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sospende manualmente un utente (comando /admin_ban)
+   * Un ban già in corso viene sostituito con la nuova durata
+   * @param {Number} userId - ID Telegram dell'utente
+   * @param {Number} days - Giorni di sospensione
+   * @param {Number} adminId - ID dell'amministratore
+   * @param {String} reason - Motivo della sospensione
+   * @returns {Promise<Object>} - Utente aggiornato
+   */
+  async banUser(userId, days, adminId, reason) {
+    try {
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw new Error('La durata del ban deve essere un numero di giorni tra 1 e 365.');
+      }
+      
+      const user = await User.findOne({ telegram_id: userId });
+      
+      if (!user) {
+        throw new Error(`Utente ${userId} non trovato.`);
+      }
+      
+      const before = {
+        temporarily_banned: user.temporarily_banned,
+        ban_end_date: user.ban_end_date
+      };
+      
+      this.applyBan(user, days, reason);
+      await user.save();
+      
+      logger.info(`User ${userId} banned until ${user.ban_end_date} by admin ${adminId}`);
+      
+      await auditLog.record('user_banned', {
+        actorId: adminId,
+        targetId: userId,
+        targetUsername: user.username,
+        before,
+        after: {
+          temporarily_banned: user.temporarily_banned,
+          ban_end_date: user.ban_end_date
+        },
+        details: reason
+      });
+      
+      eventBus.publish(eventBus.EVENTS.USER_BANNED, {
+        userId,
+        username: user.username,
+        penaltyPoints: user.penalty_points,
+        banEndDate: user.ban_end_date
+      });
+      
+      return user;
+    } catch (error) {
+      logger.error(`Error banning user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca la sospensione di un utente (comando /admin_unban)
+   * @param {Number} userId - ID Telegram dell'utente
+   * @param {Number} adminId - ID dell'amministratore
+   * @param {String} reason - Motivo della revoca (opzionale)
+   * @returns {Promise<Object>} - Utente aggiornato
+   */
+  async unbanUser(userId, adminId, reason = '') {
+    try {
+      const user = await User.findOne({ telegram_id: userId });
+      
+      if (!user) {
+        throw new Error(`Utente ${userId} non trovato.`);
+      }
+      
+      if (!user.temporarily_banned) {
+        throw new Error(`L'utente @${user.username} non è sospeso.`);
+      }
+      
+      const before = {
+        temporarily_banned: user.temporarily_banned,
+        ban_end_date: user.ban_end_date
+      };
+      
+      this.liftBan(user);
+      await user.save();
+      
+      logger.info(`User ${userId} unbanned by admin ${adminId}`);
+      
+      await auditLog.record('user_unbanned', {
+        actorId: adminId,
+        targetId: userId,
+        targetUsername: user.username,
+        before,
+        after: {
+          temporarily_banned: false,
+          ban_end_date: null
+        },
+        details: reason
+      });
+      
+      return user;
+    } catch (error) {
+      logger.error(`Error unbanning user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Annulla la penalità assegnata per il ritardo su una sessione (ricorso accettato)
+   * Toglie i punti ancora validi della sessione e revoca il ban automatico a cui hanno contribuito,
+   * se senza quei punti l'utente resta sotto la soglia
+   * @param {Object} session - Sessione penalizzata
+   * @param {Number} adminId - ID dell'amministratore (opzionale)
+   * @param {String} reason - Motivo dell'annullamento (opzionale)
+   * @returns {Promise<Object>} - Oggetto { user, points, banLifted }
+   */
+  async reverseSessionPenalty(session, adminId = null, reason = '') {
+    try {
+      const user = await User.findOne({ telegram_id: session.telegram_id });
+      
+      if (!user) {
+        throw new Error(`Utente ${session.telegram_id} non trovato.`);
+      }
+      
+      const rules = await this.getRules();
+      await this.refreshPoints(user, rules);
+      
+      const before = {
+        penalty_points: user.penalty_points,
+        temporarily_banned: user.temporarily_banned
+      };
+      
+      // Punti della sessione non ancora scaduti
+      const sessionPenalties = await PenaltyEvent.find({ session_id: session._id, expires_at: { $gt: new Date() } });
+      const points = sessionPenalties.reduce((total, penalty) => total + penalty.points, 0);
+      
+      await PenaltyEvent.deleteMany({ session_id: session._id });
+      
+      const sessionKey = session._id.toString();
+      if (user.penalty_sessions && user.penalty_sessions[sessionKey] !== undefined) {
+        delete user.penalty_sessions[sessionKey];
+        user.markModified('penalty_sessions');
+      }
+      
+      user.penalty_points = Math.max(0, user.penalty_points - points);
+      
+      // Revoca il ban automatico a cui hanno contribuito i punti della sessione (quello causato da
+      // una sua penalità, o iniziato dopo una sua penalità) se senza quei punti non è più giustificato
+      let banLifted = false;
+      
+      if (user.temporarily_banned && !user.ban_reason && user.penalty_points < rules.ban_threshold) {
+        const causedBan = sessionPenalties.some(penalty =>
+          (user.ban_penalty_id && penalty._id.equals(user.ban_penalty_id)) ||
+          (user.ban_start_date && penalty.createdAt <= user.ban_start_date));
+        
+        if (causedBan) {
+          this.liftBan(user);
+          banLifted = true;
+        }
+      }
+      
+      await user.save();
+      
+      logger.info(`Reversed ${points} penalty points of session ${sessionKey} for user ${user.telegram_id}${banLifted ? ', ban lifted' : ''}`);
+      
+      await auditLog.record('penalty_reversed', {
+        actorId: adminId,
+        targetId: user.telegram_id,
+        targetUsername: user.username,
+        before,
+        after: {
+          penalty_points: user.penalty_points,
+          temporarily_banned: user.temporarily_banned,
+          ban_end_date: user.ban_end_date
+        },
+        details: reason || `Penalità della sessione ${sessionKey} annullata`
+      });
+      
+      return { user, points, banLifted };
+    } catch (error) {
+      logger.error(`Error reversing penalty of session ${session._id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Formatta una data nel formato della lingua
    * @param {Date} date - Data da formattare
+   * @param {String} lang - Codice della lingua (opzionale, italiano per i messaggi agli amministratori)
    * @returns {String} - Data formattata
    */
-  formatDate(date) {
-    if (!date) return 'N/A';
-    
-    const options = { 
-      year: 'numeric', 
-      month: '2-digit', 
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit'
-    };
-    
-    return new Date(date).toLocaleDateString('it-IT', options);
+  formatDate(date, lang = i18n.DEFAULT_LANGUAGE) {
+    return formatters.formatDate(date, lang);
   }
 }
 
@@ -0,0 +1,189 @@
+/**
+ * Gestione dei ruoli e dei permessi
+ * Ogni utente ha un ruolo (user, moderator, admin) salvato sul documento User;
+ * l'utente indicato in ADMIN_USER_ID è sempre amministratore
+ */
+const User = require('../models/user');
+const config = require('../config');
+const logger = require('./logger');
+
+// Ruoli in ordine crescente di privilegi
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Ruolo minimo richiesto da ciascun comando admin (i comandi non elencati richiedono 'admin')
+const COMMAND_ROLES = {
+  'admin_status': 'moderator',
+  'admin_stats': 'moderator',
+  'admin_check_penalties': 'moderator',
+  'admin_appeal': 'moderator',
+  'admin_reset_slot': 'moderator',
+  'admin_remove_queue': 'moderator',
+  'admin_approve_extension': 'moderator',
+  'admin_reject_extension': 'moderator',
+  'admin_help': 'moderator',
+  'admin_audit': 'moderator',
+  'admin_set_charge_time': 'admin',
+  'admin_set_reminder_time': 'admin',
+  'admin_settings': 'admin',
+  'admin_penalty_rules': 'admin',
+  'admin_penalty': 'admin',
+  'admin_ban': 'admin',
+  'admin_unban': 'admin',
+  'admin_set_max_slots': 'admin',
+  'admin_slot': 'admin',
+  'admin_sites': 'admin',
+  'admin_add_site': 'admin',
+  'admin_set_site': 'admin',
+  'admin_site_admin': 'admin',
+  'admin_grant': 'admin',
+  'admin_revoke': 'admin',
+  'admin_id_tag': 'admin',
+  'admin_notify_all': 'admin',
+  'admin_export': 'admin',
+  'admin_billing': 'admin',
+  'admin_tariff': 'admin',
+  'admin_webhooks': 'admin',
+  'admin_api_tokens': 'admin',
+  'admin_reset_system': 'admin',
+  'admin_confirm_reset': 'admin',
+  'admin_update_commands': 'admin',
+  'dbtest': 'admin'
+};
+
+// Comandi admin consentiti anche agli amministratori di sede (limitati alle proprie sedi)
+const SITE_ADMIN_COMMANDS = [
+  'admin_status',
+  'admin_stats',
+  'admin_set_charge_time',
+  'admin_set_reminder_time',
+  'admin_set_max_slots',
+  'admin_slot',
+  'admin_reset_slot',
+  'admin_remove_queue',
+  'admin_approve_extension',
+  'admin_reject_extension',
+  'admin_help'
+];
+
+/**
+ * Verifica se un ruolo è valido
+ * @param {String} role - Ruolo da verificare
+ * @returns {Boolean} - true se il ruolo esiste
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Confronta due ruoli
+ * @param {String} role - Ruolo posseduto
+ * @param {String} minRole - Ruolo minimo richiesto
+ * @returns {Boolean} - true se il ruolo posseduto è almeno pari a quello richiesto
+ */
+function roleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Ottiene il ruolo effettivo di un utente a partire dal documento User
+ * @param {Object} user - Oggetto utente (può essere null)
+ * @returns {String} - Ruolo dell'utente
+ */
+function roleOf(user) {
+  if (!user) return 'user';
+  if (user.telegram_id === config.ADMIN_USER_ID) return 'admin';
+  
+  // Gli utenti marcati come admin prima dell'introduzione dei ruoli restano amministratori
+  if (user.is_admin && (!user.role || user.role === 'user')) return 'admin';
+  
+  return isValidRole(user.role) ? user.role : 'user';
+}
+
+/**
+ * Ottiene il ruolo di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<String>} - Ruolo dell'utente ('user', 'moderator' o 'admin')
+ */
+async function getRole(userId) {
+  try {
+    if (userId === config.ADMIN_USER_ID) return 'admin';
+    
+    const user = await User.findOne({ telegram_id: userId });
+    return roleOf(user);
+  } catch (error) {
+    logger.error(`Error getting role for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se un utente ha almeno un certo ruolo
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} minRole - Ruolo minimo richiesto
+ * @returns {Promise<Boolean>} - true se l'utente ha il ruolo richiesto
+ */
+async function hasRole(userId, minRole) {
+  return roleAtLeast(await getRole(userId), minRole);
+}
+
+/**
+ * Ottiene il ruolo minimo richiesto da un comando
+ * @param {String} command - Comando (senza /)
+ * @returns {String} - Ruolo minimo
+ */
+function getRequiredRole(command) {
+  if (COMMAND_ROLES[command]) return COMMAND_ROLES[command];
+  return command.startsWith('admin_') || command === 'dbtest' ? 'admin' : 'user';
+}
+
+/**
+ * Verifica se un utente può usare un comando in base al suo ruolo
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} command - Comando (senza /)
+ * @returns {Promise<Boolean>} - true se il ruolo è sufficiente
+ */
+async function canUseCommand(userId, command) {
+  return hasRole(userId, getRequiredRole(command));
+}
+
+/**
+ * Elenca i comandi admin accessibili a un ruolo
+ * @param {String} role - Ruolo
+ * @returns {Array} - Array di nomi di comando
+ */
+function getCommandsForRole(role) {
+  return Object.keys(COMMAND_ROLES).filter(command => roleAtLeast(role, COMMAND_ROLES[command]));
+}
+
+/**
+ * Ottiene gli ID Telegram degli utenti con almeno un certo ruolo
+ * @param {String} minRole - Ruolo minimo
+ * @returns {Promise<Array>} - Array di ID Telegram
+ */
+async function getUserIdsWithRole(minRole) {
+  try {
+    const roles = ROLES.filter(role => roleAtLeast(role, minRole));
+    const users = await User.find({ $or: [{ role: { $in: roles } }, { is_admin: true }] });
+    const ids = users.filter(user => roleAtLeast(roleOf(user), minRole)).map(user => user.telegram_id);
+    
+    return [...new Set([config.ADMIN_USER_ID, ...ids])].filter(Boolean);
+  } catch (error) {
+    logger.error(`Error getting users with role ${minRole}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  ROLES,
+  COMMAND_ROLES,
+  SITE_ADMIN_COMMANDS,
+  isValidRole,
+  roleAtLeast,
+  roleOf,
+  getRole,
+  hasRole,
+  getRequiredRole,
+  canUseCommand,
+  getCommandsForRole,
+  getUserIdsWithRole
+};
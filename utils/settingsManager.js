@@ -0,0 +1,238 @@
+/**
+ * Gestore delle impostazioni di runtime
+ * Le impostazioni modificate dagli amministratori sono salvate su MongoDB
+ * e sovrascrivono i valori predefiniti delle variabili d'ambiente.
+ * Ogni istanza ricarica periodicamente la collezione ed emette un evento
+ * 'change' quando un valore effettivo cambia.
+ */
+const EventEmitter = require('events');
+const Setting = require('../models/setting');
+const config = require('../config');
+const logger = require('./logger');
+const auditLog = require('./auditLog');
+
+// Impostazioni modificabili a runtime con i rispettivi limiti
+const DEFINITIONS = {
+  MAX_CHARGE_TIME: {
+    description: 'Tempo massimo di ricarica predefinito (minuti)',
+    min: 1,
+    max: 120
+  },
+  REMINDER_TIME: {
+    description: 'Preavviso del promemoria di fine ricarica (minuti)',
+    min: 1,
+    max: 30
+  },
+  TARIFF_PER_KWH: {
+    description: 'Tariffa per kWh erogato (euro)',
+    min: 0,
+    max: 5,
+    decimal: true
+  },
+  TARIFF_PER_MINUTE: {
+    description: 'Tariffa per minuto di ricarica (euro)',
+    min: 0,
+    max: 1,
+    decimal: true
+  },
+  IDLE_FEE_PER_MINUTE: {
+    description: 'Tariffa di sosta per minuto oltre la fine prevista (euro)',
+    min: 0,
+    max: 5,
+    decimal: true
+  }
+};
+
+// Intervallo di ricarica delle impostazioni dal database
+const SYNC_INTERVAL = 30 * 1000;
+
+class SettingsManager extends EventEmitter {
+  constructor() {
+    super();
+    this.overrides = {};
+    this.meta = {};
+    this.syncInterval = null;
+  }
+
+  /**
+   * Carica le impostazioni dal database ed emette 'change' per i valori cambiati
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const previous = this.getValues();
+      const settings = await Setting.find({ key: { $in: Object.keys(DEFINITIONS) } });
+      
+      this.overrides = {};
+      this.meta = {};
+      
+      for (const setting of settings) {
+        this.overrides[setting.key] = setting.value;
+        this.meta[setting.key] = {
+          updated_by: setting.updated_by,
+          updated_at: setting.updatedAt
+        };
+      }
+      
+      for (const key of Object.keys(DEFINITIONS)) {
+        const value = this.get(key);
+        if (previous[key] !== value) {
+          logger.info(`Impostazione ${key} aggiornata: ${previous[key]} -> ${value} (${this.getSource(key)})`);
+          this.emit('change', key, value, previous[key]);
+        }
+      }
+    } catch (error) {
+      logger.error('Errore nel caricamento delle impostazioni:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Avvia la sincronizzazione periodica con il database
+   * @param {Number} interval - Intervallo in millisecondi (opzionale)
+   */
+  startSync(interval = SYNC_INTERVAL) {
+    this.stopSync();
+    
+    this.syncInterval = setInterval(async () => {
+      try {
+        await this.load();
+      } catch (error) {
+        logger.error('Errore nella sincronizzazione delle impostazioni:', error);
+      }
+    }, interval);
+  }
+
+  /**
+   * Ferma la sincronizzazione periodica
+   */
+  stopSync() {
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+  }
+
+  /**
+   * Ottiene il valore effettivo di un'impostazione
+   * @param {String} key - Nome dell'impostazione (es. 'MAX_CHARGE_TIME')
+   * @returns {*} - Valore impostato dall'admin o, in mancanza, quello delle variabili d'ambiente
+   */
+  get(key) {
+    return this.overrides[key] !== undefined ? this.overrides[key] : config[key];
+  }
+
+  /**
+   * Indica da dove proviene il valore effettivo di un'impostazione
+   * @param {String} key - Nome dell'impostazione
+   * @returns {String} - 'admin' se modificato da un amministratore, 'env' altrimenti
+   */
+  getSource(key) {
+    return this.overrides[key] !== undefined ? 'admin' : 'env';
+  }
+
+  /**
+   * Ottiene i valori effettivi di tutte le impostazioni
+   * @returns {Object} - Mappa chiave -> valore
+   */
+  getValues() {
+    const values = {};
+    for (const key of Object.keys(DEFINITIONS)) {
+      values[key] = this.get(key);
+    }
+    return values;
+  }
+
+  /**
+   * Elenca le impostazioni con valore effettivo, valore predefinito e provenienza
+   * @returns {Array} - Array di { key, description, value, default_value, source, updated_by, updated_at }
+   */
+  list() {
+    return Object.entries(DEFINITIONS).map(([key, definition]) => ({
+      key,
+      description: definition.description,
+      value: this.get(key),
+      default_value: config[key],
+      source: this.getSource(key),
+      updated_by: this.meta[key] ? this.meta[key].updated_by : null,
+      updated_at: this.meta[key] ? this.meta[key].updated_at : null
+    }));
+  }
+
+  /**
+   * Salva il valore di un'impostazione modificata da un amministratore
+   * @param {String} key - Nome dell'impostazione
+   * @param {*} value - Nuovo valore
+   * @param {Number} adminId - ID dell'amministratore (opzionale)
+   * @returns {Promise<*>} - Valore salvato
+   */
+  async set(key, value, adminId = null) {
+    try {
+      const definition = DEFINITIONS[key];
+      
+      if (!definition) {
+        throw new Error(`Impostazione sconosciuta: ${key}. Valori ammessi: ${Object.keys(DEFINITIONS).join(', ')}.`);
+      }
+      
+      // Le tariffe accettano decimali, anche con la virgola
+      const number = definition.decimal ? Number(String(value).replace(',', '.')) : parseInt(value);
+      if (isNaN(number) || number < definition.min || number > definition.max) {
+        throw new Error(`${key} deve essere un numero tra ${definition.min} e ${definition.max}.`);
+      }
+      
+      const previous = this.get(key);
+      
+      await Setting.findOneAndUpdate(
+        { key },
+        { $set: { value: number, updated_by: adminId } },
+        { upsert: true, new: true }
+      );
+      
+      // Applica subito il valore in questa istanza, le altre lo riceveranno alla prossima sincronizzazione
+      await this.load();
+      
+      await auditLog.record('setting_changed', {
+        actorId: adminId,
+        before: { [key]: previous },
+        after: { [key]: number }
+      });
+      
+      return number;
+    } catch (error) {
+      logger.error(`Errore nel salvataggio dell'impostazione ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rimuove la modifica dell'amministratore, tornando al valore delle variabili d'ambiente
+   * @param {String} key - Nome dell'impostazione
+   * @param {Number} adminId - ID dell'amministratore (opzionale)
+   * @returns {Promise<*>} - Valore effettivo dopo il ripristino
+   */
+  async reset(key, adminId = null) {
+    try {
+      if (!DEFINITIONS[key]) {
+        throw new Error(`Impostazione sconosciuta: ${key}. Valori ammessi: ${Object.keys(DEFINITIONS).join(', ')}.`);
+      }
+      
+      const previous = this.get(key);
+      
+      await Setting.deleteOne({ key });
+      await this.load();
+      
+      await auditLog.record('setting_reset', {
+        actorId: adminId,
+        before: { [key]: previous },
+        after: { [key]: this.get(key) }
+      });
+      
+      return this.get(key);
+    } catch (error) {
+      logger.error(`Errore nel ripristino dell'impostazione ${key}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SettingsManager();
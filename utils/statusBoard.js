@@ -0,0 +1,221 @@
+/**
+ * Messaggio di stato fissato nel gruppo autorizzato
+ * Mantiene un unico messaggio, generato da formatStatusMessage, e lo modifica a ogni
+ * cambiamento di sessioni e code invece di costringere gli utenti a usare /status
+ */
+const config = require('../config');
+const logger = require('./logger');
+const eventBus = require('./eventBus');
+const formatters = require('./formatters');
+const i18n = require('./i18n');
+const Setting = require('../models/setting');
+const siteHandler = require('../handlers/siteHandler');
+const queueHandler = require('../handlers/queueHandler');
+
+// Chiave del messaggio fissato nella collezione delle impostazioni
+const MESSAGE_KEY = 'STATUS_BOARD_MESSAGE';
+
+// Attesa dopo un evento, per raggruppare i cambiamenti ravvicinati in una sola modifica (ms)
+const UPDATE_DELAY = 3000;
+
+// Intervallo minimo tra due modifiche, per rispettare i limiti di Telegram sui gruppi (ms)
+const MIN_EDIT_INTERVAL = 10000;
+
+// Aggiornamento periodico dei minuti rimanenti delle ricariche (ms)
+const REFRESH_INTERVAL = 60 * 1000;
+
+// Eventi del bus che modificano lo stato mostrato
+const STATE_EVENTS = [
+  eventBus.EVENTS.SESSION_STARTED,
+  eventBus.EVENTS.SESSION_ENDED,
+  eventBus.EVENTS.SESSION_EXTENDED,
+  eventBus.EVENTS.QUEUE_CHANGED
+];
+
+class StatusBoard {
+  constructor() {
+    this.bot = null;
+    this.chatId = null;
+    this.messageId = null;
+    this.lastText = null;
+    this.lastEditAt = 0;
+    this.updateTimer = null;
+    this.refreshInterval = null;
+    this.updating = false;
+    // Ascoltatori registrati sul bus degli eventi
+    this.listeners = [];
+  }
+
+  /**
+   * Verifica se il messaggio fissato è previsto dalla configurazione
+   * @returns {Boolean} - true se RESTRICT_TO_GROUP è attivo e AUTHORIZED_GROUP_ID è impostato
+   */
+  isEnabled() {
+    return Boolean(config.RESTRICT_TO_GROUP && config.AUTHORIZED_GROUP_ID);
+  }
+
+  /**
+   * Inizia a mantenere aggiornato il messaggio fissato
+   * @param {Object} bot - Istanza del bot Telegram
+   * @param {Number} chatId - ID del gruppo (default: AUTHORIZED_GROUP_ID)
+   */
+  start(bot, chatId = config.AUTHORIZED_GROUP_ID) {
+    if (this.bot) {
+      this.stop();
+    }
+    
+    this.bot = bot;
+    this.chatId = chatId;
+    
+    this.listeners = STATE_EVENTS.map(event => {
+      const listener = eventBus.subscribe(event, () => this.scheduleUpdate());
+      return { event, listener };
+    });
+    
+    this.refreshInterval = setInterval(() => this.scheduleUpdate(), REFRESH_INTERVAL);
+    this.scheduleUpdate(0);
+    
+    logger.info(`Messaggio di stato fissato attivo nel gruppo ${chatId}`);
+  }
+
+  /**
+   * Smette di aggiornare il messaggio, che resta fissato con l'ultimo stato
+   */
+  stop() {
+    if (!this.bot) return;
+    
+    this.listeners.forEach(({ event, listener }) => eventBus.off(event, listener));
+    this.listeners = [];
+    
+    clearTimeout(this.updateTimer);
+    clearInterval(this.refreshInterval);
+    this.updateTimer = null;
+    this.refreshInterval = null;
+    this.bot = null;
+    
+    logger.info('Messaggio di stato fissato fermato');
+  }
+
+  /**
+   * Programma l'aggiornamento del messaggio, rispettando l'intervallo minimo tra le modifiche
+   * @param {Number} delay - Attesa minima in millisecondi (default: UPDATE_DELAY)
+   */
+  scheduleUpdate(delay = UPDATE_DELAY) {
+    if (!this.bot || this.updateTimer) return;
+    
+    const wait = Math.max(delay, this.lastEditAt + MIN_EDIT_INTERVAL - Date.now());
+    
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.update().catch(error => {
+        logger.error('Errore nell\'aggiornamento del messaggio di stato fissato:', error);
+      });
+    }, wait);
+  }
+
+  /**
+   * Genera il testo del messaggio con lo stato di tutte le sedi
+   * @returns {Promise<String>} - Testo in formato Markdown
+   */
+  async render() {
+    const sites = await siteHandler.getSites();
+    const messages = [];
+    
+    for (const site of sites) {
+      const status = await queueHandler.getSystemStatus(site.code);
+      messages.push(formatters.formatStatusMessage(status));
+    }
+    
+    // Il messaggio è condiviso da tutto il gruppo: usa la lingua predefinita
+    const updated = i18n.t(i18n.DEFAULT_LANGUAGE, 'status.board_updated', { time: formatters.formatTime(new Date()) });
+    return `${messages.join('\n\n')}\n\n${updated}`;
+  }
+
+  /**
+   * Aggiorna il messaggio fissato, creandolo e fissandolo se non esiste ancora
+   * @returns {Promise<void>}
+   */
+  async update() {
+    // Un aggiornamento alla volta: gli eventi arrivati nel frattempo ne programmano un altro
+    if (this.updating) {
+      this.scheduleUpdate();
+      return;
+    }
+    
+    this.updating = true;
+    
+    try {
+      if (this.messageId === null) {
+        await this.loadMessageId();
+      }
+      
+      const text = await this.render();
+      if (text === this.lastText) return;
+      
+      this.lastEditAt = Date.now();
+      
+      if (this.messageId !== null) {
+        try {
+          await this.bot.editMessageText(text, { chat_id: this.chatId, message_id: this.messageId, parse_mode: 'Markdown' });
+          this.lastText = text;
+          return;
+        } catch (error) {
+          // Telegram rifiuta la modifica se il contenuto non è cambiato
+          if (/message is not modified/i.test(error.message)) {
+            this.lastText = text;
+            return;
+          }
+          
+          // Il messaggio è stato cancellato o non è più modificabile: ne viene creato uno nuovo
+          logger.warn(`Impossibile modificare il messaggio di stato ${this.messageId}: ${error.message}`);
+        }
+      }
+      
+      await this.createMessage(text);
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  /**
+   * Invia e fissa un nuovo messaggio di stato
+   * @param {String} text - Testo del messaggio
+   * @returns {Promise<void>}
+   */
+  async createMessage(text) {
+    const message = await this.bot.sendMessage(this.chatId, text, { parse_mode: 'Markdown', disable_notification: true });
+    
+    this.messageId = message.message_id;
+    this.lastText = text;
+    
+    await Setting.findOneAndUpdate(
+      { key: MESSAGE_KEY },
+      { $set: { value: { chat_id: this.chatId, message_id: this.messageId } } },
+      { upsert: true }
+    );
+    
+    try {
+      await this.bot.pinChatMessage(this.chatId, this.messageId, { disable_notification: true });
+    } catch (error) {
+      // Senza il permesso di fissare i messaggi il messaggio viene comunque aggiornato
+      logger.warn(`Impossibile fissare il messaggio di stato nel gruppo ${this.chatId}: ${error.message}`);
+    }
+    
+    logger.info(`Creato il messaggio di stato ${this.messageId} nel gruppo ${this.chatId}`);
+  }
+
+  /**
+   * Recupera il messaggio fissato salvato, se appartiene al gruppo configurato
+   * @returns {Promise<void>}
+   */
+  async loadMessageId() {
+    const setting = await Setting.findOne({ key: MESSAGE_KEY });
+    
+    if (setting && setting.value && setting.value.chat_id === this.chatId) {
+      this.messageId = setting.value.message_id;
+    }
+  }
+}
+
+// Esporta un'istanza singola
+module.exports = new StatusBoard();
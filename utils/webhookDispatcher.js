@@ -0,0 +1,328 @@
+/**
+ * Invio dei webhook in uscita
+ * Trasforma gli eventi del bus in consegne JSON firmate con HMAC-SHA256 e le ritenta
+ * con attese crescenti finché il destinatario non risponde con un codice 2xx
+ */
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const logger = require('./logger');
+const eventBus = require('./eventBus');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const webhookHandler = require('../handlers/webhookHandler');
+
+// Tempo massimo di attesa della risposta del destinatario (ms)
+const REQUEST_TIMEOUT = 10000;
+
+// Tentativi per consegna e attesa prima del primo nuovo tentativo, raddoppiata ogni volta (ms)
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 30 * 1000;
+
+// Frequenza del controllo delle consegne da ritentare (ms)
+const RETRY_CHECK_INTERVAL = 15 * 1000;
+
+// Una consegna in corso resta riservata a questa istanza per questo tempo (ms)
+const DELIVERY_LEASE = REQUEST_TIMEOUT * 3;
+
+// Eventi del bus e relative conversioni negli eventi dei webhook (null = evento non inoltrato)
+const BUS_EVENTS = {
+  [eventBus.EVENTS.SESSION_STARTED]: data => ({ event: 'session_started', data: sessionData(data.session) }),
+  [eventBus.EVENTS.SESSION_ENDED]: data => ({
+    event: 'session_ended',
+    data: { ...sessionData(data.session), actual_duration_minutes: data.durationMinutes }
+  }),
+  [eventBus.EVENTS.SESSION_TIMEOUT]: data => ({ event: 'session_timeout', data: sessionData(data.session) }),
+  [eventBus.EVENTS.QUEUE_CHANGED]: queueEvent,
+  [eventBus.EVENTS.PENALTY_APPLIED]: data => ({
+    event: 'penalty_applied',
+    data: {
+      telegram_id: data.userId,
+      username: data.username,
+      session_id: data.sessionId,
+      overdue_minutes: data.overdueMinutes,
+      points: data.points,
+      penalty_points: data.penaltyPoints
+    }
+  }),
+  [eventBus.EVENTS.USER_BANNED]: data => ({
+    event: 'user_banned',
+    data: {
+      telegram_id: data.userId,
+      username: data.username,
+      penalty_points: data.penaltyPoints,
+      ban_end_date: data.banEndDate
+    }
+  })
+};
+
+// Motivi di QUEUE_CHANGED inoltrati e relativi eventi
+const QUEUE_EVENTS = {
+  joined: 'queue_joined',
+  slot_reserved: 'queue_notified',
+  timeout: 'queue_timeout'
+};
+
+/**
+ * Dati di una sessione inclusi nelle consegne
+ * @param {Object} session - Oggetto sessione
+ * @returns {Object} - Dati della sessione
+ */
+function sessionData(session) {
+  return {
+    session_id: String(session._id),
+    telegram_id: session.telegram_id,
+    username: session.username,
+    slot_number: session.slot_number,
+    status: session.status,
+    start_time: session.start_time,
+    end_time: session.end_time,
+    duration_minutes: session.duration_minutes,
+    energy_kwh: session.energy_kwh,
+    cost_total: session.cost_total
+  };
+}
+
+/**
+ * Converte un cambio della coda nell'evento corrispondente
+ * @param {Object} data - Dati dell'evento QUEUE_CHANGED
+ * @returns {Object|null} - Oggetto { event, data } o null se il motivo non è inoltrato
+ */
+function queueEvent(data) {
+  const event = QUEUE_EVENTS[data.reason];
+  if (!event) return null;
+  
+  return {
+    event,
+    data: {
+      telegram_id: data.userId,
+      username: data.username,
+      position: data.position,
+      ...(data.slotNumber !== undefined ? { slot_number: data.slotNumber } : {})
+    }
+  };
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.retryInterval = null;
+    // Ascoltatori registrati sul bus degli eventi
+    this.listeners = [];
+  }
+
+  /**
+   * Inizia a inoltrare gli eventi e a ritentare le consegne non riuscite
+   */
+  start() {
+    if (this.retryInterval) {
+      this.stop();
+    }
+    
+    this.listeners = Object.entries(BUS_EVENTS).map(([event, convert]) => {
+      const listener = eventBus.subscribe(event, async data => {
+        const converted = convert(data);
+        if (converted) {
+          await this.dispatch(converted.event, data.site || null, converted.data);
+        }
+      });
+      return { event, listener };
+    });
+    
+    this.retryInterval = setInterval(() => {
+      this.processDueDeliveries().catch(error => {
+        logger.error('Errore nel controllo delle consegne dei webhook:', error);
+      });
+    }, RETRY_CHECK_INTERVAL);
+    
+    logger.info('Invio dei webhook avviato');
+  }
+
+  /**
+   * Smette di inoltrare gli eventi; le consegne in attesa restano nel database
+   */
+  stop() {
+    if (!this.retryInterval) return;
+    
+    this.listeners.forEach(({ event, listener }) => eventBus.off(event, listener));
+    this.listeners = [];
+    
+    clearInterval(this.retryInterval);
+    this.retryInterval = null;
+    
+    logger.info('Invio dei webhook fermato');
+  }
+
+  /**
+   * Crea e tenta subito le consegne di un evento per i webhook iscritti
+   * @param {String} event - Nome dell'evento (uno di WEBHOOK_EVENTS)
+   * @param {String} site - Codice della sede (null se l'evento non riguarda una sede)
+   * @param {Object} data - Dati dell'evento
+   * @returns {Promise<void>}
+   */
+  async dispatch(event, site, data) {
+    const webhooks = await webhookHandler.getWebhooksForEvent(event);
+    
+    await Promise.all(webhooks.map(async webhook => {
+      const delivery = await this.createDelivery(webhook, event, site, data);
+      await this.attemptDelivery(delivery, webhook);
+    }));
+  }
+
+  /**
+   * Invia un evento di prova a un webhook, anche se sospeso o non iscritto ad alcun evento
+   * @param {Object} webhook - Webhook da provare
+   * @returns {Promise<Object>} - Consegna aggiornata con l'esito del primo tentativo
+   */
+  async sendTest(webhook) {
+    const delivery = await this.createDelivery(webhook, webhookHandler.PING_EVENT, null, {
+      message: 'Consegna di prova da /admin_webhooks'
+    });
+    
+    return await this.attemptDelivery(delivery, webhook);
+  }
+
+  /**
+   * Salva una consegna, riservata a questa istanza per il primo tentativo
+   * @param {Object} webhook - Webhook di destinazione
+   * @param {String} event - Nome dell'evento
+   * @param {String} site - Codice della sede
+   * @param {Object} data - Dati dell'evento
+   * @returns {Promise<Object>} - Consegna creata
+   */
+  async createDelivery(webhook, event, site, data) {
+    const deliveryId = crypto.randomUUID();
+    
+    return await WebhookDelivery.create({
+      webhook_id: webhook._id,
+      event,
+      payload: JSON.stringify({
+        id: deliveryId,
+        event,
+        timestamp: new Date().toISOString(),
+        site,
+        data
+      }),
+      next_attempt_at: new Date(Date.now() + DELIVERY_LEASE)
+    });
+  }
+
+  /**
+   * Ritenta le consegne in attesa il cui momento è arrivato
+   * Ogni consegna viene riservata prima dell'invio, così più istanze non la inviano due volte
+   * @returns {Promise<void>}
+   */
+  async processDueDeliveries() {
+    let delivery;
+    
+    do {
+      delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', next_attempt_at: { $lte: new Date() } },
+        { $set: { next_attempt_at: new Date(Date.now() + DELIVERY_LEASE) } },
+        { sort: { next_attempt_at: 1 }, new: true }
+      );
+      
+      if (delivery) {
+        await this.attemptDelivery(delivery);
+      }
+    } while (delivery && this.retryInterval);
+  }
+
+  /**
+   * Esegue un tentativo di consegna e ne registra l'esito
+   * Il corpo viene firmato con il segreto attuale del webhook
+   * @param {Object} delivery - Consegna da tentare
+   * @param {Object} webhook - Webhook di destinazione (caricato se non indicato)
+   * @returns {Promise<Object>} - Consegna aggiornata
+   */
+  async attemptDelivery(delivery, webhook = null) {
+    try {
+      webhook = webhook || await Webhook.findById(delivery.webhook_id);
+      
+      if (!webhook) {
+        delivery.status = 'failed';
+        delivery.last_error = 'Webhook eliminato';
+        return await delivery.save();
+      }
+      
+      const deliveryId = JSON.parse(delivery.payload).id;
+      delivery.attempts += 1;
+      
+      try {
+        const statusCode = await this.post(webhook.url, delivery.payload, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SlotManager-Webhook',
+          'X-SlotManager-Event': delivery.event,
+          'X-SlotManager-Delivery': deliveryId,
+          'X-SlotManager-Signature': webhookHandler.signPayload(webhook.secret, delivery.payload)
+        });
+        
+        if (statusCode < 200 || statusCode >= 300) {
+          throw new Error(`HTTP ${statusCode}`);
+        }
+        
+        delivery.status = 'delivered';
+        delivery.last_error = null;
+        webhook.last_status = `HTTP ${statusCode}`;
+        webhook.failure_count = 0;
+      } catch (error) {
+        delivery.last_error = error.message;
+        webhook.last_status = error.message;
+        webhook.failure_count += 1;
+        
+        if (delivery.attempts >= MAX_ATTEMPTS) {
+          delivery.status = 'failed';
+          logger.warn(`Consegna ${deliveryId} (${delivery.event}) a ${webhook.url} non riuscita dopo ${delivery.attempts} tentativi: ${error.message}`);
+        } else {
+          const delay = RETRY_BASE_DELAY * Math.pow(2, delivery.attempts - 1);
+          delivery.next_attempt_at = new Date(Date.now() + delay);
+          logger.info(`Consegna ${deliveryId} (${delivery.event}) a ${webhook.url} non riuscita (${error.message}), nuovo tentativo tra ${delay / 1000}s`);
+        }
+      }
+      
+      webhook.last_delivery_at = new Date();
+      
+      // Aggiorna solo l'esito, senza sovrascrivere modifiche concorrenti al webhook
+      await Webhook.updateOne({ _id: webhook._id }, {
+        $set: {
+          last_status: webhook.last_status,
+          last_delivery_at: webhook.last_delivery_at,
+          failure_count: webhook.failure_count
+        }
+      });
+      
+      return await delivery.save();
+    } catch (error) {
+      logger.error(`Errore nella consegna ${delivery._id} del webhook:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invia una richiesta POST
+   * @param {String} url - URL di destinazione
+   * @param {String} body - Corpo della richiesta
+   * @param {Object} headers - Intestazioni
+   * @returns {Promise<Number>} - Codice di stato HTTP della risposta
+   */
+  post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: REQUEST_TIMEOUT
+      }, res => {
+        // Il contenuto della risposta non interessa, ma va consumato per liberare la connessione
+        res.resume();
+        resolve(res.statusCode);
+      });
+      
+      req.on('timeout', () => req.destroy(new Error('Nessuna risposta entro il tempo massimo')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+// Esporta un'istanza singola
+module.exports = new WebhookDispatcher();